@@ -0,0 +1,61 @@
+/**
+ * Script to move elements embedded in board snapshots, recordings and templates into the BoardElementCopy collection
+ * - Each element becomes one BoardElementCopy document keyed by its snapshot or template, or by its recording and start seq
+ * - The embedded array is removed
+ * Safe to re-run: a copy is rewritten from scratch while its embedded array is still there.
+ * Run: node scripts/migrate-board-copies.js
+ */
+
+const mongoose = require('mongoose');
+const BoardElementCopy = require('../src/models/BoardElementCopy');
+const boardElementCopyService = require('../src/services/boardElementCopy.service');
+const config = require('../src/config/env');
+
+// Collections with embedded elements, and the copy key for each document
+const SOURCES = [
+  { collection: 'boardsnapshots', key: doc => ({ snapshotId: doc._id, boardId: doc.boardId }) },
+  { collection: 'boardrecordings', key: doc => ({ recordingId: doc._id, seq: doc.startSeq, boardId: doc.boardId }) },
+  { collection: 'boardtemplates', key: doc => ({ templateId: doc._id }) }
+];
+
+const migrateBoardCopies = async () => {
+  try {
+    await mongoose.connect(config.mongodb.uri);
+    console.log('✅ Connected to MongoDB');
+
+    await BoardElementCopy.syncIndexes();
+
+    for (const { collection, key } of SOURCES) {
+      const documents = mongoose.connection.db.collection(collection);
+      const cursor = documents.find(
+        { elements: { $exists: true } },
+        { projection: { _id: 1, boardId: 1, startSeq: 1 } }
+      );
+      let documentCount = 0;
+      let elementCount = 0;
+
+      for await (const doc of cursor) {
+        // Read one document's elements at a time
+        const { elements = [] } = await documents.findOne({ _id: doc._id }, { projection: { elements: 1 } });
+        const copyKey = key(doc);
+
+        await boardElementCopyService.remove(copyKey);
+        elementCount += await boardElementCopyService.save(copyKey, elements.filter(Boolean));
+        await documents.updateOne({ _id: doc._id }, { $unset: { elements: '' } });
+
+        documentCount++;
+      }
+
+      console.log(`✅ Migrated ${elementCount} elements from ${documentCount} ${collection}`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating board copies:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateBoardCopies();
@@ -0,0 +1,66 @@
+/**
+ * Script to move embedded Board.elements into the BoardElement collection
+ * - Each element becomes one BoardElement document keyed by (boardId, id)
+ * - Board.elementCount is set and the embedded array is removed
+ * Safe to re-run: elements are upserted, so a partial run can be resumed.
+ * Run: node scripts/migrate-board-elements.js
+ */
+
+const mongoose = require('mongoose');
+const BoardElement = require('../src/models/BoardElement');
+const config = require('../src/config/env');
+
+const BATCH_SIZE = 500;
+
+const migrateBoardElements = async () => {
+  try {
+    await mongoose.connect(config.mongodb.uri);
+    console.log('✅ Connected to MongoDB');
+
+    await BoardElement.syncIndexes();
+
+    const boards = mongoose.connection.db.collection('boards');
+    const cursor = boards.find(
+      { elements: { $exists: true } },
+      { projection: { elements: 1 } }
+    );
+    let boardCount = 0;
+    let elementCount = 0;
+
+    for await (const board of cursor) {
+      const elements = (board.elements || []).filter(el => el && el.id);
+
+      for (let i = 0; i < elements.length; i += BATCH_SIZE) {
+        const ops = elements.slice(i, i + BATCH_SIZE).map(({ _id, ...element }) => ({
+          updateOne: {
+            filter: { boardId: board._id, id: element.id },
+            update: { $setOnInsert: { ...element, boardId: board._id } },
+            upsert: true
+          }
+        }));
+
+        await BoardElement.bulkWrite(ops, { ordered: false });
+      }
+
+      const count = await BoardElement.countDocuments({ boardId: board._id });
+      await boards.updateOne(
+        { _id: board._id },
+        { $set: { elementCount: count }, $unset: { elements: '' } }
+      );
+
+      boardCount++;
+      elementCount += elements.length;
+    }
+
+    console.log(`✅ Migrated ${elementCount} elements from ${boardCount} boards`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating board elements:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateBoardElements();
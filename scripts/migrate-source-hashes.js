@@ -0,0 +1,68 @@
+/**
+ * Script to set contentHash on notebook sources added before duplicate detection
+ * - Uploaded files are hashed from the stored file, everything else from its text
+ * - Sources whose file is missing are left without a hash and reported
+ * Safe to re-run: only sources without a hash are touched.
+ * Run: node scripts/migrate-source-hashes.js
+ */
+
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const Notebook = require('../src/models/Notebook');
+const notebookSourceService = require('../src/services/notebookSource.service');
+const config = require('../src/config/env');
+
+const migrateSourceHashes = async () => {
+  try {
+    await mongoose.connect(config.mongodb.uri);
+    console.log('✅ Connected to MongoDB');
+
+    await Notebook.syncIndexes();
+
+    const cursor = Notebook.find({
+      sources: { $elemMatch: { contentHash: { $exists: false } } }
+    }).lean().cursor();
+    let hashed = 0;
+    let missing = 0;
+
+    for await (const notebook of cursor) {
+      for (const source of notebook.sources) {
+        if (source.contentHash) {
+          continue;
+        }
+
+        let data = null;
+        if (source.filePath) {
+          data = await fs.readFile(source.filePath).catch(() => null);
+        } else {
+          // Embedded until migrate-source-text has run
+          data = source.content || (await notebookSourceService.getText(source._id))?.content;
+        }
+
+        if (!data) {
+          console.warn(`⚠ No file or text to hash for source ${source._id} in notebook ${notebook._id}`);
+          missing++;
+          continue;
+        }
+
+        // Positional update rather than save(), so lastAccessed isn't bumped
+        await Notebook.updateOne(
+          { _id: notebook._id, 'sources._id': source._id },
+          { $set: { 'sources.$.contentHash': notebookSourceService.hashContent(data) } }
+        );
+        hashed++;
+      }
+    }
+
+    console.log(`✅ Hashed ${hashed} sources (${missing} without a file or text)`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error hashing notebook sources:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateSourceHashes();
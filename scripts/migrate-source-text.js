@@ -0,0 +1,60 @@
+/**
+ * Script to move the text embedded in notebook sources into the NotebookSourceText collection
+ * - Each source with content or markers gets one NotebookSourceText document
+ * - The embedded content and markers are removed from the notebook
+ * Safe to re-run: a source's text is rewritten while its embedded copy is still there.
+ * Run: node scripts/migrate-source-text.js
+ */
+
+const mongoose = require('mongoose');
+const NotebookSourceText = require('../src/models/NotebookSourceText');
+const notebookSourceService = require('../src/services/notebookSource.service');
+const config = require('../src/config/env');
+
+const migrateSourceText = async () => {
+  try {
+    await mongoose.connect(config.mongodb.uri);
+    console.log('✅ Connected to MongoDB');
+
+    await NotebookSourceText.syncIndexes();
+
+    const notebooks = mongoose.connection.db.collection('notebooks');
+    const cursor = notebooks.find(
+      { sources: { $elemMatch: { $or: [{ content: { $exists: true } }, { markers: { $exists: true } }] } } },
+      { projection: { _id: 1 } }
+    );
+    let notebookCount = 0;
+    let sourceCount = 0;
+
+    for await (const { _id } of cursor) {
+      // Read one notebook's text at a time
+      const { sources = [] } = await notebooks.findOne({ _id }, { projection: { sources: 1 } });
+
+      for (const source of sources) {
+        if (source.content === undefined && source.markers === undefined) {
+          continue;
+        }
+
+        await notebookSourceService.saveText(_id, source._id, {
+          content: source.content || '',
+          markers: source.markers || []
+        });
+        sourceCount++;
+      }
+
+      await notebooks.updateOne({ _id }, { $unset: { 'sources.$[].content': '', 'sources.$[].markers': '' } });
+      notebookCount++;
+    }
+
+    console.log(`✅ Migrated the text of ${sourceCount} sources in ${notebookCount} notebooks`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating notebook source text:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateSourceText();
@@ -0,0 +1,79 @@
+/**
+ * Script to link legacy free-text subjects to Subject documents
+ * - Quiz.subject strings become Subject ObjectIds
+ * - StudyPlan.subject names get a matching StudyPlan.subjectId
+ * Run: node scripts/migrate-subjects.js
+ */
+
+const mongoose = require('mongoose');
+const Subject = require('../src/models/Subject');
+const config = require('../src/config/env');
+
+// Find or create a subject for a user by name (case-insensitive)
+const resolveSubject = async (userId, name) => {
+  const trimmed = name.trim();
+  const escaped = trimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const existing = await Subject.findOne({
+    userId,
+    name: { $regex: `^${escaped}$`, $options: 'i' }
+  });
+
+  if (existing) {
+    return existing;
+  }
+
+  return Subject.create({ userId, name: trimmed.substring(0, 100) });
+};
+
+const migrateSubjects = async () => {
+  try {
+    await mongoose.connect(config.mongodb.uri);
+    console.log('✅ Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+
+    // Quizzes: subject was stored as a string (usually an ObjectId, sometimes a name)
+    const quizzes = db.collection('quizzes').find({ subject: { $type: 'string' } });
+    let quizCount = 0;
+
+    for await (const quiz of quizzes) {
+      let subjectId = null;
+
+      if (mongoose.Types.ObjectId.isValid(quiz.subject) && await Subject.exists({ _id: quiz.subject })) {
+        subjectId = new mongoose.Types.ObjectId(quiz.subject);
+      } else if (quiz.subject.trim()) {
+        subjectId = (await resolveSubject(quiz.createdBy, quiz.subject))._id;
+      }
+
+      await db.collection('quizzes').updateOne({ _id: quiz._id }, { $set: { subject: subjectId } });
+      quizCount++;
+    }
+
+    console.log(`✅ Migrated ${quizCount} quizzes`);
+
+    // Study plans: keep the display name, add the link
+    const plans = db.collection('studyplans').find({
+      subject: { $type: 'string', $ne: '' },
+      subjectId: { $exists: false }
+    });
+    let planCount = 0;
+
+    for await (const plan of plans) {
+      const subject = await resolveSubject(plan.userId, plan.subject);
+      await db.collection('studyplans').updateOne({ _id: plan._id }, { $set: { subjectId: subject._id } });
+      planCount++;
+    }
+
+    console.log(`✅ Linked ${planCount} study plans`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating subjects:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateSubjects();
@@ -0,0 +1,32 @@
+/**
+ * Script to create or refresh the built-in board templates
+ * (Kanban, Cornell notes, SWOT, timeline). Safe to run repeatedly.
+ * Run: node scripts/seed-board-templates.js
+ */
+
+const mongoose = require('mongoose');
+const boardTemplateService = require('../src/services/boardTemplate.service');
+const config = require('../src/config/env');
+
+const seedBoardTemplates = async () => {
+  try {
+    await mongoose.connect(config.mongodb.uri);
+    console.log('✅ Connected to MongoDB');
+
+    const results = await boardTemplateService.seedSystemTemplates();
+
+    results.forEach(({ slug, created }) => {
+      console.log(`   ${created ? '➕ Created' : '🔄 Updated'} ${slug}`);
+    });
+    console.log(`✅ Seeded ${results.length} system templates`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error seeding board templates:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+seedBoardTemplates();
@@ -1,5 +1,6 @@
 const dotenv = require('dotenv');
 const path = require('path');
+const os = require('os');
 
 // Load environment variables from .env file
 dotenv.config({ path: path.join(__dirname, '../../.env') });
@@ -79,6 +80,8 @@ const config = {
     refreshSecret: process.env.JWT_REFRESH_SECRET,
     accessExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '24h',
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    // AI session tokens forwarded for notebook collaborators
+    aiSessionExpiresIn: process.env.JWT_AI_SESSION_EXPIRES_IN || '5m',
   },
   email: {
     service: process.env.EMAIL_SERVICE || 'gmail',
@@ -91,6 +94,66 @@ const config = {
     fromName: process.env.EMAIL_FROM_NAME || 'Collabry',
   },
   frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+  boards: {
+    // How often an active board session takes an automatic snapshot
+    snapshotIntervalMinutes: parseInt(process.env.BOARD_SNAPSHOT_INTERVAL_MINUTES, 10) || 10,
+    // Automatic snapshots kept per board (manual snapshots are never pruned)
+    maxAutoSnapshots: parseInt(process.env.BOARD_MAX_AUTO_SNAPSHOTS, 10) || 20,
+    // Seconds an element:lock claim lasts unless the holder renews it
+    elementClaimSeconds: parseInt(process.env.BOARD_ELEMENT_CLAIM_SECONDS, 10) || 30,
+    // Session recordings still running after this long are closed automatically
+    maxRecordingMinutes: parseInt(process.env.BOARD_MAX_RECORDING_MINUTES, 10) || 240,
+    // Largest element (or element change) accepted over sockets, in bytes of JSON
+    maxElementBytes: parseInt(process.env.BOARD_MAX_ELEMENT_BYTES, 10) || 256 * 1024,
+    // Most updates in one elements:batch-update
+    maxBatchUpdates: parseInt(process.env.BOARD_MAX_BATCH_UPDATES, 10) || 200,
+    // Failed share link attempts allowed per link and per IP within the window
+    shareLinkMaxAttemptsPerLink: parseInt(process.env.BOARD_SHARE_LINK_MAX_ATTEMPTS_PER_LINK, 10) || 10,
+    shareLinkMaxAttemptsPerIp: parseInt(process.env.BOARD_SHARE_LINK_MAX_ATTEMPTS_PER_IP, 10) || 30,
+    shareLinkWindowMinutes: parseInt(process.env.BOARD_SHARE_LINK_WINDOW_MINUTES, 10) || 15,
+    // Shape types from custom tldraw shape utils, on top of the built-in ones
+    customShapeTypes: (process.env.BOARD_CUSTOM_SHAPE_TYPES || '').split(',').map(t => t.trim()).filter(Boolean),
+  },
+  notebooks: {
+    // Website sources: largest page downloaded (bytes) and how long to wait for it
+    websiteMaxBytes: parseInt(process.env.NOTEBOOK_WEBSITE_MAX_BYTES, 10) || 5 * 1024 * 1024,
+    websiteTimeoutMs: parseInt(process.env.NOTEBOOK_WEBSITE_TIMEOUT_MS, 10) || 15000,
+    // Extracted text kept per website source, in characters
+    websiteMaxTextLength: parseInt(process.env.NOTEBOOK_WEBSITE_MAX_TEXT_LENGTH, 10) || 500000,
+    // Extracted text kept per uploaded document (DOCX, PPTX, Markdown, EPUB, CSV), and the
+    // longest text/notes source accepted, in characters
+    documentMaxTextLength: parseInt(process.env.NOTEBOOK_DOCUMENT_MAX_TEXT_LENGTH, 10) || 2000000,
+    // Sent when fetching pages and matched against robots.txt user-agent groups
+    websiteUserAgent: process.env.NOTEBOOK_WEBSITE_USER_AGENT || 'CollabryBot/1.0',
+    // Allow localhost and private network addresses (local development only)
+    websiteAllowPrivateHosts: process.env.NOTEBOOK_WEBSITE_ALLOW_PRIVATE_HOSTS === 'true',
+  },
+  ingestion: {
+    // How often the worker looks for due jobs, and how many it runs at once
+    pollIntervalMs: parseInt(process.env.INGESTION_POLL_INTERVAL_MS, 10) || 2000,
+    concurrency: parseInt(process.env.INGESTION_CONCURRENCY, 10) || 2,
+    // Failed attempts before a job is dead-lettered; the wait between them doubles up to the max
+    maxAttempts: parseInt(process.env.INGESTION_MAX_ATTEMPTS, 10) || 5,
+    backoffBaseSeconds: parseInt(process.env.INGESTION_BACKOFF_BASE_SECONDS, 10) || 30,
+    backoffMaxSeconds: parseInt(process.env.INGESTION_BACKOFF_MAX_SECONDS, 10) || 3600,
+    // A running job whose worker has gone quiet this long is picked up by another
+    lockTimeoutSeconds: parseInt(process.env.INGESTION_LOCK_TIMEOUT_SECONDS, 10) || 600,
+    // How often to check on an upload the AI engine is processing, and how long to wait for it
+    statusCheckSeconds: parseInt(process.env.INGESTION_STATUS_CHECK_SECONDS, 10) || 3,
+    remoteTimeoutSeconds: parseInt(process.env.INGESTION_REMOTE_TIMEOUT_SECONDS, 10) || 600,
+  },
+  socket: {
+    // memory (single instance), redis or mongo (several instances behind a load balancer)
+    adapter: (process.env.SOCKET_ADAPTER || 'memory').toLowerCase(),
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    // Identifies this instance in shared presence state
+    nodeId: process.env.SOCKET_NODE_ID || `${os.hostname()}-${process.pid}`,
+    // Presence entries from an instance that stopped heartbeating are dropped after this
+    presenceTtlSeconds: parseInt(process.env.SOCKET_PRESENCE_TTL_SECONDS, 10) || 90,
+    // Rejected board events (rate limited or invalid) within the window before a socket is disconnected
+    maxViolations: parseInt(process.env.SOCKET_MAX_VIOLATIONS, 10) || 30,
+    violationWindowSeconds: parseInt(process.env.SOCKET_VIOLATION_WINDOW_SECONDS, 10) || 60,
+  },
 };
 
 module.exports = config;
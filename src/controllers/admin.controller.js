@@ -1,6 +1,7 @@
 const asyncHandler = require('../utils/asyncHandler');
 const User = require('../models/User');
 const boardService = require('../services/board.service');
+const boardTemplateService = require('../services/boardTemplate.service');
 const PlatformSettings = require('../models/PlatformSettings');
 const AppError = require('../utils/AppError');
 
@@ -267,6 +268,40 @@ const getBoardStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Seed or refresh the built-in board templates (Admin)
+ * @route   POST /api/admin/boards/templates/seed
+ * @access  Private/Admin
+ */
+const seedBoardTemplates = asyncHandler(async (req, res) => {
+  const templates = await boardTemplateService.seedSystemTemplates(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: `${templates.length} system templates seeded`,
+    data: templates
+  });
+});
+
+/**
+ * @desc    Publish a board as a system template (Admin)
+ * @route   POST /api/admin/boards/:id/template
+ * @access  Private/Admin
+ */
+const createSystemTemplate = asyncHandler(async (req, res) => {
+  const template = await boardTemplateService.createTemplateFromBoard(
+    req.params.id,
+    req.user.id,
+    req.body,
+    { system: true }
+  );
+
+  res.status(201).json({
+    success: true,
+    data: template
+  });
+});
+
 /**
  * @desc    Get platform settings (Admin)
  * @route   GET /api/admin/settings
@@ -320,6 +355,8 @@ module.exports = {
   suspendBoard,
   forceDeleteBoard,
   getBoardStats,
+  seedBoardTemplates,
+  createSystemTemplate,
   getSettings,
   updateSettings,
 };
@@ -1,9 +1,21 @@
 const boardService = require('../services/board.service');
+const boardSnapshotService = require('../services/boardSnapshot.service');
+const boardExportService = require('../services/boardExport.service');
+const boardShareService = require('../services/boardShare.service');
+const boardCommentService = require('../services/boardComment.service');
+const boardPageService = require('../services/boardPage.service');
+const boardTemplateService = require('../services/boardTemplate.service');
+const boardActivityService = require('../services/boardActivity.service');
+const boardRecordingService = require('../services/boardRecording.service');
+const boardAIService = require('../services/boardAI.service');
+const boardGroupService = require('../services/boardGroup.service');
 const asyncHandler = require('../utils/asyncHandler');
 const AppError = require('../utils/AppError');
 const notificationService = require('../services/notification.service');
 const { getIO } = require('../socket');
 const { emitNotificationToUser } = require('../socket/notificationNamespace');
+const { trackAIUsage } = require('../middleware/usageEnforcement');
+const { applyMemberRoleChange, revokeShareLinkSessions, releaseBoardClaims } = require('../socket/boardNamespace');
 
 /**
  * @desc    Create a new board
@@ -178,6 +190,14 @@ exports.removeMember = asyncHandler(async (req, res) => {
     req.params.userId
   );
 
+  // Drop edit rights on the member's open board sessions right away
+  try {
+    // Group grants may still give the user access
+    applyMemberRoleChange(getIO(), req.params.id, req.params.userId, board.getUserRole(req.params.userId), board.isPublic);
+  } catch (err) {
+    console.error('Failed to update live board sessions:', err);
+  }
+
   res.json({
     success: true,
     data: board
@@ -203,12 +223,92 @@ exports.updateMemberRole = asyncHandler(async (req, res) => {
     role
   );
 
+  try {
+    applyMemberRoleChange(getIO(), req.params.id, req.params.userId, board.getUserRole(req.params.userId), board.isPublic);
+  } catch (err) {
+    console.error('Failed to update live board sessions:', err);
+  }
+
   res.json({
     success: true,
     data: board
   });
 });
 
+/**
+ * @desc    Get groups the board is shared with
+ * @route   GET /api/boards/:id/groups
+ * @access  Private
+ */
+exports.getBoardGroups = asyncHandler(async (req, res) => {
+  const groups = await boardGroupService.getBoardGroups(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    count: groups.length,
+    data: groups
+  });
+});
+
+/**
+ * @desc    Share board with a group
+ * @route   POST /api/boards/:id/groups
+ * @access  Private (Owner only)
+ */
+exports.shareWithGroup = asyncHandler(async (req, res) => {
+  const { board, group, changes } = await boardGroupService.shareWithGroup(req.params.id, req.user.id, {
+    groupId: req.body.groupId,
+    role: req.body.role
+  });
+
+  boardGroupService.applyRoleChanges(board, changes);
+  emitToBoard(req.params.id, 'board:group-shared', { boardId: req.params.id, group });
+
+  res.status(201).json({
+    success: true,
+    data: group
+  });
+});
+
+/**
+ * @desc    Update a group's role on the board
+ * @route   PATCH /api/boards/:id/groups/:groupId
+ * @access  Private (Owner only)
+ */
+exports.updateGroupRole = asyncHandler(async (req, res) => {
+  const { board, group, changes } = await boardGroupService.updateGroupRole(
+    req.params.id,
+    req.user.id,
+    req.params.groupId,
+    req.body.role
+  );
+
+  boardGroupService.applyRoleChanges(board, changes);
+  emitToBoard(req.params.id, 'board:group-updated', { boardId: req.params.id, group });
+
+  res.json({
+    success: true,
+    data: group
+  });
+});
+
+/**
+ * @desc    Stop sharing board with a group
+ * @route   DELETE /api/boards/:id/groups/:groupId
+ * @access  Private (Owner only)
+ */
+exports.removeGroup = asyncHandler(async (req, res) => {
+  const { board, changes } = await boardGroupService.removeGroup(req.params.id, req.user.id, req.params.groupId);
+
+  boardGroupService.applyRoleChanges(board, changes);
+  emitToBoard(req.params.id, 'board:group-removed', { boardId: req.params.id, groupId: req.params.groupId });
+
+  res.json({
+    success: true,
+    message: 'Group removed from board'
+  });
+});
+
 /**
  * @desc    Invite member by email
  * @route   POST /api/boards/:id/invite
@@ -279,3 +379,733 @@ exports.searchBoards = asyncHandler(async (req, res) => {
     data: boards
   });
 });
+
+/**
+ * @desc    Create a named snapshot of the board
+ * @route   POST /api/boards/:id/snapshots
+ * @access  Private (Owner/Editor)
+ */
+exports.createSnapshot = asyncHandler(async (req, res) => {
+  const snapshot = await boardSnapshotService.createSnapshot(req.params.id, req.user.id, {
+    name: req.body.name,
+    description: req.body.description
+  });
+
+  res.status(201).json({
+    success: true,
+    data: snapshot
+  });
+});
+
+/**
+ * @desc    Get board version history
+ * @route   GET /api/boards/:id/snapshots
+ * @access  Private
+ */
+exports.getSnapshots = asyncHandler(async (req, res) => {
+  const options = {
+    limit: Math.min(parseInt(req.query.limit) || 20, 100),
+    skip: parseInt(req.query.skip) || 0
+  };
+
+  const result = await boardSnapshotService.getSnapshots(req.params.id, req.user.id, options);
+
+  res.json({
+    success: true,
+    count: result.snapshots.length,
+    total: result.total,
+    currentElementCount: result.currentElementCount,
+    data: result.snapshots
+  });
+});
+
+/**
+ * @desc    Get a single snapshot with its elements
+ * @route   GET /api/boards/:id/snapshots/:snapId
+ * @access  Private
+ */
+exports.getSnapshot = asyncHandler(async (req, res) => {
+  const snapshot = await boardSnapshotService.getSnapshot(
+    req.params.id,
+    req.params.snapId,
+    req.user.id
+  );
+
+  res.json({
+    success: true,
+    data: snapshot
+  });
+});
+
+/**
+ * @desc    Restore the board to a snapshot
+ * @route   POST /api/boards/:id/snapshots/:snapId/restore
+ * @access  Private (Owner only)
+ */
+exports.restoreSnapshot = asyncHandler(async (req, res) => {
+  const result = await boardSnapshotService.restoreSnapshot(
+    req.params.id,
+    req.params.snapId,
+    req.user.id
+  );
+
+  // Everyone on the board drops local state (edit claims included) and loads the restored elements
+  try {
+    const io = getIO();
+    releaseBoardClaims(io, req.params.id);
+    io.of('/boards').to(req.params.id).emit('board:reset', {
+      reason: 'snapshot-restore',
+      snapshotId: result.snapshot._id,
+      elements: result.elements,
+      pages: result.pages,
+      seq: result.seq,
+      userId: req.user.id,
+      timestamp: new Date()
+    });
+  } catch (err) {
+    console.error('Failed to broadcast board reset:', err);
+  }
+
+  res.json({
+    success: true,
+    message: 'Board restored successfully',
+    data: {
+      snapshot: result.snapshot,
+      backupSnapshotId: result.backupSnapshotId,
+      seq: result.seq,
+      elementCount: result.elements.length
+    }
+  });
+});
+
+/**
+ * @desc    Delete a snapshot
+ * @route   DELETE /api/boards/:id/snapshots/:snapId
+ * @access  Private (Owner only)
+ */
+exports.deleteSnapshot = asyncHandler(async (req, res) => {
+  const result = await boardSnapshotService.deleteSnapshot(
+    req.params.id,
+    req.params.snapId,
+    req.user.id
+  );
+
+  res.json({
+    success: true,
+    message: result.message
+  });
+});
+
+/**
+ * @desc    Export a board as SVG, PDF or tldraw JSON
+ * @route   GET /api/boards/:id/export?format=svg|pdf|json
+ * @access  Private
+ */
+exports.exportBoard = asyncHandler(async (req, res) => {
+  const result = await boardExportService.exportBoard(
+    req.params.id,
+    req.user.id,
+    req.query.format || 'svg',
+    req.query.pageId || null
+  );
+
+  res.set({
+    'Content-Type': result.contentType,
+    'Content-Disposition': `attachment; filename="${result.fileName}"`
+  });
+  res.send(result.body);
+});
+
+/**
+ * @desc    Create a board from a tldraw .tldr file
+ * @route   POST /api/boards/import
+ * @access  Private
+ */
+exports.importBoard = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('A .tldr file is required', 400);
+  }
+
+  const board = await boardExportService.importTldr(req.user.id, req.file.buffer, {
+    title: req.body.title
+  });
+
+  res.status(201).json({
+    success: true,
+    data: board
+  });
+});
+
+/**
+ * @desc    Create a share link
+ * @route   POST /api/boards/:id/share-links
+ * @access  Private (Owner only)
+ */
+exports.createShareLink = asyncHandler(async (req, res) => {
+  const link = await boardShareService.createShareLink(req.params.id, req.user.id, {
+    scope: req.body.scope,
+    label: req.body.label,
+    password: req.body.password,
+    expiresAt: req.body.expiresAt,
+    expiresInHours: req.body.expiresInHours
+  });
+
+  res.status(201).json({
+    success: true,
+    data: link
+  });
+});
+
+/**
+ * @desc    List share links
+ * @route   GET /api/boards/:id/share-links
+ * @access  Private (Owner only)
+ */
+exports.getShareLinks = asyncHandler(async (req, res) => {
+  const links = await boardShareService.getShareLinks(req.params.id, req.user.id, {
+    includeRevoked: req.query.includeRevoked === 'true'
+  });
+
+  res.json({
+    success: true,
+    count: links.length,
+    data: links
+  });
+});
+
+/**
+ * @desc    Revoke a share link
+ * @route   DELETE /api/boards/:id/share-links/:linkId
+ * @access  Private (Owner only)
+ */
+exports.revokeShareLink = asyncHandler(async (req, res) => {
+  const link = await boardShareService.revokeShareLink(
+    req.params.id,
+    req.params.linkId,
+    req.user.id
+  );
+
+  // Disconnect anyone currently on the board through this link
+  try {
+    revokeShareLinkSessions(getIO(), req.params.id, link._id);
+  } catch (err) {
+    console.error('Failed to update live board sessions:', err);
+  }
+
+  res.json({
+    success: true,
+    message: 'Share link revoked',
+    data: link
+  });
+});
+
+/**
+ * @desc    Check a share token and get the shared board's summary
+ * @route   POST /api/boards/shared/:token
+ * @access  Public
+ */
+exports.accessSharedBoard = asyncHandler(async (req, res) => {
+  const { link, board } = await boardShareService.resolveShareToken(
+    req.params.token,
+    req.body.password
+  );
+
+  res.json({
+    success: true,
+    data: {
+      board: {
+        _id: board._id,
+        title: board.title,
+        description: board.description,
+        thumbnail: board.thumbnail
+      },
+      scope: link.scope,
+      expiresAt: link.expiresAt
+    }
+  });
+});
+
+/**
+ * Send a real-time event to everyone on the board (best effort)
+ */
+const emitToBoard = (boardId, event, payload) => {
+  try {
+    getIO().of('/boards').to(boardId.toString()).emit(event, { ...payload, timestamp: new Date() });
+  } catch (err) {
+    console.error(`Failed to broadcast ${event}:`, err);
+  }
+};
+
+/**
+ * @desc    Get comment threads for a board
+ * @route   GET /api/boards/:id/comments
+ * @access  Private (Members)
+ */
+exports.getComments = asyncHandler(async (req, res) => {
+  const threads = await boardCommentService.getThreads(req.params.id, req.user.id, {
+    elementId: req.query.elementId || null,
+    includeResolved: req.query.includeResolved !== 'false'
+  });
+
+  res.json({
+    success: true,
+    count: threads.length,
+    data: threads
+  });
+});
+
+/**
+ * @desc    Start a comment thread
+ * @route   POST /api/boards/:id/comments
+ * @access  Private (Members)
+ */
+exports.createComment = asyncHandler(async (req, res) => {
+  const comment = await boardCommentService.createThread(req.params.id, req.user.id, {
+    content: req.body.content,
+    anchor: req.body.anchor,
+    mentions: req.body.mentions
+  });
+
+  emitToBoard(req.params.id, 'comment:created', { comment, userId: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: comment
+  });
+});
+
+/**
+ * @desc    Reply to a comment thread
+ * @route   POST /api/boards/:id/comments/:commentId/replies
+ * @access  Private (Members)
+ */
+exports.replyToComment = asyncHandler(async (req, res) => {
+  const comment = await boardCommentService.reply(req.params.id, req.params.commentId, req.user.id, {
+    content: req.body.content,
+    mentions: req.body.mentions
+  });
+
+  emitToBoard(req.params.id, 'comment:created', { comment, userId: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: comment
+  });
+});
+
+/**
+ * @desc    Edit a comment
+ * @route   PATCH /api/boards/:id/comments/:commentId
+ * @access  Private (Author only)
+ */
+exports.updateComment = asyncHandler(async (req, res) => {
+  const comment = await boardCommentService.updateComment(req.params.id, req.params.commentId, req.user.id, {
+    content: req.body.content,
+    mentions: req.body.mentions
+  });
+
+  emitToBoard(req.params.id, 'comment:updated', { comment, userId: req.user.id });
+
+  res.json({
+    success: true,
+    data: comment
+  });
+});
+
+/**
+ * @desc    Delete a comment (deleting a thread's first comment removes the thread)
+ * @route   DELETE /api/boards/:id/comments/:commentId
+ * @access  Private (Author or board owner)
+ */
+exports.deleteComment = asyncHandler(async (req, res) => {
+  const result = await boardCommentService.deleteComment(req.params.id, req.params.commentId, req.user.id);
+
+  emitToBoard(req.params.id, 'comment:deleted', { ...result, userId: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Comment deleted successfully',
+    data: result
+  });
+});
+
+/**
+ * @desc    Resolve or reopen a comment thread
+ * @route   PATCH /api/boards/:id/comments/:commentId/resolve
+ * @access  Private (Members)
+ */
+exports.resolveComment = asyncHandler(async (req, res) => {
+  const resolved = req.body.resolved !== false;
+  const thread = await boardCommentService.setResolved(req.params.id, req.params.commentId, req.user.id, resolved);
+
+  emitToBoard(req.params.id, 'comment:resolved', {
+    commentId: thread._id,
+    isResolved: thread.isResolved,
+    resolvedBy: thread.resolvedBy,
+    userId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    data: thread
+  });
+});
+
+/**
+ * @desc    Get the board activity feed (newest first)
+ * @route   GET /api/boards/:id/activity?cursor=&limit=&user=&types=
+ * @access  Private (Members)
+ */
+exports.getActivity = asyncHandler(async (req, res) => {
+  const result = await boardActivityService.getActivity(req.params.id, req.user.id, {
+    cursor: req.query.cursor || null,
+    limit: parseInt(req.query.limit) || 50,
+    user: req.query.user || null,
+    types: req.query.types ? req.query.types.split(',') : []
+  });
+
+  res.json({
+    success: true,
+    count: result.activities.length,
+    nextCursor: result.nextCursor,
+    data: result.activities
+  });
+});
+
+/**
+ * @desc    Get each member's contribution to the board
+ * @route   GET /api/boards/:id/contributions
+ * @access  Private (Members)
+ */
+exports.getContributions = asyncHandler(async (req, res) => {
+  const contributions = await boardActivityService.getContributions(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    count: contributions.length,
+    data: contributions
+  });
+});
+
+/**
+ * @desc    List recorded sessions
+ * @route   GET /api/boards/:id/sessions
+ * @access  Private
+ */
+exports.getSessions = asyncHandler(async (req, res) => {
+  const options = {
+    limit: Math.min(parseInt(req.query.limit) || 20, 100),
+    skip: parseInt(req.query.skip) || 0
+  };
+
+  const result = await boardRecordingService.getRecordings(req.params.id, req.user.id, options);
+
+  res.json({
+    success: true,
+    count: result.recordings.length,
+    total: result.total,
+    data: result.recordings
+  });
+});
+
+/**
+ * @desc    Start recording a session
+ * @route   POST /api/boards/:id/sessions
+ * @access  Private (Owner)
+ */
+exports.startSession = asyncHandler(async (req, res) => {
+  const session = await boardRecordingService.startRecording(req.params.id, req.user.id, {
+    title: req.body.title
+  });
+
+  emitToBoard(req.params.id, 'recording:started', { session, userId: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: session
+  });
+});
+
+/**
+ * @desc    Stop the session being recorded
+ * @route   POST /api/boards/:id/sessions/stop
+ * @access  Private (Owner)
+ */
+exports.stopSession = asyncHandler(async (req, res) => {
+  const session = await boardRecordingService.stopRecording(req.params.id, req.user.id);
+
+  emitToBoard(req.params.id, 'recording:stopped', { session, userId: req.user.id });
+
+  res.json({
+    success: true,
+    data: session
+  });
+});
+
+/**
+ * @desc    Get a recorded session's operations for playback
+ * @route   GET /api/boards/:id/sessions/:sessionId/replay?after=&limit=
+ * @access  Private
+ */
+exports.getSessionReplay = asyncHandler(async (req, res) => {
+  const replay = await boardRecordingService.getReplay(req.params.id, req.params.sessionId, req.user.id, {
+    after: req.query.after !== undefined ? parseInt(req.query.after) : null,
+    limit: parseInt(req.query.limit) || 1000
+  });
+
+  res.json({
+    success: true,
+    data: replay
+  });
+});
+
+/**
+ * @desc    Delete a recorded session
+ * @route   DELETE /api/boards/:id/sessions/:sessionId
+ * @access  Private (Owner)
+ */
+exports.deleteSession = asyncHandler(async (req, res) => {
+  const result = await boardRecordingService.deleteRecording(req.params.id, req.params.sessionId, req.user.id);
+
+  res.json({
+    success: true,
+    message: result.message
+  });
+});
+
+/**
+ * @desc    Summarize the text on a board with AI
+ * @route   POST /api/boards/:id/ai/summarize
+ * @access  Private
+ */
+exports.summarizeBoard = asyncHandler(async (req, res) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  const result = await boardAIService.summarizeBoard(req.params.id, req.user.id, token, {
+    pageId: req.body.pageId || null
+  });
+
+  await trackAIUsage(req.user.id, result.tokens, 'basic', 'summarize');
+
+  res.json({
+    success: true,
+    data: {
+      summary: result.summary,
+      source: result.source
+    },
+    usage: {
+      remainingQuestions: req.remainingQuestions !== undefined ? req.remainingQuestions - 1 : 'unlimited',
+      plan: req.userPlan
+    }
+  });
+});
+
+/**
+ * @desc    Turn a board into study notes in a new or existing notebook
+ * @route   POST /api/boards/:id/ai/to-notebook
+ * @access  Private
+ */
+exports.boardToNotebook = asyncHandler(async (req, res) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  const result = await boardAIService.boardToNotebook(req.params.id, req.user.id, token, {
+    notebookId: req.body.notebookId || null,
+    title: req.body.title || null,
+    pageId: req.body.pageId || null
+  });
+
+  await trackAIUsage(req.user.id, result.tokens, 'basic', 'summarize');
+
+  res.status(result.created ? 201 : 200).json({
+    success: true,
+    data: {
+      notebook: result.notebook,
+      source: result.source,
+      created: result.created,
+      board: result.board
+    },
+    usage: {
+      remainingQuestions: req.remainingQuestions !== undefined ? req.remainingQuestions - 1 : 'unlimited',
+      plan: req.userPlan
+    }
+  });
+});
+
+/**
+ * @desc    List board pages with element counts
+ * @route   GET /api/boards/:id/pages
+ * @access  Private
+ */
+exports.getPages = asyncHandler(async (req, res) => {
+  const pages = await boardPageService.getPages(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    count: pages.length,
+    data: pages
+  });
+});
+
+/**
+ * @desc    Add a page
+ * @route   POST /api/boards/:id/pages
+ * @access  Private (Owner/Editor)
+ */
+exports.createPage = asyncHandler(async (req, res) => {
+  const result = await boardPageService.createPage(req.params.id, req.user.id, {
+    name: req.body.name,
+    position: req.body.position
+  });
+
+  emitToBoard(req.params.id, 'page:created', { ...result, userId: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: result.page
+  });
+});
+
+/**
+ * @desc    Rename a page or toggle viewer-only
+ * @route   PATCH /api/boards/:id/pages/:pageId
+ * @access  Private (Owner/Editor; viewer-only pages and permissions: Owner)
+ */
+exports.updatePage = asyncHandler(async (req, res) => {
+  const result = await boardPageService.updatePage(req.params.id, req.user.id, req.params.pageId, {
+    name: req.body.name,
+    viewerOnly: req.body.viewerOnly
+  });
+
+  emitToBoard(req.params.id, 'page:updated', { ...result, userId: req.user.id });
+
+  res.json({
+    success: true,
+    data: result.page
+  });
+});
+
+/**
+ * @desc    Reorder pages
+ * @route   PUT /api/boards/:id/pages/order
+ * @access  Private (Owner/Editor)
+ */
+exports.reorderPages = asyncHandler(async (req, res) => {
+  const result = await boardPageService.reorderPages(req.params.id, req.user.id, req.body.pageIds);
+
+  emitToBoard(req.params.id, 'pages:reordered', { ...result, userId: req.user.id });
+
+  res.json({
+    success: true,
+    data: result.pages
+  });
+});
+
+/**
+ * @desc    Delete a page and its elements
+ * @route   DELETE /api/boards/:id/pages/:pageId
+ * @access  Private (Owner/Editor; viewer-only pages: Owner)
+ */
+exports.deletePage = asyncHandler(async (req, res) => {
+  const result = await boardPageService.deletePage(req.params.id, req.user.id, req.params.pageId);
+
+  emitToBoard(req.params.id, 'page:deleted', { ...result, userId: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Page deleted successfully',
+    data: { deletedElements: result.deletedElements }
+  });
+});
+
+/**
+ * @desc    List board templates (system, community and own)
+ * @route   GET /api/boards/templates
+ * @access  Private
+ */
+exports.getTemplates = asyncHandler(async (req, res) => {
+  const { templates, total } = await boardTemplateService.getTemplates(req.user.id, {
+    scope: req.query.scope || 'all',
+    category: req.query.category || null,
+    search: req.query.search || '',
+    limit: parseInt(req.query.limit) || 50,
+    skip: parseInt(req.query.skip) || 0
+  });
+
+  res.json({
+    success: true,
+    count: templates.length,
+    total,
+    data: templates
+  });
+});
+
+/**
+ * @desc    Get a template with its elements
+ * @route   GET /api/boards/templates/:templateId
+ * @access  Private
+ */
+exports.getTemplate = asyncHandler(async (req, res) => {
+  const template = await boardTemplateService.getTemplate(req.params.templateId, req.user.id);
+
+  res.json({
+    success: true,
+    data: template
+  });
+});
+
+/**
+ * @desc    Create a board from a template
+ * @route   POST /api/boards/from-template/:templateId
+ * @access  Private
+ */
+exports.createBoardFromTemplate = asyncHandler(async (req, res) => {
+  const board = await boardTemplateService.createBoardFromTemplate(req.params.templateId, req.user.id, {
+    title: req.body.title,
+    isPublic: req.body.isPublic
+  });
+
+  res.status(201).json({
+    success: true,
+    data: board
+  });
+});
+
+/**
+ * @desc    Save a board as a template (private unless isPublished is true)
+ * @route   POST /api/boards/:id/template
+ * @access  Private (Owner only)
+ */
+exports.createTemplateFromBoard = asyncHandler(async (req, res) => {
+  const template = await boardTemplateService.createTemplateFromBoard(req.params.id, req.user.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: template
+  });
+});
+
+/**
+ * @desc    Update a template's details
+ * @route   PATCH /api/boards/templates/:templateId
+ * @access  Private (Creator or Admin)
+ */
+exports.updateTemplate = asyncHandler(async (req, res) => {
+  const template = await boardTemplateService.updateTemplate(req.params.templateId, req.user, req.body);
+
+  res.json({
+    success: true,
+    data: template
+  });
+});
+
+/**
+ * @desc    Delete a template
+ * @route   DELETE /api/boards/templates/:templateId
+ * @access  Private (Creator or Admin)
+ */
+exports.deleteTemplate = asyncHandler(async (req, res) => {
+  const result = await boardTemplateService.deleteTemplate(req.params.templateId, req.user);
+
+  res.json({
+    success: true,
+    message: result.message
+  });
+});
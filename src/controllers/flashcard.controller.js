@@ -0,0 +1,279 @@
+const flashcardService = require('../services/flashcard.service');
+
+class FlashcardController {
+  /**
+   * Create flashcard set
+   * POST /api/visual-aids/flashcards/sets
+   */
+  async createSet(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const set = await flashcardService.createSet(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: set
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all flashcard sets for user
+   * GET /api/visual-aids/flashcards/sets
+   */
+  async getSets(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { subjectId, visibility } = req.query;
+
+      const sets = await flashcardService.getUserSets(userId, { subjectId, visibility });
+
+      res.json({
+        success: true,
+        count: sets.length,
+        data: sets
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get single flashcard set with cards
+   * GET /api/visual-aids/flashcards/sets/:id
+   */
+  async getSetById(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+
+      const set = await flashcardService.getSetById(id, userId, isAdmin);
+
+      res.json({
+        success: true,
+        data: set
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update flashcard set
+   * PUT /api/visual-aids/flashcards/sets/:id
+   */
+  async updateSet(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+
+      const set = await flashcardService.updateSet(id, userId, req.body, isAdmin);
+
+      res.json({
+        success: true,
+        data: set
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete flashcard set
+   * DELETE /api/visual-aids/flashcards/sets/:id
+   */
+  async deleteSet(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+
+      const result = await flashcardService.deleteSet(id, userId, isAdmin);
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add card(s) to set
+   * POST /api/visual-aids/flashcards/sets/:id/cards
+   */
+  async addCards(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+
+      const cards = await flashcardService.addCards(id, userId, req.body, isAdmin);
+
+      res.status(201).json({
+        success: true,
+        count: cards.length,
+        data: cards
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reorder cards in set
+   * PUT /api/visual-aids/flashcards/sets/:id/reorder
+   */
+  async reorderCards(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+      const { cardIds } = req.body;
+
+      const cards = await flashcardService.reorderCards(id, userId, cardIds, isAdmin);
+
+      res.json({
+        success: true,
+        count: cards.length,
+        data: cards
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get cards in random order
+   * POST /api/visual-aids/flashcards/sets/:id/shuffle
+   */
+  async shuffleCards(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+
+      const cards = await flashcardService.shuffleCards(id, userId, isAdmin);
+
+      res.json({
+        success: true,
+        count: cards.length,
+        data: cards
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get cards due for review
+   * GET /api/visual-aids/flashcards/sets/:id/due
+   */
+  async getDueCards(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const result = await flashcardService.getDueCards(id, userId, { limit });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update card
+   * PUT /api/visual-aids/flashcards/cards/:id
+   */
+  async updateCard(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+
+      const card = await flashcardService.updateCard(id, userId, req.body, isAdmin);
+
+      res.json({
+        success: true,
+        data: card
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete card
+   * DELETE /api/visual-aids/flashcards/cards/:id
+   */
+  async deleteCard(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const isAdmin = req.user.role === 'admin';
+      const { id } = req.params;
+
+      const result = await flashcardService.deleteCard(id, userId, isAdmin);
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Track card study
+   * PUT /api/visual-aids/flashcards/cards/:id/track
+   */
+  async trackCard(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+      const { confidence } = req.body;
+
+      const card = await flashcardService.trackCard(id, userId, confidence);
+
+      res.json({
+        success: true,
+        data: card
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Review card and schedule next review (SM-2)
+   * POST /api/visual-aids/flashcards/cards/:id/review
+   */
+  async reviewCard(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+      const { quality } = req.body;
+
+      const result = await flashcardService.reviewCard(id, userId, quality);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new FlashcardController();
@@ -1,15 +1,20 @@
 const Notebook = require('../models/Notebook');
 const Quiz = require('../models/Quiz');
 const MindMap = require('../models/MindMap');
+const FlashcardSet = require('../models/FlashcardSet');
+const Flashcard = require('../models/Flashcard');
 const AppError = require('../utils/AppError');
 const asyncHandler = require('../utils/asyncHandler');
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
-const pdfParse = require('pdf-parse');
+const config = require('../config/env');
+const notebookSourceService = require('../services/notebookSource.service');
+const websiteSourceService = require('../services/websiteSource.service');
+const ingestionQueue = require('../services/ingestionQueue.service');
 const notificationService = require('../services/notification.service');
-const { getIO } = require('../socket');
-const { emitNotificationToUser } = require('../socket/notificationNamespace');
+const notebookCollaboratorService = require('../services/notebookCollaborator.service');
+const subjectService = require('../services/subject.service');
 
 const AI_ENGINE_URL = process.env.AI_ENGINE_URL || 'http://localhost:8000';
 
@@ -18,174 +23,39 @@ const UPLOADS_DIR = path.join(__dirname, '../../uploads/sources');
 fs.mkdir(UPLOADS_DIR, { recursive: true }).catch(console.error);
 
 /**
- * Helper function to extract text content from source
- */
-async function extractSourceContent(source) {
-  if (source.type === 'text' || source.type === 'notes') {
-    return source.content || '';
-  } else if (source.type === 'pdf' || source.type === 'document') {
-    if (source.filePath) {
-      try {
-        console.log(`Extracting text from PDF: ${source.filePath}`);
-        
-        // Read PDF file
-        const dataBuffer = await fs.readFile(source.filePath);
-        
-        // Parse PDF and extract text (with options to suppress warnings)
-        const pdfData = await pdfParse(dataBuffer, {
-          max: 0, // Extract all pages
-          verbosity: 0 // Suppress warnings
-        });
-        const text = pdfData.text;
-        
-        console.log(`✓ Extracted ${text.length} characters from PDF: ${source.name}`);
-        
-        if (!text || text.length < 10) {
-          console.warn(`⚠ Very little text extracted from PDF: ${source.name}`);
-          return `[PDF Document: ${source.name} - No text content extracted. This might be an image-based PDF that requires OCR.]`;
-        }
-        
-        return text;
-      } catch (err) {
-        console.error('Failed to extract text from PDF:', err.message);
-        // Return a descriptive placeholder instead of failing completely
-        return `[PDF Document: ${source.name} - Unable to extract text. Error: ${err.message}. Please try converting the PDF to text or using a different format.]`;
-      }
-    }
-    return `[Document: ${source.name} - No file path]`;
-  } else if (source.type === 'website') {
-    return `[Website: ${source.url}]`;
-  }
-  return '';
-}
-
-/**
- * Ingest source content into AI engine's RAG system
+ * @desc    Get all notebooks for current user
+ * @route   GET /api/notebook/notebooks
+ * @access  Private
  */
-async function ingestSourceToRAG(notebook, source, authToken) {
-  try {
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`RAG INGESTION: ${source.name}`);
-    console.log(`${'='.repeat(70)}`);
-    
-    // Extract content from source
-    const content = await extractSourceContent(source);
-    
-    console.log(`Extracted content length: ${content.length} characters`);
-    
-    // Skip if extraction failed or content is an error message
-    if (!content || content.length < 10) {
-      console.log('⚠ Skipping RAG ingest - no content or too short');
-      return;
-    }
-    
-    // Skip if content is an error placeholder
-    if (content.startsWith('[PDF Document:') && content.includes('Unable to extract')) {
-      console.log('⚠ Skipping RAG ingest - PDF extraction failed');
-      return;
-    }
-
-    // Send to AI engine's ingest endpoint
-    console.log(`Sending to AI engine: ${AI_ENGINE_URL}/ai/upload`);
-    
-    const response = await axios.post(
-      `${AI_ENGINE_URL}/ai/upload`,
-      {
-        content: content,
-        filename: source.name,
-        metadata: {
-          notebook_id: notebook._id.toString(),
-          source_id: source._id.toString(),
-          session_id: notebook.aiSessionId,
-          source_type: source.type,
-          url: source.url
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000 // 30 second timeout
-      }
-    );
+exports.getNotebooks = asyncHandler(async (req, res) => {
+  const query = {
+    userId: req.user._id,
+    isArchived: false,
+    trashedAt: null
+  };
 
-    console.log(`✓ RAG ingestion request sent!`);
-    console.log(`  Task ID: ${response.data.task_id}`);
-    console.log(`  Initial Status: ${response.data.status}`);
-    
-    // Poll task status until completed
-    const taskId = response.data.task_id;
-    let status = response.data.status;
-    let attempts = 0;
-    const maxAttempts = 30; // 30 seconds max
-    
-    while (status === 'processing' && attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-      attempts++;
-      
-      try {
-        const statusResponse = await axios.get(
-          `${AI_ENGINE_URL}/ai/upload/status/${taskId}`,
-          {
-            headers: { 'Authorization': `Bearer ${authToken}` },
-            timeout: 5000
-          }
-        );
-        status = statusResponse.data.status;
-        console.log(`  Polling (${attempts}s): ${status}`);
-        
-        // If task is unknown (server restarted), assume it completed
-        if (status === 'unknown') {
-          console.log(`  ℹ Task status unknown (server may have restarted), assuming completed`);
-          status = 'completed';
-          break;
-        }
-      } catch (pollErr) {
-        console.warn(`  Warning: Failed to poll task status:`, pollErr.message);
-        // If it's a 403 or 404, assume the task completed
-        if (pollErr.response && (pollErr.response.status === 403 || pollErr.response.status === 404)) {
-          console.log(`  ℹ Task not found (${pollErr.response.status}), assuming completed`);
-          status = 'completed';
-        }
-        break; // Continue anyway if polling fails
-      }
-    }
-    
-    if (status === 'completed') {
-      console.log(`✅ RAG ingestion completed successfully!`);
-    } else if (status === 'failed') {
-      console.error(`❌ RAG ingestion failed!`);
-    } else {
-      console.warn(`⚠ RAG ingestion timeout (still ${status})`);
-    }
-    console.log(`${'='.repeat(70)}\n`);
-  } catch (err) {
-    console.error(`\n${'='.repeat(70)}`);
-    console.error('❌ RAG INGESTION FAILED');
-    console.error(`Error: ${err.message}`);
-    if (err.response) {
-      console.error(`Response status: ${err.response.status}`);
-      console.error(`Response data:`, err.response.data);
-    }
-    console.error(`${'='.repeat(70)}\n`);
-    // Don't throw - this is async and shouldn't block source addition
+  if (req.query.subjectId) {
+    query.subject = req.query.subjectId;
   }
-}
 
+  const notebooks = await Notebook.find(query)
+    .populate('subject', 'name code color icon')
+    .sort({ lastAccessed: -1 });
+
+  res.json({
+    success: true,
+    count: notebooks.length,
+    data: notebooks
+  });
+});
 
 /**
- * @desc    Get all notebooks for current user
- * @route   GET /api/notebook/notebooks
+ * @desc    Get notebooks other users shared with the current user
+ * @route   GET /api/notebook/notebooks/shared
  * @access  Private
  */
-exports.getNotebooks = asyncHandler(async (req, res) => {
-  const notebooks = await Notebook.find({ 
-    userId: req.user._id,
-    isArchived: false 
-  })
-    .sort({ lastAccessed: -1 })
-    .select('-sources.content'); // Don't send full content in list
+exports.getSharedNotebooks = asyncHandler(async (req, res) => {
+  const notebooks = await notebookCollaboratorService.getSharedNotebooks(req.user._id);
 
   res.json({
     success: true,
@@ -200,17 +70,12 @@ exports.getNotebooks = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getNotebook = asyncHandler(async (req, res) => {
-  const notebook = await Notebook.findOne({
-    _id: req.params.id,
-    userId: req.user._id
-  });
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'view');
+  const role = notebook.getUserRole(req.user._id);
 
-  if (!notebook) {
-    throw new AppError('Notebook not found', 404);
-  }
-
-  // Create AI session if missing (for notebooks created before AI engine was running)
-  if (!notebook.aiSessionId) {
+  // Create AI session if missing (for notebooks created before AI engine was running).
+  // Sessions belong to the owner, so only their requests create one.
+  if (!notebook.aiSessionId && role === 'owner') {
     const token = req.headers.authorization;
     try {
       const aiResponse = await axios.post(
@@ -232,7 +97,7 @@ exports.getNotebook = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: notebook
+    data: { ...notebook.toObject(), role }
   });
 });
 
@@ -242,7 +107,9 @@ exports.getNotebook = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.createNotebook = asyncHandler(async (req, res) => {
-  const { title, description } = req.body;
+  const { title, description, subject } = req.body;
+
+  await subjectService.assertOwnSubject(subject, req.user._id);
 
   // Create AI session for this notebook
   const token = req.headers.authorization;
@@ -264,6 +131,7 @@ exports.createNotebook = asyncHandler(async (req, res) => {
     userId: req.user._id,
     title: title || 'Untitled Notebook',
     description,
+    subject: subject || undefined,
     aiSessionId
   });
 
@@ -276,22 +144,22 @@ exports.createNotebook = asyncHandler(async (req, res) => {
 /**
  * @desc    Update notebook
  * @route   PUT /api/notebook/notebooks/:id
- * @access  Private
+ * @access  Private (Owner/Editor)
  */
 exports.updateNotebook = asyncHandler(async (req, res) => {
-  const { title, description } = req.body;
+  const { title, description, subject } = req.body;
 
-  const notebook = await Notebook.findOne({
-    _id: req.params.id,
-    userId: req.user._id
-  });
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'edit');
 
-  if (!notebook) {
-    throw new AppError('Notebook not found', 404);
+  // Subjects belong to the owner's study plan
+  if (subject !== undefined && notebook.getUserRole(req.user._id) !== 'owner') {
+    throw new AppError('Only the notebook owner can change its subject', 403);
   }
+  await subjectService.assertOwnSubject(subject, notebook.userId);
 
   if (title) notebook.title = title;
   if (description !== undefined) notebook.description = description;
+  if (subject !== undefined) notebook.subject = subject || undefined;
 
   await notebook.save();
 
@@ -304,26 +172,19 @@ exports.updateNotebook = asyncHandler(async (req, res) => {
 /**
  * @desc    Delete notebook
  * @route   DELETE /api/notebook/notebooks/:id
- * @access  Private
+ * @access  Private (Owner)
  */
 exports.deleteNotebook = asyncHandler(async (req, res) => {
-  const notebook = await Notebook.findOne({
-    _id: req.params.id,
-    userId: req.user._id
-  });
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'owner');
 
-  if (!notebook) {
-    throw new AppError('Notebook not found', 404);
-  }
+  const sourceIds = notebook.sources.map(source => source._id);
+  await ingestionQueue.cancel(sourceIds);
+  await notebookSourceService.removeText(sourceIds);
 
-  // Delete all source files
+  // Delete all source files (except ones sources in other notebooks were linked to)
   for (const source of notebook.sources) {
     if (source.filePath) {
-      try {
-        await fs.unlink(source.filePath);
-      } catch (error) {
-        console.error(`Failed to delete file: ${source.filePath}`, error.message);
-      }
+      await notebookSourceService.deleteFile(source.filePath, sourceIds);
     }
   }
 
@@ -358,21 +219,96 @@ exports.deleteNotebook = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Add source to notebook
- * @route   POST /api/notebook/notebooks/:id/sources
+ * @desc    Get the owner and collaborators of a notebook
+ * @route   GET /api/notebook/notebooks/:id/collaborators
  * @access  Private
  */
-exports.addSource = asyncHandler(async (req, res) => {
-  const notebook = await Notebook.findOne({
-    _id: req.params.id,
-    userId: req.user._id
+exports.getCollaborators = asyncHandler(async (req, res) => {
+  const data = await notebookCollaboratorService.getCollaborators(req.params.id, req.user._id);
+
+  res.json({
+    success: true,
+    data
   });
+});
 
-  if (!notebook) {
-    throw new AppError('Notebook not found', 404);
+/**
+ * @desc    Share a notebook with a user by email, or with a friend by userId
+ * @route   POST /api/notebook/notebooks/:id/collaborators
+ * @access  Private (Owner/Editor)
+ */
+exports.inviteCollaborator = asyncHandler(async (req, res) => {
+  const { email, userId, role } = req.body;
+
+  const { notebook, user } = await notebookCollaboratorService.inviteCollaborator(
+    req.params.id,
+    req.user._id,
+    { email, userId, role }
+  );
+  const collaborator = notebook.collaborators.find(c => c.userId.equals(user._id));
+
+  // Tell the invited user
+  try {
+    const { getIO } = require('../socket');
+    const { emitNotificationToUser } = require('../socket/notificationNamespace');
+    const notification = await notificationService.notifyNotebookShared(user._id, notebook, req.user, collaborator.role);
+    emitNotificationToUser(getIO(), user._id, notification);
+  } catch (err) {
+    console.error('Failed to send notification:', err.message);
   }
 
-  const { type, name, url, content } = req.body;
+  res.status(201).json({
+    success: true,
+    data: {
+      user: { id: user._id, name: user.name, email: user.email },
+      role: collaborator.role,
+      addedAt: collaborator.addedAt
+    }
+  });
+});
+
+/**
+ * @desc    Change a collaborator's role
+ * @route   PATCH /api/notebook/notebooks/:id/collaborators/:userId
+ * @access  Private (Owner)
+ */
+exports.updateCollaborator = asyncHandler(async (req, res) => {
+  const notebook = await notebookCollaboratorService.updateRole(
+    req.params.id,
+    req.user._id,
+    req.params.userId,
+    req.body.role
+  );
+
+  res.json({
+    success: true,
+    data: notebook.collaborators
+  });
+});
+
+/**
+ * @desc    Remove a collaborator, or leave a notebook shared with you
+ * @route   DELETE /api/notebook/notebooks/:id/collaborators/:userId
+ * @access  Private (Owner, or the collaborator themselves)
+ */
+exports.removeCollaborator = asyncHandler(async (req, res) => {
+  await notebookCollaboratorService.removeCollaborator(req.params.id, req.user._id, req.params.userId);
+
+  res.json({
+    success: true,
+    message: 'Collaborator removed successfully'
+  });
+});
+
+/**
+ * @desc    Add source to notebook
+ * @route   POST /api/notebook/notebooks/:id/sources
+ * @access  Private (Owner/Editor)
+ */
+exports.addSource = asyncHandler(async (req, res) => {
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'edit');
+
+  const { type, name, url, content, onDuplicate } = req.body;
   const file = req.file;
 
   const source = {
@@ -383,87 +319,144 @@ exports.addSource = asyncHandler(async (req, res) => {
   };
 
   // Handle different source types
-  if (type === 'pdf' || type === 'document') {
+  if (type === 'document' || notebookSourceService.isFileType(type)) {
     if (!file) {
       throw new AppError('File is required for PDF/document sources', 400);
     }
-    
-    // Save file to local storage
-    const fileName = `${Date.now()}-${file.originalname}`;
-    const filePath = path.join(UPLOADS_DIR, fileName);
-    await fs.writeFile(filePath, file.buffer);
-    
-    source.filePath = filePath;
-    source.size = file.size;
+
+    source.type = notebookSourceService.resolveFileType(type, file.originalname);
+    source.contentHash = notebookSourceService.hashContent(file.buffer);
   } else if (type === 'website') {
     if (!url) {
       throw new AppError('URL is required for website sources', 400);
     }
-    source.url = url;
+
+    // Fetch the page now so its text (not just the URL) reaches the notebook
+    const page = await websiteSourceService.fetchPage(url);
+    Object.assign(source, websiteSourceService.toSource(page));
+    source.name = name || page.title || page.finalUrl;
+    source.contentHash = notebookSourceService.hashContent(source.content);
   } else if (type === 'text' || type === 'notes') {
-    if (!content) {
+    if (!content || typeof content !== 'string') {
       throw new AppError('Content is required for text/notes sources', 400);
     }
+    if (content.length > config.notebooks.documentMaxTextLength) {
+      throw new AppError(`Text sources can be at most ${config.notebooks.documentMaxTextLength} characters`, 413);
+    }
     source.content = content;
-    source.size = content.length;
+    source.size = Buffer.byteLength(content);
+    source.contentHash = notebookSourceService.hashContent(content);
   } else {
     throw new AppError('Invalid source type', 400);
   }
 
-  notebook.sources.push(source);
-  await notebook.save();
+  // The same content twice in one notebook is never useful. In another notebook it
+  // may be, but linking that source saves extracting and storing it again.
+  const duplicates = await notebookSourceService.findDuplicates(req.user._id, source.contentHash);
+  const inNotebook = duplicates.filter(duplicate => duplicate.notebookId.equals(notebook._id));
 
-  // Return the newly added source
-  const addedSource = notebook.sources[notebook.sources.length - 1];
-
-  // Extract JWT token from request
-  const authToken = req.headers.authorization?.split(' ')[1];
+  if (inNotebook.length > 0) {
+    return res.status(409).json({
+      success: false,
+      error: 'This notebook already has a source with the same content',
+      duplicates: inNotebook
+    });
+  }
 
-  // Ingest source into AI engine's RAG system (WAIT for completion)
-  if (authToken && notebook.aiSessionId) {
-    try {
-      await ingestSourceToRAG(notebook, addedSource, authToken);
-      console.log('✅ RAG ingestion completed before response');
+  if (duplicates.length > 0 && onDuplicate !== 'keep') {
+    return res.status(409).json({
+      success: false,
+      error: 'You already added this content to another notebook. Link that source instead, or send onDuplicate=keep to add it anyway.',
+      duplicates
+    });
+  }
 
-      // Send notification about document processing completion
-      try {
-        const notification = await notificationService.notifyDocumentProcessed(
-          notebook.userId,
-          notebook,
-          addedSource
-        );
-
-        const io = getIO();
-        emitNotificationToUser(io, notebook.userId, notification);
-      } catch (err) {
-        console.error('Failed to send document notification:', err);
-      }
-    } catch (err) {
-      console.error('❌ RAG ingestion failed:', err.message);
-      // Continue anyway, return the source even if ingestion fails
+  if (file) {
+    // Documents are read up front so unreadable files are refused before anything is saved
+    if (source.type !== 'pdf') {
+      Object.assign(source, notebookSourceService.extractUpload(source.type, file.buffer));
     }
+
+    // Save file to local storage
+    const fileName = `${Date.now()}-${file.originalname}`;
+    const filePath = path.join(UPLOADS_DIR, fileName);
+    await fs.writeFile(filePath, file.buffer);
+
+    source.filePath = filePath;
+    source.size = file.size;
   }
 
+  const addedSource = await notebookSourceService.addSource(notebook, source);
+
+  // Ingest into the AI engine's RAG index in the background; progress goes out over
+  // the notifications socket and GET .../sources/:sourceId/status
+  await ingestionQueue.enqueue(notebook, addedSource);
+
   res.status(201).json({
     success: true,
-    data: addedSource
+    data: await notebookSourceService.withText(addedSource)
+  });
+});
+
+/**
+ * @desc    Link a source from another notebook the user can see instead of uploading it again
+ * @route   POST /api/notebook/notebooks/:id/sources/link
+ * @access  Private (Owner/Editor)
+ */
+exports.linkSource = asyncHandler(async (req, res) => {
+  const { notebookId, sourceId } = req.body;
+
+  if (!notebookId || !sourceId) {
+    throw new AppError('notebookId and sourceId are required', 400);
+  }
+
+  const [notebook, from] = await Promise.all([
+    notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'edit'),
+    notebookCollaboratorService.getNotebook(notebookId, req.user._id, 'view')
+  ]);
+
+  const original = from.sources.id(sourceId);
+
+  if (!original) {
+    throw new AppError('Source not found', 404);
+  }
+
+  if (original.contentHash && notebook.sources.some(source => source.contentHash === original.contentHash)) {
+    throw new AppError('This notebook already has a source with the same content', 409);
+  }
+
+  // The stored file is shared and the extracted text copied, so nothing is read again.
+  // Vectors are scoped to each notebook's AI session, so this notebook still ingests its own.
+  const text = await notebookSourceService.getText(original._id);
+  const linkedSource = await notebookSourceService.addSource(notebook, {
+    type: original.type,
+    name: original.name,
+    filePath: original.filePath,
+    url: original.url,
+    ...(text && { content: text.content, markers: text.markers }),
+    size: original.size,
+    snapshot: original.snapshot,
+    contentHash: original.contentHash,
+    linkedFrom: { notebookId: from._id, sourceId: original._id },
+    selected: true,
+    dateAdded: new Date()
+  });
+
+  await ingestionQueue.enqueue(notebook, linkedSource);
+
+  res.status(201).json({
+    success: true,
+    data: await notebookSourceService.withText(linkedSource)
   });
 });
 
 /**
  * @desc    Remove source from notebook
  * @route   DELETE /api/notebook/notebooks/:id/sources/:sourceId
- * @access  Private
+ * @access  Private (Owner/Editor)
  */
 exports.removeSource = asyncHandler(async (req, res) => {
-  const notebook = await Notebook.findOne({
-    _id: req.params.id,
-    userId: req.user._id
-  });
-
-  if (!notebook) {
-    throw new AppError('Notebook not found', 404);
-  }
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'edit');
 
   const source = notebook.sources.id(req.params.sourceId);
   
@@ -471,23 +464,19 @@ exports.removeSource = asyncHandler(async (req, res) => {
     throw new AppError('Source not found', 404);
   }
 
-  // Delete file if exists
+  await ingestionQueue.cancel(source._id);
+
+  // Delete file if exists (and no linked source still uses it)
   if (source.filePath) {
-    try {
-      await fs.unlink(source.filePath);
-      console.log(`✓ Deleted file: ${source.filePath}`);
-    } catch (error) {
-      console.error(`Failed to delete file: ${source.filePath}`, error.message);
-    }
+    await notebookSourceService.deleteFile(source.filePath, source._id);
   }
 
-  // Delete from FAISS index
+  // Delete from FAISS index (as the owner, whose AI session holds it)
   if (notebook.aiSessionId) {
-    const token = req.headers.authorization;
     try {
       await axios.delete(
         `${AI_ENGINE_URL}/ai/documents/source/${source._id}`,
-        { headers: { Authorization: token } }
+        { headers: await notebookCollaboratorService.aiAuthHeaders(notebook, req.user._id, req.headers.authorization) }
       );
       console.log(`✓ Deleted FAISS documents for source: ${source._id}`);
     } catch (error) {
@@ -497,6 +486,7 @@ exports.removeSource = asyncHandler(async (req, res) => {
 
   source.deleteOne();
   await notebook.save();
+  await notebookSourceService.removeText(source._id);
 
   res.json({
     success: true,
@@ -507,17 +497,10 @@ exports.removeSource = asyncHandler(async (req, res) => {
 /**
  * @desc    Toggle source selection
  * @route   PATCH /api/notebook/notebooks/:id/sources/:sourceId
- * @access  Private
+ * @access  Private (Owner/Editor)
  */
 exports.toggleSource = asyncHandler(async (req, res) => {
-  const notebook = await Notebook.findOne({
-    _id: req.params.id,
-    userId: req.user._id
-  });
-
-  if (!notebook) {
-    throw new AppError('Notebook not found', 404);
-  }
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'edit');
 
   const source = notebook.sources.id(req.params.sourceId);
   
@@ -535,33 +518,139 @@ exports.toggleSource = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get source content (for chat context)
- * @route   GET /api/notebook/notebooks/:id/sources/:sourceId/content
+ * @desc    Fetch a website source again and re-ingest its text
+ * @route   POST /api/notebook/notebooks/:id/sources/:sourceId/refetch
+ * @access  Private (Owner/Editor)
+ */
+exports.refetchSource = asyncHandler(async (req, res) => {
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'edit');
+
+  const source = notebook.sources.id(req.params.sourceId);
+
+  if (!source) {
+    throw new AppError('Source not found', 404);
+  }
+
+  if (source.type !== 'website' || !source.url) {
+    throw new AppError('Only website sources can be re-fetched', 400);
+  }
+
+  // A failed fetch throws before anything changes, keeping the previous snapshot
+  const page = await websiteSourceService.fetchPage(source.url);
+  const previousHash = source.contentHash;
+  const { content, ...fields } = websiteSourceService.toSource(page);
+  source.set(fields);
+  source.contentHash = notebookSourceService.hashContent(content);
+  await notebookSourceService.saveText(notebook._id, source._id, { content });
+  await notebook.save();
+
+  // Replace the old page text in the AI engine's RAG index, unless the text is unchanged
+  if (source.contentHash !== previousHash || source.ingestionStatus === 'failed') {
+    await ingestionQueue.enqueue(notebook, source, { replaceVectors: true });
+  }
+
+  res.json({
+    success: true,
+    data: await notebookSourceService.withText(source)
+  });
+});
+
+/**
+ * @desc    Get RAG ingestion status of a source
+ * @route   GET /api/notebook/notebooks/:id/sources/:sourceId/status
  * @access  Private
  */
-exports.getSourceContent = asyncHandler(async (req, res) => {
-  const notebook = await Notebook.findOne({
-    _id: req.params.id,
-    userId: req.user._id
+exports.getSourceStatus = asyncHandler(async (req, res) => {
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'view');
+
+  const source = notebook.sources.id(req.params.sourceId);
+
+  if (!source) {
+    throw new AppError('Source not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: await ingestionQueue.getStatus(source)
   });
+});
 
-  if (!notebook) {
-    throw new AppError('Notebook not found', 404);
+/**
+ * @desc    Queue a source for RAG ingestion again (e.g. after it failed)
+ * @route   POST /api/notebook/notebooks/:id/sources/:sourceId/ingest
+ * @access  Private (Owner/Editor)
+ */
+exports.retrySourceIngestion = asyncHandler(async (req, res) => {
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'edit');
+
+  const source = notebook.sources.id(req.params.sourceId);
+
+  if (!source) {
+    throw new AppError('Source not found', 404);
   }
 
+  if (!notebook.aiSessionId) {
+    throw new AppError('This notebook has no AI session to ingest into', 400);
+  }
+
+  await ingestionQueue.enqueue(notebook, source);
+
+  res.status(202).json({
+    success: true,
+    data: await ingestionQueue.getStatus(source)
+  });
+});
+
+/**
+ * @desc    Re-ingest a source, replacing its documents in the RAG index
+ *          (e.g. after the AI engine changes how it chunks text)
+ * @route   POST /api/notebook/notebooks/:id/sources/:sourceId/reingest
+ * @access  Private (Owner/Editor)
+ */
+exports.reingestSource = asyncHandler(async (req, res) => {
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'edit');
+
+  const source = notebook.sources.id(req.params.sourceId);
+
+  if (!source) {
+    throw new AppError('Source not found', 404);
+  }
+
+  if (!notebook.aiSessionId) {
+    throw new AppError('This notebook has no AI session to ingest into', 400);
+  }
+
+  await ingestionQueue.enqueue(notebook, source, { replaceVectors: true });
+
+  res.status(202).json({
+    success: true,
+    data: await ingestionQueue.getStatus(source)
+  });
+});
+
+/**
+ * @desc    Get source content (for chat context)
+ * @route   GET /api/notebook/notebooks/:id/sources/:sourceId/content
+ * @access  Private
+ */
+exports.getSourceContent = asyncHandler(async (req, res) => {
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'view');
+
   const source = notebook.sources.id(req.params.sourceId);
   
   if (!source) {
     throw new AppError('Source not found', 404);
   }
 
+  const text = await notebookSourceService.getText(source._id);
   let content = '';
 
-  if (source.filePath) {
+  if (text?.content) {
+    // Typed text, or text extracted from a document or website
+    content = text.content;
+  } else if (source.filePath) {
     // Read file content
     content = await fs.readFile(source.filePath, 'utf-8');
-  } else if (source.content) {
-    content = source.content;
   } else if (source.url) {
     content = `Website: ${source.url}`;
   }
@@ -580,17 +669,10 @@ exports.getSourceContent = asyncHandler(async (req, res) => {
 /**
  * @desc    Link artifact to notebook
  * @route   POST /api/notebook/notebooks/:id/artifacts
- * @access  Private
+ * @access  Private (Owner/Editor)
  */
 exports.linkArtifact = asyncHandler(async (req, res) => {
-  const notebook = await Notebook.findOne({
-    _id: req.params.id,
-    userId: req.user._id
-  });
-
-  if (!notebook) {
-    throw new AppError('Notebook not found', 404);
-  }
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'edit');
 
   const { type, referenceId, title } = req.body;
 
@@ -603,6 +685,9 @@ exports.linkArtifact = asyncHandler(async (req, res) => {
     // MindMap model stores owner in `createdBy`
     const mindmap = await MindMap.findOne({ _id: referenceId, createdBy: req.user._id });
     if (!mindmap) throw new AppError('Mind map not found', 404);
+  } else if (type === 'flashcards') {
+    const set = await FlashcardSet.findOne({ _id: referenceId, createdBy: req.user._id });
+    if (!set) throw new AppError('Flashcard set not found', 404);
   }
 
   // Check if already linked
@@ -637,17 +722,10 @@ exports.linkArtifact = asyncHandler(async (req, res) => {
 /**
  * @desc    Unlink artifact from notebook
  * @route   DELETE /api/notebook/notebooks/:id/artifacts/:artifactId
- * @access  Private
+ * @access  Private (Owner/Editor)
  */
 exports.unlinkArtifact = asyncHandler(async (req, res) => {
-  const notebook = await Notebook.findOne({
-    _id: req.params.id,
-    userId: req.user._id
-  });
-
-  if (!notebook) {
-    throw new AppError('Notebook not found', 404);
-  }
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'edit');
 
   const artifact = notebook.artifacts.id(req.params.artifactId);
   
@@ -664,35 +742,70 @@ exports.unlinkArtifact = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get an artifact linked to a notebook (collaborators can open it even when it's private)
+ * @route   GET /api/notebook/notebooks/:id/artifacts/:artifactId
+ * @access  Private
+ */
+exports.getArtifact = asyncHandler(async (req, res) => {
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'view');
+
+  const artifact = notebook.artifacts.id(req.params.artifactId);
+
+  if (!artifact) {
+    throw new AppError('Artifact not found', 404);
+  }
+
+  let item = null;
+  if (artifact.type === 'quiz') {
+    item = await Quiz.findById(artifact.referenceId).populate('createdBy', 'name email');
+  } else if (artifact.type === 'mindmap') {
+    item = await MindMap.findById(artifact.referenceId).populate('createdBy', 'name email');
+  } else if (artifact.type === 'flashcards') {
+    const set = await FlashcardSet.findById(artifact.referenceId).populate('createdBy', 'name email');
+    if (set) {
+      const cards = await Flashcard.find({ setId: set._id }).sort({ order: 1 });
+      item = { ...set.toObject(), cards };
+    }
+  }
+
+  if (!item) {
+    throw new AppError('This artifact no longer exists', 404);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      artifact,
+      item
+    }
+  });
+});
+
 /**
  * @desc    Get selected sources content for chat context
  * @route   GET /api/notebook/notebooks/:id/context
  * @access  Private
  */
 exports.getNotebookContext = asyncHandler(async (req, res) => {
-  const notebook = await Notebook.findOne({
-    _id: req.params.id,
-    userId: req.user._id
-  });
-
-  if (!notebook) {
-    throw new AppError('Notebook not found', 404);
-  }
+  const notebook = await notebookCollaboratorService.getNotebook(req.params.id, req.user._id, 'view');
 
   const selectedSources = notebook.sources.filter(s => s.selected);
+  const texts = await notebookSourceService.getTexts(selectedSources.map(s => s._id));
   const context = [];
 
   for (const source of selectedSources) {
+    const text = texts.get(source._id.toString());
     let content = '';
 
-    if (source.filePath) {
+    if (text?.content) {
+      content = text.content;
+    } else if (source.filePath) {
       try {
         content = await fs.readFile(source.filePath, 'utf-8');
       } catch (error) {
         content = `[Error reading file: ${source.name}]`;
       }
-    } else if (source.content) {
-      content = source.content;
     } else if (source.url) {
       content = `Website: ${source.url}`;
     }
@@ -45,13 +45,14 @@ class StudyPlanController {
   async getPlans(req, res, next) {
     try {
       const userId = req.user.id;
-      const { status, planType } = req.query;
+      const { status, planType, subjectId } = req.query;
 
-      console.log('[getPlans] userId:', userId, 'filters:', { status, planType });
+      console.log('[getPlans] userId:', userId, 'filters:', { status, planType, subjectId });
 
       const plans = await studyPlanService.getUserPlans(userId, {
         status,
         planType,
+        subjectId,
       });
 
       console.log('[getPlans] Found plans:', plans.length);
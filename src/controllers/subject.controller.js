@@ -1,22 +1,123 @@
+const subjectService = require('../services/subject.service');
+
 class SubjectController {
-  async getSubjects(req, res) {
-    res.json({ success: true, data: [] });
+  /**
+   * Get all subjects for user
+   * GET /api/visual-aids/subjects
+   */
+  async getSubjects(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { includeArchived } = req.query;
+
+      const subjects = await subjectService.getUserSubjects(userId, includeArchived === 'true');
+
+      res.json({
+        success: true,
+        count: subjects.length,
+        data: subjects
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get single subject
+   * GET /api/visual-aids/subjects/:id
+   */
+  async getSubjectById(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+
+      const subject = await subjectService.getSubjectById(id, userId);
+
+      res.json({
+        success: true,
+        data: subject
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 
-  async getSubjectById(req, res) {
-    res.json({ success: true, data: null });
+  /**
+   * Get everything linked to a subject
+   * GET /api/visual-aids/subjects/:id/overview
+   */
+  async getSubjectOverview(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+
+      const overview = await subjectService.getSubjectOverview(id, userId);
+
+      res.json({
+        success: true,
+        data: overview
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 
-  async createSubject(req, res) {
-    res.json({ success: true, data: req.body });
+  /**
+   * Create subject
+   * POST /api/visual-aids/subjects
+   */
+  async createSubject(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const subject = await subjectService.createSubject(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: subject
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 
-  async updateSubject(req, res) {
-    res.json({ success: true, data: req.body });
+  /**
+   * Update subject
+   * PUT /api/visual-aids/subjects/:id
+   */
+  async updateSubject(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+
+      const subject = await subjectService.updateSubject(id, userId, req.body);
+
+      res.json({
+        success: true,
+        data: subject
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 
-  async deleteSubject(req, res) {
-    res.json({ success: true, message: 'Subject deleted' });
+  /**
+   * Delete subject (linked items are kept and unlinked)
+   * DELETE /api/visual-aids/subjects/:id
+   */
+  async deleteSubject(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { id } = req.params;
+
+      const result = await subjectService.deleteSubject(id, userId);
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 }
 
@@ -0,0 +1,172 @@
+const workspaceService = require('../services/workspace.service');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * @desc    Get the user's root folders and folders shared with them
+ * @route   GET /api/workspaces
+ * @access  Private
+ */
+exports.getWorkspaces = asyncHandler(async (req, res) => {
+  const workspaces = await workspaceService.getWorkspaces(req.user.id);
+
+  res.json({
+    success: true,
+    data: workspaces
+  });
+});
+
+/**
+ * @desc    Create a folder
+ * @route   POST /api/workspaces
+ * @access  Private
+ */
+exports.createWorkspace = asyncHandler(async (req, res) => {
+  const workspace = await workspaceService.createWorkspace(req.user.id, {
+    name: req.body.name,
+    color: req.body.color,
+    parentId: req.body.parentId
+  });
+
+  res.status(201).json({
+    success: true,
+    data: workspace
+  });
+});
+
+/**
+ * @desc    List a folder's subfolders, boards, notebooks, quizzes and mind maps
+ * @route   GET /api/workspaces/:id/contents
+ * @access  Private (Owner/Members)
+ */
+exports.getContents = asyncHandler(async (req, res) => {
+  const contents = await workspaceService.getContents(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    data: contents
+  });
+});
+
+/**
+ * @desc    Rename or move a folder
+ * @route   PATCH /api/workspaces/:id
+ * @access  Private (Owner/Editor; moving is owner only)
+ */
+exports.updateWorkspace = asyncHandler(async (req, res) => {
+  const workspace = await workspaceService.updateWorkspace(req.params.id, req.user.id, req.body);
+
+  res.json({
+    success: true,
+    data: workspace
+  });
+});
+
+/**
+ * @desc    Move a folder and everything in it to the trash
+ * @route   DELETE /api/workspaces/:id
+ * @access  Private (Owner only)
+ */
+exports.deleteWorkspace = asyncHandler(async (req, res) => {
+  const result = await workspaceService.deleteWorkspace(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    message: result.message,
+    data: result.trashed
+  });
+});
+
+/**
+ * @desc    Get deleted folders
+ * @route   GET /api/workspaces/trash
+ * @access  Private
+ */
+exports.getTrash = asyncHandler(async (req, res) => {
+  const folders = await workspaceService.getTrash(req.user.id);
+
+  res.json({
+    success: true,
+    count: folders.length,
+    data: folders
+  });
+});
+
+/**
+ * @desc    Restore a deleted folder and everything deleted with it
+ * @route   POST /api/workspaces/:id/restore
+ * @access  Private (Owner only)
+ */
+exports.restoreWorkspace = asyncHandler(async (req, res) => {
+  const workspace = await workspaceService.restoreWorkspace(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    data: workspace
+  });
+});
+
+/**
+ * @desc    File a board, notebook, quiz or mind map in a folder
+ * @route   PUT /api/workspaces/items/:type/:itemId
+ * @access  Private (Item owner; Editor of the target folder)
+ */
+exports.moveItem = asyncHandler(async (req, res) => {
+  const result = await workspaceService.moveItem(
+    req.user.id,
+    req.params.type,
+    req.params.itemId,
+    req.body.workspaceId || null
+  );
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Share a folder with a user
+ * @route   POST /api/workspaces/:id/members
+ * @access  Private (Owner only)
+ */
+exports.addMember = asyncHandler(async (req, res) => {
+  const workspace = await workspaceService.addMember(req.params.id, req.user.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: workspace
+  });
+});
+
+/**
+ * @desc    Update a folder member's role
+ * @route   PATCH /api/workspaces/:id/members/:userId
+ * @access  Private (Owner only)
+ */
+exports.updateMemberRole = asyncHandler(async (req, res) => {
+  const workspace = await workspaceService.updateMemberRole(
+    req.params.id,
+    req.user.id,
+    req.params.userId,
+    req.body.role
+  );
+
+  res.json({
+    success: true,
+    data: workspace
+  });
+});
+
+/**
+ * @desc    Stop sharing a folder with a user
+ * @route   DELETE /api/workspaces/:id/members/:userId
+ * @access  Private (Owner only)
+ */
+exports.removeMember = asyncHandler(async (req, res) => {
+  const workspace = await workspaceService.removeMember(req.params.id, req.user.id, req.params.userId);
+
+  res.json({
+    success: true,
+    data: workspace
+  });
+});
@@ -0,0 +1,31 @@
+const PlatformSettings = require('../models/PlatformSettings');
+
+/**
+ * Platform Feature Toggle Middleware
+ * Blocks a route when the admin has switched the feature off in PlatformSettings.features
+ * Usage: requirePlatformFeature('flashcards')
+ */
+const requirePlatformFeature = (featureName) => {
+  return async (req, res, next) => {
+    try {
+      const settings = await PlatformSettings.getSettings();
+
+      if (settings.features && settings.features[featureName] === false) {
+        return res.status(403).json({
+          success: false,
+          error: 'Feature disabled',
+          message: `The ${featureName} feature is currently disabled by the administrator`,
+          feature: featureName,
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  requirePlatformFeature,
+};
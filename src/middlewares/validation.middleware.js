@@ -75,6 +75,73 @@ const validateFlashcard = [
   validate
 ];
 
+/**
+ * Flashcard update validation (every field optional; question and answer can't be blanked)
+ */
+const validateFlashcardUpdate = [
+  body('question')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Question cannot be empty'),
+  body('answer')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Answer cannot be empty'),
+  body('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty level'),
+  body('tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array'),
+  body('options')
+    .optional()
+    .isArray().withMessage('Options must be an array'),
+  body('explanation')
+    .optional()
+    .trim(),
+  body('confidence')
+    .optional()
+    .isInt({ min: 0, max: 5 }).withMessage('Confidence must be between 0 and 5'),
+  validate
+];
+
+/**
+ * Flashcard review validation (SM-2 recall quality)
+ */
+const validateFlashcardReview = [
+  body('quality')
+    .notEmpty().withMessage('Quality is required')
+    .isInt({ min: 0, max: 5 }).withMessage('Quality must be between 0 and 5')
+    .toInt(),
+  validate
+];
+
+/**
+ * Subject validation
+ */
+const validateSubject = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Subject name is required')
+    .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ max: 20 }).withMessage('Code cannot exceed 20 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('color')
+    .optional()
+    .matches(/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/).withMessage('Color must be a hex value'),
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Icon cannot exceed 50 characters'),
+  validate
+];
+
 /**
  * Mind Map validation
  */
@@ -186,6 +253,9 @@ const validateQuiz = [
 module.exports = {
   validateFlashcardSet,
   validateFlashcard,
+  validateFlashcardUpdate,
+  validateFlashcardReview,
   validateMindMap,
-  validateQuiz
+  validateQuiz,
+  validateSubject
 };
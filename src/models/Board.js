@@ -1,36 +1,36 @@
 const mongoose = require('mongoose');
+const workspaceItem = require('./plugins/workspaceItem');
 
-// Flexible schema for tldraw elements - store as-is
-const boardElementSchema = new mongoose.Schema({
+// tldraw's default page id; elements without a pageId belong to it
+const DEFAULT_PAGE_ID = 'page:page';
+
+// Higher rank wins when a user has access several ways (directly and through groups)
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const higherRole = (a, b) => ((ROLE_RANK[b] || 0) > (ROLE_RANK[a] || 0) ? b : a);
+
+const pageSchema = new mongoose.Schema({
+  // tldraw page record id (page:...)
   id: {
     type: String,
     required: true
   },
-  // Store the entire tldraw shape as flexible JSON
-  type: String,
-  x: Number,
-  y: Number,
-  rotation: Number,
-  isLocked: Boolean,
-  opacity: Number,
-  meta: mongoose.Schema.Types.Mixed,
-  props: mongoose.Schema.Types.Mixed,
-  parentId: String,
-  index: String,
-  typeName: String,
-  createdBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Page name cannot exceed 100 characters']
   },
-  createdAt: {
-    type: Date,
-    default: Date.now
+  // Only the owner may change elements on the page (e.g. an answer key)
+  viewerOnly: {
+    type: Boolean,
+    default: false
   },
-  updatedAt: {
+  createdAt: {
     type: Date,
     default: Date.now
   }
-}, { _id: true, strict: false }); // Allow additional fields
+}, { _id: false });
 
 const boardSchema = new mongoose.Schema({
   title: {
@@ -65,7 +65,55 @@ const boardSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  elements: [boardElementSchema],
+  // Study groups granted access; every member of the group gets the role
+  groups: [{
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['editor', 'viewer'],
+      default: 'editor'
+    },
+    // Denormalized copy of the group's members, kept in sync by boardGroup.service
+    memberIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Group the board was created for; its grant can't be removed while the group exists
+  ownerGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
+  // Elements live in the BoardElement collection; this is a denormalized count
+  elementCount: {
+    type: Number,
+    default: 0
+  },
+  // Pages in display order
+  pages: {
+    type: [pageSchema],
+    default: () => [{ id: DEFAULT_PAGE_ID, name: 'Page 1' }]
+  },
+  // Monotonic sequence number of the last element operation (see BoardOperation)
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // When an instance last claimed the automatic snapshot (one per interval across instances)
+  autoSnapshotAt: Date,
   isPublic: {
     type: Boolean,
     default: false
@@ -110,6 +158,27 @@ const boardSchema = new mongoose.Schema({
   isArchived: {
     type: Boolean,
     default: false
+  },
+  // Board socket events rejected for rate limits or invalid payloads (admin analytics)
+  socketViolations: {
+    rateLimited: {
+      type: Number,
+      default: 0
+    },
+    invalidPayload: {
+      type: Number,
+      default: 0
+    },
+    disconnects: {
+      type: Number,
+      default: 0
+    },
+    byEvent: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    lastViolationAt: Date
   }
 }, {
   timestamps: true,
@@ -120,15 +189,12 @@ const boardSchema = new mongoose.Schema({
 // Indexes for performance
 boardSchema.index({ owner: 1, createdAt: -1 });
 boardSchema.index({ 'members.userId': 1 });
+boardSchema.index({ 'groups.memberIds': 1 });
+boardSchema.index({ 'groups.groupId': 1 });
 boardSchema.index({ isPublic: 1, isArchived: 1 });
 boardSchema.index({ lastActivity: -1 });
 boardSchema.index({ tags: 1 });
 
-// Virtual for element count
-boardSchema.virtual('elementCount').get(function() {
-  return this.elements?.length || 0;
-});
-
 // Virtual for member count
 boardSchema.virtual('memberCount').get(function() {
   return (this.members?.length || 0) + 1; // +1 for owner
@@ -151,7 +217,17 @@ boardSchema.methods.hasAccess = function(userId) {
     return true;
   }
   
-  return this.members.some(m => m.userId.toString() === userIdStr);
+  return this.members.some(m => m.userId.toString() === userIdStr) ||
+    this.getGroupRole(userId) !== null;
+};
+
+// Method to get the highest role a user has through group grants
+boardSchema.methods.getGroupRole = function(userId) {
+  const userIdStr = userId.toString();
+
+  return (this.groups || [])
+    .filter(g => (g.memberIds || []).some(id => id.toString() === userIdStr))
+    .reduce((role, g) => higherRole(role, g.role), null);
 };
 
 // Method to get user role
@@ -163,7 +239,7 @@ boardSchema.methods.getUserRole = function(userId) {
   }
   
   const member = this.members.find(m => m.userId.toString() === userIdStr);
-  return member ? member.role : null;
+  return higherRole(member ? member.role : null, this.getGroupRole(userId));
 };
 
 // Method to check if user can edit
@@ -172,6 +248,26 @@ boardSchema.methods.canEdit = function(userId) {
   return role === 'owner' || role === 'editor';
 };
 
+// Method to get pages (boards created before pages existed have just the default page)
+boardSchema.methods.getPages = function() {
+  return this.pages?.length ? this.pages : [{ id: DEFAULT_PAGE_ID, name: 'Page 1', viewerOnly: false }];
+};
+
+// Method to check if user can edit elements on a page
+boardSchema.methods.canEditPage = function(userId, pageId) {
+  const role = this.getUserRole(userId);
+  if (role === 'owner') {
+    return true;
+  }
+
+  const page = this.getPages().find(p => p.id === pageId);
+  return role === 'editor' && !!page && !page.viewerOnly;
+};
+
+boardSchema.plugin(workspaceItem);
+
 const Board = mongoose.model('Board', boardSchema);
 
 module.exports = Board;
+module.exports.DEFAULT_PAGE_ID = DEFAULT_PAGE_ID;
+module.exports.higherRole = higherRole;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = [
+  'element:create', 'element:update', 'element:delete',
+  'page:create', 'page:update', 'page:delete', 'page:reorder',
+  'board:restore', 'board:join', 'board:leave'
+];
+
+/**
+ * Who did what on a board, for the activity feed and contribution stats.
+ * Unlike the operation log this is kept for the life of the board.
+ */
+const boardActivitySchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  // Null for anonymous share-link guests
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Display name at the time (guest label or email)
+  label: String,
+  type: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    required: true
+  },
+  elementIds: {
+    type: [String],
+    default: undefined
+  },
+  // Shape type for creates (geo, draw, text...)
+  elementType: String,
+  pageId: String,
+  // Rapid updates to the same elements are folded into one entry
+  count: {
+    type: Number,
+    default: 1
+  },
+  lastAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+boardActivitySchema.index({ boardId: 1, _id: -1 });
+boardActivitySchema.index({ boardId: 1, user: 1, type: 1 });
+
+module.exports = mongoose.model('BoardActivity', boardActivitySchema);
+module.exports.ACTIVITY_TYPES = ACTIVITY_TYPES;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Comment on a study board. A thread is a root comment (which carries the
+ * anchor and resolved state) plus its replies, which point at the root.
+ */
+const anchorSchema = new mongoose.Schema({
+  // Pinned to a shape, or to a free spot on the canvas
+  type: {
+    type: String,
+    enum: ['element', 'point'],
+    required: true
+  },
+  elementId: String,
+  // Canvas coordinates (for element anchors: where the shape was when commented)
+  x: Number,
+  y: Number,
+  pageId: {
+    type: String,
+    default: 'page:page'
+  }
+}, { _id: false });
+
+const boardCommentSchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  // Root comment of the thread; null for the root itself
+  threadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BoardComment',
+    default: null
+  },
+  anchor: anchorSchema,
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isResolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  editedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+boardCommentSchema.index({ boardId: 1, threadId: 1, createdAt: 1 });
+boardCommentSchema.index({ boardId: 1, 'anchor.elementId': 1 });
+
+module.exports = mongoose.model('BoardComment', boardCommentSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Flexible schema for tldraw elements - store as-is, one document per shape
+const boardElementSchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  // tldraw shape id (unique within a board)
+  id: {
+    type: String,
+    required: true
+  },
+  // Store the entire tldraw shape as flexible JSON
+  type: String,
+  x: Number,
+  y: Number,
+  rotation: Number,
+  isLocked: Boolean,
+  opacity: Number,
+  meta: mongoose.Schema.Types.Mixed,
+  props: mongoose.Schema.Types.Mixed,
+  parentId: String,
+  // Page the element is on, including elements nested in frames/groups
+  // (missing on elements stored before pages existed - they are on the default page)
+  pageId: String,
+  index: String,
+  typeName: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { strict: false, minimize: false }); // Allow additional fields
+
+// Indexes
+boardElementSchema.index({ boardId: 1, id: 1 }, { unique: true });
+boardElementSchema.index({ boardId: 1, type: 1 });
+boardElementSchema.index({ boardId: 1, pageId: 1 });
+boardElementSchema.index({ boardId: 1, parentId: 1 });
+
+module.exports = mongoose.model('BoardElement', boardElementSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * One element of a stored copy of a board - a snapshot, the board as a
+ * recording saw it, or a template. Kept one document per element, like
+ * BoardElement, so copies of large boards stay under the 16MB document limit.
+ * Exactly one of snapshotId, recordingId and templateId is set.
+ */
+const boardElementCopySchema = new mongoose.Schema({
+  snapshotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BoardSnapshot'
+  },
+  recordingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BoardRecording'
+  },
+  // Board sequence number of a recording's copy: its start, or a restore during it
+  seq: Number,
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BoardTemplate'
+  },
+  // Board the copy was taken from (templates outlive their source board, so they have none)
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board'
+  },
+  // Order within the copy
+  position: {
+    type: Number,
+    required: true
+  },
+  // Client-shaped tldraw element
+  element: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { minimize: false });
+
+// Indexes
+boardElementCopySchema.index(
+  { snapshotId: 1, position: 1 },
+  { partialFilterExpression: { snapshotId: { $exists: true } } }
+);
+boardElementCopySchema.index(
+  { recordingId: 1, seq: 1, position: 1 },
+  { partialFilterExpression: { recordingId: { $exists: true } } }
+);
+boardElementCopySchema.index(
+  { templateId: 1, position: 1 },
+  { partialFilterExpression: { templateId: { $exists: true } } }
+);
+boardElementCopySchema.index({ boardId: 1 });
+
+module.exports = mongoose.model('BoardElementCopy', boardElementCopySchema);
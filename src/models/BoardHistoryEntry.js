@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * One step on a user's undo or redo stack for a board.
+ * Kept in the database so stacks survive reconnects to another server.
+ */
+const boardHistoryEntrySchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  stack: {
+    type: String,
+    enum: ['undo', 'redo'],
+    required: true
+  },
+  // What the user did: create | update | delete | batch
+  kind: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'batch'],
+    required: true
+  },
+  elementId: String,
+  // Element state (or changed fields) before and after the step
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  // [{ elementId, before, after }] for batch steps
+  items: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+// Indexes
+boardHistoryEntrySchema.index({ boardId: 1, userId: 1, stack: 1, _id: -1 });
+// History only matters within a working session
+boardHistoryEntrySchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('BoardHistoryEntry', boardHistoryEntrySchema);
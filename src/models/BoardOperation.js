@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Append-only log of element operations applied to a board.
+ * Every operation carries the board sequence number it was assigned,
+ * so reconnecting clients can replay what they missed.
+ */
+const boardOperationSchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  seq: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'element:create', 'element:update', 'element:delete', 'elements:batch-update', 'board:reset',
+      'page:create', 'page:update', 'page:delete', 'page:reorder'
+    ],
+    required: true
+  },
+  elementId: String,
+  // Full element for creates, changed fields for updates
+  element: mongoose.Schema.Types.Mixed,
+  changes: mongoose.Schema.Types.Mixed,
+  // [{ elementId, changes }] for batch updates
+  updates: mongoose.Schema.Types.Mixed,
+  // Page record for page:create / page:update, affected page for page:delete
+  page: mongoose.Schema.Types.Mixed,
+  pageId: String,
+  // New page order (page:reorder)
+  pageIds: {
+    type: [String],
+    default: undefined
+  },
+  // Snapshot the board was reset to (board:reset)
+  snapshotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BoardSnapshot'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+// Indexes
+boardOperationSchema.index({ boardId: 1, seq: 1 }, { unique: true });
+// Keep a rolling window of operations; older clients reload the full board
+boardOperationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('BoardOperation', boardOperationSchema);
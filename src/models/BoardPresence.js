@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Who is on a board right now, shared between server instances.
+ * Each instance refreshes `updatedAt` for its own entries; entries from an
+ * instance that stops doing so expire.
+ */
+const boardPresenceSchema = new mongoose.Schema({
+  boardId: {
+    type: String,
+    required: true
+  },
+  // One entry per connection, so each of a user's tabs is tracked separately
+  socketId: {
+    type: String,
+    required: true
+  },
+  // Account id, or guest:<socketId> for share-link guests
+  userId: {
+    type: String,
+    required: true
+  },
+  // Server instance holding the socket
+  nodeId: {
+    type: String,
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+// Indexes
+boardPresenceSchema.index({ boardId: 1, socketId: 1 }, { unique: true });
+boardPresenceSchema.index({ nodeId: 1 });
+// Safety net for crashed instances (list() also filters stale entries)
+boardPresenceSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 10 * 60 });
+
+module.exports = mongoose.model('BoardPresence', boardPresenceSchema);
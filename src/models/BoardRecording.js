@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * A recorded board session for later playback. The board as it was when
+ * recording started is kept as BoardElementCopy documents keyed by
+ * (recordingId, startSeq); the operations that follow are captured into
+ * BoardRecordingEvent as they are logged.
+ */
+const boardRecordingSchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Session title cannot exceed 100 characters']
+  },
+  status: {
+    type: String,
+    enum: ['recording', 'completed'],
+    default: 'recording'
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: Date,
+  // Why recording stopped: the owner stopped it, or it hit the length limit
+  endReason: {
+    type: String,
+    enum: ['stopped', 'time-limit']
+  },
+  // Board sequence numbers the recording covers (startSeq, endSeq]
+  startSeq: {
+    type: Number,
+    required: true
+  },
+  endSeq: Number,
+  // Pages at startSeq, the starting point for playback
+  pages: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  operationCount: {
+    type: Number,
+    default: 0
+  },
+  durationMs: {
+    type: Number,
+    default: 0
+  },
+  // Some operations in the covered range were not captured
+  truncated: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+boardRecordingSchema.index({ boardId: 1, startedAt: -1 });
+// At most one recording in progress per board
+boardRecordingSchema.index(
+  { boardId: 1 },
+  { unique: true, partialFilterExpression: { status: 'recording' } }
+);
+
+module.exports = mongoose.model('BoardRecording', boardRecordingSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * One operation in a recorded board session, timed relative to the start
+ * of the recording so playback can be scrubbed.
+ */
+const boardRecordingEventSchema = new mongoose.Schema({
+  recordingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BoardRecording',
+    required: true
+  },
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  seq: {
+    type: Number,
+    required: true
+  },
+  // Milliseconds since recording started
+  offsetMs: {
+    type: Number,
+    required: true
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  // Operation as it was broadcast (see boardSyncService.toClientOperation)
+  operation: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { minimize: false });
+
+// Indexes
+boardRecordingEventSchema.index({ recordingId: 1, seq: 1 }, { unique: true });
+boardRecordingEventSchema.index({ boardId: 1 });
+
+module.exports = mongoose.model('BoardRecordingEvent', boardRecordingEventSchema);
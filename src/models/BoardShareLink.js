@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+/**
+ * Shareable link to a board. Only a SHA-256 hash of the token is stored;
+ * the raw token is shown to the owner once, when the link is created.
+ */
+const boardShareLinkSchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Last characters of the token so owners can tell links apart
+  tokenPreview: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['view', 'edit'],
+    default: 'view'
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  password: {
+    type: String,
+    select: false
+  },
+  hasPassword: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUsedAt: Date,
+  useCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      delete ret.password;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+boardShareLinkSchema.index({ boardId: 1, createdAt: -1 });
+
+// Hash password before saving
+boardShareLinkSchema.pre('save', async function () {
+  if (!this.isModified('password')) {
+    return;
+  }
+
+  this.hasPassword = !!this.password;
+  if (!this.password) {
+    return;
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+});
+
+boardShareLinkSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Method to compare password (requires the password field to be selected)
+boardShareLinkSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) {
+    return true;
+  }
+  if (!candidatePassword) {
+    return false;
+  }
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+module.exports = mongoose.model('BoardShareLink', boardShareLinkSchema);
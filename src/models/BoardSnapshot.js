@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Point-in-time copy of a board's elements.
+ * Created manually, periodically while a board session is active,
+ * and right before a restore so the restore itself can be undone.
+ * The elements are stored as BoardElementCopy documents keyed by snapshotId.
+ */
+const boardSnapshotSchema = new mongoose.Schema({
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Snapshot name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  trigger: {
+    type: String,
+    enum: ['manual', 'auto', 'restore'],
+    default: 'manual'
+  },
+  // Board pages at the time of the snapshot
+  pages: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  elementCount: {
+    type: Number,
+    default: 0
+  },
+  // Board sequence number the elements correspond to
+  seq: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+boardSnapshotSchema.index({ boardId: 1, createdAt: -1 });
+boardSnapshotSchema.index({ boardId: 1, trigger: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BoardSnapshot', boardSnapshotSchema);
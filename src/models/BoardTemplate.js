@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const TEMPLATE_CATEGORIES = ['planning', 'notes', 'analysis', 'timeline', 'brainstorm', 'other'];
+
+/**
+ * Reusable starting point for new boards. System templates are seeded by
+ * admins; users can save templates from their own boards and publish them.
+ * The elements are stored as BoardElementCopy documents keyed by templateId.
+ */
+const boardTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  category: {
+    type: String,
+    enum: TEMPLATE_CATEGORIES,
+    default: 'other'
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  // Stable key for seeded system templates
+  slug: {
+    type: String,
+    trim: true
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // User templates are visible to everyone when published, otherwise only to their creator
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sourceBoard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board'
+  },
+  pages: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  elementCount: {
+    type: Number,
+    default: 0
+  },
+  settings: mongoose.Schema.Types.Mixed,
+  // SVG data URI rendered from the elements
+  preview: String,
+  useCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+boardTemplateSchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+boardTemplateSchema.index({ isSystem: 1, category: 1 });
+boardTemplateSchema.index({ isPublished: 1, useCount: -1 });
+boardTemplateSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BoardTemplate', boardTemplateSchema);
+module.exports.TEMPLATE_CATEGORIES = TEMPLATE_CATEGORIES;
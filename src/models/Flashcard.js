@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const flashcardSchema = new mongoose.Schema({
+  setId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlashcardSet',
+    required: true
+  },
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true
+  },
+  answer: {
+    type: String,
+    required: [true, 'Answer is required'],
+    trim: true
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  order: {
+    type: Number,
+    default: 0
+  },
+  explanation: {
+    type: String,
+    trim: true
+  },
+  options: [{
+    type: String,
+    trim: true
+  }],
+  // Aggregate study tracking (per-user scheduling lives in FlashcardReview)
+  timesReviewed: {
+    type: Number,
+    default: 0
+  },
+  lastReviewed: {
+    type: Date
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+flashcardSchema.index({ setId: 1, order: 1 });
+
+module.exports = mongoose.model('Flashcard', flashcardSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Per-user SM-2 scheduling state for a single flashcard
+ */
+const flashcardReviewSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flashcard',
+    required: true
+  },
+  setId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlashcardSet',
+    required: true
+  },
+  easeFactor: {
+    type: Number,
+    default: 2.5,
+    min: 1.3
+  },
+  interval: {
+    type: Number, // in days
+    default: 0
+  },
+  repetitions: {
+    type: Number,
+    default: 0
+  },
+  dueDate: {
+    type: Date,
+    default: Date.now
+  },
+  lastQuality: {
+    type: Number,
+    min: 0,
+    max: 5
+  },
+  lastReviewedAt: {
+    type: Date
+  },
+  totalReviews: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+flashcardReviewSchema.index({ userId: 1, cardId: 1 }, { unique: true });
+flashcardReviewSchema.index({ userId: 1, setId: 1, dueDate: 1 });
+flashcardReviewSchema.index({ cardId: 1 });
+
+module.exports = mongoose.model('FlashcardReview', flashcardReviewSchema);
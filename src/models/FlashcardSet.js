@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const flashcardSetSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sourceType: {
+    type: String,
+    enum: ['manual', 'ai', 'study_buddy'],
+    default: 'manual'
+  },
+  visibility: {
+    type: String,
+    enum: ['private', 'shared'],
+    default: 'private'
+  },
+  cardCount: {
+    type: Number,
+    default: 0
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  lastStudied: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+flashcardSetSchema.index({ createdBy: 1, subject: 1 });
+flashcardSetSchema.index({ subject: 1, visibility: 1 });
+flashcardSetSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FlashcardSet', flashcardSetSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Queued ingestion of a notebook source into the AI engine's RAG index.
+ * One job per source; re-queueing a source resets its job.
+ *
+ * Status flow: queued -> running -> completed, with failed attempts going back
+ * to queued after a backoff until maxAttempts, then to dead (the dead-letter state).
+ * While the AI engine processes an upload the job stays queued with remoteTaskId
+ * set, and each run checks on that task instead of uploading again.
+ */
+const ingestionJobSchema = new mongoose.Schema({
+  notebookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    required: true,
+    index: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead'],
+    default: 'queued'
+  },
+  stage: {
+    type: String,
+    enum: ['waiting', 'extracting', 'uploading', 'processing', 'done'],
+    default: 'waiting'
+  },
+  // Percent, for progress bars
+  progress: {
+    type: Number,
+    default: 0
+  },
+  // Failed attempts so far (checking on a remote task is not an attempt)
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker holds the job; stale locks are taken over
+  lockedAt: Date,
+  lockedBy: String,
+  // Delete the source's existing RAG documents before the next upload (re-ingestion)
+  replaceVectors: {
+    type: Boolean,
+    default: false
+  },
+  remoteTaskId: String,
+  remoteStartedAt: Date,
+  lastError: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Workers pick the next due job
+ingestionJobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('IngestionJob', ingestionJobSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspaceItem = require('./plugins/workspaceItem');
 
 const nodeSchema = new mongoose.Schema({
   id: {
@@ -126,4 +127,6 @@ mindMapSchema.index({ subject: 1, visibility: 1 });
 mindMapSchema.index({ createdBy: 1, createdAt: -1 });
 mindMapSchema.index({ parentVersion: 1, version: 1 });
 
+mindMapSchema.plugin(workspaceItem);
+
 module.exports = mongoose.model('MindMap', mindMapSchema);
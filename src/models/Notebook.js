@@ -1,23 +1,47 @@
 const mongoose = require('mongoose');
+const workspaceItem = require('./plugins/workspaceItem');
 
 const SourceSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['pdf', 'text', 'website', 'notes'],
+    enum: ['pdf', 'docx', 'pptx', 'markdown', 'epub', 'csv', 'text', 'website', 'notes'],
     required: true
   },
   name: {
     type: String,
     required: true
   },
+  // Text (typed, or extracted from websites and documents) is in NotebookSourceText
   filePath: String, // For uploaded files (local storage)
   url: String, // For websites
-  content: String, // For text/notes
-  size: Number, // File size in bytes
+  size: Number, // Bytes: uploaded file, downloaded page or typed text
+  // SHA-256 (hex) of the uploaded file, or of the text for text, notes and websites
+  contentHash: String,
+  // Set when the source was linked from another notebook instead of uploaded again
+  linkedFrom: {
+    notebookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Notebook' },
+    sourceId: mongoose.Schema.Types.ObjectId
+  },
+  // Last fetch of a website source (its extracted text is kept in NotebookSourceText)
+  snapshot: {
+    title: String,
+    excerpt: String,
+    lang: String,
+    finalUrl: String, // After redirects
+    statusCode: Number,
+    contentType: String,
+    fetchedAt: Date
+  },
   selected: {
     type: Boolean,
     default: true
   },
+  // Ingestion into the AI engine's RAG index (details on the source's IngestionJob)
+  ingestionStatus: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: null
+  },
   dateAdded: {
     type: Date,
     default: Date.now
@@ -45,7 +69,30 @@ const ArtifactSchema = new mongoose.Schema({
   }
 });
 
+// Someone the owner shared the notebook with
+const CollaboratorSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    default: 'viewer'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const NotebookSchema = new mongoose.Schema({
+  // Owner
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -61,6 +108,10 @@ const NotebookSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
+  },
   
   // Sources stored locally
   sources: [SourceSchema],
@@ -73,6 +124,9 @@ const NotebookSchema = new mongoose.Schema({
   
   // Generated artifacts (references to Quiz/MindMap collections)
   artifacts: [ArtifactSchema],
+
+  // Users the notebook is shared with (the owner is userId, not listed here)
+  collaborators: [CollaboratorSchema],
   
   // Metadata
   lastAccessed: {
@@ -90,6 +144,9 @@ const NotebookSchema = new mongoose.Schema({
 // Indexes
 NotebookSchema.index({ userId: 1, createdAt: -1 });
 NotebookSchema.index({ userId: 1, lastAccessed: -1 });
+NotebookSchema.index({ userId: 1, subject: 1 });
+NotebookSchema.index({ userId: 1, 'sources.contentHash': 1 });
+NotebookSchema.index({ 'collaborators.userId': 1 });
 
 // Update lastAccessed on any modification
 NotebookSchema.pre('save', function() {
@@ -106,4 +163,24 @@ NotebookSchema.virtual('artifactCount').get(function() {
   return this.artifacts.length;
 });
 
+// Role of a user on the notebook: owner, editor, viewer or null
+NotebookSchema.methods.getUserRole = function(userId) {
+  const userIdStr = userId.toString();
+
+  // Either id may be populated
+  if ((this.userId._id || this.userId).toString() === userIdStr) {
+    return 'owner';
+  }
+
+  const collaborator = this.collaborators.find(c => (c.userId._id || c.userId).toString() === userIdStr);
+  return collaborator ? collaborator.role : null;
+};
+
+NotebookSchema.methods.canEdit = function(userId) {
+  const role = this.getUserRole(userId);
+  return role === 'owner' || role === 'editor';
+};
+
+NotebookSchema.plugin(workspaceItem);
+
 module.exports = mongoose.model('Notebook', NotebookSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Where a page, slide, chapter or section starts in a source's extracted text
+const MarkerSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['page', 'slide', 'chapter', 'section'],
+    required: true
+  },
+  number: Number, // Page or slide number, or position among chapters/sections
+  title: String,
+  offset: Number // Character offset into content
+}, { _id: false });
+
+/**
+ * Text of one notebook source: typed text or notes, or what was extracted from
+ * a website or document (PDFs are read at ingest time and have none).
+ * Kept one document per source rather than inside the Notebook, so a few large
+ * sources can't push a notebook past the 16MB document limit.
+ */
+const notebookSourceTextSchema = new mongoose.Schema({
+  notebookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    required: true
+  },
+  // _id of the source in notebook.sources
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  markers: [MarkerSchema]
+});
+
+// Indexes
+notebookSourceTextSchema.index({ sourceId: 1 }, { unique: true });
+notebookSourceTextSchema.index({ notebookId: 1 });
+
+module.exports = mongoose.model('NotebookSourceText', notebookSourceTextSchema);
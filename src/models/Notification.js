@@ -36,6 +36,7 @@ const notificationSchema = new mongoose.Schema(
         'quiz_generated',
         'mindmap_generated',
         'ai_session_complete',
+        'notebook_shared',
         
         // Reports/Admin
         'report_submitted',
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspaceItem = require('./plugins/workspaceItem');
 
 const questionSchema = new mongoose.Schema({
   question: {
@@ -48,7 +49,8 @@ const quizSchema = new mongoose.Schema({
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
   subject: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
     required: false,
     default: null
   },
@@ -136,4 +138,6 @@ quizSchema.virtual('totalPoints').get(function() {
 quizSchema.set('toJSON', { virtuals: true });
 quizSchema.set('toObject', { virtuals: true });
 
+quizSchema.plugin(workspaceItem);
+
 module.exports = mongoose.model('Quiz', quizSchema);
@@ -24,6 +24,10 @@ const studyPlanSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+    },
     topics: [{
       type: String,
       trim: true,
@@ -170,6 +174,7 @@ studyPlanSchema.methods.updateStreak = function(completed) {
 // Indexes for performance
 studyPlanSchema.index({ userId: 1, status: 1 });
 studyPlanSchema.index({ userId: 1, startDate: 1, endDate: 1 });
+studyPlanSchema.index({ userId: 1, subjectId: 1 });
 studyPlanSchema.index({ createdAt: -1 });
 
 // Transform for frontend
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const subjectSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Subject name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Code cannot exceed 20 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  color: {
+    type: String,
+    default: '#6366F1',
+    match: [/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/, 'Color must be a hex value like #6366F1']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    default: 'book'
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+subjectSchema.index({ userId: 1, name: 1 }, { unique: true });
+subjectSchema.index({ userId: 1, isArchived: 1 });
+
+module.exports = mongoose.model('Subject', subjectSchema);
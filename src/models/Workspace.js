@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Higher rank wins when a folder and its ancestors share with the same user
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Folder name is required'],
+    trim: true,
+    maxlength: [100, 'Folder name cannot exceed 100 characters']
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  // Owner of the whole folder tree (subfolders inherit the root's owner)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  // Parent chain from the root down, for subtree queries and inherited sharing
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  }],
+  // Shared with these users; applies to every subfolder too
+  members: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['editor', 'viewer'],
+      default: 'viewer'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  trashedAt: {
+    type: Date,
+    default: null
+  },
+  // Folder whose deletion sent this one to the trash (restored together)
+  trashedWith: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ owner: 1, parent: 1 });
+workspaceSchema.index({ parent: 1, trashedAt: 1 });
+workspaceSchema.index({ ancestors: 1 });
+workspaceSchema.index({ 'members.userId': 1 });
+workspaceSchema.index({ trashedWith: 1 });
+
+/**
+ * Role of a user on this folder, given its ancestor folders (shares are inherited)
+ */
+workspaceSchema.methods.getUserRole = function(userId, ancestors = []) {
+  const userIdStr = userId.toString();
+
+  if (this.owner.toString() === userIdStr) {
+    return 'owner';
+  }
+
+  return [...ancestors, this]
+    .flatMap(folder => folder.members)
+    .filter(m => m.userId.toString() === userIdStr)
+    .reduce((role, m) => ((ROLE_RANK[m.role] || 0) > (ROLE_RANK[role] || 0) ? m.role : role), null);
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+module.exports = Workspace;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fields for documents that can be filed in a workspace folder
+ * (boards, notebooks, quizzes, mind maps)
+ */
+module.exports = function workspaceItem(schema) {
+  schema.add({
+    // Folder the item is filed in (null = not in a folder)
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null
+    },
+    // Set when the item's folder was deleted; hidden from lists until restored
+    trashedAt: {
+      type: Date,
+      default: null
+    },
+    trashedWith: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null
+    }
+  });
+
+  schema.index({ workspace: 1, trashedAt: 1 });
+  schema.index({ trashedWith: 1 });
+};
@@ -62,6 +62,13 @@ router.delete('/users/:id', ...adminAuth, adminController.deleteUser);
  */
 router.get('/boards/stats', ...adminAuth, adminController.getBoardStats);
 
+/**
+ * @route   POST /api/admin/boards/templates/seed
+ * @desc    Seed or refresh the built-in board templates
+ * @access  Private/Admin only
+ */
+router.post('/boards/templates/seed', ...adminAuth, adminController.seedBoardTemplates);
+
 /**
  * @route   GET /api/admin/boards
  * @desc    Get all boards
@@ -76,6 +83,13 @@ router.get('/boards', ...adminAuth, adminController.getAllBoards);
  */
 router.get('/boards/:id/analytics', ...adminAuth, adminController.getBoardAnalytics);
 
+/**
+ * @route   POST /api/admin/boards/:id/template
+ * @desc    Publish a board as a system template
+ * @access  Private/Admin only
+ */
+router.post('/boards/:id/template', ...adminAuth, adminController.createSystemTemplate);
+
 /**
  * @route   PUT /api/admin/boards/:id/suspend
  * @desc    Suspend a board
@@ -7,6 +7,8 @@ const axios = require('axios');
 const router = express.Router();
 const { protect } = require('../middlewares/auth.middleware');
 const { checkAIUsageLimit, trackAIUsage } = require('../middleware/usageEnforcement');
+const Notebook = require('../models/Notebook');
+const notebookCollaboratorService = require('../services/notebookCollaborator.service');
 
 const AI_ENGINE_URL = process.env.AI_ENGINE_URL || 'http://localhost:8000';
 
@@ -93,6 +95,54 @@ const proxyToAI = async (req, res) => {
   }
 };
 
+/**
+ * AI sessions belong to the notebook owner. When a collaborator uses the session
+ * of a notebook shared with them, forward the request as the owner: viewers may
+ * read it, editors may also chat in it, and only the owner may delete it.
+ * The forwarded token only covers that session, never the owner's others.
+ * Requests for sessions that aren't a shared notebook's pass through untouched.
+ */
+const shareNotebookSession = async (req, res, next) => {
+  const sessionId = req.params.id || req.body?.session_id;
+  if (!sessionId) {
+    return next();
+  }
+
+  try {
+    const notebook = await Notebook.findOne({ aiSessionId: sessionId });
+    const role = notebook?.getUserRole(req.user._id);
+
+    if (!role || role === 'owner') {
+      return next();
+    }
+
+    // Anything forwarded with the token must be about this session only
+    const named = [req.params.id, req.body?.session_id, req.query?.session_id].filter(Boolean);
+    if (named.some(id => id !== sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A request can only name one AI session'
+      });
+    }
+
+    const readOnly = req.method === 'GET';
+    if (req.method === 'DELETE' || (!readOnly && role !== 'editor')) {
+      return res.status(403).json({
+        success: false,
+        message: req.method === 'DELETE'
+          ? 'Only the notebook owner can delete its AI session'
+          : 'Viewers cannot chat in this notebook'
+      });
+    }
+
+    const headers = await notebookCollaboratorService.aiAuthHeaders(notebook, req.user._id, req.headers.authorization);
+    req.headers.authorization = headers.Authorization;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Creates a proxy handler that tracks AI usage after successful requests
  */
@@ -213,18 +263,18 @@ router.get('/usage/user/:userId', protect, proxyToAI);
 // Session routes
 router.get('/sessions', protect, proxyToAI);
 router.post('/sessions', protect, proxyToAI);
-router.get('/sessions/:id', protect, proxyToAI);
-router.delete('/sessions/:id', protect, proxyToAI);
-router.get('/sessions/:id/messages', protect, proxyToAI);
-router.post('/sessions/:id/messages', protect, proxyToAI);
-
-// AI operation routes - with usage enforcement
-router.post('/chat', protect, checkAIUsageLimit, createTrackedProxyHandler('chat'));
-router.post('/chat/stream', protect, checkAIUsageLimit, createTrackedProxyHandler('chat'));
+router.get('/sessions/:id', protect, shareNotebookSession, proxyToAI);
+router.delete('/sessions/:id', protect, shareNotebookSession, proxyToAI);
+router.get('/sessions/:id/messages', protect, shareNotebookSession, proxyToAI);
+router.post('/sessions/:id/messages', protect, shareNotebookSession, proxyToAI);
+
+// AI operation routes - with usage enforcement (usage counts against the collaborator, not the owner)
+router.post('/chat', protect, checkAIUsageLimit, shareNotebookSession, createTrackedProxyHandler('chat'));
+router.post('/chat/stream', protect, checkAIUsageLimit, shareNotebookSession, createTrackedProxyHandler('chat'));
 router.post('/summarize', protect, checkAIUsageLimit, createTrackedProxyHandler('summarize'));
 router.post('/summarize/stream', protect, checkAIUsageLimit, createTrackedProxyHandler('summarize'));
-router.post('/qa', protect, checkAIUsageLimit, createTrackedProxyHandler('chat'));
-router.post('/qa/stream', protect, checkAIUsageLimit, createTrackedProxyHandler('chat'));
+router.post('/qa', protect, checkAIUsageLimit, shareNotebookSession, createTrackedProxyHandler('chat'));
+router.post('/qa/stream', protect, checkAIUsageLimit, shareNotebookSession, createTrackedProxyHandler('chat'));
 router.post('/mindmap', protect, checkAIUsageLimit, createTrackedProxyHandler('other'));
 router.post('/upload', protect, proxyToAI);
 router.post('/generate-study-plan', protect, checkAIUsageLimit, createTrackedProxyHandler('study-copilot'));
@@ -1,9 +1,20 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const rateLimit = require('express-rate-limit');
 const boardController = require('../controllers/board.controller');
 const { protect } = require('../middlewares/auth.middleware');
 const { body, param, query, validationResult } = require('express-validator');
-const { checkBoardLimit } = require('../middleware/usageEnforcement');
+const { checkBoardLimit, checkAIUsageLimit } = require('../middleware/usageEnforcement');
+const { TEMPLATE_CATEGORIES } = require('../models/BoardTemplate');
+const { ACTIVITY_TYPES } = require('../models/BoardActivity');
+const config = require('../config/env');
+
+// tldraw documents are JSON, keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
 
 // Validation middleware
 const validate = (req, res, next) => {
@@ -36,6 +47,9 @@ const validateBoardCreation = [
   body('tags')
     .optional()
     .isArray().withMessage('Tags must be an array'),
+  body('groupId')
+    .optional()
+    .isMongoId().withMessage('Invalid group ID'),
   validate
 ];
 
@@ -72,17 +86,179 @@ const validateMemberRoleUpdate = [
   validate
 ];
 
+const validateGroupShare = [
+  body('groupId')
+    .notEmpty().withMessage('Group ID is required')
+    .isMongoId().withMessage('Invalid group ID'),
+  body('role')
+    .optional()
+    .isIn(['editor', 'viewer']).withMessage('Role must be either editor or viewer'),
+  validate
+];
+
+const validateGroupId = [
+  param('groupId').isMongoId().withMessage('Invalid group ID'),
+  validate
+];
+
 const validateObjectId = [
   param('id').isMongoId().withMessage('Invalid board ID'),
   validate
 ];
 
-// All routes require authentication
+const validateSnapshotId = [
+  param('snapId').isMongoId().withMessage('Invalid snapshot ID'),
+  validate
+];
+
+const validateSnapshotCreation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Snapshot name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  validate
+];
+
+const validateShareLink = [
+  body('scope')
+    .optional()
+    .isIn(['view', 'edit']).withMessage('Scope must be either view or edit'),
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Label cannot exceed 100 characters'),
+  body('password')
+    .optional()
+    .isLength({ min: 4, max: 100 }).withMessage('Password must be between 4 and 100 characters'),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('expiresAt must be a valid date'),
+  body('expiresInHours')
+    .optional()
+    .isFloat({ min: 0.1, max: 8760 }).withMessage('expiresInHours must be between 0.1 and 8760'),
+  validate
+];
+
+const validateCommentId = [
+  param('commentId').isMongoId().withMessage('Invalid comment ID'),
+  validate
+];
+
+const validateCommentContent = [
+  body('content')
+    .trim()
+    .notEmpty().withMessage('Comment content is required')
+    .isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters'),
+  body('mentions')
+    .optional()
+    .isArray({ max: 50 }).withMessage('Mentions must be an array of user IDs'),
+  body('mentions.*')
+    .isMongoId().withMessage('Invalid mentioned user ID'),
+  validate
+];
+
+const validateCommentAnchor = [
+  body('anchor.type')
+    .isIn(['element', 'point']).withMessage('Anchor type must be element or point'),
+  body('anchor.elementId')
+    .if(body('anchor.type').equals('element'))
+    .notEmpty().withMessage('Element anchors require an elementId'),
+  body('anchor.x')
+    .if(body('anchor.type').equals('point'))
+    .isFloat().withMessage('Point anchors require numeric x and y')
+    .toFloat(),
+  body('anchor.y')
+    .if(body('anchor.type').equals('point'))
+    .isFloat().withMessage('Point anchors require numeric x and y')
+    .toFloat(),
+  validate
+];
+
+const validateTemplateId = [
+  param('templateId').isMongoId().withMessage('Invalid template ID'),
+  validate
+];
+
+const validateTemplateDetails = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Template name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Template name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('category')
+    .optional()
+    .isIn(TEMPLATE_CATEGORIES).withMessage(`Category must be one of: ${TEMPLATE_CATEGORIES.join(', ')}`),
+  body('tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array'),
+  body('isPublished')
+    .optional()
+    .isBoolean().withMessage('isPublished must be a boolean'),
+  validate
+];
+
+const validatePageId = [
+  param('pageId').matches(/^page:[^/]+$/).withMessage('Invalid page ID'),
+  validate
+];
+
+const validateSessionId = [
+  param('sessionId').isMongoId().withMessage('Invalid session ID'),
+  validate
+];
+
+// Failed share link attempts (wrong password, unknown token) are limited per link
+// and per IP, so link passwords can't be guessed; successful opens aren't counted
+const shareLinkLimiter = (limit, keyGenerator) => rateLimit({
+  windowMs: config.boards.shareLinkWindowMinutes * 60 * 1000,
+  limit,
+  ...(keyGenerator && { keyGenerator }),
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many attempts to open this share link, please try again later' }
+});
+
+const shareLinkLimiters = [
+  shareLinkLimiter(() => config.boards.shareLinkMaxAttemptsPerIp),
+  shareLinkLimiter(() => config.boards.shareLinkMaxAttemptsPerLink, req => `share:${req.params.token}`)
+];
+
+// Share link access works without an account (guests)
+router.post('/shared/:token', shareLinkLimiters, boardController.accessSharedBoard);
+
+// All other routes require authentication
 router.use(protect);
 
 // Search boards (must be before /:id routes)
 router.get('/search', boardController.searchBoards);
 
+// Templates (before /:id routes)
+router.get('/templates', boardController.getTemplates);
+router.route('/templates/:templateId')
+  .get(validateTemplateId, boardController.getTemplate)
+  .patch(validateTemplateId, validateTemplateDetails, boardController.updateTemplate)
+  .delete(validateTemplateId, boardController.deleteTemplate);
+
+router.post('/from-template/:templateId',
+  validateTemplateId,
+  body('title').optional().trim().isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  validate,
+  checkBoardLimit,
+  boardController.createBoardFromTemplate
+);
+
+// Import a tldraw document as a new board
+router.post('/import', upload.single('file'), checkBoardLimit, boardController.importBoard);
+
 // Board CRUD
 router.route('/')
   .get(boardController.getBoards)
@@ -99,6 +275,162 @@ router.post('/:id/invite',
 
 router.patch('/:id/archive', validateObjectId, boardController.archiveBoard);
 router.post('/:id/duplicate', validateObjectId, boardController.duplicateBoard);
+router.get('/:id/export',
+  validateObjectId,
+  query('format').optional().isIn(['svg', 'pdf', 'json']).withMessage('Format must be svg, pdf or json'),
+  query('pageId').optional().matches(/^page:[^/]+$/).withMessage('Invalid page ID'),
+  validate,
+  boardController.exportBoard
+);
+
+router.post('/:id/template', validateObjectId, validateTemplateDetails, boardController.createTemplateFromBoard);
+
+// Version history
+router.route('/:id/snapshots')
+  .get(validateObjectId, boardController.getSnapshots)
+  .post(validateObjectId, validateSnapshotCreation, boardController.createSnapshot);
+
+router.route('/:id/snapshots/:snapId')
+  .get(validateObjectId, validateSnapshotId, boardController.getSnapshot)
+  .delete(validateObjectId, validateSnapshotId, boardController.deleteSnapshot);
+
+router.post('/:id/snapshots/:snapId/restore',
+  validateObjectId,
+  validateSnapshotId,
+  boardController.restoreSnapshot
+);
+
+// Share links
+router.route('/:id/share-links')
+  .get(validateObjectId, boardController.getShareLinks)
+  .post(validateObjectId, validateShareLink, boardController.createShareLink);
+
+router.delete('/:id/share-links/:linkId',
+  validateObjectId,
+  param('linkId').isMongoId().withMessage('Invalid share link ID'),
+  validate,
+  boardController.revokeShareLink
+);
+
+// Pages
+router.route('/:id/pages')
+  .get(validateObjectId, boardController.getPages)
+  .post(
+    validateObjectId,
+    body('name').optional().trim().notEmpty().withMessage('Page name cannot be empty')
+      .isLength({ max: 100 }).withMessage('Page name cannot exceed 100 characters'),
+    body('position').optional().isInt({ min: 0 }).withMessage('position must be a non-negative integer'),
+    validate,
+    boardController.createPage
+  );
+
+router.put('/:id/pages/order',
+  validateObjectId,
+  body('pageIds').isArray({ min: 1 }).withMessage('pageIds must be a non-empty array'),
+  validate,
+  boardController.reorderPages
+);
+
+router.route('/:id/pages/:pageId')
+  .patch(
+    validateObjectId,
+    validatePageId,
+    body('name').optional().trim().notEmpty().withMessage('Page name cannot be empty')
+      .isLength({ max: 100 }).withMessage('Page name cannot exceed 100 characters'),
+    body('viewerOnly').optional().isBoolean().withMessage('viewerOnly must be a boolean'),
+    validate,
+    boardController.updatePage
+  )
+  .delete(validateObjectId, validatePageId, boardController.deletePage);
+
+// Comments
+router.route('/:id/comments')
+  .get(validateObjectId, boardController.getComments)
+  .post(validateObjectId, validateCommentAnchor, validateCommentContent, boardController.createComment);
+
+router.route('/:id/comments/:commentId')
+  .patch(
+    validateObjectId,
+    validateCommentId,
+    body('content').optional().trim().notEmpty().withMessage('Comment content cannot be empty')
+      .isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters'),
+    body('mentions').optional().isArray({ max: 50 }).withMessage('Mentions must be an array of user IDs'),
+    validate,
+    boardController.updateComment
+  )
+  .delete(validateObjectId, validateCommentId, boardController.deleteComment);
+
+router.post('/:id/comments/:commentId/replies',
+  validateObjectId,
+  validateCommentId,
+  validateCommentContent,
+  boardController.replyToComment
+);
+
+router.patch('/:id/comments/:commentId/resolve',
+  validateObjectId,
+  validateCommentId,
+  body('resolved').optional().isBoolean().withMessage('resolved must be a boolean'),
+  validate,
+  boardController.resolveComment
+);
+
+// AI
+router.post('/:id/ai/summarize',
+  validateObjectId,
+  body('pageId').optional().matches(/^page:[^/]+$/).withMessage('Invalid page ID'),
+  validate,
+  checkAIUsageLimit,
+  boardController.summarizeBoard
+);
+
+router.post('/:id/ai/to-notebook',
+  validateObjectId,
+  body('pageId').optional().matches(/^page:[^/]+$/).withMessage('Invalid page ID'),
+  body('notebookId').optional().isMongoId().withMessage('Invalid notebook ID'),
+  body('title').optional().trim().isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+  validate,
+  checkAIUsageLimit,
+  boardController.boardToNotebook
+);
+
+// Session recordings
+router.route('/:id/sessions')
+  .get(validateObjectId, boardController.getSessions)
+  .post(
+    validateObjectId,
+    body('title').optional().trim().isLength({ max: 100 }).withMessage('Session title cannot exceed 100 characters'),
+    validate,
+    boardController.startSession
+  );
+
+router.post('/:id/sessions/stop', validateObjectId, boardController.stopSession);
+
+router.get('/:id/sessions/:sessionId/replay',
+  validateObjectId,
+  validateSessionId,
+  query('after').optional().isInt({ min: 0 }).withMessage('after must be a non-negative integer'),
+  query('limit').optional().isInt({ min: 1, max: 5000 }).withMessage('limit must be between 1 and 5000'),
+  validate,
+  boardController.getSessionReplay
+);
+
+router.delete('/:id/sessions/:sessionId', validateObjectId, validateSessionId, boardController.deleteSession);
+
+// Activity
+router.get('/:id/activity',
+  validateObjectId,
+  query('cursor').optional().isMongoId().withMessage('Invalid activity cursor'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  query('user').optional().isMongoId().withMessage('Invalid user ID'),
+  query('types').optional()
+    .custom(value => value.split(',').every(type => ACTIVITY_TYPES.includes(type)))
+    .withMessage(`types must be a comma-separated list of: ${ACTIVITY_TYPES.join(', ')}`),
+  validate,
+  boardController.getActivity
+);
+
+router.get('/:id/contributions', validateObjectId, boardController.getContributions);
 
 // Member management
 router.route('/:id/members')
@@ -108,6 +440,15 @@ router.route('/:id/members/:userId')
   .delete(validateObjectId, boardController.removeMember)
   .patch(validateObjectId, validateMemberRoleUpdate, boardController.updateMemberRole);
 
+// Group access
+router.route('/:id/groups')
+  .get(validateObjectId, boardController.getBoardGroups)
+  .post(validateObjectId, validateGroupShare, boardController.shareWithGroup);
+
+router.route('/:id/groups/:groupId')
+  .patch(validateObjectId, validateGroupId, validateMemberRoleUpdate, boardController.updateGroupRole)
+  .delete(validateObjectId, validateGroupId, boardController.removeGroup);
+
 // Board CRUD by ID (must be after specific routes)
 router.route('/:id')
   .get(validateObjectId, boardController.getBoard)
@@ -15,25 +15,41 @@ const upload = multer({
 // ============================================================================
 
 router.get('/notebooks', protect, notebookController.getNotebooks);
+router.get('/notebooks/shared', protect, notebookController.getSharedNotebooks);
 router.post('/notebooks', protect, notebookController.createNotebook);
 router.get('/notebooks/:id', protect, notebookController.getNotebook);
 router.put('/notebooks/:id', protect, notebookController.updateNotebook);
 router.delete('/notebooks/:id', protect, notebookController.deleteNotebook);
 
+// ============================================================================
+// SHARING
+// ============================================================================
+
+router.get('/notebooks/:id/collaborators', protect, notebookController.getCollaborators);
+router.post('/notebooks/:id/collaborators', protect, notebookController.inviteCollaborator);
+router.patch('/notebooks/:id/collaborators/:userId', protect, notebookController.updateCollaborator);
+router.delete('/notebooks/:id/collaborators/:userId', protect, notebookController.removeCollaborator);
+
 // ============================================================================
 // SOURCE MANAGEMENT
 // ============================================================================
 
 router.post('/notebooks/:id/sources', protect, upload.single('file'), notebookController.addSource);
+router.post('/notebooks/:id/sources/link', protect, notebookController.linkSource);
 router.delete('/notebooks/:id/sources/:sourceId', protect, notebookController.removeSource);
 router.patch('/notebooks/:id/sources/:sourceId', protect, notebookController.toggleSource);
 router.get('/notebooks/:id/sources/:sourceId/content', protect, notebookController.getSourceContent);
+router.post('/notebooks/:id/sources/:sourceId/refetch', protect, notebookController.refetchSource);
+router.get('/notebooks/:id/sources/:sourceId/status', protect, notebookController.getSourceStatus);
+router.post('/notebooks/:id/sources/:sourceId/ingest', protect, notebookController.retrySourceIngestion);
+router.post('/notebooks/:id/sources/:sourceId/reingest', protect, notebookController.reingestSource);
 
 // ============================================================================
 // ARTIFACT LINKING
 // ============================================================================
 
 router.post('/notebooks/:id/artifacts', protect, notebookController.linkArtifact);
+router.get('/notebooks/:id/artifacts/:artifactId', protect, notebookController.getArtifact);
 router.delete('/notebooks/:id/artifacts/:artifactId', protect, notebookController.unlinkArtifact);
 
 // ============================================================================
@@ -9,6 +9,7 @@ const upload = multer({
 });
 
 // Import controllers
+const flashcardController = require('../controllers/flashcard.controller');
 const mindMapController = require('../controllers/mindmap.controller');
 const quizController = require('../controllers/quiz.controller');
 const generateController = require('../controllers/generate.controller');
@@ -16,7 +17,34 @@ const subjectController = require('../controllers/subject.controller');
 
 // Import middleware
 const { protect } = require('../middlewares/auth.middleware');
-const { validateFlashcardSet, validateFlashcard, validateMindMap, validateQuiz } = require('../middlewares/validation.middleware');
+const { validateFlashcardSet, validateFlashcard, validateFlashcardUpdate, validateFlashcardReview, validateMindMap, validateQuiz, validateSubject } = require('../middlewares/validation.middleware');
+const { requirePlatformFeature } = require('../middleware/platformFeature');
+
+const flashcardsEnabled = requirePlatformFeature('flashcards');
+
+// ============================================================================
+// FLASHCARDS ROUTES
+// ============================================================================
+
+router.post('/flashcards/sets', protect, flashcardsEnabled, ...validateFlashcardSet, flashcardController.createSet);
+router.get('/flashcards/sets', protect, flashcardsEnabled, flashcardController.getSets);
+router.get('/flashcards/sets/:id', protect, flashcardsEnabled, flashcardController.getSetById);
+router.put('/flashcards/sets/:id', protect, flashcardsEnabled, ...validateFlashcardSet, flashcardController.updateSet);
+router.delete('/flashcards/sets/:id', protect, flashcardsEnabled, flashcardController.deleteSet);
+
+// Cards within a set
+router.post('/flashcards/sets/:id/cards', protect, flashcardsEnabled, flashcardController.addCards);
+router.put('/flashcards/sets/:id/reorder', protect, flashcardsEnabled, flashcardController.reorderCards);
+router.post('/flashcards/sets/:id/shuffle', protect, flashcardsEnabled, flashcardController.shuffleCards);
+
+// Spaced repetition (SM-2)
+router.get('/flashcards/sets/:id/due', protect, flashcardsEnabled, flashcardController.getDueCards);
+router.post('/flashcards/cards/:id/review', protect, flashcardsEnabled, ...validateFlashcardReview, flashcardController.reviewCard);
+
+// Individual cards
+router.put('/flashcards/cards/:id', protect, flashcardsEnabled, ...validateFlashcardUpdate, flashcardController.updateCard);
+router.delete('/flashcards/cards/:id', protect, flashcardsEnabled, flashcardController.deleteCard);
+router.put('/flashcards/cards/:id/track', protect, flashcardsEnabled, flashcardController.trackCard);
 
 // ============================================================================
 // MIND MAPS ROUTES
@@ -50,7 +78,7 @@ router.put('/quizzes/:id', protect, ...validateQuiz, quizController.updateQuiz);
 router.delete('/quizzes/:id', protect, quizController.deleteQuiz);
 
 // Quiz from Flashcards
-router.post('/quizzes/from-flashcards/:setId', protect, quizController.createFromFlashcards);
+router.post('/quizzes/from-flashcards/:setId', protect, flashcardsEnabled, quizController.createFromFlashcards);
 
 // Quiz Attempts
 router.post('/quizzes/:id/attempts', protect, quizController.submitAttempt);
@@ -92,8 +120,9 @@ router.get('/encyclopedia/topics', protect, (req, res) => {
 
 router.get('/subjects', protect, subjectController.getSubjects);
 router.get('/subjects/:id', protect, subjectController.getSubjectById);
-router.post('/subjects', protect, subjectController.createSubject);
-router.put('/subjects/:id', protect, subjectController.updateSubject);
+router.get('/subjects/:id/overview', protect, subjectController.getSubjectOverview);
+router.post('/subjects', protect, ...validateSubject, subjectController.createSubject);
+router.put('/subjects/:id', protect, ...validateSubject, subjectController.updateSubject);
 router.delete('/subjects/:id', protect, subjectController.deleteSubject);
 
 module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const workspaceController = require('../controllers/workspace.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { body, param, validationResult } = require('express-validator');
+const { ITEM_TYPES } = require('../services/workspace.service');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array().map(err => ({
+        field: err.param,
+        message: err.msg
+      }))
+    });
+  }
+  next();
+};
+
+const validateObjectId = [
+  param('id').isMongoId().withMessage('Invalid folder ID'),
+  validate
+];
+
+const validateWorkspaceCreation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Folder name is required')
+    .isLength({ max: 100 }).withMessage('Folder name cannot exceed 100 characters'),
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid parent folder ID'),
+  validate
+];
+
+const validateWorkspaceUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Folder name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Folder name cannot exceed 100 characters'),
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid parent folder ID'),
+  validate
+];
+
+const validateItemMove = [
+  param('type').isIn(ITEM_TYPES).withMessage(`Item type must be one of: ${ITEM_TYPES.join(', ')}`),
+  param('itemId').isMongoId().withMessage('Invalid item ID'),
+  body('workspaceId')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid folder ID'),
+  validate
+];
+
+const validateMemberAdd = [
+  body('userId')
+    .notEmpty().withMessage('User ID is required')
+    .isMongoId().withMessage('Invalid user ID'),
+  body('role')
+    .optional()
+    .isIn(['editor', 'viewer']).withMessage('Role must be either editor or viewer'),
+  validate
+];
+
+const validateMemberRoleUpdate = [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('role')
+    .notEmpty().withMessage('Role is required')
+    .isIn(['editor', 'viewer']).withMessage('Role must be either editor or viewer'),
+  validate
+];
+
+// All routes require authentication
+router.use(protect);
+
+router.route('/')
+  .get(workspaceController.getWorkspaces)
+  .post(validateWorkspaceCreation, workspaceController.createWorkspace);
+
+router.get('/trash', workspaceController.getTrash);
+
+// Filing items (must be before /:id routes)
+router.put('/items/:type/:itemId', validateItemMove, workspaceController.moveItem);
+
+router.get('/:id/contents', validateObjectId, workspaceController.getContents);
+router.post('/:id/restore', validateObjectId, workspaceController.restoreWorkspace);
+
+// Folder sharing
+router.post('/:id/members', validateObjectId, validateMemberAdd, workspaceController.addMember);
+router.route('/:id/members/:userId')
+  .patch(validateObjectId, validateMemberRoleUpdate, workspaceController.updateMemberRole)
+  .delete(validateObjectId, workspaceController.removeMember);
+
+router.route('/:id')
+  .patch(validateObjectId, validateWorkspaceUpdate, workspaceController.updateWorkspace)
+  .delete(validateObjectId, workspaceController.deleteWorkspace);
+
+module.exports = router;
@@ -2,8 +2,9 @@ const app = require('./app');
 const http = require('http');
 const connectDB = require('./config/db');
 const config = require('./config/env');
-const { initializeSocket } = require('./socket');
+const { initializeSocket, closeSocket } = require('./socket');
 const { startNotificationScheduler, stopNotificationScheduler } = require('./services/notificationScheduler');
+const ingestionQueue = require('./services/ingestionQueue.service');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -18,22 +19,31 @@ connectDB();
 // Create HTTP server
 const server = http.createServer(app);
 
-// Initialize Socket.IO
-initializeSocket(server);
-
-// Start notification scheduler
-startNotificationScheduler();
-
-// Start server
-server.listen(config.port, () => {
-  console.log(`🚀 Server running in ${config.env} mode on port ${config.port}`);
-});
+// Initialize Socket.IO, then start accepting connections once the adapter is ready
+initializeSocket(server)
+  .then(() => {
+    // Start notification scheduler
+    startNotificationScheduler();
+
+    // Start the RAG ingestion worker (picks up jobs left over from before a restart)
+    ingestionQueue.start();
+
+    // Start server
+    server.listen(config.port, () => {
+      console.log(`🚀 Server running in ${config.env} mode on port ${config.port}`);
+    });
+  })
+  .catch((err) => {
+    console.error('❌ Failed to initialize Socket.IO:', err.message);
+    process.exit(1);
+  });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('UNHANDLED REJECTION! 💥 Shutting down...');
   console.error(err.name, err.message);
   stopNotificationScheduler();
+  ingestionQueue.stop();
   server.close(() => {
     process.exit(1);
   });
@@ -43,6 +53,8 @@ process.on('unhandledRejection', (err) => {
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received. Shutting down gracefully...');
   stopNotificationScheduler();
+  ingestionQueue.stop();
+  closeSocket().catch((err) => console.error('❌ Error closing socket adapter:', err.message));
   server.close(() => {
     console.log('💥 Process terminated!');
   });
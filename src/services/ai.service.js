@@ -76,6 +76,52 @@ class AIService {
     );
   }
 
+  /**
+   * Summarize text through the engine's /ai/summarize endpoint
+   * (the one behind the /api/ai/summarize proxy). Resolves to { summary, tokens }.
+   */
+  async summarizeText(text, options = {}, userToken) {
+    try {
+      const response = await this.client.post('/ai/summarize', {
+        text,
+        style: options.style || 'detailed',
+        use_rag: false
+      }, {
+        headers: {
+          Authorization: `Bearer ${userToken}`
+        }
+      });
+
+      const summary = response.data?.summary || response.data?.response || '';
+
+      if (!summary) {
+        throw new Error('AI engine returned an empty summary');
+      }
+
+      return { summary, tokens: response.data?.usage?.total_tokens || 0 };
+    } catch (error) {
+      console.error('AI summarizeText error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.detail || error.message || 'Failed to summarize text');
+    }
+  }
+
+  /**
+   * Create a chat session (notebooks keep one each). Resolves to the session id, or null.
+   */
+  async createSession(title, userToken) {
+    try {
+      const response = await this.client.post('/ai/sessions', { title }, {
+        headers: {
+          Authorization: `Bearer ${userToken}`
+        }
+      });
+      return response.data.id;
+    } catch (error) {
+      console.error('Failed to create AI session:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Generate Q&A from text
    */
@@ -1,19 +1,38 @@
 const Board = require('../models/Board');
 const User = require('../models/User');
+const BoardElement = require('../models/BoardElement');
+const BoardOperation = require('../models/BoardOperation');
+const BoardSnapshot = require('../models/BoardSnapshot');
+const BoardElementCopy = require('../models/BoardElementCopy');
+const BoardShareLink = require('../models/BoardShareLink');
+const BoardComment = require('../models/BoardComment');
+const BoardHistoryEntry = require('../models/BoardHistoryEntry');
+const BoardActivity = require('../models/BoardActivity');
+const BoardRecording = require('../models/BoardRecording');
+const BoardRecordingEvent = require('../models/BoardRecordingEvent');
+const boardActivityService = require('./boardActivity.service');
+const boardGroupService = require('./boardGroup.service');
+const boardViolationService = require('./boardViolation.service');
 const AppError = require('../utils/AppError');
 
 class BoardService {
   /**
-   * Create a new board
+   * Create a new board (optionally for a group the user belongs to)
    */
   async createBoard(userId, data) {
+    const groupGrant = data.groupId
+      ? await boardGroupService.getOwnerGroupGrant(data.groupId, userId)
+      : null;
+
     const board = await Board.create({
       title: data.title,
       description: data.description,
       owner: userId,
       isPublic: data.isPublic || false,
       settings: data.settings || {},
-      tags: data.tags || []
+      tags: data.tags || [],
+      groups: groupGrant ? [groupGrant] : [],
+      ownerGroup: groupGrant ? groupGrant.groupId : null
     });
 
     await board.populate('owner', 'name email');
@@ -36,7 +55,8 @@ class BoardService {
     const query = {
       $or: [
         { owner: userId },
-        { 'members.userId': userId }
+        { 'members.userId': userId },
+        { 'groups.memberIds': userId }
       ]
     };
 
@@ -44,6 +64,9 @@ class BoardService {
       query.isArchived = false;
     }
 
+    // Boards in a deleted folder stay hidden until the folder is restored
+    query.trashedAt = null;
+
     if (isPublic !== null) {
       query.isPublic = isPublic;
     }
@@ -55,8 +78,7 @@ class BoardService {
       .limit(limit)
       .skip(skip)
       .populate('owner', 'name email')
-      .populate('members.userId', 'name email')
-      .select('-elements'); // Don't load all elements for list view
+      .populate('members.userId', 'name email');
 
     const total = await Board.countDocuments(query);
 
@@ -69,8 +91,7 @@ class BoardService {
   async getBoardById(boardId, userId) {
     const board = await Board.findById(boardId)
       .populate('owner', 'name email')
-      .populate('members.userId', 'name email')
-      .populate('elements.createdBy', 'name email');
+      .populate('members.userId', 'name email');
 
     if (!board) {
       throw new AppError('Board not found', 404);
@@ -81,7 +102,12 @@ class BoardService {
       throw new AppError('Access denied', 403);
     }
 
-    return board;
+    const elements = await BoardElement.find({ boardId: board._id })
+      .sort({ index: 1, createdAt: 1 })
+      .populate('createdBy', 'name email')
+      .lean();
+
+    return { ...board.toObject({ virtuals: true }), elements };
   }
 
   /**
@@ -131,6 +157,16 @@ class BoardService {
     }
 
     await board.deleteOne();
+    await BoardElement.deleteMany({ boardId: board._id });
+    await BoardOperation.deleteMany({ boardId: board._id });
+    await BoardSnapshot.deleteMany({ boardId: board._id });
+    await BoardElementCopy.deleteMany({ boardId: board._id });
+    await BoardShareLink.deleteMany({ boardId: board._id });
+    await BoardComment.deleteMany({ boardId: board._id });
+    await BoardHistoryEntry.deleteMany({ boardId: board._id });
+    await BoardActivity.deleteMany({ boardId: board._id });
+    await BoardRecording.deleteMany({ boardId: board._id });
+    await BoardRecordingEvent.deleteMany({ boardId: board._id });
     return { message: 'Board deleted successfully' };
   }
 
@@ -278,9 +314,42 @@ class BoardService {
     duplicateData.title = newTitle || `${originalBoard.title} (Copy)`;
     duplicateData.owner = userId;
     duplicateData.members = []; // New board starts with no members except owner
+    duplicateData.groups = [];
+    duplicateData.ownerGroup = null;
+    duplicateData.trashedAt = null;
+    duplicateData.trashedWith = null;
+    // The original's folder may belong to someone else's workspace
+    duplicateData.workspace = null;
+    delete duplicateData.socketViolations;
     duplicateData.lastActivity = new Date();
+    duplicateData.seq = 0; // Fresh operation log
+    duplicateData.autoSnapshotAt = null;
 
     const newBoard = await Board.create(duplicateData);
+
+    // Copy elements in batches so large boards don't build one huge insert
+    const cursor = BoardElement.find({ boardId: originalBoard._id }).lean().cursor();
+    let batch = [];
+    let copied = 0;
+
+    for await (const element of cursor) {
+      const { _id, __v, ...rest } = element;
+      batch.push({ ...rest, boardId: newBoard._id });
+
+      if (batch.length === 1000) {
+        await BoardElement.insertMany(batch, { ordered: false });
+        copied += batch.length;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await BoardElement.insertMany(batch, { ordered: false });
+      copied += batch.length;
+    }
+
+    newBoard.elementCount = copied;
+    await newBoard.save();
     await newBoard.populate('owner', 'name email');
 
     return newBoard;
@@ -296,9 +365,11 @@ class BoardService {
       $or: [
         { owner: userId },
         { 'members.userId': userId },
+        { 'groups.memberIds': userId },
         { isPublic: true }
       ],
       isArchived: false,
+      trashedAt: null,
       $text: { $search: searchQuery }
     };
 
@@ -306,8 +377,7 @@ class BoardService {
       .sort({ score: { $meta: 'textScore' }, lastActivity: -1 })
       .limit(limit)
       .skip(skip)
-      .populate('owner', 'name email')
-      .select('-elements');
+      .populate('owner', 'name email');
 
     return boards;
   }
@@ -430,6 +500,9 @@ class BoardService {
    * Get board analytics (Admin)
    */
   async getBoardAnalytics(boardId) {
+    // Include socket violations still buffered on this instance
+    await boardViolationService.flush();
+
     const board = await Board.findById(boardId)
       .populate('owner', 'name email')
       .populate('members.userId', 'name email');
@@ -438,6 +511,11 @@ class BoardService {
       throw new AppError('Board not found', 404);
     }
 
+    const typeCounts = await BoardElement.aggregate([
+      { $match: { boardId: board._id } },
+      { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]);
+
     return {
       board: {
         id: board._id,
@@ -449,15 +527,18 @@ class BoardService {
         lastActivity: board.lastActivity
       },
       stats: {
-        totalElements: board.elements.length,
+        totalElements: typeCounts.reduce((sum, t) => sum + t.count, 0),
         totalMembers: board.members.length + 1, // +1 for owner
-        elementsByType: this.getElementsByType(board.elements),
+        elementsByType: this.getElementsByType(typeCounts),
         collaborators: board.members.map(m => ({
           user: m.userId,
           role: m.role,
           joinedAt: m.joinedAt
         }))
-      }
+      },
+      contributions: await boardActivityService.buildContributions(board),
+      // Rejected realtime events (rate limited / invalid payloads) and resulting disconnects
+      realtime: boardViolationService.getCounters(board)
     };
   }
 
@@ -489,6 +570,17 @@ class BoardService {
       throw new AppError('Board not found', 404);
     }
 
+    await BoardElement.deleteMany({ boardId: board._id });
+    await BoardOperation.deleteMany({ boardId: board._id });
+    await BoardSnapshot.deleteMany({ boardId: board._id });
+    await BoardElementCopy.deleteMany({ boardId: board._id });
+    await BoardShareLink.deleteMany({ boardId: board._id });
+    await BoardComment.deleteMany({ boardId: board._id });
+    await BoardHistoryEntry.deleteMany({ boardId: board._id });
+    await BoardActivity.deleteMany({ boardId: board._id });
+    await BoardRecording.deleteMany({ boardId: board._id });
+    await BoardRecordingEvent.deleteMany({ boardId: board._id });
+
     return { message: 'Board deleted permanently' };
   }
 
@@ -531,12 +623,12 @@ class BoardService {
   }
 
   /**
-   * Helper to group elements by type
+   * Helper to turn aggregated type counts into a { type: count } map
    */
-  getElementsByType(elements) {
-    return elements.reduce((acc, el) => {
-      const type = el.type || 'unknown';
-      acc[type] = (acc[type] || 0) + 1;
+  getElementsByType(typeCounts) {
+    return typeCounts.reduce((acc, { _id, count }) => {
+      const type = _id || 'unknown';
+      acc[type] = (acc[type] || 0) + count;
       return acc;
     }, {});
   }
@@ -0,0 +1,232 @@
+const Board = require('../models/Board');
+const BoardElement = require('../models/BoardElement');
+const Notebook = require('../models/Notebook');
+const aiService = require('./ai.service');
+const boardExportService = require('./boardExport.service');
+const ingestionQueue = require('./ingestionQueue.service');
+const notebookCollaboratorService = require('./notebookCollaborator.service');
+const notebookSourceService = require('./notebookSource.service');
+const AppError = require('../utils/AppError');
+
+const { DEFAULT_PAGE_ID } = Board;
+
+// Board text sent to the AI engine is capped at this many characters
+const MAX_BOARD_TEXT = 50000;
+
+// Shapes whose text is worth sending (images, draw strokes etc. carry none)
+const TEXT_SHAPES = ['text', 'note', 'geo', 'arrow', 'frame'];
+
+/**
+ * Board AI Service
+ * Summaries and study notes generated from the text on a board
+ */
+class BoardAIService {
+  /**
+   * Summarize the board (or one page). Resolves to { summary, tokens, source }.
+   */
+  async summarizeBoard(boardId, userId, authToken, { pageId = null } = {}) {
+    const board = await this.getViewableBoard(boardId, userId);
+    const extracted = await this.extractText(board, pageId);
+
+    const { summary, tokens } = await this.runAI(extracted.text, { style: 'detailed' }, authToken);
+
+    return { summary, tokens, source: this.toSourceInfo(board, extracted) };
+  }
+
+  /**
+   * Turn the board into study notes and add them as a notes source to one
+   * of the user's notebooks, or to a new notebook.
+   * Resolves to { notebook, source, created, tokens }.
+   */
+  async boardToNotebook(boardId, userId, authToken, { notebookId = null, title = null, pageId = null } = {}) {
+    const board = await this.getViewableBoard(boardId, userId);
+
+    let notebook = null;
+    if (notebookId) {
+      // Notebooks shared with the user as an editor count too
+      notebook = await notebookCollaboratorService.getNotebook(notebookId, userId, 'edit');
+    }
+
+    const extracted = await this.extractText(board, pageId);
+    const { summary, tokens } = await this.runAI(extracted.text, { style: 'study-notes' }, authToken);
+
+    const created = !notebook;
+    if (created) {
+      const notebookTitle = title || `${board.title} notes`;
+      notebook = await Notebook.create({
+        userId,
+        title: notebookTitle,
+        description: `Study notes from the board "${board.title}"`,
+        aiSessionId: await aiService.createSession(notebookTitle, authToken)
+      });
+    }
+
+    // Keep the board text under the notes so questions can be answered from either
+    const content = `${summary}\n\n---\n\nBoard content:\n\n${extracted.text}`;
+    const source = await notebookSourceService.addSource(notebook, {
+      type: 'notes',
+      name: `Board: ${board.title}`.substring(0, 200),
+      content,
+      size: Buffer.byteLength(content),
+      contentHash: notebookSourceService.hashContent(content),
+      selected: true,
+      dateAdded: new Date()
+    });
+
+    await ingestionQueue.enqueue(notebook, source);
+
+    return {
+      notebook: { _id: notebook._id, title: notebook.title, sourceCount: notebook.sources.length },
+      source,
+      created,
+      tokens,
+      board: this.toSourceInfo(board, extracted)
+    };
+  }
+
+  /**
+   * Readable outline of the text on a board: pages in order, frames as
+   * headings, shapes in reading order (top to bottom, left to right).
+   * Resolves to { text, itemCount, truncated }.
+   */
+  async extractText(board, pageId = null) {
+    const pages = board.getPages();
+
+    if (pageId && !pages.some(page => page.id === pageId)) {
+      throw new AppError('Page not found', 404);
+    }
+
+    // Raw documents: arrow bindings keep fromId/toId outside the client shape
+    const records = await BoardElement.find({ boardId: board._id }).lean();
+    const shapes = records.filter(el => (el.typeName || 'shape') === 'shape');
+    const byId = new Map(shapes.map(el => [el.id, el]));
+
+    const labelOf = (shape) => (shape ? boardExportService.getShapeText(shape).trim() || shape.props?.name || '' : '');
+    const arrowEnds = this.getArrowEnds(records);
+
+    const lines = [`# ${board.title}`];
+    let itemCount = 0;
+
+    pages
+      .filter(page => !pageId || page.id === pageId)
+      .forEach(page => {
+        const onPage = shapes.filter(el => (el.pageId || DEFAULT_PAGE_ID) === page.id && TEXT_SHAPES.includes(el.type));
+        const pageLines = [];
+
+        const describe = (el) => {
+          if (el.type === 'frame') {
+            return el.props?.name ? `### ${el.props.name}` : null;
+          }
+
+          const text = labelOf(el).replace(/\s*\n\s*/g, ' ');
+
+          if (el.type === 'arrow') {
+            const ends = arrowEnds.get(el.id) || {};
+            const from = labelOf(byId.get(ends.start));
+            const to = labelOf(byId.get(ends.end));
+            if (!from && !to) {
+              return text ? `- (arrow) ${text}` : null;
+            }
+            return `- ${from || '?'} → ${to || '?'}${text ? ` (${text})` : ''}`;
+          }
+
+          return text ? `- ${text}` : null;
+        };
+
+        this.inReadingOrder(onPage).forEach(el => {
+          const line = describe(el);
+          if (line) {
+            pageLines.push(line);
+            itemCount++;
+          }
+        });
+
+        if (pageLines.length > 0) {
+          lines.push('', `## ${page.name}`, ...pageLines);
+        }
+      });
+
+    if (itemCount === 0) {
+      throw new AppError('This board has no text to work with', 400);
+    }
+
+    const text = lines.join('\n');
+    const truncated = text.length > MAX_BOARD_TEXT;
+
+    return { text: truncated ? text.substring(0, MAX_BOARD_TEXT) : text, itemCount, truncated };
+  }
+
+  /**
+   * Frames first, each followed by the shapes inside it; everything sorted by position
+   */
+  inReadingOrder(shapes) {
+    const byPosition = (a, b) => (a.y || 0) - (b.y || 0) || (a.x || 0) - (b.x || 0);
+    const children = new Map();
+
+    shapes.forEach(el => {
+      if (!children.has(el.parentId)) {
+        children.set(el.parentId, []);
+      }
+      children.get(el.parentId).push(el);
+    });
+
+    const ids = new Set(shapes.map(el => el.id));
+    const ordered = [];
+    const visit = (el) => {
+      ordered.push(el);
+      (children.get(el.id) || []).sort(byPosition).forEach(visit);
+    };
+
+    shapes
+      .filter(el => !ids.has(el.parentId))
+      .sort(byPosition)
+      .forEach(visit);
+
+    return ordered;
+  }
+
+  /**
+   * arrowId -> { start, end } shape IDs from tldraw arrow bindings
+   */
+  getArrowEnds(records) {
+    const ends = new Map();
+
+    records
+      .filter(el => el.typeName === 'binding' && el.type === 'arrow' && el.fromId && el.toId)
+      .forEach(binding => {
+        const entry = ends.get(binding.fromId) || {};
+        entry[binding.props?.terminal === 'start' ? 'start' : 'end'] = binding.toId;
+        ends.set(binding.fromId, entry);
+      });
+
+    return ends;
+  }
+
+  async runAI(text, options, authToken) {
+    try {
+      return await aiService.summarizeText(text, options, authToken);
+    } catch (error) {
+      throw new AppError(error.message || 'AI engine request failed', 502);
+    }
+  }
+
+  async getViewableBoard(boardId, userId) {
+    const board = await Board.findById(boardId);
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!board.hasAccess(userId)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    return board;
+  }
+
+  toSourceInfo(board, { itemCount, truncated }) {
+    return { boardId: board._id, title: board.title, itemCount, truncated };
+  }
+}
+
+module.exports = new BoardAIService();
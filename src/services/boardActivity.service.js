@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const BoardActivity = require('../models/BoardActivity');
+const BoardElement = require('../models/BoardElement');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+
+const { higherRole } = Board;
+
+// Updates to the same elements by the same user within this window share one entry
+const UPDATE_MERGE_WINDOW_MS = 60 * 1000;
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Board Activity Service
+ * Persisted activity feed (element edits, page changes, joins and leaves)
+ * and the per-member contribution breakdown built from it.
+ */
+class BoardActivityService {
+  /**
+   * Record the activity behind a logged board operation
+   */
+  async recordOperation(boardId, userId, operation) {
+    const activity = this.fromOperation(operation);
+
+    if (!activity || !userId) {
+      return;
+    }
+
+    await this.record(boardId, { userId }, activity);
+  }
+
+  /**
+   * Record a user joining or leaving a live board session.
+   * actor: { userId, label } - guests have a non-ObjectId userId and are stored by label only.
+   */
+  async recordSession(boardId, actor, type) {
+    await this.record(boardId, actor, { type });
+  }
+
+  /**
+   * Newest-first activity, paged with the cursor returned by the previous page
+   */
+  async getActivity(boardId, userId, options = {}) {
+    const { cursor = null, limit = 50, user = null, types = [] } = options;
+    const board = await this.getBoardForMember(boardId, userId);
+
+    const query = { boardId: board._id };
+    if (cursor) {
+      if (!mongoose.isValidObjectId(cursor)) {
+        throw new AppError('Invalid activity cursor', 400);
+      }
+      query._id = { $lt: cursor };
+    }
+    if (user) {
+      query.user = user;
+    }
+    if (types.length > 0) {
+      query.type = { $in: types };
+    }
+
+    const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+    const activities = await BoardActivity.find(query)
+      .sort({ _id: -1 })
+      .limit(pageSize + 1)
+      .populate('user', 'name email')
+      .lean();
+
+    const hasMore = activities.length > pageSize;
+    const page = activities.slice(0, pageSize);
+
+    return {
+      activities: page.map(activity => this.toClient(activity)),
+      nextCursor: hasMore ? page[page.length - 1]._id.toString() : null
+    };
+  }
+
+  /**
+   * Per-member contribution breakdown (members only)
+   */
+  async getContributions(boardId, userId) {
+    const board = await this.getBoardForMember(boardId, userId);
+    return this.buildContributions(board);
+  }
+
+  /**
+   * What each member (and anyone who has since left the board) contributed,
+   * most active first
+   */
+  async buildContributions(board) {
+    const [activityTotals, authored] = await Promise.all([
+      BoardActivity.aggregate([
+        { $match: { boardId: board._id, user: { $ne: null } } },
+        {
+          $group: {
+            _id: { user: '$user', type: '$type' },
+            count: { $sum: '$count' },
+            lastAt: { $max: '$lastAt' }
+          }
+        }
+      ]),
+      BoardElement.aggregate([
+        { $match: { boardId: board._id, createdBy: { $ne: null } } },
+        { $group: { _id: '$createdBy', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    // Works whether or not owner and members are populated
+    const idOf = (ref) => (ref._id || ref).toString();
+    const roles = new Map(board.members.filter(m => m.userId).map(m => [idOf(m.userId), m.role]));
+    (board.groups || []).forEach(grant => grant.memberIds.forEach(id => {
+      roles.set(id.toString(), higherRole(roles.get(id.toString()) || null, grant.role));
+    }));
+    // A populated owner is null once the account is gone
+    if (board.owner) {
+      roles.set(idOf(board.owner), 'owner');
+    }
+
+    const byUser = new Map();
+    const entryFor = (id) => {
+      const key = id.toString();
+      if (!byUser.has(key)) {
+        byUser.set(key, {
+          userId: key,
+          role: roles.get(key) || null,
+          created: 0,
+          updated: 0,
+          deleted: 0,
+          pageChanges: 0,
+          sessions: 0,
+          elementsOnBoard: 0,
+          lastActiveAt: null
+        });
+      }
+      return byUser.get(key);
+    };
+
+    // Everyone on the board shows up, even with nothing to their name yet
+    roles.forEach((role, id) => entryFor(id));
+
+    activityTotals.forEach(({ _id, count, lastAt }) => {
+      const entry = entryFor(_id.user);
+      const field = this.contributionField(_id.type);
+
+      if (field) {
+        entry[field] += count;
+      }
+      if (_id.type !== 'board:leave' && (!entry.lastActiveAt || lastAt > entry.lastActiveAt)) {
+        entry.lastActiveAt = lastAt;
+      }
+    });
+
+    authored.forEach(({ _id, count }) => {
+      entryFor(_id).elementsOnBoard = count;
+    });
+
+    const users = await User.find({ _id: { $in: Array.from(byUser.keys()) } })
+      .select('name email')
+      .lean();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const contributions = Array.from(byUser.values()).map(entry => ({
+      ...entry,
+      user: usersById.get(entry.userId) || null,
+      edits: entry.created + entry.updated + entry.deleted + entry.pageChanges
+    }));
+    const totalEdits = contributions.reduce((sum, entry) => sum + entry.edits, 0);
+
+    return contributions
+      .map(entry => ({
+        ...entry,
+        // Share of all edits on the board, in percent
+        share: totalEdits > 0 ? Math.round((entry.edits / totalEdits) * 1000) / 10 : 0
+      }))
+      .sort((a, b) => b.edits - a.edits || b.sessions - a.sessions);
+  }
+
+  async record(boardId, { userId, label = null }, activity) {
+    const user = mongoose.isValidObjectId(userId) ? userId : null;
+    const now = new Date();
+
+    try {
+      if (activity.type === 'element:update' && user) {
+        const merged = await BoardActivity.findOneAndUpdate(
+          {
+            boardId,
+            user,
+            type: 'element:update',
+            elementIds: activity.elementIds,
+            lastAt: { $gte: new Date(now.getTime() - UPDATE_MERGE_WINDOW_MS) }
+          },
+          { $inc: { count: 1 }, $set: { lastAt: now } }
+        );
+
+        if (merged) {
+          return;
+        }
+      }
+
+      await BoardActivity.create({
+        boardId,
+        user,
+        label,
+        ...activity,
+        lastAt: now,
+        createdAt: now
+      });
+    } catch (error) {
+      // The feed is best effort - never fail the action itself
+      console.error(`[Board ${boardId}] Failed to record activity:`, error.message);
+    }
+  }
+
+  /**
+   * Activity for a logged operation (null for operations the feed ignores)
+   */
+  fromOperation(op) {
+    switch (op.type) {
+      case 'element:create':
+        return { type: 'element:create', elementIds: [op.elementId], elementType: op.element?.type };
+      case 'element:update':
+      case 'element:delete':
+        return { type: op.type, elementIds: [op.elementId] };
+      case 'elements:batch-update':
+        return { type: 'element:update', elementIds: (op.updates || []).map(u => u.elementId) };
+      case 'page:create':
+      case 'page:update':
+        return { type: op.type, pageId: op.page?.id };
+      case 'page:delete':
+        return { type: op.type, pageId: op.pageId };
+      case 'page:reorder':
+        return { type: op.type };
+      case 'board:reset':
+        return { type: 'board:restore' };
+      default:
+        return null;
+    }
+  }
+
+  contributionField(type) {
+    if (type === 'element:create') return 'created';
+    if (type === 'element:update') return 'updated';
+    if (type === 'element:delete') return 'deleted';
+    if (type === 'board:join') return 'sessions';
+    if (type.startsWith('page:')) return 'pageChanges';
+    return null;
+  }
+
+  async getBoardForMember(boardId, userId) {
+    const board = await Board.findById(boardId);
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!board.getUserRole(userId)) {
+      throw new AppError('Only board members can view board activity', 403);
+    }
+
+    return board;
+  }
+
+  toClient(activity) {
+    return {
+      id: activity._id,
+      type: activity.type,
+      user: activity.user,
+      label: activity.label,
+      elementIds: activity.elementIds || [],
+      elementType: activity.elementType,
+      pageId: activity.pageId,
+      count: activity.count,
+      createdAt: activity.createdAt,
+      lastAt: activity.lastAt
+    };
+  }
+}
+
+module.exports = new BoardActivityService();
@@ -0,0 +1,258 @@
+const Board = require('../models/Board');
+const BoardComment = require('../models/BoardComment');
+const User = require('../models/User');
+const notificationService = require('./notification.service');
+const AppError = require('../utils/AppError');
+
+const AUTHOR_FIELDS = 'name email avatar';
+
+/**
+ * Board Comment Service
+ * Comment threads pinned to board elements or canvas points,
+ * with replies, @mentions and resolve/unresolve.
+ */
+class BoardCommentService {
+  /**
+   * Get comment threads for a board (root comments with their replies)
+   */
+  async getThreads(boardId, userId, options = {}) {
+    const { elementId = null, includeResolved = true } = options;
+    await this.getBoardForMember(boardId, userId);
+
+    const query = { boardId, threadId: null };
+    if (elementId) {
+      query['anchor.elementId'] = elementId;
+    }
+    if (!includeResolved) {
+      query.isResolved = false;
+    }
+
+    const roots = await BoardComment.find(query)
+      .sort({ createdAt: 1 })
+      .populate('author', AUTHOR_FIELDS)
+      .populate('mentions', 'name email')
+      .populate('resolvedBy', 'name email')
+      .lean();
+
+    const replies = await BoardComment.find({ boardId, threadId: { $in: roots.map(r => r._id) } })
+      .sort({ createdAt: 1 })
+      .populate('author', AUTHOR_FIELDS)
+      .populate('mentions', 'name email')
+      .lean();
+
+    const repliesByThread = replies.reduce((acc, reply) => {
+      const key = reply.threadId.toString();
+      (acc[key] = acc[key] || []).push(reply);
+      return acc;
+    }, {});
+
+    return roots.map(root => ({
+      ...root,
+      replies: repliesByThread[root._id.toString()] || []
+    }));
+  }
+
+  /**
+   * Start a new thread anchored to an element or a canvas point
+   */
+  async createThread(boardId, userId, { content, anchor, mentions = [] }) {
+    const board = await this.getBoardForMember(boardId, userId);
+
+    if (!anchor || !['element', 'point'].includes(anchor.type)) {
+      throw new AppError('Comment anchor must be an element or a point', 400);
+    }
+    if (anchor.type === 'element' && !anchor.elementId) {
+      throw new AppError('Element anchors require an elementId', 400);
+    }
+    if (anchor.type === 'point' && (!Number.isFinite(anchor.x) || !Number.isFinite(anchor.y))) {
+      throw new AppError('Point anchors require x and y coordinates', 400);
+    }
+
+    const validMentions = this.filterMentions(board, userId, mentions);
+    const comment = await BoardComment.create({
+      boardId,
+      anchor: {
+        type: anchor.type,
+        elementId: anchor.type === 'element' ? anchor.elementId : undefined,
+        x: anchor.x,
+        y: anchor.y,
+        pageId: anchor.pageId
+      },
+      author: userId,
+      content,
+      mentions: validMentions
+    });
+
+    await this.notifyMentions(board, userId, comment, validMentions);
+
+    return this.populate(comment);
+  }
+
+  /**
+   * Reply to a thread (replying to a reply adds to the same thread)
+   */
+  async reply(boardId, commentId, userId, { content, mentions = [] }) {
+    const board = await this.getBoardForMember(boardId, userId);
+    const target = await this.getComment(boardId, commentId);
+    const threadId = target.threadId || target._id;
+
+    const validMentions = this.filterMentions(board, userId, mentions);
+    const comment = await BoardComment.create({
+      boardId,
+      threadId,
+      author: userId,
+      content,
+      mentions: validMentions
+    });
+
+    // A new reply reopens a resolved thread
+    await BoardComment.updateOne(
+      { _id: threadId, isResolved: true },
+      { $set: { isResolved: false }, $unset: { resolvedBy: '', resolvedAt: '' } }
+    );
+
+    await this.notifyMentions(board, userId, comment, validMentions);
+
+    return this.populate(comment);
+  }
+
+  /**
+   * Edit a comment (author only). Only newly added mentions are notified.
+   */
+  async updateComment(boardId, commentId, userId, { content, mentions }) {
+    const board = await this.getBoardForMember(boardId, userId);
+    const comment = await this.getComment(boardId, commentId);
+
+    if (comment.author.toString() !== userId.toString()) {
+      throw new AppError('You can only edit your own comments', 403);
+    }
+
+    let newMentions = [];
+    if (mentions !== undefined) {
+      const previous = comment.mentions.map(id => id.toString());
+      const validMentions = this.filterMentions(board, userId, mentions);
+      newMentions = validMentions.filter(id => !previous.includes(id));
+      comment.mentions = validMentions;
+    }
+
+    if (content !== undefined) {
+      comment.content = content;
+    }
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await this.notifyMentions(board, userId, comment, newMentions);
+
+    return this.populate(comment);
+  }
+
+  /**
+   * Delete a comment (author or board owner). Deleting a root removes its thread.
+   */
+  async deleteComment(boardId, commentId, userId) {
+    const board = await this.getBoardForMember(boardId, userId);
+    const comment = await this.getComment(boardId, commentId);
+
+    const isAuthor = comment.author.toString() === userId.toString();
+    const isOwner = board.owner.toString() === userId.toString();
+    if (!isAuthor && !isOwner) {
+      throw new AppError('You can only delete your own comments', 403);
+    }
+
+    if (comment.threadId) {
+      await comment.deleteOne();
+    } else {
+      await BoardComment.deleteMany({ $or: [{ _id: comment._id }, { threadId: comment._id }] });
+    }
+
+    return { commentId: comment._id, threadId: comment.threadId };
+  }
+
+  /**
+   * Resolve or reopen a thread
+   */
+  async setResolved(boardId, commentId, userId, resolved = true) {
+    await this.getBoardForMember(boardId, userId);
+    const comment = await this.getComment(boardId, commentId);
+    const thread = comment.threadId ? await this.getComment(boardId, comment.threadId) : comment;
+
+    thread.isResolved = resolved;
+    thread.resolvedBy = resolved ? userId : undefined;
+    thread.resolvedAt = resolved ? new Date() : undefined;
+    await thread.save();
+
+    return this.populate(thread);
+  }
+
+  /**
+   * Keep mentions of users who can see the comments (the same check as
+   * getBoardForMember, so group members count), minus the author
+   */
+  filterMentions(board, authorId, mentions) {
+    if (!Array.isArray(mentions)) {
+      return [];
+    }
+
+    return [...new Set(mentions.map(id => id.toString()))]
+      .filter(id => id !== authorId.toString() && board.getUserRole(id));
+  }
+
+  /**
+   * Send board_comment notifications to mentioned users
+   */
+  async notifyMentions(board, authorId, comment, userIds) {
+    if (userIds.length === 0) {
+      return;
+    }
+
+    const author = await User.findById(authorId).select('name');
+
+    await Promise.all(userIds.map(async (mentionedId) => {
+      try {
+        const notification = await notificationService.notifyBoardComment(mentionedId, board, author, comment);
+
+        // Loaded lazily - the socket layer requires this service
+        const { getIO } = require('../socket');
+        const { emitNotificationToUser } = require('../socket/notificationNamespace');
+        emitNotificationToUser(getIO(), mentionedId, notification);
+      } catch (err) {
+        console.error('Failed to send mention notification:', err.message);
+      }
+    }));
+  }
+
+  async getBoardForMember(boardId, userId) {
+    const board = await Board.findById(boardId);
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!board.getUserRole(userId)) {
+      throw new AppError('Only board members can view or add comments', 403);
+    }
+
+    return board;
+  }
+
+  async getComment(boardId, commentId) {
+    const comment = await BoardComment.findOne({ _id: commentId, boardId });
+
+    if (!comment) {
+      throw new AppError('Comment not found', 404);
+    }
+
+    return comment;
+  }
+
+  async populate(comment) {
+    await comment.populate('author', AUTHOR_FIELDS);
+    await comment.populate('mentions', 'name email');
+    if (comment.resolvedBy) {
+      await comment.populate('resolvedBy', 'name email');
+    }
+    return comment;
+  }
+}
+
+module.exports = new BoardCommentService();
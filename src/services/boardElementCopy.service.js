@@ -0,0 +1,87 @@
+const BoardElementCopy = require('../models/BoardElementCopy');
+
+// Elements written per insert while saving a copy
+const BATCH_SIZE = 200;
+
+/**
+ * Board Element Copy Service
+ * Stores and reads back copies of a board's elements kept outside the
+ * document that owns them (snapshots, recordings, templates).
+ * `key` names the copy, e.g. { snapshotId } or { recordingId, seq }, and
+ * may carry the boardId it was taken from.
+ */
+class BoardElementCopyService {
+  /**
+   * Save elements (an array or any async iterable) as the copy named by `key`.
+   * Resolves to the number of elements saved.
+   */
+  async save(key, elements) {
+    let batch = [];
+    let position = 0;
+
+    for await (const element of elements) {
+      batch.push({ ...key, position: position++, element });
+
+      if (batch.length === BATCH_SIZE) {
+        await BoardElementCopy.insertMany(batch);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await BoardElementCopy.insertMany(batch);
+    }
+
+    return position;
+  }
+
+  /**
+   * Stream the elements of a copy in order, one at a time
+   */
+  async *stream(key) {
+    const cursor = BoardElementCopy.find(this.toQuery(key))
+      .sort({ position: 1 })
+      .select('element')
+      .lean()
+      .cursor({ batchSize: BATCH_SIZE });
+
+    for await (const copy of cursor) {
+      yield copy.element;
+    }
+  }
+
+  /**
+   * All elements of a copy, in order
+   */
+  async load(key) {
+    const elements = [];
+    for await (const element of this.stream(key)) {
+      elements.push(element);
+    }
+    return elements;
+  }
+
+  /**
+   * Copy the elements of one copy into another
+   */
+  async copy(fromKey, toKey) {
+    return this.save(toKey, this.stream(fromKey));
+  }
+
+  /**
+   * Delete a copy (or every copy matching a broader key, e.g. { boardId })
+   */
+  async remove(key) {
+    await BoardElementCopy.deleteMany(this.toQuery(key));
+  }
+
+  /**
+   * Query for a key. The boardId only labels where a copy came from, so it
+   * is left out unless it is the whole key.
+   */
+  toQuery({ boardId, ...key }) {
+    return Object.keys(key).length > 0 ? key : { boardId };
+  }
+}
+
+module.exports = new BoardElementCopyService();
@@ -0,0 +1,702 @@
+const PDFDocument = require('pdfkit');
+const Board = require('../models/Board');
+const BoardElement = require('../models/BoardElement');
+const PlatformSettings = require('../models/PlatformSettings');
+const boardService = require('./board.service');
+const boardSyncService = require('./boardSync.service');
+const AppError = require('../utils/AppError');
+const { indexKey } = require('../utils/fractionalIndex');
+
+const EXPORT_FORMATS = ['svg', 'pdf', 'json'];
+const { DEFAULT_PAGE_ID } = Board;
+const PADDING = 32;
+// PDF viewers reject pages larger than 200 inches
+const MAX_PDF_SIZE = 14400;
+const THUMBNAIL_WIDTH = 320;
+const MAX_THUMBNAIL_LENGTH = 256 * 1024;
+
+// tldraw's default palette
+const COLORS = {
+  black: '#1d1d1d',
+  grey: '#9fa8b2',
+  'light-violet': '#e085f4',
+  violet: '#ae3ec9',
+  blue: '#4465e9',
+  'light-blue': '#4ba1f1',
+  yellow: '#f1ac4b',
+  orange: '#e16919',
+  green: '#099268',
+  'light-green': '#4cb05e',
+  'light-red': '#f87777',
+  red: '#e03131',
+  white: '#ffffff'
+};
+
+const FILL_TINTS = {
+  black: '#e8e8e8',
+  grey: '#eceef0',
+  'light-violet': '#f5eafa',
+  violet: '#ecdcf2',
+  blue: '#dce1f8',
+  'light-blue': '#ddedfa',
+  yellow: '#f9f0e6',
+  orange: '#f8e2d4',
+  green: '#d3e9e3',
+  'light-green': '#dbf0e0',
+  'light-red': '#f4dadb',
+  red: '#f4dadb',
+  white: '#ffffff'
+};
+
+const STROKE_WIDTHS = { s: 2, m: 3.5, l: 5, xl: 10 };
+const FONT_SIZES = { s: 18, m: 24, l: 36, xl: 44 };
+
+/**
+ * Board Export Service
+ * Renders stored board elements to SVG/PDF, exports and imports
+ * tldraw (.tldr) documents, and keeps Board.thumbnail up to date.
+ */
+class BoardExportService {
+  /**
+   * Export a board in the requested format. SVG and PDF render one page
+   * (the first unless pageId is given); JSON includes every page.
+   */
+  async exportBoard(boardId, userId, format = 'svg', pageId = null) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new AppError(`Unsupported export format. Use one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const board = await Board.findById(boardId);
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!board.hasAccess(userId)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const pages = board.getPages();
+    if (pageId && !pages.some(page => page.id === pageId)) {
+      throw new AppError('Page not found', 404);
+    }
+
+    const fileName = this.toFileName(board.title);
+
+    if (format === 'json') {
+      const allElements = await boardSyncService.getBoardElements(boardId);
+      return {
+        contentType: 'application/json',
+        fileName: `${fileName}.tldr`,
+        body: JSON.stringify(this.toTldr(board, allElements), null, 2)
+      };
+    }
+
+    const firstPageId = pages[0].id;
+    const elements = await boardSyncService.getBoardElements(boardId, pageId || firstPageId);
+
+    if (!pageId || pageId === firstPageId) {
+      await this.updateThumbnail(board, elements);
+    }
+
+    if (format === 'pdf') {
+      return {
+        contentType: 'application/pdf',
+        fileName: `${fileName}.pdf`,
+        body: await this.renderPdf(board.title, elements)
+      };
+    }
+
+    return {
+      contentType: 'image/svg+xml',
+      fileName: `${fileName}.svg`,
+      body: this.renderSvg(elements)
+    };
+  }
+
+  /**
+   * Create a new board from a tldraw .tldr file
+   */
+  async importTldr(userId, buffer, { title } = {}) {
+    let file;
+    try {
+      file = JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+      throw new AppError('Invalid .tldr file: not valid JSON', 400);
+    }
+
+    if (!file || !Array.isArray(file.records)) {
+      throw new AppError('Invalid .tldr file: missing records', 400);
+    }
+
+    const pages = file.records.filter(r => r && r.typeName === 'page');
+    const shapes = file.records.filter(r => r && r.typeName === 'shape' && r.id && r.type);
+    const document = file.records.find(r => r && r.typeName === 'document');
+
+    const settings = await PlatformSettings.getSettings();
+    const maxElements = settings.storage?.maxBoardElements || 10000;
+    if (shapes.length > maxElements) {
+      throw new AppError(`This file has ${shapes.length} shapes; boards are limited to ${maxElements}`, 400);
+    }
+
+    // The canvas opens on the default page, so map the file's first page onto it
+    const sortedPages = [...pages].sort((a, b) => (a.index > b.index ? 1 : -1));
+    const firstPageId = sortedPages.length > 0 ? sortedPages[0].id : DEFAULT_PAGE_ID;
+    const boardPages = sortedPages.length > 0
+      ? sortedPages.map((page, i) => ({
+        id: i === 0 ? DEFAULT_PAGE_ID : page.id,
+        name: (page.name || `Page ${i + 1}`).substring(0, 100)
+      }))
+      : [{ id: DEFAULT_PAGE_ID, name: 'Page 1' }];
+
+    const board = await boardService.createBoard(userId, {
+      title: (title || document?.name || 'Imported board').substring(0, 100),
+      description: 'Imported from tldraw'
+    });
+
+    const now = new Date();
+    const docs = boardSyncService.assignPageIds(shapes.map(shape => ({
+      ...boardSyncService.sanitizeChanges(shape),
+      parentId: shape.parentId === firstPageId ? DEFAULT_PAGE_ID : shape.parentId,
+      boardId: board._id,
+      id: shape.id,
+      createdBy: userId,
+      createdAt: now,
+      updatedAt: now
+    })));
+
+    try {
+      if (docs.length > 0) {
+        await BoardElement.insertMany(docs, { ordered: false });
+      }
+    } catch (error) {
+      await BoardElement.deleteMany({ boardId: board._id });
+      await board.deleteOne();
+      throw error.code === 11000
+        ? new AppError('Invalid .tldr file: duplicate shape ids', 400)
+        : error;
+    }
+
+    board.elementCount = docs.length;
+    board.pages = boardPages;
+    await this.updateThumbnail(
+      board,
+      docs.filter(el => el.pageId === DEFAULT_PAGE_ID).map(el => boardSyncService.toClientElement(el))
+    );
+    await board.save();
+
+    return board;
+  }
+
+  /**
+   * Small SVG preview of elements as a data URI (null when too large to store)
+   */
+  renderThumbnail(elements) {
+    const svg = this.renderSvg(elements, { width: THUMBNAIL_WIDTH, includeText: false });
+    const thumbnail = `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+
+    return thumbnail.length > MAX_THUMBNAIL_LENGTH ? null : thumbnail;
+  }
+
+  /**
+   * Render a small SVG preview into Board.thumbnail
+   */
+  async updateThumbnail(board, elements) {
+    const thumbnail = this.renderThumbnail(elements);
+
+    // Very large boards keep their previous thumbnail rather than bloating the board document
+    if (!thumbnail || thumbnail === board.thumbnail) {
+      return;
+    }
+
+    board.thumbnail = thumbnail;
+    await Board.updateOne({ _id: board._id }, { $set: { thumbnail } });
+  }
+
+  /**
+   * Build a tldraw file document from stored elements
+   */
+  toTldr(board, elements) {
+    return {
+      tldrawFileFormatVersion: 1,
+      schema: { schemaVersion: 2, sequences: {} },
+      records: [
+        {
+          typeName: 'document',
+          id: 'document:document',
+          name: board.title,
+          gridSize: 10,
+          meta: {}
+        },
+        ...board.getPages().map((page, i) => ({
+          typeName: 'page',
+          id: page.id,
+          name: page.name,
+          index: indexKey(i),
+          meta: {}
+        })),
+        ...elements
+      ]
+    };
+  }
+
+  /**
+   * Render elements to an SVG string
+   */
+  renderSvg(elements, options = {}) {
+    const { includeText = true } = options;
+    const tree = this.buildTree(elements);
+    const bounds = this.getBounds(tree);
+    const viewWidth = bounds.maxX - bounds.minX;
+    const viewHeight = bounds.maxY - bounds.minY;
+
+    const width = options.width || Math.ceil(viewWidth);
+    const height = Math.ceil(options.width ? viewHeight * (options.width / viewWidth) : viewHeight);
+
+    const renderNode = (node) => {
+      const { shape, children } = node;
+      const body = this.shapePrimitives(shape, includeText)
+        .map(p => this.primitiveToSvg(p))
+        .join('');
+      const nested = children.map(renderNode).join('');
+      const rotation = shape.rotation ? ` rotate(${this.toDegrees(shape.rotation)})` : '';
+      const opacity = shape.opacity !== undefined && shape.opacity !== 1 ? ` opacity="${shape.opacity}"` : '';
+
+      return `<g transform="translate(${shape.x || 0} ${shape.y || 0})${rotation}"${opacity}>${body}${nested}</g>`;
+    };
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" `,
+      `viewBox="${bounds.minX} ${bounds.minY} ${viewWidth} ${viewHeight}">`,
+      `<rect x="${bounds.minX}" y="${bounds.minY}" width="${viewWidth}" height="${viewHeight}" fill="#ffffff"/>`,
+      tree.map(renderNode).join(''),
+      '</svg>'
+    ].join('');
+  }
+
+  /**
+   * Render elements to a single-page PDF sized to the board content
+   */
+  renderPdf(title, elements) {
+    const tree = this.buildTree(elements);
+    const bounds = this.getBounds(tree);
+    const contentWidth = bounds.maxX - bounds.minX;
+    const contentHeight = bounds.maxY - bounds.minY;
+    const scale = Math.min(1, MAX_PDF_SIZE / Math.max(contentWidth, contentHeight));
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: [Math.ceil(contentWidth * scale), Math.ceil(contentHeight * scale)],
+        margin: 0,
+        info: { Title: title, Creator: 'Collabry' }
+      });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.scale(scale);
+      doc.translate(-bounds.minX, -bounds.minY);
+
+      const renderNode = (node) => {
+        const { shape, children } = node;
+        doc.save();
+        doc.translate(shape.x || 0, shape.y || 0);
+        if (shape.rotation) {
+          doc.rotate(this.toDegrees(shape.rotation), { origin: [0, 0] });
+        }
+        if (shape.opacity !== undefined && shape.opacity !== 1) {
+          doc.opacity(shape.opacity);
+        }
+
+        this.shapePrimitives(shape, true).forEach(p => this.drawPdfPrimitive(doc, p));
+        children.forEach(renderNode);
+        doc.restore();
+      };
+
+      tree.forEach(renderNode);
+      doc.end();
+    });
+  }
+
+  /**
+   * Nest shapes under their parent shapes; page-level shapes are roots
+   */
+  buildTree(elements) {
+    const nodes = new Map();
+    elements
+      .filter(el => el && el.id && el.type)
+      .sort((a, b) => ((a.index || '') > (b.index || '') ? 1 : -1))
+      .forEach(shape => nodes.set(shape.id, { shape, children: [] }));
+
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = nodes.get(node.shape.parentId);
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    return roots;
+  }
+
+  /**
+   * Page-space bounding box of the root shapes, with padding
+   */
+  getBounds(roots) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    roots.forEach(({ shape }) => {
+      const local = this.getLocalBounds(shape);
+      const corners = [
+        [local.minX, local.minY], [local.maxX, local.minY],
+        [local.maxX, local.maxY], [local.minX, local.maxY]
+      ];
+      const cos = Math.cos(shape.rotation || 0);
+      const sin = Math.sin(shape.rotation || 0);
+
+      corners.forEach(([cx, cy]) => {
+        const x = (shape.x || 0) + cx * cos - cy * sin;
+        const y = (shape.y || 0) + cx * sin + cy * cos;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      });
+    });
+
+    if (minX === Infinity) {
+      return { minX: 0, minY: 0, maxX: 400, maxY: 300 };
+    }
+
+    return {
+      minX: minX - PADDING,
+      minY: minY - PADDING,
+      maxX: maxX + PADDING,
+      maxY: maxY + PADDING
+    };
+  }
+
+  /**
+   * Bounding box of a shape in its own coordinate space
+   */
+  getLocalBounds(shape) {
+    const props = shape.props || {};
+    const points = this.getShapePoints(shape);
+
+    if (points.length > 0) {
+      return {
+        minX: Math.min(...points.map(p => p.x)),
+        minY: Math.min(...points.map(p => p.y)),
+        maxX: Math.max(...points.map(p => p.x)),
+        maxY: Math.max(...points.map(p => p.y))
+      };
+    }
+
+    if (shape.type === 'note') {
+      return { minX: 0, minY: 0, maxX: 200, maxY: 200 + (props.growY || 0) };
+    }
+
+    if (shape.type === 'text') {
+      const text = this.getShapeText(shape);
+      const fontSize = this.getFontSize(shape);
+      const lines = text.split('\n');
+      const longest = Math.max(...lines.map(l => l.length), 1);
+      return {
+        minX: 0,
+        minY: 0,
+        maxX: props.w || longest * fontSize * 0.6,
+        maxY: lines.length * fontSize * 1.35
+      };
+    }
+
+    return { minX: 0, minY: 0, maxX: props.w || 100, maxY: (props.h || 100) + (props.growY || 0) };
+  }
+
+  /**
+   * Freehand, line and arrow points in shape space
+   */
+  getShapePoints(shape) {
+    const props = shape.props || {};
+    const scale = props.scale || 1;
+
+    if (shape.type === 'draw' || shape.type === 'highlight') {
+      return (props.segments || [])
+        .flatMap(segment => segment.points || [])
+        .map(p => ({ x: p.x * scale, y: p.y * scale }));
+    }
+
+    if (shape.type === 'line') {
+      const points = Array.isArray(props.points) ? props.points : Object.values(props.points || {});
+      return points
+        .sort((a, b) => ((a.index || '') > (b.index || '') ? 1 : -1))
+        .map(p => ({ x: p.x, y: p.y }));
+    }
+
+    if (shape.type === 'arrow' && props.start && props.end) {
+      return [
+        { x: props.start.x || 0, y: props.start.y || 0 },
+        { x: props.end.x || 0, y: props.end.y || 0 }
+      ];
+    }
+
+    return [];
+  }
+
+  /**
+   * Describe a shape as drawing primitives (paths and text) in shape space
+   */
+  shapePrimitives(shape, includeText) {
+    const props = shape.props || {};
+    const stroke = COLORS[props.color] || COLORS.black;
+    const strokeWidth = (STROKE_WIDTHS[props.size] || STROKE_WIDTHS.m) * (props.scale || 1);
+    const fill = this.getFill(props);
+    const text = includeText ? this.getShapeText(shape) : '';
+    const primitives = [];
+
+    switch (shape.type) {
+      case 'geo': {
+        const w = props.w || 100;
+        const h = (props.h || 100) + (props.growY || 0);
+        primitives.push({ kind: 'path', d: this.geoPath(props.geo, w, h), stroke, fill, strokeWidth });
+        if (text) {
+          primitives.push({ kind: 'text', text, x: 0, y: h / 2, width: w, fontSize: this.getFontSize(shape), color: stroke, align: 'middle', centerY: true });
+        }
+        break;
+      }
+      case 'note': {
+        const h = 200 + (props.growY || 0);
+        primitives.push({ kind: 'path', d: this.rectPath(200, h), fill: FILL_TINTS[props.color] || FILL_TINTS.yellow, stroke: null });
+        if (text) {
+          primitives.push({ kind: 'text', text, x: 0, y: h / 2, width: 200, fontSize: this.getFontSize(shape), color: COLORS.black, align: 'middle', centerY: true });
+        }
+        break;
+      }
+      case 'text':
+        if (text) {
+          primitives.push({ kind: 'text', text, x: 0, y: 0, width: props.w, fontSize: this.getFontSize(shape), color: stroke, align: 'start' });
+        }
+        break;
+      case 'draw':
+      case 'highlight':
+      case 'line': {
+        const points = this.getShapePoints(shape);
+        if (points.length > 0) {
+          const isHighlight = shape.type === 'highlight';
+          primitives.push({
+            kind: 'path',
+            d: this.polylinePath(points, props.isClosed),
+            stroke,
+            fill: props.isClosed ? fill : null,
+            strokeWidth: isHighlight ? strokeWidth * 4 : strokeWidth,
+            strokeOpacity: isHighlight ? 0.35 : 1
+          });
+        }
+        break;
+      }
+      case 'arrow': {
+        const points = this.getShapePoints(shape);
+        if (points.length === 2) {
+          primitives.push({ kind: 'path', d: this.polylinePath(points), stroke, fill: null, strokeWidth });
+          if (props.arrowheadEnd !== 'none') {
+            primitives.push({ kind: 'path', d: this.arrowheadPath(points[0], points[1], strokeWidth), stroke, fill: null, strokeWidth });
+          }
+          if (props.arrowheadStart && props.arrowheadStart !== 'none') {
+            primitives.push({ kind: 'path', d: this.arrowheadPath(points[1], points[0], strokeWidth), stroke, fill: null, strokeWidth });
+          }
+          if (text) {
+            primitives.push({
+              kind: 'text',
+              text,
+              x: (points[0].x + points[1].x) / 2,
+              y: (points[0].y + points[1].y) / 2,
+              fontSize: this.getFontSize(shape),
+              color: stroke,
+              align: 'middle',
+              centerY: true
+            });
+          }
+        }
+        break;
+      }
+      case 'frame': {
+        const w = props.w || 100;
+        const h = props.h || 100;
+        primitives.push({ kind: 'path', d: this.rectPath(w, h), stroke: COLORS.grey, fill: '#ffffff', strokeWidth: 1 });
+        if (includeText && props.name) {
+          primitives.push({ kind: 'text', text: props.name, x: 0, y: -20, fontSize: 12, color: COLORS.grey, align: 'start' });
+        }
+        break;
+      }
+      case 'group':
+        break;
+      default: {
+        // Media and embeds are drawn as labelled placeholders
+        const w = props.w || 100;
+        const h = props.h || 100;
+        primitives.push({ kind: 'path', d: this.rectPath(w, h), stroke: COLORS.grey, fill: '#f5f5f5', strokeWidth: 1 });
+        if (includeText) {
+          primitives.push({ kind: 'text', text: shape.type, x: 0, y: h / 2, width: w, fontSize: 14, color: COLORS.grey, align: 'middle', centerY: true });
+        }
+      }
+    }
+
+    return primitives;
+  }
+
+  /**
+   * Plain text of a shape (tldraw v3+ stores rich text as a TipTap document)
+   */
+  getShapeText(shape) {
+    const props = shape.props || {};
+
+    if (typeof props.text === 'string') {
+      return props.text;
+    }
+
+    const collect = (node) => {
+      if (!node) return '';
+      if (node.type === 'text') return node.text || '';
+      if (node.type === 'hardBreak') return '\n';
+      const inner = (node.content || []).map(collect).join('');
+      return node.type === 'paragraph' ? `${inner}\n` : inner;
+    };
+
+    return collect(props.richText).replace(/\n+$/, '');
+  }
+
+  getFontSize(shape) {
+    const props = shape.props || {};
+    return (FONT_SIZES[props.size] || FONT_SIZES.m) * (props.scale || 1);
+  }
+
+  getFill(props) {
+    if (!props.fill || props.fill === 'none') {
+      return null;
+    }
+    if (props.fill === 'solid') {
+      return FILL_TINTS[props.color] || FILL_TINTS.black;
+    }
+    // semi and pattern fills
+    return '#f8f9fa';
+  }
+
+  rectPath(w, h) {
+    return `M0 0 L${w} 0 L${w} ${h} L0 ${h} Z`;
+  }
+
+  geoPath(geo, w, h) {
+    switch (geo) {
+      case 'ellipse':
+      case 'oval': {
+        const rx = w / 2;
+        const ry = h / 2;
+        return `M0 ${ry} A${rx} ${ry} 0 1 0 ${w} ${ry} A${rx} ${ry} 0 1 0 0 ${ry} Z`;
+      }
+      case 'triangle':
+        return `M${w / 2} 0 L${w} ${h} L0 ${h} Z`;
+      case 'diamond':
+        return `M${w / 2} 0 L${w} ${h / 2} L${w / 2} ${h} L0 ${h / 2} Z`;
+      default:
+        return this.rectPath(w, h);
+    }
+  }
+
+  polylinePath(points, closed = false) {
+    const [first, ...rest] = points;
+    const d = `M${first.x} ${first.y}${rest.map(p => ` L${p.x} ${p.y}`).join('')}`;
+    return closed ? `${d} Z` : d;
+  }
+
+  arrowheadPath(from, to, strokeWidth) {
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const length = Math.max(12, strokeWidth * 4);
+    const spread = Math.PI / 7;
+    const left = { x: to.x - length * Math.cos(angle - spread), y: to.y - length * Math.sin(angle - spread) };
+    const right = { x: to.x - length * Math.cos(angle + spread), y: to.y - length * Math.sin(angle + spread) };
+    return `M${left.x} ${left.y} L${to.x} ${to.y} L${right.x} ${right.y}`;
+  }
+
+  primitiveToSvg(p) {
+    if (p.kind === 'path') {
+      const attrs = [
+        `d="${p.d}"`,
+        `fill="${p.fill || 'none'}"`,
+        p.stroke ? `stroke="${p.stroke}" stroke-width="${p.strokeWidth}" stroke-linecap="round" stroke-linejoin="round"` : '',
+        p.strokeOpacity !== undefined && p.strokeOpacity !== 1 ? `stroke-opacity="${p.strokeOpacity}"` : ''
+      ].filter(Boolean);
+      return `<path ${attrs.join(' ')}/>`;
+    }
+
+    const lines = p.text.split('\n');
+    const lineHeight = p.fontSize * 1.35;
+    const anchorX = p.align === 'middle' ? p.x + (p.width || 0) / 2 : p.x;
+    const startY = p.centerY ? p.y - ((lines.length - 1) * lineHeight) / 2 : p.y + p.fontSize;
+    const tspans = lines
+      .map((line, i) => `<tspan x="${anchorX}" y="${startY + i * lineHeight}">${this.escapeXml(line)}</tspan>`)
+      .join('');
+
+    return `<text font-family="sans-serif" font-size="${p.fontSize}" fill="${p.color}" text-anchor="${p.align}"${p.centerY ? ' dominant-baseline="middle"' : ''}>${tspans}</text>`;
+  }
+
+  drawPdfPrimitive(doc, p) {
+    if (p.kind === 'path') {
+      doc.save();
+      doc.path(p.d);
+      if (p.stroke) {
+        doc.lineWidth(p.strokeWidth).lineCap('round').lineJoin('round').strokeColor(p.stroke);
+        if (p.strokeOpacity !== undefined) {
+          doc.strokeOpacity(p.strokeOpacity);
+        }
+      }
+      if (p.fill && p.stroke) {
+        doc.fillColor(p.fill).fillAndStroke();
+      } else if (p.fill) {
+        doc.fillColor(p.fill).fill();
+      } else {
+        doc.stroke();
+      }
+      doc.restore();
+      return;
+    }
+
+    const lineCount = p.text.split('\n').length;
+    const blockHeight = lineCount * p.fontSize * 1.2;
+    const y = p.centerY ? p.y - blockHeight / 2 : p.y;
+    const options = { lineBreak: true };
+
+    if (p.width) {
+      options.width = p.width;
+      options.align = p.align === 'middle' ? 'center' : 'left';
+    }
+
+    doc.save();
+    doc.font('Helvetica').fontSize(p.fontSize).fillColor(p.color);
+    doc.text(p.text, p.x, y, options);
+    doc.restore();
+  }
+
+  toDegrees(radians) {
+    return (radians * 180) / Math.PI;
+  }
+
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  toFileName(title) {
+    return (title || 'board').replace(/[^a-z0-9-_ ]/gi, '').trim().replace(/\s+/g, '-').toLowerCase() || 'board';
+  }
+}
+
+module.exports = new BoardExportService();
@@ -0,0 +1,264 @@
+const Board = require('../models/Board');
+const Group = require('../models/Group');
+const AppError = require('../utils/AppError');
+
+/**
+ * Board Group Service
+ * Sharing boards with study groups. Each grant keeps a copy of the group's
+ * member IDs so access checks stay synchronous; group membership changes
+ * are pushed to every board the group can open.
+ */
+class BoardGroupService {
+  /**
+   * Groups the board is shared with
+   */
+  async getBoardGroups(boardId, userId) {
+    const board = await Board.findById(boardId)
+      .select('owner members groups ownerGroup isPublic')
+      .populate('groups.groupId', 'name avatar')
+      .populate('groups.addedBy', 'name email');
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!board.hasAccess(userId)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    // Grants of groups deleted mid-sync populate to null
+    return board.groups
+      .filter(grant => grant.groupId)
+      .map(grant => this.toClient(grant, board));
+  }
+
+  /**
+   * Share the board with a group (owner only). The owner must belong to the group.
+   * Resolves to { board, group, changes } where changes are the members whose role moved.
+   */
+  async shareWithGroup(boardId, userId, { groupId, role = 'editor' }) {
+    const board = await this.getOwnedBoard(boardId, userId);
+
+    if (board.groups.some(g => g.groupId.toString() === groupId.toString())) {
+      throw new AppError('The board is already shared with this group', 400);
+    }
+
+    const group = await this.getGroupForMember(groupId, userId);
+
+    const changes = this.trackRoleChanges(board, this.getMemberIds(group), () => {
+      board.groups.push({
+        groupId: group._id,
+        role,
+        memberIds: this.getMemberIds(group),
+        addedBy: userId
+      });
+    });
+
+    await board.save();
+
+    return { board, group: this.toClient(board.groups[board.groups.length - 1], board, group), changes };
+  }
+
+  /**
+   * Change the role a group has on the board (owner only)
+   */
+  async updateGroupRole(boardId, userId, groupId, role) {
+    const board = await this.getOwnedBoard(boardId, userId);
+    const grant = this.getGrant(board, groupId);
+
+    const changes = this.trackRoleChanges(board, grant.memberIds, () => {
+      grant.role = role;
+    });
+
+    await board.save();
+
+    return { board, group: this.toClient(grant, board), changes };
+  }
+
+  /**
+   * Stop sharing the board with a group (owner only)
+   */
+  async removeGroup(boardId, userId, groupId) {
+    const board = await this.getOwnedBoard(boardId, userId);
+    const grant = this.getGrant(board, groupId);
+
+    if (board.ownerGroup && board.ownerGroup.toString() === groupId.toString()) {
+      throw new AppError('The board belongs to this group and cannot be unshared from it', 400);
+    }
+
+    const changes = this.trackRoleChanges(board, grant.memberIds, () => {
+      board.groups.pull(grant._id);
+    });
+
+    await board.save();
+
+    return { board, changes };
+  }
+
+  /**
+   * Grant for a board created on behalf of a group (the creator must be a member)
+   */
+  async getOwnerGroupGrant(groupId, userId) {
+    const group = await this.getGroupForMember(groupId, userId);
+
+    return {
+      groupId: group._id,
+      role: 'editor',
+      memberIds: this.getMemberIds(group),
+      addedBy: userId
+    };
+  }
+
+  /**
+   * Copy the group's current members onto every board shared with it and
+   * update the open board sessions of members who joined or left.
+   * Called after any change to the group's membership.
+   */
+  async syncGroupMembers(groupId) {
+    const group = await Group.findById(groupId).select('members');
+
+    if (!group) {
+      return this.removeGroupFromBoards(groupId);
+    }
+
+    const memberIds = this.getMemberIds(group);
+    const memberKey = memberIds.map(id => id.toString()).sort().join();
+    const boards = await Board.find({ 'groups.groupId': groupId });
+
+    for (const board of boards) {
+      const grant = this.getGrant(board, groupId);
+
+      if (grant.memberIds.map(id => id.toString()).sort().join() === memberKey) {
+        continue;
+      }
+
+      const changes = this.trackRoleChanges(board, [...grant.memberIds, ...memberIds], () => {
+        grant.memberIds = memberIds;
+      });
+
+      await board.save();
+      this.applyRoleChanges(board, changes);
+    }
+  }
+
+  /**
+   * Drop a deleted group's grants; group-owned boards stay with their owner
+   */
+  async removeGroupFromBoards(groupId) {
+    const boards = await Board.find({ 'groups.groupId': groupId });
+
+    for (const board of boards) {
+      const grant = this.getGrant(board, groupId);
+
+      const changes = this.trackRoleChanges(board, grant.memberIds, () => {
+        board.groups.pull(grant._id);
+        if (board.ownerGroup && board.ownerGroup.toString() === groupId.toString()) {
+          board.ownerGroup = null;
+        }
+      });
+
+      await board.save();
+      this.applyRoleChanges(board, changes);
+    }
+  }
+
+  /**
+   * Apply `mutate` to the board and report users whose effective role changed.
+   * Returns [{ userId, role }] with role null when access was lost.
+   */
+  trackRoleChanges(board, userIds, mutate) {
+    const unique = [...new Set(userIds.map(id => id.toString()))];
+    const before = new Map(unique.map(id => [id, board.getUserRole(id)]));
+
+    mutate();
+
+    return unique
+      .map(id => ({ userId: id, role: board.getUserRole(id) }))
+      .filter(({ userId, role }) => before.get(userId) !== role);
+  }
+
+  /**
+   * Push role changes to members' open board sessions
+   */
+  applyRoleChanges(board, changes) {
+    if (changes.length === 0) {
+      return;
+    }
+
+    try {
+      // Loaded lazily - the socket layer requires the board services
+      const { getIO } = require('../socket');
+      const { applyMemberRoleChange } = require('../socket/boardNamespace');
+      const io = getIO();
+
+      changes.forEach(({ userId, role }) => {
+        applyMemberRoleChange(io, board._id, userId, role, board.isPublic);
+      });
+    } catch (err) {
+      console.error('Failed to update live board sessions:', err.message);
+    }
+  }
+
+  getMemberIds(group) {
+    return group.members.filter(m => m.user).map(m => m.user);
+  }
+
+  getGrant(board, groupId) {
+    const grant = board.groups.find(g => (g.groupId._id || g.groupId).toString() === groupId.toString());
+
+    if (!grant) {
+      throw new AppError('The board is not shared with this group', 404);
+    }
+
+    return grant;
+  }
+
+  async getOwnedBoard(boardId, userId) {
+    const board = await Board.findById(boardId);
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (board.owner.toString() !== userId.toString()) {
+      throw new AppError('Only the board owner can manage group access', 403);
+    }
+
+    return board;
+  }
+
+  async getGroupForMember(groupId, userId) {
+    const group = await Group.findById(groupId).select('name avatar members');
+
+    if (!group) {
+      throw new AppError('Group not found', 404);
+    }
+
+    if (!group.members.some(m => m.user && m.user.toString() === userId.toString())) {
+      throw new AppError('You can only share boards with groups you belong to', 403);
+    }
+
+    return group;
+  }
+
+  /**
+   * Grant without the member list (which can be long)
+   */
+  toClient(grant, board, group = null) {
+    const groupRef = group || grant.groupId;
+    const groupId = groupRef._id || groupRef;
+
+    return {
+      groupId,
+      name: groupRef.name,
+      avatar: groupRef.avatar,
+      role: grant.role,
+      memberCount: grant.memberIds.length,
+      addedBy: grant.addedBy,
+      addedAt: grant.addedAt,
+      isOwnerGroup: !!board.ownerGroup && board.ownerGroup.toString() === groupId.toString()
+    };
+  }
+}
+
+module.exports = new BoardGroupService();
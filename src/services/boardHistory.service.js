@@ -0,0 +1,299 @@
+const BoardElement = require('../models/BoardElement');
+const BoardHistoryEntry = require('../models/BoardHistoryEntry');
+const boardSyncService = require('./boardSync.service');
+
+const MAX_STACK_SIZE = 100;
+
+/**
+ * Board History Service
+ * Per-user, per-board undo/redo stacks. Each entry keeps the state before
+ * and after a step; undoing only reverts fields that still hold the value
+ * the user left them at, so later edits by other users are never clobbered.
+ */
+class BoardHistoryService {
+  /**
+   * Record the result of a board operation on the user's undo stack
+   * and clear their redo stack. type: create | update | delete | batch
+   */
+  async record(boardId, userId, type, result) {
+    const entry = this.toEntry(type, result);
+
+    if (!entry) {
+      return;
+    }
+
+    try {
+      await BoardHistoryEntry.deleteMany({ boardId, userId, stack: 'redo' });
+      await this.push(boardId, userId, 'undo', entry);
+    } catch (error) {
+      // History is best effort - never fail the edit itself
+      console.error(`[Board ${boardId}] Failed to record history:`, error.message);
+    }
+  }
+
+  /**
+   * Undo the user's most recent step
+   */
+  async undo(boardId, userId) {
+    return this.step(boardId, userId, 'undo', 'redo');
+  }
+
+  /**
+   * Redo the user's most recently undone step
+   */
+  async redo(boardId, userId) {
+    return this.step(boardId, userId, 'redo', 'undo');
+  }
+
+  /**
+   * Elements (and parents they would be restored under) the next undo/redo touches
+   */
+  async peek(boardId, userId, stack) {
+    const entry = await BoardHistoryEntry.findOne({ boardId, userId, stack })
+      .sort({ _id: -1 })
+      .lean();
+
+    if (!entry) {
+      return { elementIds: [], parentIds: [] };
+    }
+
+    // Updates may move elements between parents in either direction
+    const items = entry.kind === 'batch' ? entry.items : [entry];
+    const parentIds = items
+      .flatMap(item => [item.before?.parentId, item.after?.parentId])
+      .filter(Boolean);
+
+    return { elementIds: items.map(item => item.elementId), parentIds };
+  }
+
+  /**
+   * Pop an entry from one stack, apply it, and push what was applied onto the other
+   */
+  async step(boardId, userId, from, to) {
+    const entry = await BoardHistoryEntry.findOneAndDelete(
+      { boardId, userId, stack: from },
+      { sort: { _id: -1 }, lean: true }
+    );
+
+    if (!entry) {
+      return { applied: false, reason: `Nothing to ${from}`, operations: [], conflicts: [] };
+    }
+
+    const outcome = await boardSyncService.withBoardLock(boardId, () =>
+      this.applyEntry(boardId, userId, entry, from === 'undo')
+    );
+
+    if (outcome.entry) {
+      await this.push(boardId, userId, to, outcome.entry);
+    }
+
+    return {
+      applied: outcome.operations.length > 0,
+      reason: outcome.operations.length > 0 ? null : 'Changed by another user since',
+      operations: outcome.operations,
+      conflicts: outcome.conflicts
+    };
+  }
+
+  /**
+   * Apply an entry in either direction. Must run inside the board lock.
+   * Returns the operations applied, what was skipped, and the entry for the opposite stack.
+   */
+  async applyEntry(boardId, userId, entry, isUndo) {
+    const { kind, elementId } = entry;
+    const operations = [];
+    const conflicts = [];
+
+    // Creating and deleting are mirror images
+    const removes = (kind === 'create' && isUndo) || (kind === 'delete' && !isUndo);
+    const restores = (kind === 'create' && !isUndo) || (kind === 'delete' && isUndo);
+
+    if (removes) {
+      const expected = kind === 'create' ? entry.after : entry.before;
+      const current = await BoardElement.findOne({ boardId, id: elementId }).lean();
+
+      const view = current && boardSyncService.toClientElement(current);
+      if (!view || !this.matches(view, expected, Object.keys(expected))) {
+        conflicts.push({ elementId, reason: current ? 'modified' : 'missing' });
+        return { operations, conflicts, entry: null };
+      }
+
+      const result = await boardSyncService.applyDelete(boardId, userId, elementId);
+      operations.push({ type: 'delete', result });
+      return { operations, conflicts, entry: this.withoutId(entry) };
+    }
+
+    if (restores) {
+      const element = kind === 'create' ? entry.after : entry.before;
+
+      if (await BoardElement.exists({ boardId, id: elementId })) {
+        conflicts.push({ elementId, reason: 'exists' });
+        return { operations, conflicts, entry: null };
+      }
+
+      const result = await boardSyncService.applyCreate(boardId, userId, element);
+      operations.push({ type: 'create', result });
+      return { operations, conflicts, entry: this.withoutId(entry) };
+    }
+
+    const items = kind === 'batch'
+      ? entry.items
+      : [{ elementId, before: entry.before, after: entry.after }];
+
+    const current = await BoardElement.find({ boardId, id: { $in: items.map(i => i.elementId) } }).lean();
+    const currentById = new Map(current.map(el => [el.id, el]));
+    const appliedItems = [];
+
+    items.forEach(item => {
+      const doc = currentById.get(item.elementId);
+      const expected = isUndo ? item.after : item.before;
+      const target = isUndo ? item.before : item.after;
+
+      if (!doc) {
+        conflicts.push({ elementId: item.elementId, reason: 'missing' });
+        return;
+      }
+
+      // Only touch fields nobody else has changed since
+      const keys = Object.keys(target).filter(key => this.matches(doc, expected, [key]));
+      const skipped = Object.keys(target).filter(key => !keys.includes(key));
+
+      if (skipped.length > 0) {
+        conflicts.push({ elementId: item.elementId, reason: 'modified', fields: skipped });
+      }
+
+      if (keys.length > 0) {
+        appliedItems.push({
+          elementId: item.elementId,
+          before: this.pick(item.before, keys),
+          after: this.pick(item.after, keys),
+          changes: this.pick(target, keys)
+        });
+      }
+    });
+
+    if (appliedItems.length === 0) {
+      return { operations, conflicts, entry: null };
+    }
+
+    if (kind === 'batch') {
+      const result = await boardSyncService.applyBatchUpdate(
+        boardId,
+        userId,
+        appliedItems.map(({ elementId: id, changes }) => ({ elementId: id, changes }))
+      );
+      operations.push({ type: 'batch', result });
+      return {
+        operations,
+        conflicts,
+        entry: { kind, items: appliedItems.map(({ changes, ...item }) => item) }
+      };
+    }
+
+    const [item] = appliedItems;
+    const result = await boardSyncService.applyUpdate(boardId, userId, item.elementId, item.changes);
+    operations.push({ type: 'update', result });
+    return {
+      operations,
+      conflicts,
+      entry: { kind, elementId, before: item.before, after: item.after }
+    };
+  }
+
+  /**
+   * Turn a board operation result into a history entry
+   */
+  toEntry(type, result) {
+    if (!result || result.seq === null || result.seq === undefined) {
+      return null;
+    }
+
+    if (type === 'create' || (type === 'update' && result.created)) {
+      return { kind: 'create', elementId: result.element.id, after: result.element };
+    }
+
+    if (type === 'update') {
+      return { kind: 'update', elementId: result.element.id, before: result.previous, after: result.changes };
+    }
+
+    if (type === 'delete') {
+      return { kind: 'delete', elementId: result.elementId, before: result.element };
+    }
+
+    if (type === 'batch') {
+      const afterById = new Map(result.updates.map(u => [u.elementId, boardSyncService.sanitizeChanges(u.changes)]));
+      const items = (result.previous || []).map(({ elementId, changes }) => ({
+        elementId,
+        before: changes,
+        after: afterById.get(elementId)
+      }));
+      return items.length > 0 ? { kind: 'batch', items } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Push onto a stack, dropping the oldest entries beyond the limit
+   */
+  async push(boardId, userId, stack, entry) {
+    await BoardHistoryEntry.create({ ...entry, boardId, userId, stack });
+
+    const stale = await BoardHistoryEntry.find({ boardId, userId, stack })
+      .sort({ _id: -1 })
+      .skip(MAX_STACK_SIZE)
+      .select('_id')
+      .lean();
+
+    if (stale.length > 0) {
+      await BoardHistoryEntry.deleteMany({ _id: { $in: stale.map(e => e._id) } });
+    }
+  }
+
+  /**
+   * Drop the user's stacks for a board (e.g. after a full reset)
+   */
+  async clear(boardId, userId = null) {
+    const query = { boardId };
+    if (userId) {
+      query.userId = userId;
+    }
+    await BoardHistoryEntry.deleteMany(query);
+  }
+
+  /**
+   * Whether `doc` still holds `expected`'s values for the given keys (unset counts as null)
+   */
+  matches(doc, expected, keys) {
+    return keys.every(key => this.isEqual(doc[key] ?? null, expected[key] ?? null));
+  }
+
+  isEqual(a, b) {
+    if (a === b) return true;
+    if (a instanceof Date || b instanceof Date) {
+      return new Date(a).getTime() === new Date(b).getTime();
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+      return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(key => this.isEqual(a[key], b[key]));
+  }
+
+  pick(obj, keys) {
+    return keys.reduce((acc, key) => {
+      acc[key] = obj[key] === undefined ? null : obj[key];
+      return acc;
+    }, {});
+  }
+
+  withoutId({ _id, __v, boardId, userId, stack, createdAt, ...entry }) {
+    return entry;
+  }
+}
+
+module.exports = new BoardHistoryService();
@@ -0,0 +1,240 @@
+const Board = require('../models/Board');
+const BoardElement = require('../models/BoardElement');
+const boardHistoryService = require('./boardHistory.service');
+const boardSyncService = require('./boardSync.service');
+const AppError = require('../utils/AppError');
+
+const { DEFAULT_PAGE_ID } = Board;
+const MAX_PAGES = 50;
+
+/**
+ * Board Page Service
+ * Pages of a board: create, rename, reorder, delete, and viewer-only pages
+ * that only the owner may change. Page changes go through the board's
+ * operation log so reconnecting clients see them in order.
+ */
+class BoardPageService {
+  /**
+   * List pages in order with the number of elements on each
+   */
+  async getPages(boardId, userId) {
+    const board = await Board.findById(boardId).select('owner members groups isPublic pages');
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!board.hasAccess(userId)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const counts = await BoardElement.aggregate([
+      { $match: { boardId: board._id } },
+      { $group: { _id: { $ifNull: ['$pageId', DEFAULT_PAGE_ID] }, count: { $sum: 1 } } }
+    ]);
+    const countByPage = new Map(counts.map(c => [c._id, c.count]));
+
+    return board.getPages().map(page => ({
+      ...this.toPage(page),
+      elementCount: countByPage.get(page.id) || 0
+    }));
+  }
+
+  /**
+   * Add a page at the end (or at `position`)
+   */
+  async createPage(boardId, userId, { name, position } = {}) {
+    return boardSyncService.withBoardLock(boardId, async () => {
+      const board = await this.getEditableBoard(boardId, userId);
+      const pages = board.getPages().map(page => this.toPage(page));
+
+      if (pages.length >= MAX_PAGES) {
+        throw new AppError(`Boards are limited to ${MAX_PAGES} pages`, 400);
+      }
+
+      const page = {
+        id: `page:${boardSyncService.generateId()}`,
+        name: (name || `Page ${pages.length + 1}`).trim().substring(0, 100),
+        viewerOnly: false,
+        createdAt: new Date()
+      };
+
+      const at = Number.isInteger(position) ? Math.max(0, Math.min(position, pages.length)) : pages.length;
+      pages.splice(at, 0, page);
+      await Board.updateOne({ _id: boardId }, { $set: { pages } });
+
+      const seq = await boardSyncService.nextSeq(boardId, 0);
+      await boardSyncService.recordOperation(boardId, seq, userId, { type: 'page:create', page, pageIds: pages.map(p => p.id) });
+
+      return { page, pageIds: pages.map(p => p.id), seq };
+    });
+  }
+
+  /**
+   * Rename a page or change whether it is viewer-only (owner only)
+   */
+  async updatePage(boardId, userId, pageId, { name, viewerOnly } = {}) {
+    return boardSyncService.withBoardLock(boardId, async () => {
+      const board = await this.getEditableBoard(boardId, userId);
+      const isOwner = board.getUserRole(userId) === 'owner';
+      const pages = board.getPages().map(page => this.toPage(page));
+      const page = pages.find(p => p.id === pageId);
+
+      if (!page) {
+        throw new AppError('Page not found', 404);
+      }
+
+      if (viewerOnly !== undefined && !isOwner) {
+        throw new AppError('Only the board owner can change page permissions', 403);
+      }
+
+      if (page.viewerOnly && !isOwner) {
+        throw new AppError('This page is viewer-only', 403);
+      }
+
+      const changes = {};
+      if (name !== undefined) {
+        changes.name = name.trim().substring(0, 100);
+        if (!changes.name) {
+          throw new AppError('Page name cannot be empty', 400);
+        }
+      }
+      if (viewerOnly !== undefined) {
+        changes.viewerOnly = !!viewerOnly;
+      }
+
+      Object.assign(page, changes);
+      await Board.updateOne({ _id: boardId }, { $set: { pages } });
+
+      const seq = await boardSyncService.nextSeq(boardId, 0);
+      await boardSyncService.recordOperation(boardId, seq, userId, { type: 'page:update', pageId, page });
+
+      return { page, seq };
+    });
+  }
+
+  /**
+   * Put pages in a new order. pageIds must list every page exactly once.
+   */
+  async reorderPages(boardId, userId, pageIds = []) {
+    return boardSyncService.withBoardLock(boardId, async () => {
+      const board = await this.getEditableBoard(boardId, userId);
+      const pages = board.getPages().map(page => this.toPage(page));
+      const byId = new Map(pages.map(page => [page.id, page]));
+
+      const isPermutation = pageIds.length === pages.length
+        && new Set(pageIds).size === pageIds.length
+        && pageIds.every(id => byId.has(id));
+
+      if (!isPermutation) {
+        throw new AppError('pageIds must list every page of the board exactly once', 400);
+      }
+
+      const ordered = pageIds.map(id => byId.get(id));
+      await Board.updateOne({ _id: boardId }, { $set: { pages: ordered } });
+
+      const seq = await boardSyncService.nextSeq(boardId, 0);
+      await boardSyncService.recordOperation(boardId, seq, userId, { type: 'page:reorder', pageIds });
+
+      return { pages: ordered, seq };
+    });
+  }
+
+  /**
+   * Delete a page and everything on it. The last page can't be deleted.
+   * Undo history is dropped since its steps may point at the page's elements.
+   */
+  async deletePage(boardId, userId, pageId) {
+    return boardSyncService.withBoardLock(boardId, async () => {
+      const board = await this.getEditableBoard(boardId, userId);
+      const pages = board.getPages().map(page => this.toPage(page));
+      const page = pages.find(p => p.id === pageId);
+
+      if (!page) {
+        throw new AppError('Page not found', 404);
+      }
+
+      if (!board.canEditPage(userId, pageId)) {
+        throw new AppError('This page is viewer-only', 403);
+      }
+
+      if (pages.length === 1) {
+        throw new AppError('A board needs at least one page', 400);
+      }
+
+      const remaining = pages.filter(p => p.id !== pageId);
+      await Board.updateOne({ _id: boardId }, { $set: { pages: remaining } });
+      const { deletedCount } = await BoardElement.deleteMany({
+        boardId,
+        pageId: boardSyncService.pageFilter(pageId)
+      });
+
+      const seq = await boardSyncService.nextSeq(boardId, -deletedCount);
+      await boardSyncService.recordOperation(boardId, seq, userId, { type: 'page:delete', pageId });
+      await boardHistoryService.clear(boardId);
+
+      return { pageId, deletedElements: deletedCount, seq };
+    });
+  }
+
+  /**
+   * Ids of pages the user may not change elements on
+   * (viewer-only pages for everyone except the owner)
+   */
+  async getReadOnlyPageIds(boardId, role) {
+    if (role === 'owner') {
+      return [];
+    }
+
+    const board = await Board.findById(boardId).select('pages').lean();
+    return (board?.pages || []).filter(page => page.viewerOnly).map(page => page.id);
+  }
+
+  /**
+   * Pages an element operation touches: the pages of the elements themselves
+   * and of any new parents they are moved under
+   */
+  async getAffectedPageIds(boardId, { elementIds = [], parentIds = [] }) {
+    const pageIds = new Set();
+
+    if (elementIds.length > 0) {
+      const elements = await BoardElement.find({ boardId, id: { $in: elementIds } })
+        .select('pageId')
+        .lean();
+      elements.forEach(el => pageIds.add(el.pageId || DEFAULT_PAGE_ID));
+    }
+
+    for (const parentId of new Set(parentIds)) {
+      pageIds.add(await boardSyncService.resolvePageId(boardId, parentId));
+    }
+
+    return Array.from(pageIds);
+  }
+
+  /**
+   * Load a board and make sure the user can change its contents
+   */
+  async getEditableBoard(boardId, userId) {
+    const board = await Board.findById(boardId);
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!board.canEdit(userId)) {
+      throw new AppError('Only the board owner or editors can manage pages', 403);
+    }
+
+    return board;
+  }
+
+  /**
+   * Plain page record
+   */
+  toPage(page) {
+    const { id, name, viewerOnly = false, createdAt } = page.toObject ? page.toObject() : page;
+    return { id, name, viewerOnly, createdAt };
+  }
+}
+
+module.exports = new BoardPageService();
@@ -0,0 +1,351 @@
+const Board = require('../models/Board');
+const BoardRecording = require('../models/BoardRecording');
+const BoardRecordingEvent = require('../models/BoardRecordingEvent');
+const BoardSnapshot = require('../models/BoardSnapshot');
+const boardElementCopyService = require('./boardElementCopy.service');
+const boardSyncService = require('./boardSync.service');
+const config = require('../config/env');
+const AppError = require('../utils/AppError');
+
+const MAX_REPLAY_PAGE = 5000;
+
+/**
+ * Board Recording Service
+ * Records board sessions (e.g. tutoring) for timelapse playback.
+ * The board owner starts and stops recording; anyone with access to the
+ * board can replay finished sessions. Operations are captured as they are
+ * logged, since the operation log only keeps a rolling window.
+ */
+class BoardRecordingService {
+  /**
+   * Start recording the board (owner only, one recording at a time)
+   */
+  async startRecording(boardId, userId, { title } = {}) {
+    await this.getOwnedBoard(boardId, userId);
+    await this.expireStale(boardId);
+
+    if (await BoardRecording.exists({ boardId, status: 'recording' })) {
+      throw new AppError('This board is already being recorded', 409);
+    }
+
+    // Starting state and the seq it corresponds to must match exactly, and
+    // every operation after that seq must find the recording to be captured
+    const { recording, elements } = await boardSyncService.withBoardLock(boardId, async () => {
+      const [current, board] = await Promise.all([
+        boardSyncService.getBoardElements(boardId),
+        Board.findById(boardId)
+      ]);
+
+      try {
+        const created = await BoardRecording.create({
+          boardId,
+          title: title || `Session ${new Date().toISOString()}`,
+          startedBy: userId,
+          startSeq: board.seq || 0,
+          pages: board.getPages().map(page => (page.toObject ? page.toObject() : page))
+        });
+        return { recording: created, elements: current };
+      } catch (error) {
+        // Lost a race with another start
+        if (error.code === 11000) {
+          throw new AppError('This board is already being recorded', 409);
+        }
+        throw error;
+      }
+    });
+
+    try {
+      await boardElementCopyService.save(this.copyKey(recording, recording.startSeq), elements);
+    } catch (error) {
+      await this.discard(recording._id);
+      throw error;
+    }
+
+    return this.toSummary(recording);
+  }
+
+  /**
+   * Stop the board's recording in progress (owner only)
+   */
+  async stopRecording(boardId, userId) {
+    await this.getOwnedBoard(boardId, userId);
+
+    const recording = await BoardRecording.findOne({ boardId, status: 'recording' });
+
+    if (!recording) {
+      throw new AppError('This board is not being recorded', 404);
+    }
+
+    const finished = await this.finish(recording, 'stopped', new Date());
+    return this.toSummary(finished);
+  }
+
+  /**
+   * The recording in progress on a board, if any
+   */
+  async getActiveRecording(boardId) {
+    await this.expireStale(boardId);
+
+    const recording = await BoardRecording.findOne({ boardId, status: 'recording' })
+      .select('-pages')
+      .lean();
+
+    return recording ? this.toSummary(recording) : null;
+  }
+
+  /**
+   * List recorded sessions (newest first)
+   */
+  async getRecordings(boardId, userId, options = {}) {
+    const { limit = 20, skip = 0 } = options;
+    await this.getViewableBoard(boardId, userId);
+    await this.expireStale(boardId);
+
+    const [recordings, total] = await Promise.all([
+      BoardRecording.find({ boardId })
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-pages')
+        .populate('startedBy', 'name email')
+        .lean(),
+      BoardRecording.countDocuments({ boardId })
+    ]);
+
+    return { recordings: recordings.map(r => this.toSummary(r)), total };
+  }
+
+  /**
+   * Operations of a finished session in order, with their offset from the start.
+   * The first page (no `after`) also carries the board as it was when recording started.
+   */
+  async getReplay(boardId, recordingId, userId, options = {}) {
+    const { after = null, limit = 1000 } = options;
+    await this.getViewableBoard(boardId, userId);
+    await this.expireStale(boardId);
+
+    const recording = await BoardRecording.findOne({ _id: recordingId, boardId })
+      .populate('startedBy', 'name email')
+      .lean();
+
+    if (!recording) {
+      throw new AppError('Session not found', 404);
+    }
+
+    if (recording.status === 'recording') {
+      throw new AppError('This session is still being recorded', 409);
+    }
+
+    const pageSize = Math.min(Math.max(limit, 1), MAX_REPLAY_PAGE);
+    const query = { recordingId: recording._id };
+    if (after !== null) {
+      query.seq = { $gt: after };
+    }
+
+    const events = await BoardRecordingEvent.find(query)
+      .sort({ seq: 1 })
+      .limit(pageSize + 1)
+      .lean();
+
+    const hasMore = events.length > pageSize;
+    const page = hasMore ? events.slice(0, pageSize) : events;
+
+    const operations = [];
+    for (const event of page) {
+      operations.push({
+        ...(await this.withResetElements(recording, event)),
+        offsetMs: event.offsetMs,
+        at: event.at
+      });
+    }
+
+    const replay = {
+      session: this.toSummary(recording),
+      operations,
+      hasMore
+    };
+
+    if (after === null) {
+      replay.elements = await boardElementCopyService.load(this.copyKey(recording, recording.startSeq));
+      replay.pages = recording.pages;
+    }
+
+    return replay;
+  }
+
+  /**
+   * Delete a recorded session (owner only)
+   */
+  async deleteRecording(boardId, recordingId, userId) {
+    await this.getOwnedBoard(boardId, userId);
+
+    const recording = await BoardRecording.findOneAndDelete({ _id: recordingId, boardId });
+
+    if (!recording) {
+      throw new AppError('Session not found', 404);
+    }
+
+    await this.discard(recording._id);
+
+    return { message: 'Session deleted successfully' };
+  }
+
+  /**
+   * Capture a just-logged operation into the board's recording in progress.
+   * Resets also keep a copy of the board they restored, since the snapshot
+   * they point to may be gone by replay time.
+   */
+  async captureOperation(boardId, op) {
+    const recording = await BoardRecording.findOne({ boardId, status: 'recording' })
+      .select('boardId startedAt')
+      .lean();
+
+    if (!recording) {
+      return;
+    }
+
+    // Past the length limit - expireStale closes the recording there
+    const offsetMs = Math.max(op.createdAt - recording.startedAt, 0);
+    if (offsetMs > config.boards.maxRecordingMinutes * 60 * 1000) {
+      return;
+    }
+
+    const operation = boardSyncService.toClientOperation(op);
+
+    if (op.type === 'board:reset' && op.snapshotId) {
+      const snapshot = await BoardSnapshot.findById(op.snapshotId).select('pages').lean();
+      operation.pages = snapshot ? snapshot.pages : [];
+      if (snapshot) {
+        await boardElementCopyService.copy({ snapshotId: snapshot._id }, this.copyKey(recording, op.seq));
+      }
+    }
+
+    await BoardRecordingEvent.create({
+      recordingId: recording._id,
+      boardId,
+      seq: op.seq,
+      offsetMs,
+      at: op.createdAt,
+      operation
+    });
+  }
+
+  /**
+   * Close a recording that outlived the length limit, keeping what fell inside it
+   */
+  async expireStale(boardId) {
+    const maxMs = config.boards.maxRecordingMinutes * 60 * 1000;
+    const recording = await BoardRecording.findOne({
+      boardId,
+      status: 'recording',
+      startedAt: { $lte: new Date(Date.now() - maxMs) }
+    });
+
+    if (recording) {
+      await this.finish(recording, 'time-limit', new Date(recording.startedAt.getTime() + maxMs));
+    }
+  }
+
+  /**
+   * Mark the recording completed and total up the operations captured before it ended
+   */
+  async finish(recording, reason, endedAt) {
+    const claimed = await BoardRecording.findOneAndUpdate(
+      { _id: recording._id, status: 'recording' },
+      { $set: { status: 'completed', endedAt, endReason: reason } },
+      { new: true }
+    );
+
+    // Someone else stopped it first
+    if (!claimed) {
+      return BoardRecording.findById(recording._id);
+    }
+
+    // Captured while the recording was being closed
+    await BoardRecordingEvent.deleteMany({ recordingId: claimed._id, at: { $gt: endedAt } });
+
+    const [operationCount, last] = await Promise.all([
+      BoardRecordingEvent.countDocuments({ recordingId: claimed._id }),
+      BoardRecordingEvent.findOne({ recordingId: claimed._id }).sort({ seq: -1 }).select('seq').lean()
+    ]);
+
+    const endSeq = last ? last.seq : claimed.startSeq;
+
+    claimed.endSeq = endSeq;
+    claimed.operationCount = operationCount;
+    claimed.durationMs = Math.max(endedAt - claimed.startedAt, 0);
+    claimed.truncated = operationCount !== endSeq - claimed.startSeq;
+    await claimed.save();
+
+    return claimed;
+  }
+
+  /**
+   * A recorded operation for playback, with the board a reset restored
+   * (recordings made before copies were kept have it inline)
+   */
+  async withResetElements(recording, event) {
+    const { operation } = event;
+
+    if (operation.type !== 'board:reset' || operation.elements) {
+      return operation;
+    }
+
+    return { ...operation, elements: await boardElementCopyService.load(this.copyKey(recording, event.seq)) };
+  }
+
+  /**
+   * Delete a recording with its events and element copies
+   */
+  async discard(recordingId) {
+    await BoardRecording.deleteOne({ _id: recordingId });
+    await BoardRecordingEvent.deleteMany({ recordingId });
+    await boardElementCopyService.remove({ recordingId });
+  }
+
+  /**
+   * Key of a recording's element copy taken at a board sequence number
+   */
+  copyKey(recording, seq) {
+    return { recordingId: recording._id, seq, boardId: recording.boardId };
+  }
+
+  async getOwnedBoard(boardId, userId) {
+    const board = await Board.findById(boardId).select('owner');
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (board.owner.toString() !== userId.toString()) {
+      throw new AppError('Only the board owner can record sessions', 403);
+    }
+
+    return board;
+  }
+
+  async getViewableBoard(boardId, userId) {
+    const board = await Board.findById(boardId).select('owner members groups isPublic');
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!board.hasAccess(userId)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    return board;
+  }
+
+  /**
+   * Session metadata without the starting pages
+   */
+  toSummary(recording) {
+    const obj = recording.toObject ? recording.toObject() : { ...recording };
+    delete obj.pages;
+    return obj;
+  }
+}
+
+module.exports = new BoardRecordingService();
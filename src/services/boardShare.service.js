@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const Board = require('../models/Board');
+const BoardShareLink = require('../models/BoardShareLink');
+const config = require('../config/env');
+const AppError = require('../utils/AppError');
+
+/**
+ * Board Share Service
+ * Token links that grant view or edit access to a board without membership
+ */
+class BoardShareService {
+  /**
+   * Create a share link (owner only). The raw token is only returned here.
+   */
+  async createShareLink(boardId, userId, data = {}) {
+    await this.getOwnedBoard(boardId, userId);
+
+    const expiresAt = this.resolveExpiry(data);
+    const token = crypto.randomBytes(24).toString('hex');
+
+    const link = await BoardShareLink.create({
+      boardId,
+      tokenHash: this.hashToken(token),
+      tokenPreview: token.slice(-6),
+      scope: data.scope || 'view',
+      label: data.label,
+      password: data.password || undefined,
+      expiresAt,
+      createdBy: userId
+    });
+
+    return {
+      ...link.toJSON(),
+      token,
+      url: `${config.frontendUrl}/boards/${boardId}?share=${token}`
+    };
+  }
+
+  /**
+   * List a board's share links (owner only)
+   */
+  async getShareLinks(boardId, userId, { includeRevoked = false } = {}) {
+    await this.getOwnedBoard(boardId, userId);
+
+    const query = { boardId };
+    if (!includeRevoked) {
+      query.revokedAt = null;
+    }
+
+    return BoardShareLink.find(query)
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email');
+  }
+
+  /**
+   * Revoke a share link (owner only)
+   */
+  async revokeShareLink(boardId, linkId, userId) {
+    await this.getOwnedBoard(boardId, userId);
+
+    const link = await BoardShareLink.findOneAndUpdate(
+      { _id: linkId, boardId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!link) {
+      throw new AppError('Share link not found', 404);
+    }
+
+    return link;
+  }
+
+  /**
+   * Validate a raw token (and password, if the link has one).
+   * Pass boardId to make sure the token belongs to that board.
+   */
+  async resolveShareToken(token, password, boardId = null) {
+    if (!token || typeof token !== 'string') {
+      throw new AppError('Share link not found', 404);
+    }
+
+    const link = await BoardShareLink.findOne({ tokenHash: this.hashToken(token) }).select('+password');
+
+    if (!link || (boardId && link.boardId.toString() !== boardId.toString())) {
+      throw new AppError('Share link not found', 404);
+    }
+
+    if (!link.isActive) {
+      throw new AppError('This share link has expired or been revoked', 410);
+    }
+
+    if (!(await link.comparePassword(password))) {
+      throw new AppError(password ? 'Incorrect share link password' : 'This share link requires a password', 401);
+    }
+
+    const board = await Board.findById(link.boardId);
+
+    if (!board || board.isArchived) {
+      throw new AppError('Board not found', 404);
+    }
+
+    await BoardShareLink.updateOne(
+      { _id: link._id },
+      { $set: { lastUsedAt: new Date() }, $inc: { useCount: 1 } }
+    );
+
+    return { link, board };
+  }
+
+  /**
+   * Work out the expiry date from either expiresAt or expiresInHours
+   */
+  resolveExpiry({ expiresAt, expiresInHours }) {
+    if (expiresInHours) {
+      return new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000);
+    }
+
+    if (!expiresAt) {
+      return null;
+    }
+
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      throw new AppError('Expiry must be a future date', 400);
+    }
+
+    return date;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  async getOwnedBoard(boardId, userId) {
+    const board = await Board.findById(boardId);
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (board.owner.toString() !== userId.toString()) {
+      throw new AppError('Only the board owner can manage share links', 403);
+    }
+
+    return board;
+  }
+}
+
+module.exports = new BoardShareService();
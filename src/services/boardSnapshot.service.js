@@ -0,0 +1,292 @@
+const Board = require('../models/Board');
+const BoardSnapshot = require('../models/BoardSnapshot');
+const boardElementCopyService = require('./boardElementCopy.service');
+const boardHistoryService = require('./boardHistory.service');
+const boardSyncService = require('./boardSync.service');
+const config = require('../config/env');
+const AppError = require('../utils/AppError');
+
+/**
+ * Board Snapshot Service
+ * Version history for study boards: named snapshots, automatic snapshots
+ * while a board is in use, and restoring a board to an earlier snapshot.
+ * Snapshot elements live in BoardElementCopy, keyed by snapshotId.
+ */
+class BoardSnapshotService {
+  /**
+   * Create a named snapshot of the board's current elements
+   */
+  async createSnapshot(boardId, userId, { name, description } = {}) {
+    await this.getEditableBoard(boardId, userId);
+
+    const snapshot = await this.takeSnapshot(boardId, userId, {
+      name: name || `Snapshot ${new Date().toISOString()}`,
+      description,
+      trigger: 'manual'
+    });
+
+    return this.toSummary(snapshot);
+  }
+
+  /**
+   * Take an automatic snapshot. Skipped when nothing changed since the last one.
+   * Every instance with someone on the board runs the timer, so each interval
+   * is claimed on the board first and only the instance that wins takes it.
+   */
+  async createAutoSnapshot(boardId) {
+    const intervalMs = config.boards.snapshotIntervalMinutes * 60 * 1000;
+    const now = new Date();
+
+    // Half an interval of slack for timers that started at different times
+    const board = await Board.findOneAndUpdate(
+      {
+        _id: boardId,
+        $or: [
+          { autoSnapshotAt: null },
+          { autoSnapshotAt: { $lte: new Date(now.getTime() - intervalMs / 2) } }
+        ]
+      },
+      { $set: { autoSnapshotAt: now } },
+      { projection: { seq: 1 }, timestamps: false }
+    );
+
+    if (!board) {
+      return null;
+    }
+
+    const latest = await BoardSnapshot.findOne({ boardId })
+      .sort({ createdAt: -1 })
+      .select('seq');
+
+    if (latest && latest.seq === board.seq) {
+      return null;
+    }
+
+    const snapshot = await this.takeSnapshot(boardId, null, {
+      name: `Auto-save ${new Date().toISOString()}`,
+      trigger: 'auto'
+    });
+
+    await this.pruneAutoSnapshots(boardId);
+
+    return this.toSummary(snapshot);
+  }
+
+  /**
+   * List snapshots (newest first) with element-count diffs
+   * against the previous snapshot and against the current board
+   */
+  async getSnapshots(boardId, userId, options = {}) {
+    const { limit = 20, skip = 0 } = options;
+
+    const board = await Board.findById(boardId).select('owner members groups isPublic elementCount');
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!board.hasAccess(userId)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    // Fetch one extra so the oldest snapshot on the page still gets a diff
+    const [snapshots, total] = await Promise.all([
+      BoardSnapshot.find({ boardId })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit + 1)
+        .populate('createdBy', 'name email')
+        .lean(),
+      BoardSnapshot.countDocuments({ boardId })
+    ]);
+
+    const page = snapshots.slice(0, limit).map((snapshot, i) => {
+      const previous = snapshots[i + 1];
+
+      return {
+        ...snapshot,
+        diff: {
+          sincePrevious: previous ? snapshot.elementCount - previous.elementCount : null,
+          toCurrent: (board.elementCount || 0) - snapshot.elementCount
+        }
+      };
+    });
+
+    return { snapshots: page, total, currentElementCount: board.elementCount || 0 };
+  }
+
+  /**
+   * Get a single snapshot including its elements
+   */
+  async getSnapshot(boardId, snapshotId, userId) {
+    const board = await Board.findById(boardId).select('owner members groups isPublic');
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!board.hasAccess(userId)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const snapshot = await BoardSnapshot.findOne({ _id: snapshotId, boardId })
+      .populate('createdBy', 'name email')
+      .lean();
+
+    if (!snapshot) {
+      throw new AppError('Snapshot not found', 404);
+    }
+
+    return { ...snapshot, elements: await boardElementCopyService.load({ snapshotId: snapshot._id }) };
+  }
+
+  /**
+   * Restore the board to a snapshot (owner only). The current state is saved
+   * first so the restore can itself be undone. Restoring replaces every page,
+   * including viewer-only pages and locked elements, which is why only the
+   * owner may do it; everyone's undo history no longer applies afterwards.
+   */
+  async restoreSnapshot(boardId, snapshotId, userId) {
+    const board = await Board.findById(boardId).select('owner');
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (board.owner.toString() !== userId.toString()) {
+      throw new AppError('Only the board owner can restore snapshots', 403);
+    }
+
+    const snapshot = await BoardSnapshot.findOne({ _id: snapshotId, boardId });
+
+    if (!snapshot) {
+      throw new AppError('Snapshot not found', 404);
+    }
+
+    const backup = await this.takeSnapshot(boardId, userId, {
+      name: `Before restoring "${snapshot.name}"`.substring(0, 100),
+      trigger: 'restore'
+    });
+
+    const { seq, elements } = await boardSyncService.replaceElements(
+      boardId,
+      userId,
+      boardElementCopyService.stream({ snapshotId: snapshot._id }),
+      snapshot._id,
+      snapshot.pages
+    );
+
+    await boardHistoryService.clear(boardId);
+
+    return {
+      snapshot: this.toSummary(snapshot),
+      backupSnapshotId: backup._id,
+      seq,
+      elements,
+      // Snapshots taken before pages existed leave the current pages alone
+      pages: snapshot.pages.length > 0 ? snapshot.pages : null
+    };
+  }
+
+  /**
+   * Delete a snapshot (owner only)
+   */
+  async deleteSnapshot(boardId, snapshotId, userId) {
+    const board = await Board.findById(boardId).select('owner');
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (board.owner.toString() !== userId.toString()) {
+      throw new AppError('Only the board owner can delete snapshots', 403);
+    }
+
+    const snapshot = await BoardSnapshot.findOneAndDelete({ _id: snapshotId, boardId });
+
+    if (!snapshot) {
+      throw new AppError('Snapshot not found', 404);
+    }
+
+    await boardElementCopyService.remove({ snapshotId: snapshot._id });
+
+    return { message: 'Snapshot deleted successfully' };
+  }
+
+  /**
+   * Copy the board's current pages and elements into a new snapshot
+   */
+  async takeSnapshot(boardId, userId, { name, description, trigger }) {
+    const [{ elements, seq }, board] = await Promise.all([
+      boardSyncService.getSnapshot(boardId),
+      Board.findById(boardId).select('pages')
+    ]);
+
+    const snapshot = new BoardSnapshot({
+      boardId,
+      name,
+      description,
+      trigger,
+      pages: board ? board.getPages().map(page => (page.toObject ? page.toObject() : page)) : [],
+      elementCount: elements.length,
+      seq,
+      createdBy: userId
+    });
+
+    // Elements first, so a listed snapshot always has all of them
+    try {
+      await boardElementCopyService.save({ snapshotId: snapshot._id, boardId }, elements);
+      await snapshot.save();
+    } catch (error) {
+      await boardElementCopyService.remove({ snapshotId: snapshot._id });
+      throw error;
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Keep only the most recent automatic snapshots
+   */
+  async pruneAutoSnapshots(boardId) {
+    const stale = await BoardSnapshot.find({ boardId, trigger: 'auto' })
+      .sort({ createdAt: -1 })
+      .skip(config.boards.maxAutoSnapshots)
+      .select('_id')
+      .lean();
+
+    if (stale.length > 0) {
+      const ids = stale.map(s => s._id);
+      await BoardSnapshot.deleteMany({ _id: { $in: ids } });
+      await boardElementCopyService.remove({ snapshotId: { $in: ids } });
+    }
+  }
+
+  /**
+   * Load a board and make sure the user can change its contents
+   */
+  async getEditableBoard(boardId, userId) {
+    const board = await Board.findById(boardId);
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!board.canEdit(userId)) {
+      throw new AppError('Only the board owner or editors can manage snapshots', 403);
+    }
+
+    return board;
+  }
+
+  /**
+   * Snapshot metadata without the element payload
+   */
+  toSummary(snapshot) {
+    const obj = snapshot.toObject ? snapshot.toObject() : { ...snapshot };
+    delete obj.elements;
+    return obj;
+  }
+}
+
+module.exports = new BoardSnapshotService();
@@ -0,0 +1,629 @@
+const Board = require('../models/Board');
+const BoardElement = require('../models/BoardElement');
+const BoardOperation = require('../models/BoardOperation');
+const boardActivityService = require('./boardActivity.service');
+const AppError = require('../utils/AppError');
+
+const MAX_REPLAY_OPERATIONS = 500;
+// Elements written per insert when replacing a whole board
+const REPLACE_BATCH_SIZE = 200;
+
+const { DEFAULT_PAGE_ID } = Board;
+
+// Fields owned by the server that clients may not overwrite
+const PROTECTED_FIELDS = ['_id', '__v', 'boardId', 'id', 'pageId', 'createdBy', 'createdAt'];
+// A record's kind is fixed once it exists
+const UPDATE_PROTECTED_FIELDS = [...PROTECTED_FIELDS, 'typeName'];
+
+/**
+ * Board Sync Service
+ * Applies element operations as single-document writes on the BoardElement
+ * collection and records them in the per-board operation log with a
+ * monotonic sequence number.
+ */
+class BoardSyncService {
+  constructor() {
+    // boardId -> tail of the pending operation chain for that board
+    this.boardQueues = new Map();
+  }
+
+  /**
+   * Run operations for the same board one at a time so the sequence number
+   * order always matches the order the writes were applied in
+   */
+  async withBoardLock(boardId, fn) {
+    const key = boardId.toString();
+    const previous = this.boardQueues.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn);
+    const tail = run.catch(() => {});
+
+    this.boardQueues.set(key, tail);
+    tail.then(() => {
+      if (this.boardQueues.get(key) === tail) {
+        this.boardQueues.delete(key);
+      }
+    });
+
+    return run;
+  }
+
+  /**
+   * Get all elements of a board (or of one page), shaped for the client
+   */
+  async getBoardElements(boardId, pageId = null) {
+    const query = { boardId };
+    if (pageId) {
+      query.pageId = this.pageFilter(pageId);
+    }
+
+    const elements = await BoardElement.find(query)
+      .sort({ index: 1, createdAt: 1 })
+      .lean();
+
+    return elements.map(el => this.toClientElement(el));
+  }
+
+  /**
+   * Which of the given elements the board owner has locked
+   */
+  async getLockedElementIds(boardId, elementIds) {
+    if (elementIds.length === 0) {
+      return [];
+    }
+
+    const locked = await BoardElement.find({ boardId, id: { $in: elementIds }, isLocked: true })
+      .select('id')
+      .lean();
+
+    return locked.map(el => el.id);
+  }
+
+  /**
+   * Get the board's elements together with the sequence number they correspond to.
+   * Pass pageId to load a single page.
+   */
+  async getSnapshot(boardId, pageId = null) {
+    return this.withBoardLock(boardId, async () => {
+      const [elements, board] = await Promise.all([
+        this.getBoardElements(boardId, pageId),
+        Board.findById(boardId).select('seq').lean()
+      ]);
+
+      return { elements, seq: board ? board.seq || 0 : 0 };
+    });
+  }
+
+  /**
+   * Create an element. Creating an id that already exists updates it instead.
+   */
+  async createElement(boardId, userId, element) {
+    return this.withBoardLock(boardId, () => this.applyCreate(boardId, userId, element));
+  }
+
+  /**
+   * Update an element, creating it if it does not exist yet
+   */
+  async updateElement(boardId, userId, elementId, changes) {
+    return this.withBoardLock(boardId, () => this.applyUpdate(boardId, userId, elementId, changes));
+  }
+
+  /**
+   * Delete an element. Returns seq null when the element was already gone.
+   */
+  async deleteElement(boardId, userId, elementId) {
+    return this.withBoardLock(boardId, () => this.applyDelete(boardId, userId, elementId));
+  }
+
+  /**
+   * Update several existing elements as a single operation
+   */
+  async batchUpdate(boardId, userId, updates) {
+    return this.withBoardLock(boardId, () => this.applyBatchUpdate(boardId, userId, updates));
+  }
+
+  /**
+   * Replace every element on the board (used by snapshot restore).
+   * `elements` may be an array or an async iterable, written in batches as it is read.
+   * Logged as a board:reset so reconnecting clients reload instead of replaying.
+   */
+  async replaceElements(boardId, userId, elements, snapshotId = null, pages = null) {
+    return this.withBoardLock(boardId, async () => {
+      const board = await Board.exists({ _id: boardId });
+      if (!board) {
+        throw new AppError('Board not found', 404);
+      }
+
+      const now = new Date();
+      await BoardElement.deleteMany({ boardId });
+
+      const restored = [];
+      let batch = [];
+      const flush = async () => {
+        if (batch.length > 0) {
+          await BoardElement.insertMany(batch, { ordered: false });
+          batch = [];
+        }
+      };
+
+      for await (const el of elements) {
+        if (!el || !el.id) {
+          continue;
+        }
+
+        const doc = {
+          ...this.sanitizeChanges(el),
+          boardId,
+          id: el.id,
+          createdBy: userId,
+          createdAt: now,
+          updatedAt: now
+        };
+        batch.push(doc);
+        restored.push(this.toClientElement(doc));
+
+        if (batch.length === REPLACE_BATCH_SIZE) {
+          await flush();
+        }
+      }
+      await flush();
+
+      // Pages come from the parent chain, which is only complete once everything is written
+      await this.assignStoredPageIds(boardId);
+
+      const set = { elementCount: restored.length, updatedAt: now, lastActivity: now };
+      if (pages && pages.length > 0) {
+        set.pages = pages;
+      }
+
+      const updated = await Board.findByIdAndUpdate(
+        boardId,
+        {
+          $inc: { seq: 1 },
+          $set: set
+        },
+        { new: true, projection: { seq: 1 } }
+      );
+
+      if (!updated) {
+        throw new AppError('Board not found', 404);
+      }
+
+      await this.recordOperation(boardId, updated.seq, userId, {
+        type: 'board:reset',
+        snapshotId
+      });
+
+      return {
+        seq: updated.seq,
+        elements: restored
+      };
+    });
+  }
+
+  /**
+   * Insert a new element or fall back to updating the existing one
+   */
+  async applyCreate(boardId, userId, element) {
+    const board = await Board.exists({ _id: boardId });
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    const now = new Date();
+    const elementId = element.id || this.generateId();
+    const newElement = {
+      ...this.sanitizeChanges(element),
+      boardId,
+      id: elementId,
+      pageId: await this.resolvePageId(boardId, element.parentId),
+      createdBy: userId,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await BoardElement.updateOne(
+      { boardId, id: elementId },
+      { $setOnInsert: newElement },
+      { upsert: true }
+    );
+
+    if (!result.upsertedCount) {
+      // Element was already created (e.g. client retry) - treat as an update
+      return this.applyUpdate(boardId, userId, elementId, this.sanitizeChanges(element));
+    }
+
+    const cleanElement = this.toClientElement(newElement);
+    const seq = await this.nextSeq(boardId, 1);
+    await this.recordOperation(boardId, seq, userId, {
+      type: 'element:create',
+      elementId,
+      element: cleanElement
+    });
+
+    return { seq, created: true, element: cleanElement };
+  }
+
+  /**
+   * Update an existing element, creating it when it is missing
+   */
+  async applyUpdate(boardId, userId, elementId, changes) {
+    const board = await Board.exists({ _id: boardId });
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    const now = new Date();
+    const setChanges = this.sanitizeChanges(changes, UPDATE_PROTECTED_FIELDS);
+    const set = { ...setChanges, updatedAt: now };
+
+    // Re-parenting can move the element to another page
+    if (setChanges.parentId !== undefined) {
+      set.pageId = await this.resolvePageId(boardId, setChanges.parentId);
+    }
+
+    const before = await BoardElement.findOneAndUpdate(
+      { boardId, id: elementId },
+      { $set: set },
+      { new: false, lean: true }
+    );
+
+    if (!before) {
+      return this.applyCreate(boardId, userId, { ...this.sanitizeChanges(changes), id: elementId });
+    }
+
+    if (set.pageId && set.pageId !== (before.pageId || DEFAULT_PAGE_ID)) {
+      await this.movePageDescendants(boardId, [elementId], set.pageId);
+    }
+
+    const element = this.toClientElement({ ...before, ...setChanges });
+    const seq = await this.nextSeq(boardId, 0);
+    await this.recordOperation(boardId, seq, userId, {
+      type: 'element:update',
+      elementId,
+      changes: setChanges
+    });
+
+    return {
+      seq,
+      created: false,
+      element,
+      changes: setChanges,
+      previous: this.pickPrevious(before, setChanges)
+    };
+  }
+
+  /**
+   * Remove an element, returning the removed element (null seq if already gone)
+   */
+  async applyDelete(boardId, userId, elementId) {
+    const board = await Board.exists({ _id: boardId });
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    const deleted = await BoardElement.findOneAndDelete({ boardId, id: elementId }, { lean: true });
+
+    if (!deleted) {
+      return { seq: null, elementId };
+    }
+
+    const seq = await this.nextSeq(boardId, -1);
+    await this.recordOperation(boardId, seq, userId, {
+      type: 'element:delete',
+      elementId
+    });
+
+    return { seq, elementId, element: this.toClientElement(deleted) };
+  }
+
+  /**
+   * Update several existing elements, returning the values they replaced
+   */
+  async applyBatchUpdate(boardId, userId, updates) {
+    const board = await Board.exists({ _id: boardId });
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    const now = new Date();
+    const sanitized = updates.map(({ elementId, changes }) => ({
+      elementId,
+      changes: this.sanitizeChanges(changes, UPDATE_PROTECTED_FIELDS)
+    }));
+
+    const existing = await BoardElement.find({
+      boardId,
+      id: { $in: sanitized.map(u => u.elementId) }
+    }).lean();
+    const byId = new Map(existing.map(el => [el.id, el]));
+
+    const moved = [];
+    const ops = [];
+    for (const { elementId, changes } of sanitized) {
+      const set = { ...changes, updatedAt: now };
+
+      if (changes.parentId !== undefined) {
+        set.pageId = await this.resolvePageId(boardId, changes.parentId);
+        const current = byId.get(elementId);
+        if (current && set.pageId !== (current.pageId || DEFAULT_PAGE_ID)) {
+          moved.push({ elementId, pageId: set.pageId });
+        }
+      }
+
+      ops.push({ updateOne: { filter: { boardId, id: elementId }, update: { $set: set } } });
+    }
+
+    if (ops.length > 0) {
+      await BoardElement.bulkWrite(ops, { ordered: false });
+    }
+
+    for (const { elementId, pageId } of moved) {
+      await this.movePageDescendants(boardId, [elementId], pageId);
+    }
+
+    const seq = await this.nextSeq(boardId, 0);
+    await this.recordOperation(boardId, seq, userId, {
+      type: 'elements:batch-update',
+      updates: sanitized
+    });
+
+    const previous = sanitized
+      .filter(({ elementId }) => byId.has(elementId))
+      .map(({ elementId, changes }) => ({
+        elementId,
+        changes: this.pickPrevious(byId.get(elementId), changes)
+      }));
+
+    return { seq, updates: sanitized, previous };
+  }
+
+  /**
+   * Page an element with this parent lives on: the parent itself when it is a
+   * page, otherwise the page of the parent shape (frame, group)
+   */
+  async resolvePageId(boardId, parentId) {
+    if (!parentId) {
+      return DEFAULT_PAGE_ID;
+    }
+
+    if (parentId.startsWith('page:')) {
+      return parentId;
+    }
+
+    const parent = await BoardElement.findOne({ boardId, id: parentId }).select('pageId').lean();
+    return parent?.pageId || DEFAULT_PAGE_ID;
+  }
+
+  /**
+   * Set pageId on everything nested under the given elements
+   */
+  async movePageDescendants(boardId, parentIds, pageId) {
+    let frontier = parentIds;
+
+    while (frontier.length > 0) {
+      const children = await BoardElement.find({ boardId, parentId: { $in: frontier } })
+        .select('id')
+        .lean();
+
+      if (children.length === 0) {
+        break;
+      }
+
+      frontier = children.map(child => child.id);
+      await BoardElement.updateMany({ boardId, id: { $in: frontier } }, { $set: { pageId } });
+    }
+  }
+
+  /**
+   * Fill in pageId for a set of elements in memory (imports and templates)
+   */
+  assignPageIds(elements) {
+    const byId = new Map(elements.map(el => [el.id, el]));
+
+    const pageOf = (el, seen = new Set()) => {
+      if (!el.parentId) return DEFAULT_PAGE_ID;
+      if (el.parentId.startsWith('page:')) return el.parentId;
+
+      const parent = byId.get(el.parentId);
+      if (!parent || seen.has(parent.id)) return DEFAULT_PAGE_ID;
+      seen.add(parent.id);
+      return pageOf(parent, seen);
+    };
+
+    return elements.map(el => ({ ...el, pageId: pageOf(el) }));
+  }
+
+  /**
+   * Fill in pageId for every element stored on a board, from their parents
+   */
+  async assignStoredPageIds(boardId) {
+    const stored = await BoardElement.find({ boardId }).select('id parentId').lean();
+
+    const byPage = new Map();
+    this.assignPageIds(stored).forEach(({ id, pageId }) => {
+      if (!byPage.has(pageId)) {
+        byPage.set(pageId, []);
+      }
+      byPage.get(pageId).push(id);
+    });
+
+    for (const [pageId, ids] of byPage) {
+      await BoardElement.updateMany({ boardId, id: { $in: ids } }, { $set: { pageId } });
+    }
+  }
+
+  /**
+   * pageId query condition (the default page also matches elements stored before pages existed)
+   */
+  pageFilter(pageId) {
+    return pageId === DEFAULT_PAGE_ID ? { $in: [DEFAULT_PAGE_ID, null] } : pageId;
+  }
+
+  /**
+   * Values of `changes`' keys before the change (null for keys that were unset)
+   */
+  pickPrevious(doc, changes) {
+    return Object.keys(changes).reduce((acc, key) => {
+      acc[key] = doc[key] === undefined ? null : doc[key];
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Reserve the next sequence number and adjust the denormalized element count
+   */
+  async nextSeq(boardId, elementDelta) {
+    const now = new Date();
+    const inc = { seq: 1 };
+    if (elementDelta) {
+      inc.elementCount = elementDelta;
+    }
+
+    const board = await Board.findByIdAndUpdate(
+      boardId,
+      { $inc: inc, $set: { updatedAt: now, lastActivity: now } },
+      { new: true, projection: { seq: 1 } }
+    );
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    return board.seq;
+  }
+
+  /**
+   * Drop server-owned fields from client supplied changes
+   * @param {Array} protectedFields - Fields to drop; updates also drop typeName
+   */
+  sanitizeChanges(changes = {}, protectedFields = PROTECTED_FIELDS) {
+    return Object.keys(changes).reduce((acc, key) => {
+      if (!protectedFields.includes(key) && !key.startsWith('$')) {
+        acc[key] = changes[key];
+      }
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Get operations after `sinceSeq` for a reconnecting client.
+   * `reset: true` means the log no longer covers the gap and the client
+   * must reload the full board via board:join.
+   */
+  async getOperationsSince(boardId, sinceSeq, limit = MAX_REPLAY_OPERATIONS) {
+    const board = await Board.findById(boardId).select('seq');
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    const latestSeq = board.seq || 0;
+    const fromSeq = Number.isInteger(sinceSeq) ? sinceSeq : -1;
+
+    if (fromSeq < 0 || fromSeq > latestSeq) {
+      return { reset: true, latestSeq, operations: [], hasMore: false };
+    }
+
+    if (fromSeq === latestSeq) {
+      return { reset: false, latestSeq, operations: [], hasMore: false };
+    }
+
+    const operations = await BoardOperation.find({ boardId, seq: { $gt: fromSeq } })
+      .sort({ seq: 1 })
+      .limit(limit + 1)
+      .lean();
+
+    // Log was trimmed (or a write was lost) - the client can't converge by replay
+    const gap = operations.length === 0 ||
+      operations.some((op, i) => op.seq !== (i === 0 ? fromSeq : operations[i - 1].seq) + 1);
+    if (gap) {
+      return { reset: true, latestSeq, operations: [], hasMore: false };
+    }
+
+    // The board was reset (e.g. snapshot restore) - replaying past it is meaningless
+    if (operations.some(op => op.type === 'board:reset')) {
+      return { reset: true, latestSeq, operations: [], hasMore: false };
+    }
+
+    const hasMore = operations.length > limit;
+    const page = hasMore ? operations.slice(0, limit) : operations;
+
+    return {
+      reset: false,
+      latestSeq,
+      operations: page.map(op => this.toClientOperation(op)),
+      hasMore
+    };
+  }
+
+  /**
+   * Append an operation to the board's log (and to the recording in progress, if any)
+   */
+  async recordOperation(boardId, seq, userId, operation) {
+    const logged = await BoardOperation.create({
+      boardId,
+      seq,
+      userId,
+      ...operation
+    });
+
+    await boardActivityService.recordOperation(boardId, userId, operation);
+
+    // Required here since the recording service builds on this one
+    const boardRecordingService = require('./boardRecording.service');
+    await boardRecordingService.captureOperation(boardId, logged);
+
+    return logged;
+  }
+
+  /**
+   * Shape a logged operation like the matching live broadcast
+   */
+  toClientOperation(op) {
+    return {
+      seq: op.seq,
+      type: op.type,
+      elementId: op.elementId,
+      element: op.element,
+      changes: op.changes,
+      updates: op.updates,
+      page: op.page,
+      pageId: op.pageId,
+      pageIds: op.pageIds,
+      snapshotId: op.snapshotId,
+      userId: op.userId,
+      timestamp: op.createdAt
+    };
+  }
+
+  /**
+   * Clean element for tldraw - remove Mongoose fields, ensure required tldraw fields
+   */
+  toClientElement(el) {
+    const obj = el && el.toObject ? el.toObject() : el;
+
+    return {
+      id: obj.id,
+      type: obj.type,
+      typeName: obj.typeName || 'shape',
+      x: obj.x || 0,
+      y: obj.y || 0,
+      rotation: obj.rotation || 0,
+      isLocked: obj.isLocked || false,
+      opacity: obj.opacity ?? 1,
+      props: obj.props || {},
+      meta: obj.meta || {},
+      parentId: obj.parentId || 'page:page',
+      index: obj.index || 'a1'
+    };
+  }
+
+  /**
+   * Generate unique ID for elements
+   */
+  generateId() {
+    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+module.exports = new BoardSyncService();
@@ -0,0 +1,304 @@
+const Board = require('../models/Board');
+const BoardElement = require('../models/BoardElement');
+const BoardTemplate = require('../models/BoardTemplate');
+const boardService = require('./board.service');
+const boardElementCopyService = require('./boardElementCopy.service');
+const boardSyncService = require('./boardSync.service');
+const boardExportService = require('./boardExport.service');
+const AppError = require('../utils/AppError');
+const { SYSTEM_TEMPLATES } = require('../utils/systemBoardTemplates');
+
+const { DEFAULT_PAGE_ID } = Board;
+
+// Elements written per insert when creating a board from a template
+const INSERT_BATCH_SIZE = 200;
+
+/**
+ * Board Template Service
+ * Template library: system templates seeded by admins, templates users
+ * save from their boards (private until they publish them), and creating
+ * new boards from a template. Template elements live in BoardElementCopy,
+ * keyed by templateId.
+ */
+class BoardTemplateService {
+  /**
+   * List templates visible to the user (without elements)
+   * scope: all | system | community | mine
+   */
+  async getTemplates(userId, options = {}) {
+    const { scope = 'all', category = null, search = '', limit = 50, skip = 0 } = options;
+
+    const visibility = {
+      system: { isSystem: true },
+      community: { isSystem: false, isPublished: true },
+      mine: { isSystem: false, createdBy: userId }
+    }[scope] || {
+      $or: [
+        { isSystem: true },
+        { isPublished: true },
+        { createdBy: userId }
+      ]
+    };
+
+    const query = { ...visibility };
+    if (category) {
+      query.category = category;
+    }
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$and = [{ $or: [
+        { name: { $regex: escaped, $options: 'i' } },
+        { tags: { $regex: escaped, $options: 'i' } }
+      ] }];
+    }
+
+    const [templates, total] = await Promise.all([
+      BoardTemplate.find(query)
+        .sort({ isSystem: -1, useCount: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('createdBy', 'name')
+        .lean(),
+      BoardTemplate.countDocuments(query)
+    ]);
+
+    return { templates, total };
+  }
+
+  /**
+   * Get a template with its elements
+   */
+  async getTemplate(templateId, userId) {
+    const template = await this.getViewableTemplate(templateId, userId);
+
+    return { ...template.toObject(), elements: await boardElementCopyService.load({ templateId: template._id }) };
+  }
+
+  /**
+   * Create a new board owned by the user from a template
+   */
+  async createBoardFromTemplate(templateId, userId, { title, isPublic = false } = {}) {
+    const template = await this.getViewableTemplate(templateId, userId);
+
+    const board = await boardService.createBoard(userId, {
+      title: (title || template.name).substring(0, 100),
+      description: template.description,
+      isPublic,
+      settings: template.settings || {},
+      tags: template.tags
+    });
+
+    const now = new Date();
+    let elementCount = 0;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length > 0) {
+        await BoardElement.insertMany(batch, { ordered: false });
+        elementCount += batch.length;
+        batch = [];
+      }
+    };
+
+    try {
+      for await (const el of boardElementCopyService.stream({ templateId: template._id })) {
+        if (!el || !el.id || !el.type) {
+          continue;
+        }
+
+        batch.push({
+          ...boardSyncService.sanitizeChanges(el),
+          boardId: board._id,
+          id: el.id,
+          createdBy: userId,
+          createdAt: now,
+          updatedAt: now
+        });
+
+        if (batch.length === INSERT_BATCH_SIZE) {
+          await flush();
+        }
+      }
+      await flush();
+
+      await boardSyncService.assignStoredPageIds(board._id);
+    } catch (error) {
+      await BoardElement.deleteMany({ boardId: board._id });
+      await board.deleteOne();
+      throw error;
+    }
+
+    if (template.pages.length > 0) {
+      board.pages = template.pages;
+    }
+    board.elementCount = elementCount;
+    board.thumbnail = template.preview;
+    await board.save();
+
+    await BoardTemplate.updateOne({ _id: template._id }, { $inc: { useCount: 1 } });
+
+    return board;
+  }
+
+  /**
+   * Save a board as a template. Users save from boards they own, and the
+   * template stays private unless they ask to publish it; admins may also
+   * create system templates from any board.
+   */
+  async createTemplateFromBoard(boardId, userId, data = {}, { system = false } = {}) {
+    const board = await Board.findById(boardId);
+
+    if (!board) {
+      throw new AppError('Board not found', 404);
+    }
+
+    if (!system && board.owner.toString() !== userId.toString()) {
+      throw new AppError('Only the board owner can publish it as a template', 403);
+    }
+
+    const elements = await boardSyncService.getBoardElements(boardId);
+    const pages = board.getPages();
+
+    const template = new BoardTemplate({
+      name: data.name || board.title,
+      description: data.description ?? board.description,
+      category: data.category,
+      tags: data.tags || board.tags,
+      isSystem: system,
+      isPublished: system || data.isPublished === true,
+      createdBy: userId,
+      sourceBoard: board._id,
+      pages: pages.map(page => (page.toObject ? page.toObject() : page)),
+      elementCount: elements.length,
+      settings: board.settings,
+      preview: this.renderPreview(elements, pages[0].id)
+    });
+    await template.validate();
+
+    try {
+      await boardElementCopyService.save({ templateId: template._id }, elements);
+      await template.save();
+    } catch (error) {
+      await boardElementCopyService.remove({ templateId: template._id });
+      throw error;
+    }
+
+    return this.toSummary(template);
+  }
+
+  /**
+   * Update template details (creator, or an admin for system templates)
+   */
+  async updateTemplate(templateId, user, updates = {}) {
+    const template = await this.getManageableTemplate(templateId, user);
+
+    ['name', 'description', 'category', 'tags', 'isPublished'].forEach(field => {
+      if (updates[field] !== undefined) {
+        template[field] = updates[field];
+      }
+    });
+
+    await template.save();
+    return this.toSummary(template);
+  }
+
+  /**
+   * Delete a template (creator, or an admin)
+   */
+  async deleteTemplate(templateId, user) {
+    const template = await this.getManageableTemplate(templateId, user);
+    await template.deleteOne();
+    await boardElementCopyService.remove({ templateId: template._id });
+
+    return { message: 'Template deleted successfully' };
+  }
+
+  /**
+   * Create or refresh the built-in system templates (matched by slug)
+   */
+  async seedSystemTemplates(adminId = null) {
+    const results = [];
+
+    for (const definition of SYSTEM_TEMPLATES) {
+      const { build, slug, ...details } = definition;
+      const elements = build();
+
+      const existing = await BoardTemplate.exists({ slug });
+      const template = await BoardTemplate.findOneAndUpdate(
+        { slug },
+        {
+          $set: {
+            ...details,
+            isSystem: true,
+            isPublished: true,
+            pages: [{ id: DEFAULT_PAGE_ID, name: 'Page 1', viewerOnly: false }],
+            elementCount: elements.length,
+            preview: this.renderPreview(elements, DEFAULT_PAGE_ID)
+          },
+          $setOnInsert: { createdBy: adminId }
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      await boardElementCopyService.remove({ templateId: template._id });
+      await boardElementCopyService.save({ templateId: template._id }, elements);
+
+      results.push({ slug, id: template._id, created: !existing });
+    }
+
+    return results;
+  }
+
+  /**
+   * Preview of the first page
+   */
+  renderPreview(elements, firstPageId) {
+    const pageElements = boardSyncService.assignPageIds(elements).filter(el => el.pageId === firstPageId);
+    return boardExportService.renderThumbnail(pageElements);
+  }
+
+  async getViewableTemplate(templateId, userId) {
+    const template = await BoardTemplate.findById(templateId).populate('createdBy', 'name');
+
+    if (!template || !this.canView(template, userId)) {
+      throw new AppError('Template not found', 404);
+    }
+
+    return template;
+  }
+
+  canView(template, userId) {
+    const creatorId = template.createdBy?._id || template.createdBy;
+    return template.isSystem || template.isPublished || (!!creatorId && creatorId.toString() === userId.toString());
+  }
+
+  async getManageableTemplate(templateId, user) {
+    const template = await BoardTemplate.findById(templateId);
+
+    if (!template) {
+      throw new AppError('Template not found', 404);
+    }
+
+    const isAdmin = user.role === 'admin';
+    const isCreator = template.createdBy && template.createdBy.toString() === user.id.toString();
+
+    if (!isAdmin && (template.isSystem || !isCreator)) {
+      if (!this.canView(template, user.id)) {
+        throw new AppError('Template not found', 404);
+      }
+      throw new AppError('You can only manage your own templates', 403);
+    }
+
+    return template;
+  }
+
+  /**
+   * Template metadata without the element payload
+   */
+  toSummary(template) {
+    const obj = template.toObject ? template.toObject() : { ...template };
+    delete obj.elements;
+    return obj;
+  }
+}
+
+module.exports = new BoardTemplateService();
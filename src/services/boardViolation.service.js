@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+
+// Buffered counts are written to the board this often
+const FLUSH_INTERVAL_MS = 10 * 1000;
+
+const VIOLATION_KINDS = ['rateLimited', 'invalidPayload', 'disconnects'];
+
+/**
+ * Board Violation Service
+ * Counts board socket events rejected for rate limits or invalid payloads,
+ * and sockets disconnected for repeating them. Counts are buffered in memory
+ * so a flood of bad events doesn't turn into a flood of writes.
+ */
+class BoardViolationService {
+  constructor() {
+    // boardId -> { counts: { kind: n }, events: { event: n }, lastAt }
+    this.pending = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Count one violation on a board
+   */
+  record(boardId, kind, event = null) {
+    if (typeof boardId !== 'string' || !mongoose.isValidObjectId(boardId) || !VIOLATION_KINDS.includes(kind)) {
+      return;
+    }
+
+    const entry = this.pending.get(boardId) || { counts: {}, events: {}, lastAt: null };
+    entry.counts[kind] = (entry.counts[kind] || 0) + 1;
+    // Event names come from clients; only plain names become field paths
+    if (event && kind !== 'disconnects' && /^[\w:-]{1,50}$/.test(event)) {
+      entry.events[event] = (entry.events[event] || 0) + 1;
+    }
+    entry.lastAt = new Date();
+    this.pending.set(boardId, entry);
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.flush().catch(error => console.error('Failed to save board socket violations:', error.message));
+      }, FLUSH_INTERVAL_MS);
+      this.timer.unref?.();
+    }
+  }
+
+  /**
+   * Write buffered counts to their boards
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.pending.size === 0) {
+      return;
+    }
+
+    const batch = [...this.pending.entries()];
+    this.pending.clear();
+
+    await Board.bulkWrite(batch.map(([boardId, { counts, events, lastAt }]) => {
+      const inc = {};
+      Object.entries(counts).forEach(([kind, n]) => { inc[`socketViolations.${kind}`] = n; });
+      Object.entries(events).forEach(([event, n]) => { inc[`socketViolations.byEvent.${event}`] = n; });
+
+      return {
+        updateOne: {
+          filter: { _id: boardId },
+          update: { $inc: inc, $max: { 'socketViolations.lastViolationAt': lastAt } }
+        }
+      };
+    }), { ordered: false });
+  }
+
+  /**
+   * Counters for admin analytics
+   */
+  getCounters(board) {
+    const stored = board.socketViolations || {};
+    const byEvent = stored.byEvent instanceof Map ? Object.fromEntries(stored.byEvent) : (stored.byEvent || {});
+
+    return {
+      rateLimited: stored.rateLimited || 0,
+      invalidPayload: stored.invalidPayload || 0,
+      disconnects: stored.disconnects || 0,
+      byEvent,
+      lastViolationAt: stored.lastViolationAt || null
+    };
+  }
+}
+
+module.exports = new BoardViolationService();
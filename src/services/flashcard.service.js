@@ -0,0 +1,463 @@
+const mongoose = require('mongoose');
+const FlashcardSet = require('../models/FlashcardSet');
+const Flashcard = require('../models/Flashcard');
+const FlashcardReview = require('../models/FlashcardReview');
+const AppError = require('../utils/AppError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+
+class FlashcardService {
+  /**
+   * Create a new flashcard set
+   */
+  async createSet(userId, data) {
+    const set = new FlashcardSet({
+      title: data.title,
+      description: data.description,
+      subject: data.subject,
+      sourceType: data.sourceType,
+      visibility: data.visibility,
+      tags: data.tags,
+      createdBy: userId
+    });
+
+    await set.save();
+    return set;
+  }
+
+  /**
+   * Get all flashcard sets for a user (with optional subject/visibility filter)
+   */
+  async getUserSets(userId, { subjectId = null, visibility = null } = {}) {
+    const query = {
+      $or: [
+        { createdBy: userId },
+        { visibility: 'shared' }
+      ]
+    };
+
+    if (subjectId) {
+      query.subject = subjectId;
+    }
+
+    if (visibility) {
+      query.visibility = visibility;
+    }
+
+    const sets = await FlashcardSet.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ updatedAt: -1 });
+
+    return sets;
+  }
+
+  /**
+   * Get flashcard set by ID together with its cards
+   */
+  async getSetById(setId, userId, isAdmin = false) {
+    const set = await FlashcardSet.findById(setId)
+      .populate('createdBy', 'name email');
+
+    if (!set) {
+      throw new AppError('Flashcard set not found', 404);
+    }
+
+    this.assertCanView(set, userId, isAdmin);
+
+    const cards = await Flashcard.find({ setId: set._id }).sort({ order: 1 });
+
+    return { ...set.toObject(), cards };
+  }
+
+  /**
+   * Update flashcard set metadata
+   */
+  async updateSet(setId, userId, updates, isAdmin = false) {
+    const set = await this.getOwnedSet(setId, userId, isAdmin);
+
+    const allowedUpdates = ['title', 'description', 'subject', 'visibility', 'tags'];
+    allowedUpdates.forEach(field => {
+      if (updates[field] !== undefined) {
+        set[field] = updates[field];
+      }
+    });
+
+    await set.save();
+    return set;
+  }
+
+  /**
+   * Delete flashcard set with all its cards and review state
+   */
+  async deleteSet(setId, userId, isAdmin = false) {
+    const set = await this.getOwnedSet(setId, userId, isAdmin);
+
+    await Promise.all([
+      Flashcard.deleteMany({ setId: set._id }),
+      FlashcardReview.deleteMany({ setId: set._id })
+    ]);
+
+    await set.deleteOne();
+
+    return { message: 'Flashcard set deleted successfully' };
+  }
+
+  /**
+   * Add one or many cards to a set (appended after the current last card)
+   */
+  async addCards(setId, userId, cardData, isAdmin = false) {
+    const set = await this.getOwnedSet(setId, userId, isAdmin);
+    const items = Array.isArray(cardData) ? cardData : [cardData];
+
+    if (items.length === 0) {
+      throw new AppError('At least one card is required', 400);
+    }
+
+    const lastCard = await Flashcard.findOne({ setId: set._id }).sort({ order: -1 });
+    let nextOrder = lastCard ? lastCard.order + 1 : 0;
+
+    const cards = await Flashcard.insertMany(items.map(item => ({
+      setId: set._id,
+      question: item.question,
+      answer: item.answer,
+      difficulty: item.difficulty,
+      tags: item.tags,
+      explanation: item.explanation,
+      options: item.options,
+      order: nextOrder++
+    })));
+
+    set.cardCount = await Flashcard.countDocuments({ setId: set._id });
+    await set.save();
+
+    return cards;
+  }
+
+  /**
+   * Update a single card
+   */
+  async updateCard(cardId, userId, updates, isAdmin = false) {
+    const card = await this.getOwnedCard(cardId, userId, isAdmin);
+
+    const allowedUpdates = ['question', 'answer', 'difficulty', 'tags', 'explanation', 'options', 'confidence'];
+    allowedUpdates.forEach(field => {
+      if (updates[field] !== undefined) {
+        card[field] = updates[field];
+      }
+    });
+
+    await card.save();
+    return card;
+  }
+
+  /**
+   * Delete a single card and close the gap in ordering
+   */
+  async deleteCard(cardId, userId, isAdmin = false) {
+    const card = await this.getOwnedCard(cardId, userId, isAdmin);
+
+    await FlashcardReview.deleteMany({ cardId: card._id });
+    await card.deleteOne();
+
+    await Flashcard.updateMany(
+      { setId: card.setId, order: { $gt: card.order } },
+      { $inc: { order: -1 } }
+    );
+
+    await FlashcardSet.findByIdAndUpdate(card.setId, {
+      cardCount: await Flashcard.countDocuments({ setId: card.setId })
+    });
+
+    return { message: 'Flashcard deleted successfully' };
+  }
+
+  /**
+   * Reorder cards in a set. `cardIds` must list every card of the set exactly once.
+   */
+  async reorderCards(setId, userId, cardIds, isAdmin = false) {
+    const set = await this.getOwnedSet(setId, userId, isAdmin);
+
+    if (!Array.isArray(cardIds) || !cardIds.every(id => typeof id === 'string' && mongoose.isValidObjectId(id))) {
+      throw new AppError('cardIds must be an array of card IDs', 400);
+    }
+
+    const cards = await Flashcard.find({ setId: set._id }).select('_id');
+    const existingIds = new Set(cards.map(c => c._id.toString()));
+    const requestedIds = new Set(cardIds);
+
+    if (
+      requestedIds.size !== cardIds.length ||
+      requestedIds.size !== existingIds.size ||
+      [...requestedIds].some(id => !existingIds.has(id))
+    ) {
+      throw new AppError('cardIds must contain every card in the set exactly once', 400);
+    }
+
+    await Flashcard.bulkWrite(cardIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, setId: set._id },
+        update: { $set: { order: index } }
+      }
+    })));
+
+    return Flashcard.find({ setId: set._id }).sort({ order: 1 });
+  }
+
+  /**
+   * Get cards in random order (doesn't modify database)
+   */
+  async shuffleCards(setId, userId, isAdmin = false) {
+    const { cards } = await this.getSetById(setId, userId, isAdmin);
+
+    for (let i = cards.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [cards[i], cards[j]] = [cards[j], cards[i]];
+    }
+
+    return cards;
+  }
+
+  /**
+   * Update study tracking for a card. The card and set hold the owner's
+   * statistics; anyone else studying a shared set gets their own in FlashcardReview.
+   */
+  async trackCard(cardId, userId, confidence) {
+    const card = await Flashcard.findById(cardId);
+
+    if (!card) {
+      throw new AppError('Flashcard not found', 404);
+    }
+
+    const set = await FlashcardSet.findById(card.setId);
+    this.assertCanView(set, userId);
+    const now = new Date();
+
+    if (!this.isOwner(set, userId)) {
+      const review = await FlashcardReview.findOneAndUpdate(
+        { userId, cardId: card._id },
+        {
+          $inc: { totalReviews: 1 },
+          $set: { lastReviewedAt: now, ...(confidence !== undefined && { lastQuality: confidence }) },
+          $setOnInsert: { setId: card.setId }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      // The card as this user has studied it
+      return {
+        ...card.toObject(),
+        timesReviewed: review.totalReviews,
+        lastReviewed: review.lastReviewedAt,
+        confidence: review.lastQuality
+      };
+    }
+
+    card.timesReviewed += 1;
+    card.lastReviewed = now;
+    if (confidence !== undefined) {
+      card.confidence = confidence;
+    }
+    await card.save();
+
+    set.lastStudied = now;
+    await set.save();
+
+    return card;
+  }
+
+  /**
+   * Get cards that are due for review by the user.
+   * Cards the user has never reviewed are due immediately.
+   */
+  async getDueCards(setId, userId, { limit = 50, now = new Date() } = {}) {
+    const set = await FlashcardSet.findById(setId);
+
+    if (!set) {
+      throw new AppError('Flashcard set not found', 404);
+    }
+
+    this.assertCanView(set, userId);
+
+    const [cards, reviews] = await Promise.all([
+      Flashcard.find({ setId: set._id }).sort({ order: 1 }),
+      FlashcardReview.find({ userId, setId: set._id })
+    ]);
+
+    const reviewByCard = new Map(reviews.map(r => [r.cardId.toString(), r]));
+
+    const due = cards
+      .map(card => ({ card, review: reviewByCard.get(card._id.toString()) || null }))
+      .filter(({ review }) => !review || review.dueDate <= now)
+      .sort((a, b) => {
+        // Overdue cards first (oldest due date), then new cards in set order
+        if (a.review && b.review) return a.review.dueDate - b.review.dueDate;
+        if (a.review) return -1;
+        if (b.review) return 1;
+        return a.card.order - b.card.order;
+      });
+
+    return {
+      totalCards: cards.length,
+      dueCount: due.length,
+      newCount: due.filter(d => !d.review).length,
+      cards: due.slice(0, limit).map(({ card, review }) => ({
+        ...card.toObject(),
+        schedule: review ? this.formatSchedule(review) : null
+      }))
+    };
+  }
+
+  /**
+   * Record a review of a card and schedule the next one (SM-2)
+   * @param {Number} quality - recall quality from 0 (blackout) to 5 (perfect)
+   */
+  async reviewCard(cardId, userId, quality, now = new Date()) {
+    const card = await Flashcard.findById(cardId);
+
+    if (!card) {
+      throw new AppError('Flashcard not found', 404);
+    }
+
+    const set = await FlashcardSet.findById(card.setId);
+    this.assertCanView(set, userId);
+
+    let review = await FlashcardReview.findOne({ userId, cardId: card._id });
+    if (!review) {
+      review = new FlashcardReview({ userId, cardId: card._id, setId: card.setId });
+    }
+
+    const next = this.calculateNextReview(review, quality, now);
+
+    review.easeFactor = next.easeFactor;
+    review.interval = next.interval;
+    review.repetitions = next.repetitions;
+    review.dueDate = next.dueDate;
+    review.lastQuality = quality;
+    review.lastReviewedAt = now;
+    review.totalReviews += 1;
+    await review.save();
+
+    // Other users' reviews of a shared set stay in their FlashcardReview
+    if (this.isOwner(set, userId)) {
+      card.timesReviewed += 1;
+      card.lastReviewed = now;
+      card.confidence = quality;
+      await card.save();
+
+      set.lastStudied = now;
+      await set.save();
+    }
+
+    return {
+      cardId: card._id,
+      schedule: this.formatSchedule(review)
+    };
+  }
+
+  /**
+   * SM-2 scheduling step
+   * @param {Object} state - { easeFactor, interval, repetitions }
+   * @param {Number} quality - 0..5
+   * @returns {Object} { easeFactor, interval, repetitions, dueDate }
+   */
+  calculateNextReview(state, quality, now = new Date()) {
+    if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+      throw new AppError('Quality must be an integer between 0 and 5', 400);
+    }
+
+    let easeFactor = state.easeFactor || 2.5;
+    let repetitions = state.repetitions || 0;
+    let interval = state.interval || 0;
+
+    if (quality < 3) {
+      // Failed recall - start the card over
+      repetitions = 0;
+      interval = 1;
+    } else {
+      if (repetitions === 0) {
+        interval = 1;
+      } else if (repetitions === 1) {
+        interval = 6;
+      } else {
+        interval = Math.round(interval * easeFactor);
+      }
+      repetitions += 1;
+    }
+
+    easeFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    easeFactor = Math.max(MIN_EASE_FACTOR, Math.round(easeFactor * 100) / 100);
+
+    return {
+      easeFactor,
+      interval,
+      repetitions,
+      dueDate: new Date(now.getTime() + interval * DAY_MS)
+    };
+  }
+
+  /**
+   * Helper to shape review state for API responses
+   */
+  formatSchedule(review) {
+    return {
+      easeFactor: review.easeFactor,
+      interval: review.interval,
+      repetitions: review.repetitions,
+      dueDate: review.dueDate,
+      lastReviewedAt: review.lastReviewedAt,
+      totalReviews: review.totalReviews
+    };
+  }
+
+  /**
+   * Helper to load a set the user is allowed to modify
+   */
+  async getOwnedSet(setId, userId, isAdmin = false) {
+    const set = await FlashcardSet.findById(setId);
+
+    if (!set) {
+      throw new AppError('Flashcard set not found', 404);
+    }
+
+    if (!isAdmin && set.createdBy.toString() !== userId.toString()) {
+      throw new AppError('Unauthorized to modify this flashcard set', 403);
+    }
+
+    return set;
+  }
+
+  /**
+   * Helper to load a card whose set the user is allowed to modify
+   */
+  async getOwnedCard(cardId, userId, isAdmin = false) {
+    const card = await Flashcard.findById(cardId);
+
+    if (!card) {
+      throw new AppError('Flashcard not found', 404);
+    }
+
+    await this.getOwnedSet(card.setId, userId, isAdmin);
+    return card;
+  }
+
+  isOwner(set, userId) {
+    const ownerId = set.createdBy._id || set.createdBy;
+    return ownerId.toString() === userId.toString();
+  }
+
+  /**
+   * Helper to check read access to a set
+   */
+  assertCanView(set, userId, isAdmin = false) {
+    if (!set) {
+      throw new AppError('Flashcard set not found', 404);
+    }
+
+    if (!isAdmin && set.visibility === 'private' && !this.isOwner(set, userId)) {
+      throw new AppError('Unauthorized access to private flashcard set', 403);
+    }
+  }
+}
+
+module.exports = new FlashcardService();
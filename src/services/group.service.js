@@ -1,5 +1,6 @@
 const Group = require('../models/Group');
 const User = require('../models/User');
+const boardGroupService = require('./boardGroup.service');
 const crypto = require('crypto');
 
 class GroupService {
@@ -106,6 +107,9 @@ class GroupService {
 
     await group.deleteOne();
 
+    // Members lose access to boards shared with the group
+    await boardGroupService.removeGroupFromBoards(group._id);
+
     return { message: 'Group deleted successfully' };
   }
 
@@ -148,6 +152,7 @@ class GroupService {
     });
 
     await group.save();
+    await boardGroupService.syncGroupMembers(group._id);
 
     return await group.populate('members.user', 'name email avatar');
   }
@@ -182,6 +187,7 @@ class GroupService {
     group.admins = group.admins.filter((admin) => admin.toString() !== memberId.toString());
 
     await group.save();
+    await boardGroupService.syncGroupMembers(group._id);
 
     return await group.populate('members.user admins', 'name email avatar');
   }
@@ -282,6 +288,7 @@ class GroupService {
     });
 
     await group.save();
+    await boardGroupService.syncGroupMembers(group._id);
 
     return await group.populate('creator members.user', 'name email avatar');
   }
@@ -0,0 +1,448 @@
+const axios = require('axios');
+const config = require('../config/env');
+const IngestionJob = require('../models/IngestionJob');
+const Notebook = require('../models/Notebook');
+const User = require('../models/User');
+const { signAccessToken } = require('../utils/jwt');
+const notebookCollaboratorService = require('./notebookCollaborator.service');
+const notebookSourceService = require('./notebookSource.service');
+const notificationService = require('./notification.service');
+
+const AI_ENGINE_URL = process.env.AI_ENGINE_URL || 'http://localhost:8000';
+
+// Progress reported for each stage, in percent
+const STAGE_PROGRESS = { waiting: 0, extracting: 10, uploading: 30, processing: 60, done: 100 };
+
+/**
+ * A failure that retrying won't fix, so the job is dead-lettered straight away
+ */
+class PermanentIngestionError extends Error {}
+
+/**
+ * Ingestion Queue Service
+ * Mongo-backed queue that ingests notebook sources into the AI engine's RAG
+ * index in the background. Jobs survive restarts, failed attempts are retried
+ * with exponential backoff and jobs that keep failing end up dead. Each change
+ * is mirrored to the source's ingestionStatus and sent to its owner over the
+ * notifications socket.
+ */
+class IngestionQueueService {
+  constructor() {
+    this.timer = null;
+    this.active = 0;
+  }
+
+  /**
+   * Queue a source for ingestion (again, if it was queued before).
+   * Sources of notebooks without an AI session have nowhere to go and are skipped.
+   * @param {Object} options
+   * @param {Boolean} options.replaceVectors - Delete the source's existing RAG documents before uploading
+   */
+  async enqueue(notebook, source, { replaceVectors = false } = {}) {
+    if (!notebook.aiSessionId) {
+      return null;
+    }
+
+    const job = await IngestionJob.findOneAndUpdate(
+      { sourceId: source._id },
+      {
+        $set: {
+          notebookId: notebook._id,
+          userId: notebook.userId,
+          status: 'queued',
+          stage: 'waiting',
+          progress: 0,
+          attempts: 0,
+          maxAttempts: config.ingestion.maxAttempts,
+          runAt: new Date(),
+          // A replacement still pending from an earlier request is kept
+          ...(replaceVectors && { replaceVectors: true })
+        },
+        // Unsetting the lock also stops a worker still busy with the old job from saving over this one
+        $unset: { lockedAt: 1, lockedBy: 1, remoteTaskId: 1, remoteStartedAt: 1, lastError: 1, completedAt: 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    source.ingestionStatus = this.sourceStatus(job);
+    await this.publish(job);
+    return job;
+  }
+
+  /**
+   * Ingestion state of a source, for the status endpoint
+   */
+  async getStatus(source) {
+    const job = await IngestionJob.findOne({ sourceId: source._id }).lean();
+
+    return {
+      sourceId: source._id,
+      status: source.ingestionStatus || 'not_queued',
+      stage: job ? job.stage : null,
+      progress: job ? job.progress : 0,
+      attempts: job ? job.attempts : 0,
+      maxAttempts: job ? job.maxAttempts : config.ingestion.maxAttempts,
+      nextAttemptAt: job && job.status === 'queued' ? job.runAt : null,
+      lastError: job?.lastError || null,
+      completedAt: job?.completedAt || null,
+      updatedAt: job?.updatedAt || null
+    };
+  }
+
+  /**
+   * Drop queued work for removed sources
+   */
+  async cancel(sourceIds) {
+    await IngestionJob.deleteMany({ sourceId: { $in: [].concat(sourceIds) } });
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Ingestion queue error:', error.message));
+    }, config.ingestion.pollIntervalMs);
+    this.timer.unref?.();
+
+    console.log('✓ Ingestion queue started');
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim and run due jobs, up to the concurrency limit.
+   * Resolves once the jobs it started have finished.
+   */
+  async tick() {
+    const started = [];
+
+    while (this.active < config.ingestion.concurrency) {
+      this.active++;
+      const job = await this.claim().catch((error) => {
+        this.active--;
+        throw error;
+      });
+
+      if (!job) {
+        this.active--;
+        break;
+      }
+
+      started.push(this.run(job)
+        .catch(error => console.error(`Ingestion job ${job._id} crashed:`, error.message))
+        .finally(() => { this.active--; }));
+    }
+
+    await Promise.all(started);
+  }
+
+  /**
+   * Lock the next due job. Jobs left running by a worker that died are due too.
+   */
+  claim() {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - config.ingestion.lockTimeoutSeconds * 1000);
+
+    return IngestionJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: staleBefore } }
+        ]
+      },
+      { $set: { status: 'running', lockedAt: now, lockedBy: config.socket.nodeId } },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async run(job) {
+    const notebook = await Notebook.findById(job.notebookId);
+    const source = notebook?.sources.id(job.sourceId);
+
+    if (!source || !notebook.aiSessionId) {
+      // The source or its notebook is gone
+      await IngestionJob.deleteOne({ _id: job._id, lockedAt: job.lockedAt });
+      return;
+    }
+
+    try {
+      if (job.remoteTaskId) {
+        await this.checkRemoteTask(job, source);
+      } else {
+        await this.upload(job, notebook, source);
+      }
+    } catch (error) {
+      await this.fail(job, error);
+    }
+  }
+
+  /**
+   * Send the source text to the AI engine
+   */
+  async upload(job, notebook, source) {
+    let current = await this.save(job, { $set: { stage: 'extracting', progress: STAGE_PROGRESS.extracting } });
+    if (!current) {
+      return;
+    }
+
+    const content = await notebookSourceService.extractContent(source);
+    if (!content || content.length < 10) {
+      throw new PermanentIngestionError('No text content to ingest');
+    }
+    if (content.startsWith('[PDF Document:') && content.includes('Unable to extract')) {
+      throw new PermanentIngestionError('Text could not be extracted from the PDF');
+    }
+
+    current = await this.save(current, { $set: { stage: 'uploading', progress: STAGE_PROGRESS.uploading } });
+    if (!current) {
+      return;
+    }
+
+    const headers = await this.authHeaders(job.userId);
+
+    if (current.replaceVectors) {
+      await this.deleteVectors(source, headers);
+    }
+
+    const response = await axios.post(
+      `${AI_ENGINE_URL}/ai/upload`,
+      {
+        content,
+        filename: source.name,
+        metadata: {
+          notebook_id: notebook._id.toString(),
+          source_id: source._id.toString(),
+          session_id: notebook.aiSessionId,
+          source_type: source.type,
+          url: source.url,
+          content_hash: source.contentHash
+        }
+      },
+      { headers, timeout: 30000 }
+    );
+
+    if (!response.data?.task_id || response.data.status === 'completed') {
+      return this.complete(current, source);
+    }
+
+    return this.waitForRemote(current, {
+      remoteTaskId: response.data.task_id,
+      remoteStartedAt: new Date(),
+      progress: STAGE_PROGRESS.processing
+    });
+  }
+
+  /**
+   * Remove the documents a source already has in the AI engine's RAG index
+   */
+  async deleteVectors(source, headers) {
+    try {
+      await axios.delete(`${AI_ENGINE_URL}/ai/documents/source/${source._id}`, { headers, timeout: 10000 });
+    } catch (error) {
+      // Nothing indexed yet
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Check on an upload the AI engine is still processing
+   */
+  async checkRemoteTask(job, source) {
+    let task;
+    try {
+      const response = await axios.get(
+        `${AI_ENGINE_URL}/ai/upload/status/${job.remoteTaskId}`,
+        { headers: await this.authHeaders(job.userId), timeout: 10000 }
+      );
+      task = response.data;
+    } catch (error) {
+      // The AI engine forgets tasks when it restarts
+      if ([403, 404].includes(error.response?.status)) {
+        throw this.lostRemoteTask();
+      }
+      // Keep the task so the retry checks on it instead of uploading twice
+      error.keepRemoteTask = true;
+      throw error;
+    }
+
+    if (task.status === 'completed') {
+      return this.complete(job, source);
+    }
+    if (task.status === 'unknown') {
+      throw this.lostRemoteTask();
+    }
+    if (task.status === 'failed') {
+      throw new Error(task.error || 'AI engine failed to process the source');
+    }
+    if (Date.now() - job.remoteStartedAt.getTime() > config.ingestion.remoteTimeoutSeconds * 1000) {
+      throw new Error('AI engine did not finish processing the source in time');
+    }
+
+    // Between the processing stage and done, when the AI engine reports how far along it is
+    const remote = Number(task.progress);
+    const progress = Number.isFinite(remote)
+      ? Math.round(STAGE_PROGRESS.processing + (Math.min(Math.max(remote, 0), 100) / 100) * (99 - STAGE_PROGRESS.processing))
+      : job.progress;
+
+    return this.waitForRemote(job, { progress });
+  }
+
+  /**
+   * The AI engine no longer knows an upload, so there's no telling how much of the
+   * source it indexed. The retry uploads again, replacing whatever was indexed.
+   */
+  lostRemoteTask() {
+    const error = new Error('AI engine lost track of the upload');
+    error.replaceVectors = true;
+    return error;
+  }
+
+  /**
+   * Hand the job back to the queue until it's time to check on the AI engine again
+   */
+  waitForRemote(job, fields) {
+    return this.save(job, {
+      $set: {
+        ...fields,
+        status: 'queued',
+        stage: 'processing',
+        runAt: new Date(Date.now() + config.ingestion.statusCheckSeconds * 1000)
+      },
+      $unset: { lockedAt: 1, lockedBy: 1, replaceVectors: 1 }
+    });
+  }
+
+  async complete(job, source) {
+    const saved = await this.save(job, {
+      $set: { status: 'completed', stage: 'done', progress: STAGE_PROGRESS.done, completedAt: new Date(), lastError: null },
+      $unset: { lockedAt: 1, lockedBy: 1, remoteTaskId: 1, remoteStartedAt: 1, replaceVectors: 1 }
+    });
+
+    if (!saved) {
+      return;
+    }
+
+    try {
+      const { getIO } = require('../socket');
+      const { emitNotificationToUser } = require('../socket/notificationNamespace');
+      const notification = await notificationService.notifyDocumentProcessed(job.userId, source.name);
+      emitNotificationToUser(getIO(), job.userId, notification);
+    } catch (err) {
+      console.error('Failed to send document notification:', err.message);
+    }
+  }
+
+  /**
+   * Record a failed attempt: back off and retry, or dead-letter the job
+   */
+  async fail(job, error) {
+    const attempts = job.attempts + 1;
+    const dead = error instanceof PermanentIngestionError || attempts >= job.maxAttempts;
+    const keepRemoteTask = error.keepRemoteTask && !dead;
+
+    const set = {
+      attempts,
+      lastError: error.response?.data?.detail || error.message,
+      status: dead ? 'dead' : 'queued'
+    };
+    if (error.replaceVectors) {
+      // Kept on dead jobs too, for when the user asks for another go
+      set.replaceVectors = true;
+    }
+    if (!dead) {
+      set.runAt = new Date(Date.now() + this.backoffMs(attempts));
+      if (!keepRemoteTask) {
+        set.stage = 'waiting';
+        set.progress = STAGE_PROGRESS.waiting;
+      }
+    }
+
+    await this.save(job, {
+      $set: set,
+      $unset: {
+        lockedAt: 1,
+        lockedBy: 1,
+        ...(keepRemoteTask ? {} : { remoteTaskId: 1, remoteStartedAt: 1 })
+      }
+    });
+  }
+
+  backoffMs(attempts) {
+    const { backoffBaseSeconds, backoffMaxSeconds } = config.ingestion;
+    return Math.min(backoffBaseSeconds * 2 ** (attempts - 1), backoffMaxSeconds) * 1000;
+  }
+
+  /**
+   * Update a job this worker still holds (a re-queued or cancelled job is left alone),
+   * then mirror it to the source. Resolves to the updated job, or null.
+   */
+  async save(job, update) {
+    const saved = await IngestionJob.findOneAndUpdate({ _id: job._id, lockedAt: job.lockedAt }, update, { new: true });
+
+    if (saved) {
+      await this.publish(saved);
+    }
+    return saved;
+  }
+
+  /**
+   * Mirror a job to its source's ingestionStatus and tell the owner and collaborators
+   */
+  async publish(job) {
+    const notebook = await Notebook.findOneAndUpdate(
+      { _id: job.notebookId, 'sources._id': job.sourceId },
+      { $set: { 'sources.$.ingestionStatus': this.sourceStatus(job) } },
+      { projection: { userId: 1, 'collaborators.userId': 1 } }
+    );
+
+    try {
+      const { getIO } = require('../socket');
+      const { emitIngestionProgress } = require('../socket/notificationNamespace');
+      const io = getIO();
+      const progress = {
+        notebookId: job.notebookId,
+        sourceId: job.sourceId,
+        status: this.sourceStatus(job),
+        stage: job.stage,
+        progress: job.progress,
+        attempts: job.attempts,
+        error: job.status === 'completed' ? null : (job.lastError || null)
+      };
+
+      const recipients = notebook ? notebookCollaboratorService.audience(notebook) : [job.userId];
+      recipients.forEach(userId => emitIngestionProgress(io, userId, progress));
+    } catch (error) {
+      // Socket.IO isn't running (scripts and tests) - the status endpoint still has it
+    }
+  }
+
+  sourceStatus(job) {
+    if (job.status === 'completed') return 'completed';
+    if (job.status === 'dead') return 'failed';
+    if (job.status === 'running' || job.remoteTaskId) return 'processing';
+    return 'queued';
+  }
+
+  /**
+   * The AI engine authenticates with our access tokens; jobs outlive the
+   * requests that queued them, so each run signs a fresh one for the owner
+   */
+  async authHeaders(userId) {
+    const user = await User.findById(userId).select('email role').lean();
+    if (!user) {
+      throw new PermanentIngestionError('Notebook owner no longer exists');
+    }
+
+    return { Authorization: `Bearer ${signAccessToken({ id: user._id, email: user.email, role: user.role })}` };
+  }
+}
+
+module.exports = new IngestionQueueService();
+module.exports.PermanentIngestionError = PermanentIngestionError;
@@ -23,7 +23,8 @@ class MindMapService {
       $or: [
         { createdBy: userId },
         { visibility: 'shared' }
-      ]
+      ],
+      trashedAt: null
     };
 
     if (subjectId) {
@@ -35,7 +36,7 @@ class MindMapService {
     }
 
     const mindMaps = await MindMap.find(query)
-      .populate('subject', 'name code')
+      .populate('subject', 'name code color icon')
       .populate('createdBy', 'name email')
       .sort({ updatedAt: -1 });
 
@@ -47,7 +48,7 @@ class MindMapService {
    */
   async getMindMapById(mindMapId, userId, isAdmin = false) {
     const mindMap = await MindMap.findById(mindMapId)
-      .populate('subject', 'name code')
+      .populate('subject', 'name code color icon')
       .populate('createdBy', 'name email')
       .populate('parentVersion', 'title version createdAt');
 
@@ -105,7 +106,7 @@ class MindMapService {
     }
 
     // Regular update (no versioning)
-    const allowedUpdates = ['title', 'topic', 'visibility', 'nodes', 'edges', 'tags', 'metadata'];
+    const allowedUpdates = ['title', 'topic', 'subject', 'visibility', 'nodes', 'edges', 'tags', 'metadata'];
     allowedUpdates.forEach(field => {
       if (updates[field] !== undefined) {
         mindMap[field] = updates[field];
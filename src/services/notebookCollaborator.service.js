@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const Notebook = require('../models/Notebook');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const { signAiSessionToken } = require('../utils/jwt');
+const friendService = require('./friend.service');
+
+const COLLABORATOR_ROLES = ['editor', 'viewer'];
+
+/**
+ * Notebook Collaborator Service
+ * Sharing notebooks with other users as editors or viewers, and the access
+ * checks every notebook route goes through
+ */
+class NotebookCollaboratorService {
+  /**
+   * Load a notebook the user may access.
+   * Users without any role get a 404 so other people's notebooks stay invisible.
+   * @param {String} access - 'view', 'edit' or 'owner'
+   */
+  async getNotebook(notebookId, userId, access = 'view') {
+    const notebook = await Notebook.findById(notebookId);
+    const role = notebook?.getUserRole(userId);
+
+    if (!role) {
+      throw new AppError('Notebook not found', 404);
+    }
+
+    if (access === 'owner' && role !== 'owner') {
+      throw new AppError('Only the notebook owner can do this', 403);
+    }
+    if (access === 'edit' && !notebook.canEdit(userId)) {
+      throw new AppError('Viewers cannot change this notebook', 403);
+    }
+
+    return notebook;
+  }
+
+  /**
+   * Notebooks other users shared with this user, with the user's role on each
+   */
+  async getSharedNotebooks(userId) {
+    const notebooks = await Notebook.find({
+      'collaborators.userId': userId,
+      isArchived: false,
+      trashedAt: null
+    })
+      .populate('userId', 'name email avatar')
+      .sort({ lastAccessed: -1 })
+      .lean();
+
+    return notebooks.map(({ userId: owner, ...notebook }) => ({
+      ...notebook,
+      owner,
+      role: notebook.collaborators.find(c => c.userId.toString() === userId.toString()).role
+    }));
+  }
+
+  async getCollaborators(notebookId, userId) {
+    const notebook = await this.getNotebook(notebookId, userId);
+    await notebook.populate([
+      { path: 'userId', select: 'name email avatar' },
+      { path: 'collaborators.userId', select: 'name email avatar' }
+    ]);
+
+    return {
+      owner: notebook.userId,
+      collaborators: notebook.collaborators
+    };
+  }
+
+  /**
+   * Share a notebook with a registered user found by email, or with a friend by id.
+   * Owners and editors may invite; only the owner may make someone an editor.
+   * Resolves to { notebook, user, role }.
+   */
+  async inviteCollaborator(notebookId, inviterId, { email, userId, role = 'viewer' }) {
+    this.assertRole(role);
+
+    const notebook = await this.getNotebook(notebookId, inviterId, 'edit');
+
+    if (role === 'editor' && notebook.getUserRole(inviterId) !== 'owner') {
+      throw new AppError('Only the notebook owner can invite editors', 403);
+    }
+
+    let user;
+    if (email) {
+      user = await User.findOne({ email: email.toLowerCase().trim() });
+      if (!user) {
+        throw new AppError('No user found with that email', 404);
+      }
+    } else if (userId) {
+      if (!mongoose.isValidObjectId(userId) || !(await friendService.areFriends(inviterId, userId))) {
+        throw new AppError('You can only invite your friends by id', 403);
+      }
+      user = await User.findById(userId);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+    } else {
+      throw new AppError('An email or friend userId is required', 400);
+    }
+
+    if (notebook.getUserRole(user._id)) {
+      throw new AppError('User already has access to this notebook', 400);
+    }
+
+    notebook.collaborators.push({ userId: user._id, role, invitedBy: inviterId });
+    await notebook.save();
+
+    return { notebook, user, role };
+  }
+
+  async updateRole(notebookId, ownerId, collaboratorId, role) {
+    this.assertRole(role);
+
+    const notebook = await this.getNotebook(notebookId, ownerId, 'owner');
+    const collaborator = notebook.collaborators.find(c => c.userId.toString() === collaboratorId.toString());
+
+    if (!collaborator) {
+      throw new AppError('Collaborator not found', 404);
+    }
+
+    collaborator.role = role;
+    await notebook.save();
+
+    return notebook;
+  }
+
+  /**
+   * Remove a collaborator (owner), or leave a shared notebook (the collaborator themselves)
+   */
+  async removeCollaborator(notebookId, userId, collaboratorId) {
+    const leaving = userId.toString() === collaboratorId.toString();
+    const notebook = await this.getNotebook(notebookId, userId, leaving ? 'view' : 'owner');
+
+    if (notebook.getUserRole(collaboratorId) === 'owner') {
+      throw new AppError('The owner cannot leave their own notebook', 400);
+    }
+
+    const count = notebook.collaborators.length;
+    notebook.collaborators = notebook.collaborators.filter(c => c.userId.toString() !== collaboratorId.toString());
+
+    if (notebook.collaborators.length === count) {
+      throw new AppError('Collaborator not found', 404);
+    }
+
+    await notebook.save();
+    return notebook;
+  }
+
+  /**
+   * Headers for AI engine calls about a notebook. Its AI session belongs to the
+   * owner, so collaborators' calls are made as the owner, with a short-lived
+   * token that only covers this notebook's session.
+   * @param {String} authorization - The requester's Authorization header
+   */
+  async aiAuthHeaders(notebook, userId, authorization) {
+    if (notebook.getUserRole(userId) === 'owner') {
+      return { Authorization: authorization };
+    }
+
+    const owner = await User.findById(notebook.userId).select('email role').lean();
+    if (!owner) {
+      throw new AppError('The owner of this notebook no longer exists', 410);
+    }
+
+    const token = signAiSessionToken(
+      { id: owner._id, email: owner.email, role: owner.role, actingUserId: userId.toString() },
+      notebook.aiSessionId
+    );
+    return { Authorization: `Bearer ${token}` };
+  }
+
+  /**
+   * User ids that hear about changes to a notebook: the owner and every collaborator
+   */
+  audience(notebook) {
+    return [notebook.userId, ...(notebook.collaborators || []).map(c => c.userId)];
+  }
+
+  assertRole(role) {
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      throw new AppError(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`, 400);
+    }
+  }
+}
+
+module.exports = new NotebookCollaboratorService();
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+const pdfParse = require('pdf-parse');
+const config = require('../config/env');
+const Notebook = require('../models/Notebook');
+const NotebookSourceText = require('../models/NotebookSourceText');
+const AppError = require('../utils/AppError');
+const { DOCUMENT_EXTENSIONS, extractDocument } = require('../utils/documentText');
+
+// Uploaded source types and the file extensions each accepts
+const FILE_SOURCE_TYPES = { pdf: ['.pdf'], ...DOCUMENT_EXTENSIONS };
+
+/**
+ * Notebook Source Service
+ * Text extraction and storage, duplicate detection and file cleanup for
+ * notebook sources (RAG ingestion runs through ingestionQueue.service)
+ */
+class NotebookSourceService {
+  /**
+   * Extract the text content of a source
+   */
+  async extractContent(source) {
+    if (source.type === 'pdf') {
+      if (source.filePath) {
+        try {
+          console.log(`Extracting text from PDF: ${source.filePath}`);
+
+          // Read PDF file
+          const dataBuffer = await fs.readFile(source.filePath);
+
+          // Parse PDF and extract text (with options to suppress warnings)
+          const pdfData = await pdfParse(dataBuffer, {
+            max: 0, // Extract all pages
+            verbosity: 0 // Suppress warnings
+          });
+          const text = pdfData.text;
+
+          console.log(`✓ Extracted ${text.length} characters from PDF: ${source.name}`);
+
+          if (!text || text.length < 10) {
+            console.warn(`⚠ Very little text extracted from PDF: ${source.name}`);
+            return `[PDF Document: ${source.name} - No text content extracted. This might be an image-based PDF that requires OCR.]`;
+          }
+
+          return text;
+        } catch (err) {
+          console.error('Failed to extract text from PDF:', err.message);
+          // Return a descriptive placeholder instead of failing completely
+          return `[PDF Document: ${source.name} - Unable to extract text. Error: ${err.message}. Please try converting the PDF to text or using a different format.]`;
+        }
+      }
+      return `[Document: ${source.name} - No file path]`;
+    }
+
+    // Everything else has its text stored: typed text, fetched pages and documents read at upload
+    const text = await this.getText(source._id);
+    return text?.content || '';
+  }
+
+  /**
+   * Add a source to a notebook and save both. Its content and markers, if any,
+   * are stored in NotebookSourceText rather than in the notebook.
+   * Resolves to the added source.
+   */
+  async addSource(notebook, { content, markers, ...fields }) {
+    const sourceId = new mongoose.Types.ObjectId();
+
+    if (content !== undefined) {
+      await this.saveText(notebook._id, sourceId, { content, markers });
+    }
+
+    notebook.sources.push({ ...fields, _id: sourceId });
+    try {
+      await notebook.save();
+    } catch (error) {
+      await this.removeText(sourceId);
+      throw error;
+    }
+
+    return notebook.sources.id(sourceId);
+  }
+
+  /**
+   * Store (or replace) the text of a source
+   */
+  async saveText(notebookId, sourceId, { content, markers = [] }) {
+    await NotebookSourceText.updateOne(
+      { sourceId },
+      { $set: { notebookId, content, markers } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Stored text of a source: { content, markers }, or null when it has none
+   */
+  async getText(sourceId) {
+    return NotebookSourceText.findOne({ sourceId }).select('content markers').lean();
+  }
+
+  /**
+   * Stored text of several sources, as a Map of source id -> { content, markers }
+   */
+  async getTexts(sourceIds) {
+    const texts = await NotebookSourceText.find({ sourceId: { $in: sourceIds } })
+      .select('sourceId content markers')
+      .lean();
+    return new Map(texts.map(text => [text.sourceId.toString(), text]));
+  }
+
+  async removeText(sourceIds) {
+    await NotebookSourceText.deleteMany({ sourceId: { $in: [].concat(sourceIds) } });
+  }
+
+  /**
+   * A source as sent to clients: its fields plus its stored content and markers
+   */
+  async withText(source) {
+    const text = await this.getText(source._id);
+    return { ...source.toObject(), content: text?.content, markers: text?.markers || [] };
+  }
+
+  isFileType(type) {
+    return Object.prototype.hasOwnProperty.call(FILE_SOURCE_TYPES, type);
+  }
+
+  /**
+   * Source type for an uploaded file, checked against its extension.
+   * Older clients send 'document' for any upload, so that is worked out from the extension.
+   */
+  resolveFileType(type, fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+
+    if (type === 'document') {
+      const detected = Object.keys(FILE_SOURCE_TYPES).find(t => FILE_SOURCE_TYPES[t].includes(extension));
+      if (!detected) {
+        throw new AppError(`Unsupported file type${extension ? ` ${extension}` : ''}`, 400);
+      }
+      return detected;
+    }
+
+    if (!FILE_SOURCE_TYPES[type].includes(extension)) {
+      throw new AppError(`${type} sources must be ${FILE_SOURCE_TYPES[type].join(' or ')} files`, 400);
+    }
+    return type;
+  }
+
+  /**
+   * Text of an uploaded document, with markers for where its pages, slides,
+   * chapters or sections start (PDFs are read at ingest time instead)
+   */
+  extractUpload(type, buffer) {
+    let document;
+    try {
+      document = extractDocument(type, buffer, { maxTextLength: config.notebooks.documentMaxTextLength });
+    } catch (err) {
+      throw new AppError(`Could not read this ${type} file: ${err.message}`, 422);
+    }
+
+    if (!document.text.trim()) {
+      throw new AppError(`No text could be extracted from this ${type} file`, 422);
+    }
+
+    return { content: document.text, markers: document.markers };
+  }
+
+  /**
+   * SHA-256 of a source's bytes (file buffer or text), in hex
+   */
+  hashContent(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * Sources with this content hash across all notebooks a user owns or was shared
+   */
+  async findDuplicates(userId, contentHash) {
+    const notebooks = await Notebook.find({
+      $or: [{ userId }, { 'collaborators.userId': userId }],
+      'sources.contentHash': contentHash
+    })
+      .select('title sources._id sources.name sources.type sources.contentHash sources.dateAdded')
+      .lean();
+
+    return notebooks.flatMap(notebook => notebook.sources
+      .filter(source => source.contentHash === contentHash)
+      .map(source => ({
+        notebookId: notebook._id,
+        notebookTitle: notebook.title,
+        sourceId: source._id,
+        name: source.name,
+        type: source.type,
+        dateAdded: source.dateAdded
+      })));
+  }
+
+  /**
+   * Delete an uploaded file unless another source still uses it
+   * (linked sources share the file of the source they were linked from)
+   * @param {String} filePath
+   * @param {Array} sourceIds - Sources being removed, which don't count as users of the file
+   */
+  async deleteFile(filePath, sourceIds) {
+    const inUse = await Notebook.exists({
+      sources: { $elemMatch: { filePath, _id: { $nin: [].concat(sourceIds) } } }
+    });
+
+    if (inUse) {
+      return;
+    }
+
+    try {
+      await fs.unlink(filePath);
+      console.log(`✓ Deleted file: ${filePath}`);
+    } catch (error) {
+      console.error(`Failed to delete file: ${filePath}`, error.message);
+    }
+  }
+}
+
+module.exports = new NotebookSourceService();
@@ -278,6 +278,30 @@ class NotificationService {
     });
   }
 
+  async notifyBoardComment(userId, board, author, comment) {
+    const preview = comment.content.length > 120
+      ? `${comment.content.substring(0, 117)}...`
+      : comment.content;
+
+    return this.createNotification({
+      userId,
+      type: 'board_comment',
+      title: '💬 You were mentioned',
+      message: `${author?.name || 'Someone'} mentioned you on "${board.title}": ${preview}`,
+      priority: 'medium',
+      relatedEntity: {
+        entityType: 'Board',
+        entityId: board._id || board.id,
+      },
+      actionUrl: `/study-board/${board._id || board.id}?comment=${comment.threadId || comment._id}`,
+      actionText: 'View Comment',
+      metadata: {
+        commentId: comment._id,
+        threadId: comment.threadId || comment._id,
+      },
+    });
+  }
+
   /**
    * AI/Notebook Notifications
    */
@@ -293,6 +317,22 @@ class NotificationService {
     });
   }
 
+  async notifyNotebookShared(userId, notebook, invitedBy, role) {
+    return this.createNotification({
+      userId,
+      type: 'notebook_shared',
+      title: '📓 Notebook Shared',
+      message: `${invitedBy.name} shared the notebook "${notebook.title}" with you as ${role === 'editor' ? 'an editor' : 'a viewer'}`,
+      priority: 'high',
+      relatedEntity: {
+        entityType: 'Notebook',
+        entityId: notebook._id,
+      },
+      actionUrl: `/study-notebook/${notebook._id}`,
+      actionText: 'Open Notebook',
+    });
+  }
+
   async notifyQuizGenerated(userId, quiz) {
     return this.createNotification({
       userId,
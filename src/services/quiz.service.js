@@ -1,13 +1,16 @@
 const Quiz = require('../models/Quiz');
 const QuizAttempt = require('../models/QuizAttempt');
-// const FlashcardSet = require('../models/FlashcardSet');
-// const Flashcard = require('../models/Flashcard');
+const FlashcardSet = require('../models/FlashcardSet');
+const Flashcard = require('../models/Flashcard');
+const subjectService = require('./subject.service');
 
 class QuizService {
   /**
    * Create a new quiz
    */
   async createQuiz(userId, data) {
+    await subjectService.assertOwnSubject(data.subject, userId);
+
     const quiz = new Quiz({
       ...data,
       createdBy: userId
@@ -25,7 +28,8 @@ class QuizService {
       $or: [
         { createdBy: userId },
         { visibility: 'shared' }
-      ]
+      ],
+      trashedAt: null
     };
 
     if (subjectId) {
@@ -33,6 +37,7 @@ class QuizService {
     }
 
     const quizzes = await Quiz.find(query)
+      .populate('subject', 'name code color icon')
       .populate('createdBy', 'name email')
       .sort({ updatedAt: -1 });
 
@@ -88,8 +93,10 @@ class QuizService {
       throw new Error('Unauthorized to update this quiz');
     }
 
+    await subjectService.assertOwnSubject(updates.subject, quiz.createdBy);
+
     // Update allowed fields
-    const allowedUpdates = ['title', 'description', 'visibility', 'questions', 'timeLimit', 'passingScore', 'settings', 'tags'];
+    const allowedUpdates = ['title', 'description', 'subject', 'visibility', 'questions', 'timeLimit', 'passingScore', 'settings', 'tags'];
     allowedUpdates.forEach(field => {
       if (updates[field] !== undefined) {
         quiz[field] = updates[field];
@@ -133,6 +140,11 @@ class QuizService {
       throw new Error('Flashcard set not found');
     }
 
+    // Authorization check
+    if (set.visibility === 'private' && set.createdBy.toString() !== userId) {
+      throw new Error('Unauthorized access to private flashcard set');
+    }
+
     // Get all cards
     const cards = await Flashcard.find({ setId }).sort({ order: 1 });
 
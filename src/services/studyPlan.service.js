@@ -1,12 +1,15 @@
 const StudyPlan = require('../models/StudyPlan');
 const StudyTask = require('../models/StudyTask');
 const AppError = require('../utils/AppError');
+const subjectService = require('./subject.service');
 
 class StudyPlanService {
   /**
    * Create a new study plan
    */
   async createPlan(userId, planData) {
+    await subjectService.assertOwnSubject(planData.subjectId, userId);
+
     const plan = await StudyPlan.create({
       userId,
       ...planData,
@@ -28,6 +31,9 @@ class StudyPlanService {
     if (filters.planType) {
       query.planType = filters.planType;
     }
+    if (filters.subjectId) {
+      query.subjectId = filters.subjectId;
+    }
 
     console.log('[studyPlanService.getUserPlans] query:', JSON.stringify(query));
 
@@ -81,11 +87,14 @@ class StudyPlanService {
       throw new AppError('Study plan not found', 404);
     }
 
+    await subjectService.assertOwnSubject(updates.subjectId, plan.userId);
+
     // Allowed updates
     const allowedUpdates = [
       'title',
       'description',
       'subject',
+      'subjectId',
       'topics',
       'endDate',
       'dailyStudyHours',
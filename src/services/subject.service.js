@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Subject = require('../models/Subject');
+const Quiz = require('../models/Quiz');
+const MindMap = require('../models/MindMap');
+const FlashcardSet = require('../models/FlashcardSet');
+const Notebook = require('../models/Notebook');
+const StudyPlan = require('../models/StudyPlan');
+const AppError = require('../utils/AppError');
+
+class SubjectService {
+  /**
+   * Create a new subject
+   */
+  async createSubject(userId, data) {
+    const subject = await Subject.create({
+      userId,
+      name: data.name,
+      code: data.code,
+      description: data.description,
+      color: data.color,
+      icon: data.icon
+    });
+
+    return subject;
+  }
+
+  /**
+   * Get all subjects for a user
+   */
+  async getUserSubjects(userId, includeArchived = false) {
+    const query = { userId };
+
+    if (!includeArchived) {
+      query.isArchived = false;
+    }
+
+    return Subject.find(query).sort({ name: 1 });
+  }
+
+  /**
+   * Get subject by ID (owner only)
+   */
+  async getSubjectById(subjectId, userId) {
+    const subject = await Subject.findOne({ _id: subjectId, userId });
+
+    if (!subject) {
+      throw new AppError('Subject not found', 404);
+    }
+
+    return subject;
+  }
+
+  /**
+   * Check that a subject being linked to a quiz, notebook or study plan belongs
+   * to that item's owner. Empty values (unlinking) are fine.
+   */
+  async assertOwnSubject(subjectId, userId) {
+    if (!subjectId) {
+      return;
+    }
+
+    if (!mongoose.isValidObjectId(subjectId) || !(await Subject.exists({ _id: subjectId, userId }))) {
+      throw new AppError('Subject not found', 404);
+    }
+  }
+
+  /**
+   * Update subject
+   */
+  async updateSubject(subjectId, userId, updates) {
+    const subject = await this.getSubjectById(subjectId, userId);
+
+    const allowedUpdates = ['name', 'code', 'description', 'color', 'icon', 'isArchived'];
+    allowedUpdates.forEach(field => {
+      if (updates[field] !== undefined) {
+        subject[field] = updates[field];
+      }
+    });
+
+    await subject.save();
+    return subject;
+  }
+
+  /**
+   * Delete subject and unlink everything that referenced it
+   */
+  async deleteSubject(subjectId, userId) {
+    const subject = await this.getSubjectById(subjectId, userId);
+
+    await Promise.all([
+      Quiz.updateMany({ createdBy: userId, subject: subject._id }, { $set: { subject: null } }),
+      MindMap.updateMany({ createdBy: userId, subject: subject._id }, { $unset: { subject: 1 } }),
+      FlashcardSet.updateMany({ createdBy: userId, subject: subject._id }, { $unset: { subject: 1 } }),
+      Notebook.updateMany({ userId, subject: subject._id }, { $unset: { subject: 1 } }),
+      StudyPlan.updateMany({ userId, subjectId: subject._id }, { $unset: { subjectId: 1 } })
+    ]);
+
+    await subject.deleteOne();
+
+    return { message: 'Subject deleted successfully' };
+  }
+
+  /**
+   * Aggregate everything the user has linked to one subject
+   */
+  async getSubjectOverview(subjectId, userId) {
+    const subject = await this.getSubjectById(subjectId, userId);
+
+    const [quizzes, mindMaps, flashcardSets, notebooks, studyPlans] = await Promise.all([
+      Quiz.find({ createdBy: userId, subject: subject._id })
+        .select('title questions totalAttempts averageScore updatedAt')
+        .sort({ updatedAt: -1 }),
+      MindMap.find({ createdBy: userId, subject: subject._id, isArchived: false })
+        .select('title topic version updatedAt')
+        .sort({ updatedAt: -1 }),
+      FlashcardSet.find({ createdBy: userId, subject: subject._id })
+        .select('title cardCount lastStudied updatedAt')
+        .sort({ updatedAt: -1 }),
+      Notebook.find({ userId, subject: subject._id, isArchived: false })
+        .select('title description sources.name sources.type lastAccessed')
+        .sort({ lastAccessed: -1 }),
+      StudyPlan.find({ userId, subjectId: subject._id, isArchived: false })
+        .select('title status startDate endDate completionPercentage')
+        .sort({ startDate: 1 })
+    ]);
+
+    const attemptedQuizzes = quizzes.filter(q => q.totalAttempts > 0);
+
+    return {
+      subject,
+      stats: {
+        quizzes: quizzes.length,
+        mindMaps: mindMaps.length,
+        flashcardSets: flashcardSets.length,
+        flashcards: flashcardSets.reduce((sum, s) => sum + (s.cardCount || 0), 0),
+        notebooks: notebooks.length,
+        studyPlans: studyPlans.length,
+        averageQuizScore: attemptedQuizzes.length > 0
+          ? attemptedQuizzes.reduce((sum, q) => sum + q.averageScore, 0) / attemptedQuizzes.length
+          : null,
+        averagePlanCompletion: studyPlans.length > 0
+          ? studyPlans.reduce((sum, p) => sum + p.completionPercentage, 0) / studyPlans.length
+          : null
+      },
+      quizzes,
+      mindMaps,
+      flashcardSets,
+      notebooks,
+      studyPlans
+    };
+  }
+}
+
+module.exports = new SubjectService();
@@ -0,0 +1,336 @@
+const axios = require('axios');
+const dns = require('dns').promises;
+const net = require('net');
+const config = require('../config/env');
+const AppError = require('../utils/AppError');
+const { extractArticle } = require('../utils/htmlText');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+const MAX_ROBOTS_BYTES = 512 * 1024;
+const PAGE_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'text/plain'];
+
+// Ranges that are not on the public internet: [first address, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+const PRIVATE_IPV6_RANGES = [
+  ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['100::', 64],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+];
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+PRIVATE_IPV4_RANGES.forEach(([base, bits]) => PRIVATE_ADDRESSES.addSubnet(base, bits, 'ipv4'));
+PRIVATE_IPV6_RANGES.forEach(([base, bits]) => PRIVATE_ADDRESSES.addSubnet(base, bits, 'ipv6'));
+
+/**
+ * The eight 16-bit groups of an IPv6 address, e.g. '::ffff:127.0.0.1' -> [0, 0, 0, 0, 0, 0xffff, 0x7f00, 1]
+ */
+const ipv6Groups = (ip) => {
+  let address = ip.toLowerCase().split('%')[0];
+  const dotted = address.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(Number);
+    address = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = address.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const missing = address.includes('::') ? 8 - left.length - right.length : 0;
+  return [...left, ...Array(missing).fill('0'), ...right].map(group => parseInt(group, 16));
+};
+
+// First six groups of IPv6 ranges whose last 32 bits are an IPv4 address:
+// IPv4-compatible, IPv4-mapped, IPv4-translated and NAT64
+const IPV4_EMBEDDING_PREFIXES = [
+  [0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0xffff], [0, 0, 0, 0, 0xffff, 0], [0x64, 0xff9b, 0, 0, 0, 0]
+];
+
+/**
+ * IPv4 address carried inside an IPv6 one (including 6to4 2002:aabb:ccdd::), or null
+ */
+const embeddedIPv4 = (ip) => {
+  const groups = ipv6Groups(ip);
+  const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+
+  if (IPV4_EMBEDDING_PREFIXES.some(prefix => prefix.every((group, i) => groups[i] === group))) {
+    return toIPv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) {
+    return toIPv4(groups[1], groups[2]);
+  }
+  return null;
+};
+
+/**
+ * Whether an address is off the public internet. IPv6 forms of IPv4 addresses
+ * (e.g. [::ffff:7f00:1] for 127.0.0.1) are judged by the IPv4 address.
+ */
+const isPrivateAddress = (ip) => {
+  if (net.isIPv4(ip)) {
+    return PRIVATE_ADDRESSES.check(ip, 'ipv4');
+  }
+  if (!net.isIPv6(ip)) {
+    return true;
+  }
+
+  const ipv4 = embeddedIPv4(ip);
+  return PRIVATE_ADDRESSES.check(ip, 'ipv6') || (ipv4 !== null && PRIVATE_ADDRESSES.check(ipv4, 'ipv4'));
+};
+
+/**
+ * Website Source Service
+ * Fetches web pages for notebook website sources: honours robots.txt, refuses
+ * private network addresses, caps size and redirects, and extracts the readable
+ * article text and title from the HTML.
+ */
+class WebsiteSourceService {
+  /**
+   * Fetch a page and extract its text.
+   * Returns { url, finalUrl, title, text, excerpt, lang, statusCode, contentType, bytes, fetchedAt }.
+   */
+  async fetchPage(url) {
+    let target = this.parseUrl(url);
+
+    for (let redirects = 0; ; redirects++) {
+      await this.assertAllowedByRobots(target);
+      const response = await this.request(target, config.notebooks.websiteMaxBytes);
+
+      if (REDIRECT_STATUSES.includes(response.status) && response.headers.location) {
+        if (redirects >= MAX_REDIRECTS) {
+          throw new AppError('Website redirected too many times', 422);
+        }
+        target = this.parseUrl(new URL(response.headers.location, target).href);
+        continue;
+      }
+
+      if (response.status >= 400) {
+        throw new AppError(`Website responded with status ${response.status}`, 422);
+      }
+
+      const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (!PAGE_CONTENT_TYPES.includes(contentType)) {
+        throw new AppError(`Website sources must be HTML or plain text pages (got ${contentType || 'unknown content'})`, 422);
+      }
+
+      const body = this.decode(response.data, response.headers['content-type']);
+      const page = contentType === 'text/plain'
+        ? { title: '', text: body.trim(), excerpt: body.trim().slice(0, 280), lang: null }
+        : extractArticle(body);
+
+      if (!page.text) {
+        throw new AppError('No readable text was found on this page', 422);
+      }
+
+      return {
+        url,
+        finalUrl: target.href,
+        title: page.title,
+        text: page.text.slice(0, config.notebooks.websiteMaxTextLength),
+        excerpt: page.excerpt,
+        lang: page.lang,
+        statusCode: response.status,
+        contentType,
+        bytes: response.data.length,
+        fetchedAt: new Date()
+      };
+    }
+  }
+
+  /**
+   * Notebook source fields for a fetched page
+   */
+  toSource(page) {
+    return {
+      url: page.url,
+      content: page.text,
+      // Bytes downloaded, like the file size of an uploaded source
+      size: page.bytes,
+      snapshot: {
+        title: page.title,
+        excerpt: page.excerpt,
+        lang: page.lang,
+        finalUrl: page.finalUrl,
+        statusCode: page.statusCode,
+        contentType: page.contentType,
+        fetchedAt: page.fetchedAt
+      }
+    };
+  }
+
+  /**
+   * Whether robots.txt lets us fetch the URL. A missing or unreadable robots.txt allows everything.
+   */
+  async isAllowedByRobots(target) {
+    let response;
+    try {
+      response = await this.request(new URL('/robots.txt', target), MAX_ROBOTS_BYTES);
+    } catch (error) {
+      // Refused addresses stay refused; anything else is left to the page fetch
+      if (error.statusCode === 400) {
+        throw error;
+      }
+      return true;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      return true;
+    }
+
+    const rules = this.parseRobots(response.data.toString('utf8'));
+    return this.robotsAllows(rules, `${target.pathname}${target.search}`);
+  }
+
+  async assertAllowedByRobots(target) {
+    if (!(await this.isAllowedByRobots(target))) {
+      throw new AppError('This website does not allow the page to be fetched (robots.txt)', 422);
+    }
+  }
+
+  /**
+   * Allow/Disallow rules from robots.txt that apply to us: our own user agent
+   * group if there is one, otherwise the * group
+   */
+  parseRobots(text) {
+    const agent = config.notebooks.websiteUserAgent.split('/')[0].toLowerCase();
+    const groups = [];
+    let current = null;
+
+    text.split(/\r?\n/).forEach((raw) => {
+      const line = raw.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        return;
+      }
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!current || current.rules.length > 0) {
+          current = { agents: [], rules: [] };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+      } else if (current && (field === 'allow' || field === 'disallow')) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      }
+    });
+
+    const own = groups.filter(group => group.agents.some(name => name !== '*' && agent.includes(name)));
+    const chosen = own.length > 0 ? own : groups.filter(group => group.agents.includes('*'));
+    return chosen.flatMap(group => group.rules);
+  }
+
+  /**
+   * The longest matching rule decides; Allow wins a tie
+   */
+  robotsAllows(rules, path) {
+    let best = null;
+
+    rules.filter(rule => rule.path).forEach((rule) => {
+      const pattern = rule.path
+        .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        // $ anchors the end of the path only as the last character
+        .replace(/\$(?!$)/g, '\\$');
+      if (!new RegExp(`^${pattern}`).test(path)) {
+        return;
+      }
+      if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+        best = rule;
+      }
+    });
+
+    return !best || best.allow;
+  }
+
+  async request(target, maxBytes) {
+    await this.assertPublicHost(target.hostname);
+
+    try {
+      return await axios.get(target.href, {
+        responseType: 'arraybuffer',
+        timeout: config.notebooks.websiteTimeoutMs,
+        maxContentLength: maxBytes,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        // axios passes a returned array on as the lookup callback's arguments
+        lookup: async hostname => [await this.lookupPublic(hostname)],
+        headers: {
+          'User-Agent': config.notebooks.websiteUserAgent,
+          Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.1'
+        }
+      });
+    } catch (error) {
+      // Refusals from lookupPublic come back wrapped by axios
+      if (error.cause instanceof AppError) {
+        throw error.cause;
+      }
+      if (/maxContentLength/.test(error.message)) {
+        throw new AppError(`Website page is larger than ${Math.round(maxBytes / 1024)} KB`, 422);
+      }
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        throw new AppError('Website took too long to respond', 422);
+      }
+      throw new AppError(`Could not fetch website: ${error.message}`, 422);
+    }
+  }
+
+  parseUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new AppError('Invalid website URL', 400);
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new AppError('Website URL must use http or https', 400);
+    }
+    if (parsed.username || parsed.password) {
+      throw new AppError('Website URL cannot contain credentials', 400);
+    }
+
+    parsed.hash = '';
+    return parsed;
+  }
+
+  /**
+   * Refuse addresses on private networks (checked for IP literals here and for
+   * resolved names in lookupPublic, so DNS can't point us at them either)
+   */
+  async assertPublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (!config.notebooks.websiteAllowPrivateHosts && (host === 'localhost' || (net.isIP(host) && isPrivateAddress(host)))) {
+      throw new AppError('Website URL must point to a public address', 400);
+    }
+  }
+
+  async lookupPublic(hostname) {
+    const addresses = await dns.lookup(hostname, { all: true });
+
+    if (!config.notebooks.websiteAllowPrivateHosts && addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new AppError('Website URL must point to a public address', 400);
+    }
+    return addresses;
+  }
+
+  decode(buffer, contentTypeHeader = '') {
+    const declared = (contentTypeHeader.match(/charset=["']?([\w-]+)/i)
+      || buffer.subarray(0, 2048).toString('latin1').match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+
+    try {
+      return new TextDecoder(declared || 'utf-8').decode(buffer);
+    } catch (error) {
+      return new TextDecoder('utf-8').decode(buffer);
+    }
+  }
+}
+
+module.exports = new WebsiteSourceService();
+module.exports.isPrivateAddress = isPrivateAddress;
@@ -0,0 +1,426 @@
+const Workspace = require('../models/Workspace');
+const Board = require('../models/Board');
+const Notebook = require('../models/Notebook');
+const Quiz = require('../models/Quiz');
+const MindMap = require('../models/MindMap');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+
+// Deepest folder nesting allowed (root folders are depth 1)
+const MAX_DEPTH = 10;
+
+// Everything that can be filed in a folder, with the field naming its owner and
+// a query for the items a user can open (the same rules as each item's own routes)
+const ITEM_MODELS = {
+  board: {
+    model: Board,
+    ownerField: 'owner',
+    select: 'title description owner thumbnail isPublic elementCount updatedAt',
+    canOpen: userId => ({ $or: [{ owner: userId }, { 'members.userId': userId }, { 'groups.memberIds': userId }, { isPublic: true }] })
+  },
+  notebook: {
+    model: Notebook,
+    ownerField: 'userId',
+    select: 'title description userId subject updatedAt',
+    canOpen: userId => ({ $or: [{ userId }, { 'collaborators.userId': userId }] })
+  },
+  quiz: {
+    model: Quiz,
+    ownerField: 'createdBy',
+    select: 'title description createdBy subject visibility updatedAt',
+    canOpen: userId => ({ $or: [{ createdBy: userId }, { visibility: 'shared' }] })
+  },
+  mindmap: {
+    model: MindMap,
+    ownerField: 'createdBy',
+    select: 'title topic createdBy subject visibility updatedAt',
+    canOpen: userId => ({ $or: [{ createdBy: userId }, { visibility: 'shared' }] })
+  }
+};
+
+/**
+ * Workspace Service
+ * Nested folders for boards, notebooks, quizzes and mind maps.
+ * Sharing a folder shares the folder tree; each item keeps its own access
+ * rules, so listings only show members the items they can already open.
+ * Deleting a folder moves it, its subfolders and the owner's items filed in
+ * them to the trash, from where they can be restored.
+ */
+class WorkspaceService {
+  /**
+   * Create a folder (at the root, or inside a folder the user can edit)
+   */
+  async createWorkspace(userId, { name, color, parentId = null }) {
+    let owner = userId;
+    let ancestors = [];
+
+    if (parentId) {
+      const { workspace: parent, role } = await this.getAccessibleWorkspace(parentId, userId);
+      this.assertCanEdit(role);
+
+      if (parent.ancestors.length + 1 >= MAX_DEPTH) {
+        throw new AppError(`Folders cannot be nested more than ${MAX_DEPTH} levels deep`, 400);
+      }
+
+      owner = parent.owner;
+      ancestors = [...parent.ancestors, parent._id];
+    }
+
+    const workspace = await Workspace.create({
+      name,
+      color,
+      owner,
+      createdBy: userId,
+      parent: parentId || null,
+      ancestors
+    });
+
+    return this.toClient(workspace, 'owner');
+  }
+
+  /**
+   * The user's root folders and folders shared with them
+   */
+  async getWorkspaces(userId) {
+    const [owned, shared] = await Promise.all([
+      Workspace.find({ owner: userId, parent: null, trashedAt: null }).sort({ name: 1 }).lean(),
+      Workspace.find({ 'members.userId': userId, trashedAt: null })
+        .sort({ name: 1 })
+        .populate('owner', 'name email')
+        .lean()
+    ]);
+
+    return {
+      owned: owned.map(folder => this.toClient(folder, 'owner')),
+      shared: shared.map(folder => this.toClient(folder, folder.members.find(m => m.userId.toString() === userId.toString()).role))
+    };
+  }
+
+  /**
+   * Everything directly inside a folder that the user can open, plus the path from the root
+   */
+  async getContents(workspaceId, userId) {
+    const { workspace, ancestors, role } = await this.getAccessibleWorkspace(workspaceId, userId);
+
+    const inFolder = { workspace: workspace._id, trashedAt: null };
+    const [folders, ...items] = await Promise.all([
+      Workspace.find({ parent: workspace._id, trashedAt: null }).sort({ name: 1 }).lean(),
+      ...Object.values(ITEM_MODELS).map(({ model, select, canOpen }) => model.find({ ...inFolder, ...canOpen(userId) })
+        .select(select)
+        .sort({ updatedAt: -1 })
+        .lean())
+    ]);
+
+    const [boards, notebooks, quizzes, mindMaps] = items;
+
+    return {
+      workspace: this.toClient(workspace, role),
+      path: ancestors.map(folder => ({ _id: folder._id, name: folder.name })),
+      folders: folders.map(folder => this.toClient(
+        folder,
+        Workspace.hydrate(folder).getUserRole(userId, [...ancestors, workspace])
+      )),
+      boards,
+      notebooks,
+      quizzes,
+      mindMaps
+    };
+  }
+
+  /**
+   * Rename (editors) or move (owner only) a folder
+   */
+  async updateWorkspace(workspaceId, userId, updates) {
+    const { workspace, role } = await this.getAccessibleWorkspace(workspaceId, userId);
+    this.assertCanEdit(role);
+
+    if (updates.name !== undefined) {
+      workspace.name = updates.name;
+    }
+
+    if (updates.color !== undefined) {
+      workspace.color = updates.color;
+    }
+
+    const moving = updates.parentId !== undefined &&
+      String(updates.parentId || '') !== String(workspace.parent || '');
+
+    if (moving) {
+      if (role !== 'owner') {
+        throw new AppError('Only the folder owner can move folders', 403);
+      }
+      await this.moveWorkspace(workspace, updates.parentId || null);
+    }
+
+    await workspace.save();
+
+    return this.toClient(workspace, role);
+  }
+
+  /**
+   * Move a folder to the trash with its subfolders and the owner's items filed in
+   * them (owner only). Other users' items are taken out of the folders instead,
+   * since they couldn't restore them.
+   */
+  async deleteWorkspace(workspaceId, userId) {
+    const { workspace, role } = await this.getAccessibleWorkspace(workspaceId, userId);
+
+    if (role !== 'owner') {
+      throw new AppError('Only the folder owner can delete folders', 403);
+    }
+
+    const folderIds = [
+      workspace._id,
+      ...(await Workspace.find({ ancestors: workspace._id, trashedAt: null }).distinct('_id'))
+    ];
+    const trash = { trashedAt: new Date(), trashedWith: workspace._id };
+
+    await Workspace.updateMany({ _id: { $in: folderIds } }, trash);
+
+    const counts = { folders: folderIds.length };
+    const unfiled = {};
+    for (const [type, { model, ownerField }] of Object.entries(ITEM_MODELS)) {
+      const inFolders = { workspace: { $in: folderIds }, trashedAt: null };
+      const trashed = await model.updateMany({ ...inFolders, [ownerField]: workspace.owner }, trash);
+      const others = await model.updateMany({ ...inFolders, [ownerField]: { $ne: workspace.owner } }, { workspace: null });
+      counts[type] = trashed.modifiedCount;
+      unfiled[type] = others.modifiedCount;
+    }
+
+    return { message: 'Folder moved to trash', trashed: counts, unfiled };
+  }
+
+  /**
+   * Deleted folders owned by the user (only the folder that was deleted, not its subfolders)
+   */
+  async getTrash(userId) {
+    const folders = await Workspace.find({
+      owner: userId,
+      trashedAt: { $ne: null },
+      $expr: { $eq: ['$_id', '$trashedWith'] }
+    })
+      .sort({ trashedAt: -1 })
+      .lean();
+
+    return folders.map(folder => this.toClient(folder, 'owner'));
+  }
+
+  /**
+   * Bring a deleted folder back with everything that was trashed with it (owner only).
+   * Goes to the root if its parent folder is gone.
+   */
+  async restoreWorkspace(workspaceId, userId) {
+    const workspace = await Workspace.findById(workspaceId);
+
+    if (!workspace || !workspace.trashedAt) {
+      throw new AppError('Folder not found in trash', 404);
+    }
+
+    if (workspace.owner.toString() !== userId.toString()) {
+      throw new AppError('Only the folder owner can restore folders', 403);
+    }
+
+    if (!workspace.trashedWith || workspace.trashedWith.toString() !== workspace._id.toString()) {
+      throw new AppError('Restore the deleted parent folder instead', 400);
+    }
+
+    const restore = { trashedAt: null, trashedWith: null };
+    await Workspace.updateMany({ trashedWith: workspace._id }, restore);
+    await Promise.all(Object.values(ITEM_MODELS).map(({ model }) =>
+      model.updateMany({ trashedWith: workspace._id }, restore)
+    ));
+
+    workspace.set(restore);
+
+    if (workspace.parent) {
+      const parent = await Workspace.findById(workspace.parent).select('trashedAt');
+      if (!parent || parent.trashedAt) {
+        await this.moveWorkspace(workspace, null);
+      }
+    }
+
+    await workspace.save();
+
+    return this.toClient(workspace, 'owner');
+  }
+
+  /**
+   * File one of the user's items in a folder (workspaceId null takes it out of folders).
+   * Moving an item out of the trash restores it.
+   */
+  async moveItem(userId, type, itemId, workspaceId = null) {
+    const itemType = ITEM_MODELS[type];
+
+    if (!itemType) {
+      throw new AppError(`Item type must be one of: ${Object.keys(ITEM_MODELS).join(', ')}`, 400);
+    }
+
+    const item = await itemType.model.findById(itemId);
+
+    if (!item) {
+      throw new AppError('Item not found', 404);
+    }
+
+    if (item[itemType.ownerField].toString() !== userId.toString()) {
+      throw new AppError('You can only file your own items', 403);
+    }
+
+    if (workspaceId) {
+      const { role } = await this.getAccessibleWorkspace(workspaceId, userId);
+      this.assertCanEdit(role);
+    }
+
+    // Saved without validation: older documents may predate required fields
+    await itemType.model.updateOne(
+      { _id: item._id },
+      { workspace: workspaceId || null, trashedAt: null, trashedWith: null }
+    );
+
+    return { type, itemId: item._id, workspace: workspaceId || null };
+  }
+
+  /**
+   * Share a folder (and its subfolders) with a user (owner only)
+   */
+  async addMember(workspaceId, userId, { userId: memberId, role = 'viewer' }) {
+    const workspace = await this.getOwnedWorkspace(workspaceId, userId);
+
+    if (workspace.owner.toString() === memberId.toString()) {
+      throw new AppError('The owner already has access to this folder', 400);
+    }
+
+    if (workspace.members.some(m => m.userId.toString() === memberId.toString())) {
+      throw new AppError('User is already a member of this folder', 400);
+    }
+
+    if (!(await User.exists({ _id: memberId }))) {
+      throw new AppError('User not found', 404);
+    }
+
+    workspace.members.push({ userId: memberId, role });
+    await workspace.save();
+    await workspace.populate('members.userId', 'name email');
+
+    return workspace;
+  }
+
+  async updateMemberRole(workspaceId, userId, memberId, role) {
+    const workspace = await this.getOwnedWorkspace(workspaceId, userId);
+    const member = workspace.members.find(m => m.userId.toString() === memberId.toString());
+
+    if (!member) {
+      throw new AppError('Member not found', 404);
+    }
+
+    member.role = role;
+    await workspace.save();
+    await workspace.populate('members.userId', 'name email');
+
+    return workspace;
+  }
+
+  async removeMember(workspaceId, userId, memberId) {
+    const workspace = await this.getOwnedWorkspace(workspaceId, userId);
+
+    workspace.members = workspace.members.filter(m => m.userId.toString() !== memberId.toString());
+    await workspace.save();
+    await workspace.populate('members.userId', 'name email');
+
+    return workspace;
+  }
+
+  /**
+   * Re-parent a folder and rewrite the ancestor chain of its whole subtree
+   */
+  async moveWorkspace(workspace, parentId) {
+    let ancestors = [];
+
+    if (parentId) {
+      const parent = await Workspace.findById(parentId);
+
+      if (!parent || parent.trashedAt) {
+        throw new AppError('Folder not found', 404);
+      }
+
+      if (parent.owner.toString() !== workspace.owner.toString()) {
+        throw new AppError('Folders can only be moved within the same owner\'s folders', 400);
+      }
+
+      if (parent._id.equals(workspace._id) || parent.ancestors.some(id => id.equals(workspace._id))) {
+        throw new AppError('A folder cannot be moved into itself', 400);
+      }
+
+      ancestors = [...parent.ancestors, parent._id];
+    }
+
+    const descendants = await Workspace.find({ ancestors: workspace._id }).select('ancestors');
+    const deepest = descendants.reduce((max, folder) => Math.max(max, folder.ancestors.length), workspace.ancestors.length);
+
+    if (ancestors.length + 1 + deepest - workspace.ancestors.length > MAX_DEPTH) {
+      throw new AppError(`Folders cannot be nested more than ${MAX_DEPTH} levels deep`, 400);
+    }
+
+    if (descendants.length > 0) {
+      await Workspace.bulkWrite(descendants.map(folder => {
+        const below = folder.ancestors.slice(folder.ancestors.findIndex(id => id.equals(workspace._id)));
+        return {
+          updateOne: {
+            filter: { _id: folder._id },
+            update: { $set: { ancestors: [...ancestors, ...below] } }
+          }
+        };
+      }));
+    }
+
+    workspace.parent = parentId;
+    workspace.ancestors = ancestors;
+  }
+
+  /**
+   * Folder (not in the trash) with the user's role on it, which comes from
+   * the folder or any folder above it
+   */
+  async getAccessibleWorkspace(workspaceId, userId) {
+    const workspace = await Workspace.findById(workspaceId);
+
+    if (!workspace || workspace.trashedAt) {
+      throw new AppError('Folder not found', 404);
+    }
+
+    const found = await Workspace.find({ _id: { $in: workspace.ancestors } }).select('name members');
+    const byId = new Map(found.map(folder => [folder._id.toString(), folder]));
+    const ancestors = workspace.ancestors.map(id => byId.get(id.toString())).filter(Boolean);
+
+    const role = workspace.getUserRole(userId, ancestors);
+
+    if (!role) {
+      throw new AppError('Access denied', 403);
+    }
+
+    return { workspace, ancestors, role };
+  }
+
+  async getOwnedWorkspace(workspaceId, userId) {
+    const { workspace, role } = await this.getAccessibleWorkspace(workspaceId, userId);
+
+    if (role !== 'owner') {
+      throw new AppError('Only the folder owner can manage sharing', 403);
+    }
+
+    return workspace;
+  }
+
+  assertCanEdit(role) {
+    if (role !== 'owner' && role !== 'editor') {
+      throw new AppError('You can only view this folder', 403);
+    }
+  }
+
+  toClient(workspace, role) {
+    const obj = workspace.toObject ? workspace.toObject() : { ...workspace };
+    return { ...obj, role };
+  }
+}
+
+module.exports = new WorkspaceService();
+module.exports.ITEM_TYPES = Object.keys(ITEM_MODELS);
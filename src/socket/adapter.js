@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const config = require('../config/env');
+const { MemoryPresenceStore, MongoPresenceStore, RedisPresenceStore } = require('./presence');
+
+// Collection the Mongo adapter relays events through (change stream)
+const MONGO_ADAPTER_COLLECTION = 'socket_io_adapter_events';
+
+/**
+ * Attach the cross-instance adapter configured by SOCKET_ADAPTER and create
+ * the matching presence store.
+ *  - memory: rooms and presence live in this process (single instance)
+ *  - redis:  broadcasts via Redis pub/sub, presence in Redis hashes
+ *  - mongo:  broadcasts via a MongoDB change stream (needs a replica set), presence in BoardPresence
+ * @param {Object} io - Socket.IO server instance
+ * @param {String} type - Adapter name
+ * @returns {Promise<{ presence: Object, close: Function }>}
+ */
+const attachAdapter = async (io, type = config.socket.adapter) => {
+  if (type === 'redis') {
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const pubClient = createClient({ url: config.socket.redisUrl });
+    const subClient = pubClient.duplicate();
+    pubClient.on('error', (err) => console.error('❌ Redis adapter error:', err.message));
+    subClient.on('error', (err) => console.error('❌ Redis adapter error:', err.message));
+
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    io.adapter(createAdapter(pubClient, subClient));
+
+    const presence = new RedisPresenceStore(pubClient);
+    console.log(`🔗 Socket.IO using Redis adapter (node ${presence.nodeId})`);
+
+    return {
+      presence,
+      close: async () => {
+        await presence.stop();
+        await Promise.all([pubClient.quit(), subClient.quit()]);
+      }
+    };
+  }
+
+  if (type === 'mongo') {
+    const { createAdapter } = require('@socket.io/mongo-adapter');
+
+    await mongoose.connection.asPromise();
+    const collection = mongoose.connection.db.collection(MONGO_ADAPTER_COLLECTION);
+    // Relayed events are only needed for a moment
+    await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 });
+    io.adapter(createAdapter(collection, { addCreatedAtField: true }));
+
+    const presence = new MongoPresenceStore();
+    // Entries used to be unique per user rather than per socket
+    await presence.BoardPresence.syncIndexes();
+    console.log(`🔗 Socket.IO using MongoDB adapter (node ${presence.nodeId})`);
+
+    return { presence, close: () => presence.stop() };
+  }
+
+  if (type !== 'memory') {
+    console.warn(`⚠️  Unknown SOCKET_ADAPTER "${type}", falling back to in-memory`);
+  }
+
+  const presence = new MemoryPresenceStore();
+  return { presence, close: () => presence.stop() };
+};
+
+module.exports = { attachAdapter };
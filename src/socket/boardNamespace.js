@@ -1,25 +1,122 @@
 const Board = require('../models/Board');
+const boardSyncService = require('../services/boardSync.service');
+const boardSnapshotService = require('../services/boardSnapshot.service');
+const boardShareService = require('../services/boardShare.service');
+const boardCommentService = require('../services/boardComment.service');
+const boardHistoryService = require('../services/boardHistory.service');
+const boardPageService = require('../services/boardPage.service');
+const boardActivityService = require('../services/boardActivity.service');
+const boardRecordingService = require('../services/boardRecording.service');
+const boardViolationService = require('../services/boardViolation.service');
 const jwt = require('jsonwebtoken');
 const config = require('../config/env');
+const { MemoryPresenceStore } = require('./presence');
+const { ElementClaimStore } = require('./elementClaims');
+const { SocketRateLimiter } = require('./rateLimiter');
+const { validatePayload } = require('./payloadValidation');
 
-// In-memory store for active sessions (user presence)
-// boardId -> Map of userId -> sessionData
-const activeSessions = new Map();
+// boardId -> interval handle for automatic snapshots while the board is in use
+const snapshotTimers = new Map();
+
+// Roles allowed to change board contents
+const EDIT_ROLES = ['owner', 'editor'];
+
+// Most elements one element:lock can claim
+const MAX_CLAIM_ELEMENTS = 500;
+
+// Error codes sent in rejection acks
+const ERROR_CODES = {
+  NOT_JOINED: 'BOARD_NOT_JOINED',
+  READ_ONLY: 'BOARD_READ_ONLY',
+  SHARE_EXPIRED: 'BOARD_SHARE_EXPIRED',
+  PAGE_READ_ONLY: 'BOARD_PAGE_READ_ONLY',
+  GUEST_NOT_ALLOWED: 'BOARD_GUEST_NOT_ALLOWED',
+  ELEMENT_CLAIMED: 'BOARD_ELEMENT_CLAIMED',
+  ELEMENT_LOCKED: 'BOARD_ELEMENT_LOCKED',
+  OWNER_ONLY: 'BOARD_OWNER_ONLY',
+  RATE_LIMITED: 'BOARD_RATE_LIMITED',
+  INVALID_PAYLOAD: 'BOARD_INVALID_PAYLOAD'
+};
+
+// Relayed to the other instances when member access changes
+const CLUSTER_EVENTS = {
+  ROLE_CHANGED: 'cluster:member-role-changed',
+  SHARE_LINK_REVOKED: 'cluster:share-link-revoked',
+  ELEMENTS_CLAIMED: 'cluster:elements-claimed',
+  ELEMENTS_RELEASED: 'cluster:elements-released',
+  BOARD_CLAIMS_RELEASED: 'cluster:board-claims-released'
+};
 
 /**
  * Initialize board-specific Socket.IO events
  * @param {Object} io - Socket.IO server instance
+ * @param {Object} options.presence - Presence store (in-memory unless an adapter provides a shared one)
+ * @param {Object} options.claims - Element edit claim store
+ * @param {Object} options.rateLimiter - Per-socket event rate limiter
  */
-module.exports = (io) => {
+module.exports = (io, {
+  presence = new MemoryPresenceStore(),
+  claims = new ElementClaimStore(),
+  rateLimiter = new SocketRateLimiter()
+} = {}) => {
   // Board namespace for all board-related events
   const boardNamespace = io.of('/boards');
+  boardNamespace.presence = presence;
+  boardNamespace.claims = claims;
+
+  // Holder never renewed or released the claim
+  claims.onExpire = (boardId, claim) => {
+    boardNamespace.to(boardId).emit('element:unlocked', {
+      elementIds: [claim.elementId],
+      userId: claim.userId,
+      reason: 'expired',
+      timestamp: new Date()
+    });
+  };
+
+  // Access changes made through another instance
+  boardNamespace.on(CLUSTER_EVENTS.ROLE_CHANGED, ({ boardId, userId, role, isPublic }) => {
+    applyLocalRoleChange(boardNamespace, boardId, userId, role, isPublic);
+  });
+  boardNamespace.on(CLUSTER_EVENTS.SHARE_LINK_REVOKED, ({ boardId, linkId }) => {
+    revokeLocalShareLinkSessions(boardNamespace, boardId, linkId);
+  });
+  boardNamespace.on(CLUSTER_EVENTS.ELEMENTS_CLAIMED, ({ boardId, elementIds, holder, expiresAt }) => {
+    claims.mirror(boardId, elementIds, holder, expiresAt);
+  });
+  boardNamespace.on(CLUSTER_EVENTS.ELEMENTS_RELEASED, ({ boardId, elementIds, socketId }) => {
+    claims.release(boardId, elementIds, socketId);
+  });
+  boardNamespace.on(CLUSTER_EVENTS.BOARD_CLAIMS_RELEASED, ({ boardId }) => {
+    claims.releaseBoard(boardId);
+  });
 
   // Authentication middleware for board namespace
-  boardNamespace.use((socket, next) => {
+  boardNamespace.use(async (socket, next) => {
     const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.split(' ')[1];
+    const { shareToken, sharePassword, guestName } = socket.handshake.auth;
     
     if (!token) {
-      return next(new Error('Authentication required'));
+      if (!shareToken) {
+        return next(new Error('Authentication required'));
+      }
+
+      // Anonymous guest holding a share link - always read-only, one board only
+      try {
+        const { link } = await boardShareService.resolveShareToken(shareToken, sharePassword);
+        socket.isGuest = true;
+        socket.userId = `guest:${socket.id}`;
+        socket.userEmail = null;
+        socket.guestLabel = formatGuestLabel(guestName);
+        socket.guestLink = {
+          boardId: link.boardId.toString(),
+          linkId: link._id.toString(),
+          expiresAt: link.expiresAt
+        };
+        return next();
+      } catch (error) {
+        return next(new Error(error.message));
+      }
     }
 
     try {
@@ -34,12 +131,44 @@ module.exports = (io) => {
   });
 
   boardNamespace.on('connection', (socket) => {
-    console.log(`📋 Board socket connected: ${socket.userEmail}`);
+    console.log(`📋 Board socket connected: ${socket.userEmail || socket.guestLabel}`);
+
+    // boardId -> role this socket joined with (null for public-board visitors)
+    socket.boardRoles = new Map();
+    // boardId -> { linkId, expiresAt } for boards joined through a share link
+    socket.boardShareLinks = new Map();
+    socket.leaveBoard = (boardId) => handleUserLeave(socket, boardId);
+
+    // Rate limits and payload checks run before every event handler
+    socket.use((packet, next) => {
+      const [event, payload] = packet;
+      const ack = typeof packet[packet.length - 1] === 'function' ? packet[packet.length - 1] : null;
+
+      const { allowed, retryAfterMs } = rateLimiter.consume(socket, event);
+      if (!allowed) {
+        return rejectEvent(socket, event, payload, ack, 'rateLimited', {
+          error: 'Too many requests, slow down',
+          code: ERROR_CODES.RATE_LIMITED,
+          retryAfterMs
+        });
+      }
+
+      const problems = validatePayload(event, payload);
+      if (problems.length > 0) {
+        return rejectEvent(socket, event, payload, ack, 'invalidPayload', {
+          error: 'Invalid payload',
+          code: ERROR_CODES.INVALID_PAYLOAD,
+          details: problems
+        });
+      }
+
+      next();
+    });
 
     /**
      * Join a board room
      */
-    socket.on('board:join', async ({ boardId }, callback) => {
+    socket.on('board:join', async ({ boardId, pageId, shareToken, sharePassword }, callback) => {
       try {
         // Verify user has access to this board
         const board = await Board.findById(boardId);
@@ -51,88 +180,121 @@ module.exports = (io) => {
           return;
         }
 
-        // Check if user is a member or owner
-        const isMember = board.owner.toString() === socket.userId || 
-                        board.members.some(m => m.userId.toString() === socket.userId);
+        // Owner/member role, or the scope of a share link for everyone else
+        let role = board.getUserRole(socket.userId);
+        let shareLink = null;
+
+        if (socket.isGuest) {
+          shareLink = socket.guestLink.boardId === boardId ? socket.guestLink : null;
+          role = shareLink ? 'viewer' : null;
+        } else if (!role && shareToken) {
+          const { link } = await boardShareService.resolveShareToken(shareToken, sharePassword, boardId);
+          shareLink = { linkId: link._id.toString(), expiresAt: link.expiresAt };
+          role = link.scope === 'edit' ? 'editor' : 'viewer';
+        }
 
-        if (!isMember && !board.isPublic) {
+        if (!role && (socket.isGuest || !board.isPublic)) {
           if (typeof callback === 'function') {
             return callback({ error: 'Access denied' });
           }
           return;
         }
 
+        const readOnly = !EDIT_ROLES.includes(role);
+        const pages = board.getPages().map(page => boardPageService.toPage(page));
+
+        if (pageId && !pages.some(page => page.id === pageId)) {
+          if (typeof callback === 'function') {
+            return callback({ error: 'Page not found' });
+          }
+          return;
+        }
+
         // Join the room
         socket.join(boardId);
         socket.currentBoardId = boardId;
-
-        // Add to active sessions using Map for proper user tracking
-        if (!activeSessions.has(boardId)) {
-          activeSessions.set(boardId, new Map());
+        socket.boardRoles.set(boardId, role);
+        if (shareLink) {
+          socket.boardShareLinks.set(boardId, shareLink);
         }
 
+        startAutoSnapshots(boardId);
+
         const sessionData = {
           socketId: socket.id,
           userId: socket.userId,
           email: socket.userEmail,
+          isGuest: !!socket.isGuest,
+          // Display name for presence lists ("Guest" for anonymous share-link visitors)
+          label: socket.isGuest ? socket.guestLabel : socket.userEmail,
           cursor: { x: 0, y: 0 },
           color: generateUserColor(socket.userId),
           joinedAt: new Date()
         };
 
-        // Use userId as key to prevent duplicate user entries
-        activeSessions.get(boardId).set(socket.userId, sessionData);
+        // Keyed by socket: the user's other tabs stay listed when this one leaves
+        await presence.set(boardId, sessionData);
+        await boardActivityService.recordSession(boardId, { userId: socket.userId, label: sessionData.label }, 'board:join');
 
-        // Get all active participants (unique users)
-        const participants = Array.from(activeSessions.get(boardId).values());
+        // Get all active participants (unique users, across every instance)
+        const participants = uniqueUsers(await presence.list(boardId));
 
-        console.log(`✅ ${socket.userEmail} joined board: ${boardId}. Total participants: ${participants.length}`);
+        console.log(`✅ ${sessionData.label} joined board: ${boardId}. Total participants: ${participants.length}`);
 
         // Notify others that user joined
         socket.to(boardId).emit('user:joined', {
           userId: socket.userId,
           email: socket.userEmail,
+          isGuest: sessionData.isGuest,
+          label: sessionData.label,
           color: sessionData.color,
           timestamp: new Date()
         });
 
         // Send current board state and participants to the joining user
-        console.log(`[Board ${boardId}] Sending board data with ${board.elements?.length || 0} elements to ${socket.userEmail}`);
         // Clean board elements before sending (remove Mongoose fields, ensure required tldraw fields)
-        const cleanElements = board.elements.map(el => ({
-          id: el.id,
-          type: el.type,
-          typeName: el.typeName || 'shape',
-          x: el.x || 0,
-          y: el.y || 0,
-          rotation: el.rotation || 0,
-          isLocked: el.isLocked || false,
-          opacity: el.opacity || 1,
-          props: el.props || {},
-          meta: el.meta || {},
-          parentId: el.parentId || 'page:page',
-          index: el.index || 'a1'
-        })).filter(el => el.type); // Filter out elements without type
-
-        console.log(`[Board ${boardId}] Sending ${cleanElements.length} cleaned elements (original: ${board.elements.length})`);
+        // With pageId only that page is sent; others are fetched with page:load
+        const snapshot = await boardSyncService.getSnapshot(boardId, pageId || null);
+        const recording = await boardRecordingService.getActiveRecording(boardId);
+        const cleanElements = snapshot.elements.filter(el => el.type); // Filter out elements without type
+
+        console.log(`[Board ${boardId}] Sending ${cleanElements.length} elements to ${sessionData.label}`);
         
         if (typeof callback === 'function') {
           callback({ 
             success: true,
             board: {
               ...board.toObject(),
+              pages,
               elements: cleanElements
             },
+            // Page the elements belong to (null when the whole board was sent)
+            pageId: pageId || null,
+            // Sequence number the element snapshot corresponds to (use with board:sync)
+            seq: snapshot.seq,
+            role,
+            // Client should lock the canvas when true
+            readOnly,
+            // Pages this user can see but not change
+            readOnlyPageIds: pages
+              .filter(page => readOnly || (page.viewerOnly && role !== 'owner'))
+              .map(page => page.id),
+            // Elements other participants are editing right now
+            locks: claims.list(boardId),
+            // Session being recorded, if any (show a recording indicator)
+            recording,
             participants: participants.map(p => ({
               userId: p.userId,
               email: p.email,
+              isGuest: p.isGuest,
+              label: p.label,
               color: p.color,
               cursor: p.cursor
             }))
           });
         }
 
-        console.log(`✅ ${socket.userEmail} joined board: ${boardId}`);
+        console.log(`✅ ${sessionData.label} joined board: ${boardId}`);
       } catch (error) {
         console.error('Error joining board:', error);
         if (typeof callback === 'function') {
@@ -152,60 +314,25 @@ module.exports = (io) => {
      * Create a new element on the board
      */
     socket.on('element:create', async ({ boardId, element }, callback) => {
+      if (!authorizeEdit(socket, boardId, callback)) return;
+
       try {
+        if (!await authorizePageEdit(socket, boardId, { elementIds: [element.id], parentIds: [element.parentId] }, callback)) return;
+        if (!await authorizeElementLocks(socket, boardId, [element.id], element.isLocked === true, callback)) return;
+
         console.log(`[Board ${boardId}] Creating element:`, element.type, element.id);
-        
-        const board = await Board.findById(boardId);
-        if (!board) {
-          console.error(`[Board ${boardId}] Board not found`);
-          if (callback && typeof callback === 'function') {
-            return callback({ error: 'Board not found' });
-          }
-          return;
-        }
 
-        // Add element with metadata
-        const newElement = {
-          ...element,
-          id: element.id || generateId(),
-          createdBy: socket.userId,
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
+        const result = await boardSyncService.createElement(boardId, socket.userId, element);
 
-        board.elements.push(newElement);
-        board.updatedAt = new Date();
-        await board.save();
-
-        console.log(`[Board ${boardId}] Element saved to DB. Total elements: ${board.elements.length}`);
-
-        // Clean element for tldraw - remove Mongoose fields
-        const cleanElement = {
-          id: newElement.id,
-          type: newElement.type,
-          x: newElement.x,
-          y: newElement.y,
-          rotation: newElement.rotation,
-          isLocked: newElement.isLocked,
-          opacity: newElement.opacity,
-          props: newElement.props,
-          meta: newElement.meta,
-          parentId: newElement.parentId,
-          index: newElement.index,
-          typeName: newElement.typeName || 'shape'
-        };
+        console.log(`[Board ${boardId}] Element saved to DB (seq ${result.seq})`);
 
-        // Broadcast to all users in the room except sender
-        socket.to(boardId).emit('element:created', {
-          element: cleanElement,
-          userId: socket.userId,
-          timestamp: new Date()
-        });
+        await boardHistoryService.record(boardId, socket.userId, result.created ? 'create' : 'update', result);
 
-        console.log(`[Board ${boardId}] Broadcasted element:created to room`);
+        // Broadcast to all users in the room except sender
+        broadcastElementResult(socket, boardId, result);
 
         if (callback && typeof callback === 'function') {
-          callback({ success: true, element: cleanElement });
+          callback({ success: true, element: result.element, seq: result.seq });
         }
       } catch (error) {
         console.error(`[Board ${boardId}] Error creating element:`, error);
@@ -219,162 +346,24 @@ module.exports = (io) => {
      * Update an existing element
      */
     socket.on('element:update', async ({ boardId, elementId, changes }, callback) => {
+      if (!authorizeEdit(socket, boardId, callback)) return;
+
       try {
-        // Use findOneAndUpdate with upsert for atomic operation
-        const board = await Board.findOneAndUpdate(
-          { 
-            _id: boardId,
-            'elements.id': elementId 
-          },
-          {
-            $set: {
-              'elements.$.id': elementId,
-              ...Object.keys(changes).reduce((acc, key) => {
-                acc[`elements.$.${key}`] = changes[key];
-                return acc;
-              }, {}),
-              'elements.$.updatedAt': new Date(),
-              updatedAt: new Date()
-            }
-          },
-          { new: true }
-        );
-
-        let wasCreated = false;
-        let element;
-
-        // If element wasn't found (no update happened), create it
-        if (!board) {
-          // Element doesn't exist, so add it - use $addToSet pattern to prevent duplicates
-          const updatedBoard = await Board.findOneAndUpdate(
-            { 
-              _id: boardId,
-              'elements.id': { $ne: elementId }  // Only push if element doesn't exist
-            },
-            {
-              $push: {
-                elements: {
-                  id: elementId,
-                  ...changes,
-                  createdBy: socket.userId,
-                  createdAt: new Date(),
-                  updatedAt: new Date()
-                }
-              },
-              $set: { updatedAt: new Date() }
-            },
-            { new: true }
-          );
-
-          if (!updatedBoard) {
-            // Either board doesn't exist OR element was already added by another request
-            // Try to update it instead
-            const retryBoard = await Board.findOneAndUpdate(
-              { 
-                _id: boardId,
-                'elements.id': elementId 
-              },
-              {
-                $set: {
-                  ...Object.keys(changes).reduce((acc, key) => {
-                    acc[`elements.$.${key}`] = changes[key];
-                    return acc;
-                  }, {}),
-                  'elements.$.updatedAt': new Date(),
-                  updatedAt: new Date()
-                }
-              },
-              { new: true }
-            );
-
-            if (!retryBoard) {
-              console.error(`[Board ${boardId}] Board not found even on retry`);
-              if (callback && typeof callback === 'function') {
-                return callback({ error: 'Board not found' });
-              }
-              return;
-            }
-
-            element = retryBoard.elements.find(el => el.id === elementId);
-            console.log(`[Board ${boardId}] Element already existed, updated on retry: ${elementId}`);
-            // Don't broadcast since it was likely already created
-            if (typeof callback === 'function') {
-              return callback({ success: true });
-            }
-            return;
-          }
+        const parentIds = changes && changes.parentId ? [changes.parentId] : [];
+        if (!await authorizePageEdit(socket, boardId, { elementIds: [elementId], parentIds }, callback)) return;
+        if (!await authorizeElementLocks(socket, boardId, [elementId], changes?.isLocked === true, callback)) return;
 
-          element = updatedBoard.elements.find(el => el.id === elementId);
-          wasCreated = true;
-          console.log(`[Board ${boardId}] Created new element: ${elementId}`);
-        } else {
-          element = board.elements.find(el => el.id === elementId);
-          console.log(`[Board ${boardId}] Updated existing element: ${elementId}`);
-        }
+        const result = await boardSyncService.updateElement(boardId, socket.userId, elementId, changes);
+
+        console.log(`[Board ${boardId}] ${result.created ? 'Created new' : 'Updated existing'} element: ${elementId} (seq ${result.seq})`);
 
-        console.log(`[Board ${boardId}] Element saved to DB. Total elements: ${board ? board.elements.length : 'unknown'}`);
+        await boardHistoryService.record(boardId, socket.userId, 'update', result);
 
         // Broadcast - if it was created, send full element; otherwise send changes
-        if (wasCreated) {
-          // Convert Mongoose document to plain object and remove Mongoose-specific fields
-          const elementObj = element.toObject ? element.toObject() : element;
-          const cleanElement = {
-            id: elementObj.id,
-            type: elementObj.type,
-            typeName: elementObj.typeName || 'shape',
-            x: elementObj.x,
-            y: elementObj.y,
-            rotation: elementObj.rotation,
-            isLocked: elementObj.isLocked,
-            opacity: elementObj.opacity,
-            props: elementObj.props,
-            meta: elementObj.meta,
-            parentId: elementObj.parentId,
-            index: elementObj.index,
-            typeName: elementObj.typeName || 'shape'
-          };
-          
-          socket.to(boardId).emit('element:created', {
-            element: cleanElement,
-            userId: socket.userId,
-            timestamp: new Date()
-          });
-          console.log(`[Board ${boardId}] Broadcasted element:created to room`);
-        } else {
-          // Get the full element for broadcasting
-          const elementObj = element.toObject ? element.toObject() : element;
-          
-          // For draw shapes, send complete shape data instead of just changes
-          const broadcastData = elementObj.type === 'draw' ? {
-            elementId,
-            changes: {
-              x: elementObj.x,
-              y: elementObj.y,
-              rotation: elementObj.rotation,
-              opacity: elementObj.opacity,
-              isLocked: elementObj.isLocked,
-              props: elementObj.props, // Complete props with all segments
-              type: elementObj.type,
-              typeName: elementObj.typeName || 'shape',
-              parentId: elementObj.parentId,
-              index: elementObj.index,
-              meta: elementObj.meta
-            },
-            userId: socket.userId,
-            timestamp: new Date()
-          } : {
-            elementId,
-            changes,
-            userId: socket.userId,
-            timestamp: new Date()
-          };
-          
-          socket.to(boardId).emit('element:updated', broadcastData);
-          console.log(`[Board ${boardId}] Broadcasted element:updated to room`);
-        }
+        broadcastElementResult(socket, boardId, result);
 
         if (callback && typeof callback === 'function') {
-          callback({ success: true });
+          callback({ success: true, seq: result.seq });
         }
       } catch (error) {
         console.error(`[Board ${boardId}] Error updating element:`, error);
@@ -388,43 +377,309 @@ module.exports = (io) => {
      * Delete an element
      */
     socket.on('element:delete', async ({ boardId, elementId }, callback) => {
+      if (!authorizeEdit(socket, boardId, callback)) return;
+
       try {
+        if (!await authorizePageEdit(socket, boardId, { elementIds: [elementId] }, callback)) return;
+        if (!await authorizeElementLocks(socket, boardId, [elementId], false, callback)) return;
+
         console.log(`[Board ${boardId}] Deleting element:`, elementId);
-        
-        // Use atomic operation to avoid version conflicts
-        const board = await Board.findOneAndUpdate(
-          { _id: boardId },
-          { 
-            $pull: { elements: { id: elementId } },
-            $set: { updatedAt: new Date() }
-          },
-          { new: true }
-        );
 
-        if (!board) {
-          console.error(`[Board ${boardId}] Board not found`);
+        const result = await boardSyncService.deleteElement(boardId, socket.userId, elementId);
+        const { seq } = result;
+
+        // Nothing to broadcast if the element was already gone
+        if (seq !== null) {
+          await boardHistoryService.record(boardId, socket.userId, 'delete', result);
+          releaseClaims(socket, boardId, [elementId]);
+
+          socket.to(boardId).emit('element:deleted', {
+            elementId,
+            seq,
+            userId: socket.userId,
+            timestamp: new Date()
+          });
+
+          console.log(`[Board ${boardId}] Broadcasted element:deleted to room (seq ${seq})`);
+        }
+
+        if (typeof callback === 'function') {
+          callback({ success: true, seq });
+        }
+      } catch (error) {
+        console.error(`[Board ${boardId}] Error deleting element:`, error);
+        if (typeof callback === 'function') {
+          callback({ error: error.message });
+        }
+      }
+    });
+
+    /**
+     * Claim elements for exclusive editing (e.g. while dragging them).
+     * Claims run out after a short while - send element:lock again to keep them.
+     */
+    socket.on('element:lock', async (payload, callback) => {
+      if (!checkPayload(payload, claimPayloadFields(payload), callback)) return;
+      const { boardId, elementId, elementIds } = payload;
+      if (!authorizeEdit(socket, boardId, callback)) return;
+
+      try {
+        const ids = toElementIds(elementId, elementIds);
+        if (ids.length === 0 || ids.length > MAX_CLAIM_ELEMENTS) {
           if (typeof callback === 'function') {
-            return callback({ error: 'Board not found' });
+            callback({ error: `Lock between 1 and ${MAX_CLAIM_ELEMENTS} elements at a time` });
           }
           return;
         }
 
-        console.log(`[Board ${boardId}] Element deleted from DB atomically. Remaining elements: ${board.elements.length}`);
+        if (!await authorizePageEdit(socket, boardId, { elementIds: ids }, callback)) return;
+        if (!await authorizeElementLocks(socket, boardId, ids, false, callback)) return;
 
-        // Broadcast to all users in the room except sender
-        socket.to(boardId).emit('element:deleted', {
-          elementId,
+        const holder = {
+          socketId: socket.id,
+          userId: socket.userId,
+          label: socket.userEmail || socket.guestLabel
+        };
+        const { granted, expiresAt, conflicts } = claims.claim(boardId, ids, holder);
+
+        // Someone else got in while the element locks were being checked
+        if (!granted) {
+          if (typeof callback === 'function') {
+            callback({ error: 'Someone else is editing these elements', code: ERROR_CODES.ELEMENT_CLAIMED, locks: conflicts });
+          }
+          return;
+        }
+
+        relayToCluster(boardNamespace, CLUSTER_EVENTS.ELEMENTS_CLAIMED, { boardId, elementIds: ids, holder, expiresAt });
+
+        socket.to(boardId).emit('element:locked', {
+          elementIds: ids,
           userId: socket.userId,
+          label: holder.label,
+          expiresAt,
           timestamp: new Date()
         });
 
-        console.log(`[Board ${boardId}] Broadcasted element:deleted to room`);
+        if (typeof callback === 'function') {
+          callback({ success: true, elementIds: ids, expiresAt });
+        }
+      } catch (error) {
+        console.error(`[Board ${boardId}] Error locking elements:`, error);
+        if (typeof callback === 'function') {
+          callback({ error: error.message });
+        }
+      }
+    });
+
+    /**
+     * Give up claims taken with element:lock
+     */
+    socket.on('element:unlock', (payload, callback) => {
+      if (!checkPayload(payload, claimPayloadFields(payload), callback)) return;
+      const { boardId, elementId, elementIds } = payload;
+      const released = releaseClaims(socket, boardId, toElementIds(elementId, elementIds));
+
+      if (typeof callback === 'function') {
+        callback({ success: true, elementIds: released });
+      }
+    });
+
+    /**
+     * Undo / redo the user's own last step on this board.
+     * Fields another user has changed since are left alone and reported as conflicts.
+     */
+    ['undo', 'redo'].forEach(action => {
+      socket.on(`board:${action}`, async (payload, callback) => {
+        if (!checkPayload(payload, ['boardId'], callback)) return;
+        const { boardId } = payload;
+        if (!authorizeEdit(socket, boardId, callback)) return;
+
+        try {
+          const scope = await boardHistoryService.peek(boardId, socket.userId, action);
+          if (!await authorizePageEdit(socket, boardId, scope, callback)) return;
+          if (!await authorizeElementLocks(socket, boardId, scope.elementIds, false, callback)) return;
+
+          const result = await boardHistoryService[action](boardId, socket.userId);
+          const operations = result.operations.map(op => broadcastHistoryOperation(socket, boardId, op));
+
+          console.log(`[Board ${boardId}] ${action} by ${socket.userEmail}: ${operations.length} operations, ${result.conflicts.length} conflicts`);
+
+          if (typeof callback === 'function') {
+            callback({
+              success: true,
+              applied: result.applied,
+              reason: result.reason,
+              operations,
+              conflicts: result.conflicts
+            });
+          }
+        } catch (error) {
+          console.error(`[Board ${boardId}] Error during ${action}:`, error);
+          if (typeof callback === 'function') {
+            callback({ error: error.message });
+          }
+        }
+      });
+    });
+
+    /**
+     * Load one page's elements (boards joined with a pageId load other pages lazily)
+     */
+    socket.on('page:load', async (payload, callback) => {
+      if (!checkPayload(payload, ['boardId', 'pageId'], callback)) return;
+      const { boardId, pageId } = payload;
+
+      try {
+        if (!socket.boardRoles.has(boardId)) {
+          if (typeof callback === 'function') {
+            return callback({ error: 'Join the board before loading pages', code: ERROR_CODES.NOT_JOINED });
+          }
+          return;
+        }
+
+        const board = await Board.findById(boardId).select('pages');
+        if (!board || !board.getPages().some(page => page.id === pageId)) {
+          if (typeof callback === 'function') {
+            return callback({ error: 'Page not found' });
+          }
+          return;
+        }
+
+        const snapshot = await boardSyncService.getSnapshot(boardId, pageId);
 
         if (typeof callback === 'function') {
-          callback({ success: true });
+          callback({ success: true, pageId, elements: snapshot.elements.filter(el => el.type), seq: snapshot.seq });
         }
       } catch (error) {
-        console.error(`[Board ${boardId}] Error deleting element:`, error);
+        console.error(`[Board ${boardId}] Error loading page:`, error);
+        if (typeof callback === 'function') {
+          callback({ error: error.message });
+        }
+      }
+    });
+
+    /**
+     * Page management - same rules as the REST endpoints, broadcast to the room
+     */
+    const pageEvents = {
+      'page:create': {
+        broadcast: 'page:created',
+        run: ({ boardId, name, position }) => boardPageService.createPage(boardId, socket.userId, { name, position })
+      },
+      'page:update': {
+        broadcast: 'page:updated',
+        run: ({ boardId, pageId, name, viewerOnly }) => boardPageService.updatePage(boardId, socket.userId, pageId, { name, viewerOnly })
+      },
+      'page:reorder': {
+        broadcast: 'pages:reordered',
+        run: ({ boardId, pageIds }) => boardPageService.reorderPages(boardId, socket.userId, pageIds)
+      },
+      'page:delete': {
+        broadcast: 'page:deleted',
+        run: ({ boardId, pageId }) => boardPageService.deletePage(boardId, socket.userId, pageId)
+      }
+    };
+
+    Object.entries(pageEvents).forEach(([event, { broadcast, run }]) => {
+      socket.on(event, async (payload, callback) => {
+        if (!checkPayload(payload, ['boardId'], callback)) return;
+        const { boardId } = payload;
+        if (!authorizeEdit(socket, boardId, callback)) return;
+
+        try {
+          const result = await run(payload);
+
+          socket.to(boardId).emit(broadcast, {
+            ...result,
+            userId: socket.userId,
+            timestamp: new Date()
+          });
+          console.log(`[Board ${boardId}] ${event} (seq ${result.seq})`);
+
+          if (typeof callback === 'function') {
+            callback({ success: true, ...result });
+          }
+        } catch (error) {
+          console.error(`[Board ${boardId}] Error handling ${event}:`, error.message);
+          if (typeof callback === 'function') {
+            callback({ error: error.message });
+          }
+        }
+      });
+    });
+
+    /**
+     * Start / stop recording the session for later playback (owner only)
+     */
+    const recordingEvents = {
+      'recording:start': {
+        broadcast: 'recording:started',
+        run: ({ boardId, title }) => boardRecordingService.startRecording(boardId, socket.userId, { title })
+      },
+      'recording:stop': {
+        broadcast: 'recording:stopped',
+        run: ({ boardId }) => boardRecordingService.stopRecording(boardId, socket.userId)
+      }
+    };
+
+    Object.entries(recordingEvents).forEach(([event, { broadcast, run }]) => {
+      socket.on(event, async (payload, callback) => {
+        if (!checkPayload(payload, ['boardId'], callback)) return;
+        const { boardId } = payload;
+
+        if (socket.boardRoles.get(boardId) !== 'owner') {
+          if (typeof callback === 'function') {
+            callback({ error: 'Only the board owner can record sessions', code: ERROR_CODES.OWNER_ONLY });
+          }
+          return;
+        }
+
+        try {
+          const session = await run(payload);
+
+          socket.to(boardId).emit(broadcast, {
+            session,
+            userId: socket.userId,
+            timestamp: new Date()
+          });
+          console.log(`[Board ${boardId}] ${event} by ${socket.userEmail}`);
+
+          if (typeof callback === 'function') {
+            callback({ success: true, session });
+          }
+        } catch (error) {
+          console.error(`[Board ${boardId}] Error handling ${event}:`, error.message);
+          if (typeof callback === 'function') {
+            callback({ error: error.message });
+          }
+        }
+      });
+    });
+
+    /**
+     * Replay operations missed while disconnected
+     */
+    socket.on('board:sync', async (payload, callback) => {
+      if (!checkPayload(payload, ['boardId'], callback)) return;
+      const { boardId, sinceSeq = 0 } = payload;
+
+      try {
+        if (!socket.rooms.has(boardId)) {
+          if (typeof callback === 'function') {
+            return callback({ error: 'Join the board before syncing' });
+          }
+          return;
+        }
+
+        const result = await boardSyncService.getOperationsSince(boardId, sinceSeq);
+
+        console.log(`[Board ${boardId}] Sync from seq ${sinceSeq} for ${socket.userEmail || socket.guestLabel}: ${result.reset ? 'reset required' : `${result.operations.length} operations`}`);
+
+        if (typeof callback === 'function') {
+          callback({ success: true, ...result });
+        }
+      } catch (error) {
+        console.error(`[Board ${boardId}] Error syncing board:`, error);
         if (typeof callback === 'function') {
           callback({ error: error.message });
         }
@@ -435,12 +690,9 @@ module.exports = (io) => {
      * Update cursor position
      */
     socket.on('cursor:move', ({ boardId, position }) => {
-      // Update cursor in active sessions
-      const sessions = activeSessions.get(boardId);
-      if (sessions && sessions.has(socket.userId)) {
-        const session = sessions.get(socket.userId);
-        session.cursor = position;
-      }
+      // Update cursor in presence (shared stores throttle the write)
+      presence.updateCursor(boardId, socket.id, position)
+        .catch(error => console.error(`[Board ${boardId}] Error updating cursor:`, error.message));
 
       // Broadcast cursor position to others (no callback needed for performance)
       socket.to(boardId).emit('cursor:moved', {
@@ -456,39 +708,37 @@ module.exports = (io) => {
      * NOTE: Currently not used by frontend, but kept for future optimization
      */
     socket.on('elements:batch-update', async ({ boardId, updates }, callback) => {
+      if (!authorizeEdit(socket, boardId, callback)) return;
+
       try {
+        const scope = {
+          elementIds: updates.map(u => u.elementId),
+          parentIds: updates.map(u => u.changes && u.changes.parentId).filter(Boolean)
+        };
+        if (!await authorizePageEdit(socket, boardId, scope, callback)) return;
+
+        const locksElements = updates.some(u => u.changes && u.changes.isLocked === true);
+        if (!await authorizeElementLocks(socket, boardId, scope.elementIds, locksElements, callback)) return;
+
         console.log(`[Board ${boardId}] Batch updating ${updates.length} elements`);
-        
-        // Use atomic operations for each update to avoid version conflicts
-        const updatePromises = updates.map(({ elementId, changes }) => {
-          return Board.findOneAndUpdate(
-            { _id: boardId, 'elements.id': elementId },
-            {
-              $set: Object.keys(changes).reduce((acc, key) => {
-                acc[`elements.$.${key}`] = changes[key];
-                return acc;
-              }, { 'elements.$.updatedAt': new Date() })
-            },
-            { new: true }
-          );
-        });
 
-        await Promise.all(updatePromises);
+        const result = await boardSyncService.batchUpdate(boardId, socket.userId, updates);
+        const { seq } = result;
 
-        // Update board timestamp
-        await Board.findByIdAndUpdate(boardId, { updatedAt: new Date() });
+        console.log(`[Board ${boardId}] Batch update completed (seq ${seq})`);
 
-        console.log(`[Board ${boardId}] Batch update completed`);
+        await boardHistoryService.record(boardId, socket.userId, 'batch', result);
 
         // Broadcast to all users
         socket.to(boardId).emit('elements:batch-updated', {
-          updates,
+          updates: result.updates,
+          seq,
           userId: socket.userId,
           timestamp: new Date()
         });
 
         if (typeof callback === 'function') {
-          callback({ success: true });
+          callback({ success: true, seq });
         }
       } catch (error) {
         console.error(`[Board ${boardId}] Error batch updating elements:`, error);
@@ -498,6 +748,122 @@ module.exports = (io) => {
       }
     });
 
+    /**
+     * Start a comment thread, or reply when parentId is given
+     */
+    socket.on('comment:create', async (payload, callback) => {
+      if (!checkPayload(payload, ['boardId'], callback)) return;
+      const { boardId, parentId, content, anchor, mentions } = payload;
+      if (!authorizeComment(socket, boardId, callback)) return;
+
+      try {
+        const comment = parentId
+          ? await boardCommentService.reply(boardId, parentId, socket.userId, { content, mentions })
+          : await boardCommentService.createThread(boardId, socket.userId, { content, anchor, mentions });
+
+        socket.to(boardId).emit('comment:created', {
+          comment,
+          userId: socket.userId,
+          timestamp: new Date()
+        });
+
+        if (typeof callback === 'function') {
+          callback({ success: true, comment });
+        }
+      } catch (error) {
+        console.error(`[Board ${boardId}] Error creating comment:`, error.message);
+        if (typeof callback === 'function') {
+          callback({ error: error.message });
+        }
+      }
+    });
+
+    /**
+     * Edit a comment
+     */
+    socket.on('comment:update', async (payload, callback) => {
+      if (!checkPayload(payload, ['boardId', 'commentId'], callback)) return;
+      const { boardId, commentId, content, mentions } = payload;
+      if (!authorizeComment(socket, boardId, callback)) return;
+
+      try {
+        const comment = await boardCommentService.updateComment(boardId, commentId, socket.userId, { content, mentions });
+
+        socket.to(boardId).emit('comment:updated', {
+          comment,
+          userId: socket.userId,
+          timestamp: new Date()
+        });
+
+        if (typeof callback === 'function') {
+          callback({ success: true, comment });
+        }
+      } catch (error) {
+        console.error(`[Board ${boardId}] Error updating comment:`, error.message);
+        if (typeof callback === 'function') {
+          callback({ error: error.message });
+        }
+      }
+    });
+
+    /**
+     * Delete a comment (a thread's first comment takes the thread with it)
+     */
+    socket.on('comment:delete', async (payload, callback) => {
+      if (!checkPayload(payload, ['boardId', 'commentId'], callback)) return;
+      const { boardId, commentId } = payload;
+      if (!authorizeComment(socket, boardId, callback)) return;
+
+      try {
+        const result = await boardCommentService.deleteComment(boardId, commentId, socket.userId);
+
+        socket.to(boardId).emit('comment:deleted', {
+          ...result,
+          userId: socket.userId,
+          timestamp: new Date()
+        });
+
+        if (typeof callback === 'function') {
+          callback({ success: true, ...result });
+        }
+      } catch (error) {
+        console.error(`[Board ${boardId}] Error deleting comment:`, error.message);
+        if (typeof callback === 'function') {
+          callback({ error: error.message });
+        }
+      }
+    });
+
+    /**
+     * Resolve or reopen a thread
+     */
+    socket.on('comment:resolve', async (payload, callback) => {
+      if (!checkPayload(payload, ['boardId', 'commentId'], callback)) return;
+      const { boardId, commentId, resolved = true } = payload;
+      if (!authorizeComment(socket, boardId, callback)) return;
+
+      try {
+        const thread = await boardCommentService.setResolved(boardId, commentId, socket.userId, resolved);
+
+        socket.to(boardId).emit('comment:resolved', {
+          commentId: thread._id,
+          isResolved: thread.isResolved,
+          resolvedBy: thread.resolvedBy,
+          userId: socket.userId,
+          timestamp: new Date()
+        });
+
+        if (typeof callback === 'function') {
+          callback({ success: true, comment: thread });
+        }
+      } catch (error) {
+        console.error(`[Board ${boardId}] Error resolving comment:`, error.message);
+        if (typeof callback === 'function') {
+          callback({ error: error.message });
+        }
+      }
+    });
+
     /**
      * Handle disconnection
      */
@@ -508,31 +874,241 @@ module.exports = (io) => {
     });
   });
 
+  /**
+   * Answer a rejected event with a structured error (through its ack, or a
+   * board:rejected event when it has none) and disconnect sockets that keep
+   * sending rejected events
+   */
+  function rejectEvent(socket, event, payload, ack, kind, body) {
+    // Count it against the board the socket is in, not whatever board it names
+    const named = payload && typeof payload === 'object' ? payload.boardId : null;
+    const boardId = socket.rooms.has(named) ? named : socket.currentBoardId;
+
+    boardViolationService.record(boardId, kind, event);
+
+    if (ack) {
+      ack(body);
+    } else {
+      socket.emit('board:rejected', { event, ...body, timestamp: new Date() });
+    }
+
+    if (rateLimiter.strike(socket)) {
+      console.warn(`[Board ${boardId}] Disconnecting ${socket.userEmail || socket.guestLabel}: too many rejected events`);
+      boardViolationService.record(boardId, 'disconnects');
+      socket.emit('board:disconnected', { reason: 'too-many-violations', timestamp: new Date() });
+      socket.disconnect(true);
+    }
+  }
+
   /**
    * Handle user leaving a board
    */
   function handleUserLeave(socket, boardId) {
     socket.leave(boardId);
+    socket.boardRoles.delete(boardId);
+    socket.boardShareLinks.delete(boardId);
+
+    // Edit claims die with the session that held them
+    releaseClaims(socket, boardId, null, 'left');
+
+    presence.remove(boardId, socket.id)
+      .then(({ removed, remaining }) => {
+        if (!removed) {
+          return;
+        }
+
+        console.log(`👋 ${socket.userEmail || socket.guestLabel} left board: ${boardId}. Remaining participants: ${uniqueUsers(remaining).length}`);
+
+        // Notify others once the user has no session left on the board
+        if (!remaining.some(session => session.userId === socket.userId)) {
+          socket.to(boardId).emit('user:left', {
+            userId: socket.userId,
+            email: socket.userEmail,
+            timestamp: new Date()
+          });
+        }
+
+        boardActivityService.recordSession(boardId, {
+          userId: socket.userId,
+          label: socket.isGuest ? socket.guestLabel : socket.userEmail
+        }, 'board:leave');
+
+        // Snapshot timers run on every instance that still has someone on the board
+        if (!remaining.some(session => session.nodeId === presence.nodeId)) {
+          stopAutoSnapshots(boardId);
+          console.log(`🗑️ Removed empty board session: ${boardId}`);
+        }
+      })
+      .catch(error => console.error(`[Board ${boardId}] Error updating presence:`, error.message));
+  }
+
+  /**
+   * Check that the socket joined the board with a role that may edit it.
+   * Sends a rejection ack and returns false otherwise.
+   */
+  function authorizeEdit(socket, boardId, callback) {
+    let rejection = null;
+
+    if (!socket.boardRoles.has(boardId)) {
+      rejection = { error: 'Join the board before editing it', code: ERROR_CODES.NOT_JOINED };
+    } else if (!EDIT_ROLES.includes(socket.boardRoles.get(boardId))) {
+      rejection = { error: 'You have read-only access to this board', code: ERROR_CODES.READ_ONLY };
+    } else if (isShareLinkExpired(socket.boardShareLinks.get(boardId))) {
+      rejection = { error: 'Your share link has expired', code: ERROR_CODES.SHARE_EXPIRED };
+    }
+
+    if (!rejection) {
+      return true;
+    }
+
+    console.warn(`🚫 Rejected edit on board ${boardId} from ${socket.userEmail || socket.guestLabel}: ${rejection.code}`);
+    if (typeof callback === 'function') {
+      callback(rejection);
+    }
+    return false;
+  }
+
+  /**
+   * Check that an element operation doesn't touch a viewer-only page.
+   * Sends a rejection ack and resolves false otherwise.
+   */
+  async function authorizePageEdit(socket, boardId, scope, callback) {
+    const readOnlyPageIds = await boardPageService.getReadOnlyPageIds(boardId, socket.boardRoles.get(boardId));
+
+    if (readOnlyPageIds.length === 0) {
+      return true;
+    }
+
+    const pageIds = await boardPageService.getAffectedPageIds(boardId, scope);
+    const blocked = pageIds.filter(id => readOnlyPageIds.includes(id));
+
+    if (blocked.length === 0) {
+      return true;
+    }
+
+    console.warn(`🚫 Rejected edit on viewer-only page of board ${boardId} from ${socket.userEmail || socket.guestLabel}`);
+    if (typeof callback === 'function') {
+      callback({ error: 'This page is viewer-only', code: ERROR_CODES.PAGE_READ_ONLY, pageIds: blocked });
+    }
+    return false;
+  }
+
+  /**
+   * Check that no other socket has claimed the elements and that none of them
+   * carry an owner lock. Only the owner may edit locked elements or lock new ones.
+   * Sends a rejection ack and resolves false otherwise.
+   */
+  async function authorizeElementLocks(socket, boardId, elementIds, locksElements, callback) {
+    let rejection = null;
+
+    const conflicts = claims.getConflicts(boardId, elementIds, socket.id);
 
-    // Remove from active sessions using userId as key
-    const sessions = activeSessions.get(boardId);
-    if (sessions && sessions.has(socket.userId)) {
-      sessions.delete(socket.userId);
-      console.log(`👋 ${socket.userEmail} left board: ${boardId}. Remaining participants: ${sessions.size}`);
+    if (conflicts.length > 0) {
+      rejection = { error: 'Someone else is editing these elements', code: ERROR_CODES.ELEMENT_CLAIMED, locks: conflicts };
+    } else if (socket.boardRoles.get(boardId) !== 'owner') {
+      const locked = await boardSyncService.getLockedElementIds(boardId, elementIds);
 
-      // Clean up empty session maps
-      if (sessions.size === 0) {
-        activeSessions.delete(boardId);
-        console.log(`🗑️ Removed empty board session: ${boardId}`);
+      if (locked.length > 0) {
+        rejection = { error: 'These elements are locked by the board owner', code: ERROR_CODES.ELEMENT_LOCKED, elementIds: locked };
+      } else if (locksElements) {
+        rejection = { error: 'Only the board owner can lock elements', code: ERROR_CODES.ELEMENT_LOCKED, elementIds };
       }
     }
 
-    // Notify others that user left
-    socket.to(boardId).emit('user:left', {
+    if (!rejection) {
+      return true;
+    }
+
+    console.warn(`🚫 Rejected edit of locked elements on board ${boardId} from ${socket.userEmail || socket.guestLabel}: ${rejection.code}`);
+    if (typeof callback === 'function') {
+      callback(rejection);
+    }
+    return false;
+  }
+
+  /**
+   * Drop the socket's edit claims (all of them on the board when elementIds is null)
+   * and tell the room. Returns the released IDs.
+   */
+  function releaseClaims(socket, boardId, elementIds, reason = 'released') {
+    const released = elementIds
+      ? claims.release(boardId, elementIds, socket.id)
+      : claims.releaseSocket(boardId, socket.id);
+
+    if (released.length === 0) {
+      return released;
+    }
+
+    relayToCluster(boardNamespace, CLUSTER_EVENTS.ELEMENTS_RELEASED, { boardId, elementIds: released, socketId: socket.id });
+
+    socket.to(boardId).emit('element:unlocked', {
+      elementIds: released,
       userId: socket.userId,
-      email: socket.userEmail,
+      reason,
       timestamp: new Date()
     });
+
+    return released;
+  }
+
+  /**
+   * Comments need a joined, signed-in user (membership is checked by the service)
+   */
+  function authorizeComment(socket, boardId, callback) {
+    let rejection = null;
+
+    if (!socket.boardRoles.has(boardId)) {
+      rejection = { error: 'Join the board before commenting', code: ERROR_CODES.NOT_JOINED };
+    } else if (socket.isGuest) {
+      rejection = { error: 'Sign in to comment on this board', code: ERROR_CODES.GUEST_NOT_ALLOWED };
+    }
+
+    if (!rejection) {
+      return true;
+    }
+
+    if (typeof callback === 'function') {
+      callback(rejection);
+    }
+    return false;
+  }
+
+  /**
+   * Periodically snapshot a board while anyone is connected to it. Each
+   * instance with someone on the board runs a timer; the snapshot service
+   * lets only one of them take each interval's snapshot.
+   */
+  function startAutoSnapshots(boardId) {
+    if (snapshotTimers.has(boardId)) {
+      return;
+    }
+
+    const intervalMs = config.boards.snapshotIntervalMinutes * 60 * 1000;
+    const timer = setInterval(async () => {
+      try {
+        const snapshot = await boardSnapshotService.createAutoSnapshot(boardId);
+        if (snapshot) {
+          console.log(`📸 Auto-snapshot of board ${boardId} (${snapshot.elementCount} elements)`);
+        }
+      } catch (error) {
+        console.error(`[Board ${boardId}] Error creating auto-snapshot:`, error);
+      }
+    }, intervalMs);
+
+    // Don't keep the process alive just for snapshots
+    timer.unref();
+    snapshotTimers.set(boardId, timer);
+  }
+
+  /**
+   * Stop automatic snapshots once the last user has left
+   */
+  function stopAutoSnapshots(boardId) {
+    const timer = snapshotTimers.get(boardId);
+    if (timer) {
+      clearInterval(timer);
+      snapshotTimers.delete(boardId);
+    }
   }
 
   /**
@@ -555,11 +1131,207 @@ module.exports = (io) => {
   }
 
   /**
-   * Generate unique ID for elements
+   * Broadcast the result of a create/update to everyone else in the room
    */
-  function generateId() {
-    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  function broadcastElementResult(socket, boardId, { seq, created, element, changes }) {
+    if (created) {
+      socket.to(boardId).emit('element:created', {
+        element,
+        seq,
+        userId: socket.userId,
+        timestamp: new Date()
+      });
+      console.log(`[Board ${boardId}] Broadcasted element:created to room`);
+      return;
+    }
+
+    // For draw shapes, send complete shape data instead of just changes
+    const { id, ...fullShape } = element;
+    socket.to(boardId).emit('element:updated', {
+      elementId: element.id,
+      changes: element.type === 'draw' ? fullShape : changes,
+      seq,
+      userId: socket.userId,
+      timestamp: new Date()
+    });
+    console.log(`[Board ${boardId}] Broadcasted element:updated to room`);
+  }
+
+  /**
+   * Broadcast an operation applied by undo/redo and return it shaped like the
+   * matching event so the sender can apply it too
+   */
+  function broadcastHistoryOperation(socket, boardId, { type, result }) {
+    if (type === 'create' || type === 'update') {
+      broadcastElementResult(socket, boardId, result);
+      return result.created
+        ? { event: 'element:created', element: result.element, seq: result.seq }
+        : { event: 'element:updated', elementId: result.element.id, changes: result.changes, seq: result.seq };
+    }
+
+    const payload = type === 'delete'
+      ? { event: 'element:deleted', elementId: result.elementId, seq: result.seq }
+      : { event: 'elements:batch-updated', updates: result.updates, seq: result.seq };
+    const { event, ...data } = payload;
+
+    socket.to(boardId).emit(event, {
+      ...data,
+      userId: socket.userId,
+      timestamp: new Date()
+    });
+    console.log(`[Board ${boardId}] Broadcasted ${event} to room`);
+
+    return payload;
   }
 
   console.log('📋 Board namespace initialized');
 };
+
+/**
+ * Apply a member role change to that user's open board sockets, on this and
+ * every other instance. Pass role null when the member was removed.
+ * @param {Object} io - Socket.IO server instance
+ * @param {String} boardId - Board ID
+ * @param {String} userId - Member whose role changed
+ * @param {String|null} role - New role
+ * @param {Boolean} isPublic - Whether removed members can still view the board
+ */
+const applyMemberRoleChange = (io, boardId, userId, role, isPublic = false) => {
+  const boardNamespace = io.of('/boards');
+  const payload = { boardId: boardId.toString(), userId: userId.toString(), role, isPublic };
+
+  applyLocalRoleChange(boardNamespace, payload.boardId, payload.userId, role, isPublic);
+  relayToCluster(boardNamespace, CLUSTER_EVENTS.ROLE_CHANGED, payload);
+};
+
+/**
+ * Remove everyone who joined a board through a share link that was just revoked,
+ * on this and every other instance.
+ * Guests lose their whole connection since the link was their only credential.
+ * @param {Object} io - Socket.IO server instance
+ * @param {String} boardId - Board ID
+ * @param {String} linkId - Revoked share link ID
+ */
+const revokeShareLinkSessions = (io, boardId, linkId) => {
+  const boardNamespace = io.of('/boards');
+  const payload = { boardId: boardId.toString(), linkId: linkId.toString() };
+
+  revokeLocalShareLinkSessions(boardNamespace, payload.boardId, payload.linkId);
+  relayToCluster(boardNamespace, CLUSTER_EVENTS.SHARE_LINK_REVOKED, payload);
+};
+
+/**
+ * Drop every edit claim on a board, on this and every other instance.
+ * Used when the board's elements were replaced wholesale (snapshot restore).
+ * @param {Object} io - Socket.IO server instance
+ * @param {String} boardId - Board ID
+ */
+const releaseBoardClaims = (io, boardId) => {
+  const boardNamespace = io.of('/boards');
+  const payload = { boardId: boardId.toString() };
+
+  boardNamespace.claims?.releaseBoard(payload.boardId);
+  relayToCluster(boardNamespace, CLUSTER_EVENTS.BOARD_CLAIMS_RELEASED, payload);
+};
+
+function applyLocalRoleChange(boardNamespace, boardKey, userKey, role, isPublic) {
+  for (const socket of boardNamespace.sockets.values()) {
+    if (socket.userId !== userKey || !socket.boardRoles?.has(boardKey)) {
+      continue;
+    }
+
+    if (role === null && !isPublic) {
+      // Lost access to a private board
+      socket.emit('board:access-revoked', { boardId: boardKey, timestamp: new Date() });
+      socket.leaveBoard(boardKey);
+      continue;
+    }
+
+    socket.boardRoles.set(boardKey, role);
+    socket.emit('board:role-changed', {
+      boardId: boardKey,
+      role,
+      readOnly: !EDIT_ROLES.includes(role),
+      timestamp: new Date()
+    });
+  }
+}
+
+function revokeLocalShareLinkSessions(boardNamespace, boardKey, linkKey) {
+  for (const socket of boardNamespace.sockets.values()) {
+    if (socket.boardShareLinks?.get(boardKey)?.linkId !== linkKey) {
+      continue;
+    }
+
+    socket.emit('board:access-revoked', { boardId: boardKey, timestamp: new Date() });
+    socket.leaveBoard(boardKey);
+
+    if (socket.isGuest) {
+      socket.disconnect(true);
+    }
+  }
+}
+
+/**
+ * Sockets live on whichever instance they connected to - tell the others
+ */
+function relayToCluster(boardNamespace, event, payload) {
+  if (boardNamespace.presence?.shared) {
+    boardNamespace.serverSideEmit(event, payload);
+  }
+}
+
+/**
+ * First session of each user (presence has one per socket)
+ */
+function uniqueUsers(sessions) {
+  const seen = new Set();
+  return sessions.filter(session => !seen.has(session.userId) && seen.add(session.userId));
+}
+
+/**
+ * Presence label for an anonymous guest
+ */
+function formatGuestLabel(guestName) {
+  const name = typeof guestName === 'string' ? guestName.trim().substring(0, 40) : '';
+  return name ? `${name} (guest)` : 'Guest';
+}
+
+/**
+ * Whether a handler can use its payload: an object with the given string fields.
+ * Acks INVALID_PAYLOAD when it can't (socket.use turns these away first).
+ */
+function checkPayload(payload, fields, callback) {
+  const problems = !payload || typeof payload !== 'object'
+    ? ['payload must be an object']
+    : fields.filter(field => typeof payload[field] !== 'string').map(field => `${field} must be a string`);
+
+  if (problems.length > 0 && typeof callback === 'function') {
+    callback({ error: 'Invalid payload', code: ERROR_CODES.INVALID_PAYLOAD, details: problems });
+  }
+  return problems.length === 0;
+}
+
+/**
+ * String fields an element:lock/unlock payload needs (elementId unless it sends elementIds)
+ */
+function claimPayloadFields(payload) {
+  return Array.isArray(payload?.elementIds) ? ['boardId'] : ['boardId', 'elementId'];
+}
+
+/**
+ * Element IDs from an element:lock/unlock payload (a single elementId or an elementIds array)
+ */
+function toElementIds(elementId, elementIds) {
+  const ids = Array.isArray(elementIds) ? elementIds : [elementId];
+  return Array.from(new Set(ids.filter(id => typeof id === 'string' && id)));
+}
+
+function isShareLinkExpired(shareLink) {
+  return !!(shareLink && shareLink.expiresAt && new Date(shareLink.expiresAt) <= new Date());
+}
+
+module.exports.applyMemberRoleChange = applyMemberRoleChange;
+module.exports.revokeShareLinkSessions = revokeShareLinkSessions;
+module.exports.releaseBoardClaims = releaseBoardClaims;
+module.exports.ERROR_CODES = ERROR_CODES;
@@ -0,0 +1,168 @@
+const config = require('../config/env');
+
+/**
+ * Short-lived exclusive edit claims on board elements, each held by one socket.
+ * Every instance keeps its own copy; claims taken on other instances are
+ * mirrored in through cluster events and expire on the same schedule.
+ */
+class ElementClaimStore {
+  /**
+   * @param {Number} options.ttlSeconds - How long a claim lasts unless renewed
+   * @param {Function} options.onExpire - Called with (boardId, claim) when a claim taken on this instance runs out
+   */
+  constructor({ ttlSeconds = config.boards.elementClaimSeconds, onExpire = () => {} } = {}) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.onExpire = onExpire;
+    // boardId -> Map of elementId -> { elementId, socketId, userId, label, expiresAt, local, timer }
+    this.boards = new Map();
+  }
+
+  /**
+   * Claim elements for a socket, all or nothing. Claims the socket already
+   * holds are renewed. Returns { granted, expiresAt, conflicts }.
+   */
+  claim(boardId, elementIds, holder) {
+    const conflicts = this.getConflicts(boardId, elementIds, holder.socketId);
+    if (conflicts.length > 0) {
+      return { granted: false, expiresAt: null, conflicts };
+    }
+
+    const expiresAt = new Date(Date.now() + this.ttlMs);
+    elementIds.forEach(elementId => this.set(boardId, elementId, holder, expiresAt, true));
+
+    return { granted: true, expiresAt, conflicts: [] };
+  }
+
+  /**
+   * Record a claim taken on another instance
+   */
+  mirror(boardId, elementIds, holder, expiresAt) {
+    elementIds.forEach(elementId => this.set(boardId, elementId, holder, new Date(expiresAt), false));
+  }
+
+  /**
+   * Drop the socket's claims on the given elements. Returns the released IDs.
+   */
+  release(boardId, elementIds, socketId) {
+    const claims = this.boards.get(boardId);
+    if (!claims) {
+      return [];
+    }
+
+    const released = elementIds.filter(elementId => claims.get(elementId)?.socketId === socketId);
+    released.forEach(elementId => this.delete(boardId, elementId));
+    return released;
+  }
+
+  /**
+   * Drop every claim the socket holds on a board. Returns the released IDs.
+   */
+  releaseSocket(boardId, socketId) {
+    const claims = this.boards.get(boardId);
+    if (!claims) {
+      return [];
+    }
+
+    const held = Array.from(claims.values())
+      .filter(claim => claim.socketId === socketId)
+      .map(claim => claim.elementId);
+    return this.release(boardId, held, socketId);
+  }
+
+  /**
+   * Drop every claim on a board, whoever holds it (e.g. after a restore
+   * replaced its elements). Returns the released IDs.
+   */
+  releaseBoard(boardId) {
+    const claims = this.boards.get(boardId);
+    if (!claims) {
+      return [];
+    }
+
+    const released = Array.from(claims.keys());
+    released.forEach(elementId => this.delete(boardId, elementId));
+    return released;
+  }
+
+  /**
+   * Live claims on the given elements held by any other socket
+   */
+  getConflicts(boardId, elementIds, socketId) {
+    const claims = this.boards.get(boardId);
+    if (!claims) {
+      return [];
+    }
+
+    return elementIds
+      .map(elementId => claims.get(elementId))
+      .filter(claim => claim && claim.socketId !== socketId && claim.expiresAt > new Date())
+      .map(claim => this.toClient(claim));
+  }
+
+  list(boardId) {
+    const claims = this.boards.get(boardId);
+    return claims ? Array.from(claims.values()).map(claim => this.toClient(claim)) : [];
+  }
+
+  /**
+   * Forget everything (used on shutdown and in tests)
+   */
+  clear() {
+    for (const claims of this.boards.values()) {
+      claims.forEach(claim => clearTimeout(claim.timer));
+    }
+    this.boards.clear();
+  }
+
+  set(boardId, elementId, holder, expiresAt, local) {
+    if (!this.boards.has(boardId)) {
+      this.boards.set(boardId, new Map());
+    }
+
+    const claims = this.boards.get(boardId);
+    clearTimeout(claims.get(elementId)?.timer);
+
+    const claim = {
+      elementId,
+      socketId: holder.socketId,
+      userId: holder.userId,
+      label: holder.label,
+      expiresAt,
+      local
+    };
+
+    claim.timer = setTimeout(() => {
+      if (claims.get(elementId) !== claim) {
+        return;
+      }
+      this.delete(boardId, elementId);
+      if (local) {
+        this.onExpire(boardId, this.toClient(claim));
+      }
+    }, Math.max(expiresAt.getTime() - Date.now(), 0));
+
+    // Don't keep the process alive just for claims
+    claim.timer.unref();
+    claims.set(elementId, claim);
+  }
+
+  delete(boardId, elementId) {
+    const claims = this.boards.get(boardId);
+    if (!claims) {
+      return;
+    }
+
+    clearTimeout(claims.get(elementId)?.timer);
+    claims.delete(elementId);
+
+    if (claims.size === 0) {
+      this.boards.delete(boardId);
+    }
+  }
+
+  toClient({ elementId, socketId, userId, label, expiresAt }) {
+    return { elementId, socketId, userId, label, expiresAt };
+  }
+}
+
+module.exports = { ElementClaimStore };
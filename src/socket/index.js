@@ -1,14 +1,16 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const config = require('../config/env');
+const { attachAdapter } = require('./adapter');
 
 let io = null;
+let closeAdapter = null;
 
 /**
  * Initialize Socket.IO server
  * @param {Object} httpServer - HTTP server instance
  */
-const initializeSocket = (httpServer) => {
+const initializeSocket = async (httpServer) => {
   io = new Server(httpServer, {
     cors: {
       origin: true, // Allow all origins
@@ -55,8 +57,13 @@ const initializeSocket = (httpServer) => {
     });
   });
 
+  // Share rooms and presence with other instances (no-op for the in-memory default)
+  const { presence, close } = await attachAdapter(io);
+  presence.start();
+  closeAdapter = close;
+
   // Initialize board namespace
-  require('./boardNamespace')(io);
+  require('./boardNamespace')(io, { presence });
   
   // Initialize chat namespace
   require('./chatNamespace')(io);
@@ -78,4 +85,14 @@ const getIO = () => {
   return io;
 };
 
-module.exports = { initializeSocket, getIO };
+/**
+ * Release adapter connections and this instance's presence entries
+ */
+const closeSocket = async () => {
+  if (closeAdapter) {
+    await closeAdapter();
+    closeAdapter = null;
+  }
+};
+
+module.exports = { initializeSocket, getIO, closeSocket };
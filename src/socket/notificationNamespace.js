@@ -94,4 +94,12 @@ const emitNotificationToUser = (io, userId, notification) => {
   });
 };
 
+/**
+ * Helper function to emit notebook source ingestion progress to its owner
+ */
+const emitIngestionProgress = (io, userId, progress) => {
+  io.of('/notifications').to(`user:${userId}`).emit('source:ingestion', progress);
+};
+
 module.exports.emitNotificationToUser = emitNotificationToUser;
+module.exports.emitIngestionProgress = emitIngestionProgress;
@@ -0,0 +1,165 @@
+const config = require('../config/env');
+
+// Shape types built into tldraw
+const SHAPE_TYPES = [
+  'arrow', 'bookmark', 'draw', 'embed', 'frame', 'geo', 'group',
+  'highlight', 'image', 'line', 'note', 'text', 'video'
+];
+
+// Record kinds stored as board elements, with the id prefix and types each allows
+const RECORD_KINDS = {
+  shape: { prefix: 'shape:', types: () => [...SHAPE_TYPES, ...config.boards.customShapeTypes] },
+  binding: { prefix: 'binding:', types: () => ['arrow'] }
+};
+
+const MAX_ID_LENGTH = 200;
+const MAX_CURSOR_BYTES = 512;
+
+const NUMERIC_FIELDS = ['x', 'y', 'rotation', 'opacity'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const byteSize = value => Buffer.byteLength(JSON.stringify(value) || '');
+
+/**
+ * Checks for element payloads received over board sockets.
+ * Each returns a list of problems (empty when the payload is fine).
+ */
+function validateElement(element) {
+  if (!isPlainObject(element)) {
+    return ['element must be an object'];
+  }
+
+  const problems = [];
+  const kind = RECORD_KINDS[element.typeName || 'shape'];
+
+  if (!kind) {
+    return [`typeName must be one of: ${Object.keys(RECORD_KINDS).join(', ')}`];
+  }
+
+  if (typeof element.id !== 'string' || !element.id.startsWith(kind.prefix) || element.id.length > MAX_ID_LENGTH) {
+    problems.push(`id must be a string starting with "${kind.prefix}" (max ${MAX_ID_LENGTH} characters)`);
+  }
+
+  if (!kind.types().includes(element.type)) {
+    problems.push(`type "${element.type}" is not an allowed ${element.typeName || 'shape'} type`);
+  }
+
+  return [...problems, ...validateFields(element, 'element')];
+}
+
+/**
+ * Clients often send the whole record as its changes, so id and typeName may be
+ * repeated as long as they match the element (boardSync.service drops them)
+ */
+function validateChanges(changes, elementId) {
+  if (!isPlainObject(changes)) {
+    return ['changes must be an object'];
+  }
+
+  const problems = [];
+  const [typeName, kind] = Object.entries(RECORD_KINDS)
+    .find(([, { prefix }]) => typeof elementId === 'string' && elementId.startsWith(prefix)) || ['shape', RECORD_KINDS.shape];
+
+  if ((changes.id !== undefined && changes.id !== elementId) ||
+      (changes.typeName !== undefined && changes.typeName !== typeName)) {
+    problems.push('changes cannot modify id or typeName');
+  }
+
+  if (changes.type !== undefined && !kind.types().includes(changes.type)) {
+    problems.push(`type "${changes.type}" is not an allowed ${typeName} type`);
+  }
+
+  return [...problems, ...validateFields(changes, 'changes')];
+}
+
+function validateBatch(updates) {
+  if (!Array.isArray(updates)) {
+    return ['updates must be an array'];
+  }
+
+  if (updates.length > config.boards.maxBatchUpdates) {
+    return [`a batch can update at most ${config.boards.maxBatchUpdates} elements`];
+  }
+
+  const problems = [];
+  updates.forEach((update, i) => {
+    if (!isPlainObject(update) || typeof update.elementId !== 'string' || update.elementId.length > MAX_ID_LENGTH) {
+      problems.push(`updates[${i}].elementId must be a string`);
+      return;
+    }
+    validateChanges(update.changes, update.elementId).forEach(problem => problems.push(`updates[${i}]: ${problem}`));
+  });
+
+  return problems;
+}
+
+function validateCursor(position) {
+  if (!isPlainObject(position) || !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+    return ['position must have numeric x and y'];
+  }
+
+  if (byteSize(position) > MAX_CURSOR_BYTES) {
+    return [`position cannot exceed ${MAX_CURSOR_BYTES} bytes`];
+  }
+
+  return [];
+}
+
+function validateFields(record, label) {
+  const problems = [];
+
+  // Server-owned fields are dropped by boardSync.service; operators are never fine
+  if (Object.keys(record).some(key => key.startsWith('$'))) {
+    problems.push(`${label} cannot contain keys starting with $`);
+  }
+
+  NUMERIC_FIELDS
+    .filter(field => record[field] !== undefined && !Number.isFinite(record[field]))
+    .forEach(field => problems.push(`${field} must be a finite number`));
+
+  if (record.props !== undefined && !isPlainObject(record.props)) {
+    problems.push('props must be an object');
+  }
+
+  if (byteSize(record) > config.boards.maxElementBytes) {
+    problems.push(`${label} cannot exceed ${config.boards.maxElementBytes} bytes`);
+  }
+
+  return problems;
+}
+
+// Event -> payload check, for the events that carry element data
+const EVENT_VALIDATORS = {
+  'element:create': ({ element }) => validateElement(element),
+  'element:update': ({ elementId, changes }) => (typeof elementId === 'string' && elementId.length <= MAX_ID_LENGTH
+    ? validateChanges(changes, elementId)
+    : ['elementId must be a string']),
+  'elements:batch-update': ({ updates }) => validateBatch(updates),
+  'cursor:move': ({ position }) => validateCursor(position)
+};
+
+/**
+ * Problems with an event's payload (empty when it is fine).
+ * Every board event names its board; events with element data are checked further.
+ */
+function validatePayload(event, payload) {
+  if (!isPlainObject(payload)) {
+    return ['payload must be an object'];
+  }
+
+  if (typeof payload.boardId !== 'string' || payload.boardId.length > MAX_ID_LENGTH) {
+    return ['boardId must be a string'];
+  }
+
+  const validator = EVENT_VALIDATORS[event];
+  return validator ? validator(payload) : [];
+}
+
+module.exports = {
+  SHAPE_TYPES,
+  validateElement,
+  validateChanges,
+  validateBatch,
+  validateCursor,
+  validatePayload
+};
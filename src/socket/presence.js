@@ -0,0 +1,235 @@
+const config = require('../config/env');
+
+// Shared stores write cursor positions at most this often per socket (broadcasts are not throttled)
+const CURSOR_WRITE_INTERVAL_MS = 1000;
+
+/**
+ * Board presence kept in this process. Only correct with a single instance.
+ * Sessions are keyed by socket, so a user with the board open in two tabs
+ * has two entries and closing one leaves the other listed.
+ */
+class MemoryPresenceStore {
+  constructor({ nodeId = config.socket.nodeId } = {}) {
+    this.nodeId = nodeId;
+    this.shared = false;
+    // boardId -> Map of socketId -> sessionData
+    this.boards = new Map();
+  }
+
+  async set(boardId, session) {
+    if (!this.boards.has(boardId)) {
+      this.boards.set(boardId, new Map());
+    }
+    this.boards.get(boardId).set(session.socketId, { ...session, nodeId: this.nodeId });
+  }
+
+  /**
+   * Remove a socket's session from a board. Resolves to { removed, remaining }.
+   */
+  async remove(boardId, socketId) {
+    const sessions = this.boards.get(boardId);
+    const removed = !!(sessions && sessions.delete(socketId));
+
+    if (sessions && sessions.size === 0) {
+      this.boards.delete(boardId);
+    }
+
+    return { removed, remaining: sessions ? Array.from(sessions.values()) : [] };
+  }
+
+  async list(boardId) {
+    const sessions = this.boards.get(boardId);
+    return sessions ? Array.from(sessions.values()) : [];
+  }
+
+  async updateCursor(boardId, socketId, cursor) {
+    const session = this.boards.get(boardId)?.get(socketId);
+    if (session) {
+      session.cursor = cursor;
+    }
+  }
+
+  start() {}
+
+  async stop() {}
+}
+
+/**
+ * Presence shared between instances. Each instance keeps its own sessions
+ * locally and re-writes them on a heartbeat, so entries belonging to an
+ * instance that died go stale and are ignored after the presence TTL.
+ */
+class SharedPresenceStore {
+  constructor({ nodeId = config.socket.nodeId, ttlSeconds = config.socket.presenceTtlSeconds } = {}) {
+    this.nodeId = nodeId;
+    this.shared = true;
+    this.ttlMs = ttlSeconds * 1000;
+    // `${boardId}:${socketId}` -> { boardId, session, writtenAt } for sessions on this instance
+    this.local = new Map();
+    this.heartbeat = null;
+  }
+
+  async set(boardId, session) {
+    const entry = { boardId, session: { ...session, nodeId: this.nodeId }, writtenAt: Date.now() };
+    this.local.set(`${boardId}:${session.socketId}`, entry);
+    await this.write(boardId, entry.session);
+  }
+
+  async remove(boardId, socketId) {
+    this.local.delete(`${boardId}:${socketId}`);
+    const removed = await this.delete(boardId, socketId);
+    return { removed, remaining: await this.list(boardId) };
+  }
+
+  async list(boardId) {
+    return this.read(boardId, Date.now() - this.ttlMs);
+  }
+
+  async updateCursor(boardId, socketId, cursor) {
+    const entry = this.local.get(`${boardId}:${socketId}`);
+    if (!entry) {
+      return;
+    }
+
+    entry.session.cursor = cursor;
+    if (Date.now() - entry.writtenAt >= CURSOR_WRITE_INTERVAL_MS) {
+      entry.writtenAt = Date.now();
+      await this.write(boardId, entry.session);
+    }
+  }
+
+  /**
+   * Refresh this instance's entries (and flush the latest cursors)
+   */
+  async refresh() {
+    const entries = Array.from(this.local.values());
+    const now = Date.now();
+    entries.forEach(entry => { entry.writtenAt = now; });
+    await this.writeMany(entries);
+  }
+
+  start() {
+    if (this.heartbeat) {
+      return;
+    }
+
+    this.heartbeat = setInterval(() => {
+      this.refresh().catch(error => console.error('❌ Presence heartbeat failed:', error.message));
+    }, Math.max(this.ttlMs / 3, 1000));
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stop heartbeating and drop this instance's entries
+   */
+  async stop() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+
+    const entries = Array.from(this.local.values());
+    this.local.clear();
+    await Promise.all(entries.map(({ boardId, session }) => this.delete(boardId, session.socketId)));
+  }
+
+  async writeMany(entries) {
+    await Promise.all(entries.map(({ boardId, session }) => this.write(boardId, session)));
+  }
+}
+
+/**
+ * Shared presence in MongoDB (one BoardPresence document per socket per board)
+ */
+class MongoPresenceStore extends SharedPresenceStore {
+  constructor(options) {
+    super(options);
+    this.BoardPresence = require('../models/BoardPresence');
+  }
+
+  async write(boardId, session) {
+    await this.BoardPresence.updateOne(
+      { boardId, socketId: session.socketId },
+      { $set: { userId: session.userId, nodeId: this.nodeId, session, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async writeMany(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const now = new Date();
+    await this.BoardPresence.bulkWrite(entries.map(({ boardId, session }) => ({
+      updateOne: {
+        filter: { boardId, socketId: session.socketId },
+        update: { $set: { userId: session.userId, nodeId: this.nodeId, session, updatedAt: now } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  async delete(boardId, socketId) {
+    const result = await this.BoardPresence.deleteOne({ boardId, socketId });
+    return result.deletedCount > 0;
+  }
+
+  async read(boardId, freshSince) {
+    const docs = await this.BoardPresence.find({ boardId, updatedAt: { $gt: new Date(freshSince) } })
+      .sort({ 'session.joinedAt': 1 })
+      .lean();
+
+    return docs.map(doc => ({ ...doc.session, nodeId: doc.nodeId }));
+  }
+}
+
+/**
+ * Shared presence in Redis (one hash per board, field per socket)
+ */
+class RedisPresenceStore extends SharedPresenceStore {
+  constructor(client, options) {
+    super(options);
+    this.client = client;
+  }
+
+  key(boardId) {
+    return `collabry:presence:board:${boardId}`;
+  }
+
+  async write(boardId, session) {
+    const key = this.key(boardId);
+    await this.client.hSet(key, session.socketId, JSON.stringify({ ...session, updatedAt: Date.now() }));
+    await this.client.pExpire(key, this.ttlMs * 2);
+  }
+
+  async delete(boardId, socketId) {
+    return (await this.client.hDel(this.key(boardId), socketId)) > 0;
+  }
+
+  async read(boardId, freshSince) {
+    const fields = await this.client.hGetAll(this.key(boardId));
+    const sessions = [];
+    const stale = [];
+
+    Object.entries(fields).forEach(([socketId, value]) => {
+      const session = JSON.parse(value);
+      if (session.updatedAt > freshSince) {
+        const { updatedAt, ...rest } = session;
+        sessions.push(rest);
+      } else {
+        stale.push(socketId);
+      }
+    });
+
+    if (stale.length > 0) {
+      await this.client.hDel(this.key(boardId), stale);
+    }
+
+    return sessions.sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
+  }
+}
+
+module.exports = {
+  MemoryPresenceStore,
+  MongoPresenceStore,
+  RedisPresenceStore
+};
@@ -0,0 +1,80 @@
+const config = require('../config/env');
+
+// Token buckets per board event: `rate` tokens refill per second, up to `burst`
+const DEFAULT_LIMITS = {
+  'cursor:move': { rate: 30, burst: 60 },
+  'element:create': { rate: 40, burst: 80 },
+  'element:update': { rate: 40, burst: 80 },
+  'element:delete': { rate: 40, burst: 80 },
+  'elements:batch-update': { rate: 10, burst: 20 },
+  'element:lock': { rate: 20, burst: 40 },
+  'element:unlock': { rate: 20, burst: 40 },
+  'board:join': { rate: 2, burst: 10 },
+  'board:sync': { rate: 2, burst: 10 },
+  'comment:create': { rate: 2, burst: 10 },
+  'comment:update': { rate: 2, burst: 10 },
+  // Everything else
+  '*': { rate: 10, burst: 30 }
+};
+
+/**
+ * Per-socket token-bucket limits on board events, plus a strike count of
+ * rejected events so sockets that keep misbehaving can be disconnected.
+ * State lives on the socket and goes away with it.
+ */
+class SocketRateLimiter {
+  /**
+   * @param {Object} options.limits - Event -> { rate, burst } ('*' is the fallback)
+   * @param {Number} options.maxViolations - Rejected events allowed within the window
+   * @param {Number} options.violationWindowSeconds - Window for counting rejected events
+   */
+  constructor({
+    limits = DEFAULT_LIMITS,
+    maxViolations = config.socket.maxViolations,
+    violationWindowSeconds = config.socket.violationWindowSeconds,
+    now = Date.now
+  } = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.maxViolations = maxViolations;
+    this.windowMs = violationWindowSeconds * 1000;
+    this.now = now;
+  }
+
+  /**
+   * Take a token for the event. Returns { allowed, retryAfterMs }.
+   */
+  consume(socket, event) {
+    const limit = this.limits[event] || this.limits['*'];
+    const key = this.limits[event] ? event : '*';
+    const now = this.now();
+
+    if (!socket.rateBuckets) {
+      socket.rateBuckets = new Map();
+    }
+
+    const bucket = socket.rateBuckets.get(key) || { tokens: limit.burst, updatedAt: now };
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.rate);
+    bucket.updatedAt = now;
+    socket.rateBuckets.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, retryAfterMs: Math.ceil(((1 - bucket.tokens) / limit.rate) * 1000) };
+    }
+
+    bucket.tokens -= 1;
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  /**
+   * Count a rejected event. Returns true once the socket has too many within the window.
+   */
+  strike(socket) {
+    const now = this.now();
+    socket.violations = (socket.violations || []).filter(at => now - at < this.windowMs);
+    socket.violations.push(now);
+
+    return socket.violations.length > this.maxViolations;
+  }
+}
+
+module.exports = { SocketRateLimiter, DEFAULT_LIMITS };
@@ -0,0 +1,371 @@
+const path = require('path').posix;
+const { openZip } = require('./zipArchive');
+const { extractArticle, decodeEntities } = require('./htmlText');
+
+// File extensions accepted for each document source type
+const DOCUMENT_EXTENSIONS = {
+  docx: ['.docx'],
+  pptx: ['.pptx'],
+  markdown: ['.md', '.markdown'],
+  epub: ['.epub'],
+  csv: ['.csv', '.tsv']
+};
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  return match ? decodeEntities(match[1] ?? match[2]) : null;
+};
+
+const tags = (xml, name) => xml.match(new RegExp(`<${name}\\b[^>]*>`, 'g')) || [];
+
+const elements = (xml, name) => xml.match(new RegExp(`<${name}\\b[^>]*\\/>|<${name}\\b[\\s\\S]*?<\\/${name}>`, 'g')) || [];
+
+const innerText = (xml, name) => elements(xml, name)
+  .map(el => decodeEntities(el.replace(/<[^>]*>/g, '')))
+  .join('');
+
+const decodeText = buffer => buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+// Package paths in relationship and manifest files are relative to the file they appear in
+const resolvePath = (from, target) => (target.startsWith('/')
+  ? target.slice(1)
+  : path.normalize(path.join(path.dirname(from), decodeURIComponent(target))));
+
+/**
+ * Relationship id -> { target, type } from a *.rels file (missing files have none)
+ */
+const readRelationships = (zip, partName) => {
+  const relsName = path.join(path.dirname(partName), '_rels', `${path.basename(partName)}.rels`);
+  if (!zip.has(relsName)) {
+    return new Map();
+  }
+
+  return new Map(tags(zip.readText(relsName), 'Relationship').map(tag => [
+    attribute(tag, 'Id'),
+    { target: resolvePath(partName, attribute(tag, 'Target')), type: attribute(tag, 'Type') || '' }
+  ]));
+};
+
+/**
+ * Collects sections of text and where each starts, for stored markers
+ */
+class TextBuilder {
+  /**
+   * @param {Number} maxLength - Text kept, in characters; later sections are cut off
+   */
+  constructor(maxLength = Infinity) {
+    this.text = '';
+    this.markers = [];
+    this.maxLength = maxLength;
+  }
+
+  get full() {
+    return this.text.length >= this.maxLength;
+  }
+
+  add(kind, number, title, body) {
+    const text = body.trim();
+    if (!text || this.full) {
+      return;
+    }
+    if (this.text) {
+      this.text += '\n\n';
+    }
+    this.markers.push({ kind, number, title: title || null, offset: this.text.length });
+    this.text = (this.text + text).slice(0, this.maxLength);
+  }
+
+  result() {
+    return { text: this.text, markers: this.markers };
+  }
+}
+
+/**
+ * Word document: paragraph text, split into pages where Word last laid out
+ * page breaks (or at explicit page breaks when the file has no layout info)
+ */
+function extractDocx(buffer, maxTextLength) {
+  const zip = openZip(buffer);
+  const xml = zip.readText('word/document.xml');
+  const rendered = xml.includes('<w:lastRenderedPageBreak');
+  const pages = [[]];
+
+  elements(xml, 'w:p').forEach((paragraph) => {
+    let line = '';
+    // Paragraph properties hold tab stops, which aren't text
+    const runs = paragraph.replace(/<w:pPr\b[\s\S]*?<\/w:pPr>/g, '');
+
+    runs.replace(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|cr)\/>|<w:br\b([^>]*)\/>|<w:lastRenderedPageBreak\/>/g,
+      (match, text, blank, brAttributes) => {
+        const pageBreak = rendered
+          ? match.startsWith('<w:lastRenderedPageBreak')
+          : /w:type="page"/.test(brAttributes || '');
+
+        if (pageBreak) {
+          pages[pages.length - 1].push(line);
+          pages.push([]);
+          line = '';
+        } else if (text !== undefined) {
+          line += decodeEntities(text);
+        } else if (blank === 'tab') {
+          line += '\t';
+        } else if (brAttributes !== undefined || blank === 'cr') {
+          line += '\n';
+        }
+        return match;
+      });
+
+    pages[pages.length - 1].push(line);
+  });
+
+  const builder = new TextBuilder(maxTextLength);
+  pages.forEach((lines, i) => builder.add('page', i + 1, null, lines.join('\n').replace(/\n{3,}/g, '\n\n')));
+  return builder.result();
+}
+
+const shapeText = shape => elements(shape, 'a:p')
+  .map(paragraph => (paragraph.match(/<a:t(?:\s[^>]*)?>[^<]*<\/a:t>|<a:br\b[^>]*>/g) || [])
+    .map(run => (run.startsWith('<a:br') ? '\n' : decodeEntities(run.replace(/<[^>]*>/g, ''))))
+    .join(''))
+  .map(line => line.trim())
+  .filter(Boolean)
+  .join('\n');
+
+const placeholderType = shape => (shape.match(/<p:ph\b[^>]*>/) || [''])[0].match(/type="(\w+)"/)?.[1] || null;
+
+/**
+ * PowerPoint: one section per slide in presentation order, headed by the
+ * slide title, with the speaker notes after the slide text
+ */
+function extractPptx(buffer, maxTextLength) {
+  const zip = openZip(buffer);
+  const presentation = 'ppt/presentation.xml';
+  const relationships = readRelationships(zip, presentation);
+  const builder = new TextBuilder(maxTextLength);
+
+  tags(zip.readText(presentation), 'p:sldId').forEach((tag, i) => {
+    const slidePath = relationships.get(attribute(tag, 'r:id'))?.target;
+    if (!slidePath || !zip.has(slidePath) || builder.full) {
+      return;
+    }
+
+    const shapes = elements(zip.readText(slidePath), 'p:sp');
+    const titleShape = shapes.find(shape => ['title', 'ctrTitle'].includes(placeholderType(shape)));
+    const title = titleShape ? shapeText(titleShape).replace(/\n/g, ' ') : '';
+    const body = shapes
+      .filter(shape => shape !== titleShape && placeholderType(shape) !== 'sldNum')
+      .map(shapeText)
+      .filter(Boolean)
+      .join('\n');
+
+    const notesPath = Array.from(readRelationships(zip, slidePath).values())
+      .find(rel => rel.type.endsWith('/notesSlide'))?.target;
+    const notes = notesPath && zip.has(notesPath)
+      ? elements(zip.readText(notesPath), 'p:sp').filter(shape => placeholderType(shape) === 'body').map(shapeText).join('\n')
+      : '';
+
+    const heading = title ? `Slide ${i + 1}: ${title}` : `Slide ${i + 1}`;
+    builder.add('slide', i + 1, title, [heading, body, notes && `Notes: ${notes}`].filter(Boolean).join('\n'));
+  });
+
+  return builder.result();
+}
+
+/**
+ * Chapter titles by file from the EPUB 3 nav document or the EPUB 2 NCX
+ */
+const readTableOfContents = (zip, opfPath, manifest, spineTag) => {
+  const titles = new Map();
+  const remember = (from, href, label) => {
+    const file = resolvePath(from, href.split('#')[0]);
+    if (label && !titles.has(file)) {
+      titles.set(file, label.replace(/\s+/g, ' ').trim());
+    }
+  };
+
+  const nav = manifest.find(item => (item.properties || '').split(/\s+/).includes('nav'));
+  const ncxId = attribute(spineTag, 'toc');
+  const ncx = manifest.find(item => (ncxId && item.id === ncxId) || item.mediaType === 'application/x-dtbncx+xml');
+
+  if (nav && zip.has(nav.path)) {
+    const html = zip.readText(nav.path);
+    const toc = elements(html, 'nav').find(el => /epub:type="[^"]*toc/.test(el)) || html;
+    (toc.match(/<a\b[^>]*>[\s\S]*?<\/a>/g) || []).forEach((link) => {
+      const href = attribute(link, 'href');
+      if (href) {
+        remember(nav.path, href, decodeEntities(link.replace(/<[^>]*>/g, '')));
+      }
+    });
+  } else if (ncx && zip.has(ncx.path)) {
+    // Each navPoint's label is followed by its content link (navPoints nest, so match the pairs)
+    (zip.readText(ncx.path).match(/<navLabel\b[\s\S]*?<\/navLabel>\s*<content\b[^>]*>/g) || []).forEach((point) => {
+      const src = attribute(tags(point, 'content')[0], 'src');
+      if (src) {
+        remember(ncx.path, src, innerText(point, 'text'));
+      }
+    });
+  }
+
+  return titles;
+};
+
+/**
+ * EPUB: one section per chapter in reading (spine) order, titled from the
+ * book's table of contents where it has an entry
+ */
+function extractEpub(buffer, maxTextLength) {
+  const zip = openZip(buffer);
+  const rootfile = tags(zip.readText('META-INF/container.xml'), 'rootfile')[0];
+  const opfPath = rootfile && attribute(rootfile, 'full-path');
+  if (!opfPath) {
+    throw new Error('missing package document');
+  }
+
+  const opf = zip.readText(opfPath);
+  const manifest = tags(opf, 'item').map(tag => ({
+    id: attribute(tag, 'id'),
+    path: resolvePath(opfPath, attribute(tag, 'href') || ''),
+    mediaType: attribute(tag, 'media-type'),
+    properties: attribute(tag, 'properties')
+  }));
+  const byId = new Map(manifest.map(item => [item.id, item]));
+  const spineTag = tags(opf, 'spine')[0] || '';
+  const titles = readTableOfContents(zip, opfPath, manifest, spineTag);
+  const builder = new TextBuilder(maxTextLength);
+  const seen = new Set();
+
+  tags(opf, 'itemref').forEach((itemref) => {
+    const item = byId.get(attribute(itemref, 'idref'));
+    if (!item || !zip.has(item.path) || (item.properties || '').includes('nav') || builder.full) {
+      return;
+    }
+
+    // Each chapter is read once; a spine that repeats one would only inflate it again
+    if (seen.has(item.path)) {
+      throw new Error(`spine lists ${item.path} more than once`);
+    }
+    seen.add(item.path);
+
+    const chapter = extractArticle(zip.readText(item.path));
+    const title = titles.get(item.path) || chapter.title;
+    const body = title && !chapter.text.startsWith(title) ? `${title}\n\n${chapter.text}` : chapter.text;
+    // Chapters are numbered in reading order, skipping covers and other pages without text
+    builder.add('chapter', builder.markers.length + 1, title, body);
+  });
+
+  return builder.result();
+}
+
+/**
+ * Markdown is kept as written, with a section marker at each # and ## heading
+ */
+function extractMarkdown(buffer) {
+  const text = decodeText(buffer).trim();
+  const markers = [];
+  let offset = 0;
+  let fenced = false;
+
+  text.split('\n').forEach((line) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      fenced = !fenced;
+    }
+    const heading = !fenced && line.match(/^#{1,2}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      markers.push({ kind: 'section', number: markers.length + 1, title: heading[1], offset });
+    }
+    offset += line.length + 1;
+  });
+
+  return { text, markers };
+}
+
+/**
+ * Rows of a CSV (or TSV) file, honouring quoted fields
+ */
+const parseDelimited = (text) => {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  rows.push([...row, field]);
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+/**
+ * CSV: one line per row with each value labelled by its column header,
+ * which reads far better in retrieved chunks than bare comma-separated values
+ */
+function extractCsv(buffer) {
+  const [headers = [], ...rows] = parseDelimited(decodeText(buffer));
+  const columns = headers.map((header, i) => header.trim() || `Column ${i + 1}`);
+
+  const lines = rows.map(cells => cells
+    .map((cell, i) => (cell.trim() ? `${columns[i] || `Column ${i + 1}`}: ${cell.trim()}` : null))
+    .filter(Boolean)
+    .join('; '));
+
+  return {
+    text: [`Columns: ${columns.join(', ')}`, ...lines].join('\n'),
+    markers: []
+  };
+}
+
+const EXTRACTORS = {
+  docx: extractDocx,
+  pptx: extractPptx,
+  markdown: extractMarkdown,
+  epub: extractEpub,
+  csv: extractCsv
+};
+
+/**
+ * Text of an uploaded document and markers for where its pages, slides,
+ * chapters or sections start in that text.
+ * Throws when the file can't be read as the given type.
+ *
+ * @param {Object} options
+ * @param {Number} options.maxTextLength - Text kept, in characters
+ * @returns {{ text: String, markers: Array<{ kind, number, title, offset }> }}
+ */
+function extractDocument(type, buffer, { maxTextLength = Infinity } = {}) {
+  const extractor = EXTRACTORS[type];
+  if (!extractor) {
+    throw new Error(`unsupported document type ${type}`);
+  }
+
+  const { text, markers } = extractor(buffer, maxTextLength);
+  return {
+    text: text.slice(0, maxTextLength),
+    markers: markers.filter(marker => marker.offset < maxTextLength)
+  };
+}
+
+module.exports = { DOCUMENT_EXTENSIONS, extractDocument };
@@ -0,0 +1,15 @@
+// Digits of tldraw's fractional index keys
+const INDEX_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * tldraw index key for the item at position i (a1, a2, ... az, b10, b11, ...)
+ * Keys sort in the same order as the positions.
+ */
+const indexKey = (i) => {
+  const n = i + 1;
+  return n < INDEX_DIGITS.length
+    ? `a${INDEX_DIGITS[n]}`
+    : `b${INDEX_DIGITS[Math.floor(n / INDEX_DIGITS.length)]}${INDEX_DIGITS[n % INDEX_DIGITS.length]}`;
+};
+
+module.exports = { indexKey };
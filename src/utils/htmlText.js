@@ -0,0 +1,112 @@
+// Elements dropped with everything inside them before text is extracted
+const REMOVED_ELEMENTS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object',
+  'head', 'nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'dialog'
+];
+
+// Elements that start a new line in the extracted text
+const BLOCK_ELEMENTS = [
+  'address', 'article', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'main', 'ol', 'p', 'pre', 'section',
+  'table', 'tr', 'ul'
+];
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  laquo: '«', raquo: '»', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', deg: '°'
+};
+
+const EXCERPT_LENGTH = 280;
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const stripTags = html => decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+const removeElement = (html, tag) => html.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), ' ');
+
+// Inner HTML of every <tag> element (not nesting-aware, which is fine for article/main/body)
+const innerHTML = (html, tag) => Array.from(
+  html.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}\\s*>`, 'gi')),
+  match => match[1]
+);
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]).trim() : null;
+};
+
+/**
+ * Content of the first <meta> whose property or name is one of the keys
+ */
+const metaContent = (html, keys) => {
+  const tags = html.match(/<meta\b[^>]*>/gi) || [];
+  for (const key of keys) {
+    const tag = tags.find(t => [attribute(t, 'property'), attribute(t, 'name')].some(v => v && v.toLowerCase() === key));
+    const content = tag && attribute(tag, 'content');
+    if (content) {
+      return content;
+    }
+  }
+  return null;
+};
+
+const toText = html => {
+  const blocks = new RegExp(`<\\/?(?:${BLOCK_ELEMENTS.join('|')})\\b[^>]*>`, 'gi');
+
+  return decodeEntities(html
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(blocks, '\n')
+    .replace(/<(?:td|th)\b[^>]*>/gi, ' ')
+    .replace(/<[^>]*>/g, ''))
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    // Drop empty list items
+    .filter(line => line !== '-')
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Readable text of an HTML page.
+ * Page chrome (navigation, headers, footers, scripts, forms) is dropped and the
+ * <article> or <main> element is preferred over the whole body when there is one.
+ *
+ * @returns {{ title: String, text: String, excerpt: String, lang: String|null }}
+ */
+function extractArticle(html) {
+  const source = String(html || '').replace(/<!--[\s\S]*?-->/g, '');
+
+  const title = metaContent(source, ['og:title', 'twitter:title'])
+    || stripTags(innerHTML(source, 'title')[0] || '')
+    || stripTags(innerHTML(source, 'h1')[0] || '');
+
+  const cleaned = REMOVED_ELEMENTS.reduce(removeElement, source);
+
+  // The longest article wins (pages often list related articles too), then main, then the body
+  const longest = tag => innerHTML(cleaned, tag).map(toText).sort((a, b) => b.length - a.length)[0];
+  const text = longest('article') || longest('main') || toText(innerHTML(cleaned, 'body')[0] || cleaned);
+
+  const description = metaContent(source, ['og:description', 'description', 'twitter:description']);
+  const excerpt = description || (text.length > EXCERPT_LENGTH
+    ? `${text.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…`
+    : text);
+
+  const htmlTag = source.match(/<html\b[^>]*>/i);
+
+  return {
+    title,
+    text,
+    excerpt: excerpt.replace(/\s+/g, ' '),
+    lang: htmlTag ? attribute(htmlTag[0], 'lang') : null
+  };
+}
+
+module.exports = { extractArticle, decodeEntities };
@@ -23,6 +23,19 @@ const signRefreshToken = (payload) => {
   });
 };
 
+/**
+ * Sign a token for the AI engine that only covers one of the user's AI sessions.
+ * Used when someone else (a notebook collaborator) acts in that session.
+ * @param {Object} payload - Token payload (user data of the session owner)
+ * @param {String} sessionId - The AI session the token is limited to
+ * @returns {String} - Signed JWT, refused by verifyAccessToken
+ */
+const signAiSessionToken = (payload, sessionId) => {
+  return jwt.sign({ ...payload, sessionId }, config.jwt.accessSecret, {
+    expiresIn: config.jwt.aiSessionExpiresIn,
+  });
+};
+
 /**
  * Verify access token
  * @param {String} token - JWT access token
@@ -30,8 +43,9 @@ const signRefreshToken = (payload) => {
  * @throws {Error} - If token is invalid or expired
  */
 const verifyAccessToken = (token) => {
+  let decoded;
   try {
-    return jwt.verify(token, config.jwt.accessSecret);
+    decoded = jwt.verify(token, config.jwt.accessSecret);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Access token expired');
@@ -41,6 +55,26 @@ const verifyAccessToken = (token) => {
     }
     throw error;
   }
+
+  // AI session tokens are not access tokens for the rest of the API
+  if (decoded.sessionId) {
+    throw new Error('Invalid access token');
+  }
+  return decoded;
+};
+
+/**
+ * Verify an AI session token (as the AI engine does)
+ * @param {String} token - JWT from signAiSessionToken
+ * @returns {Object} - Decoded token payload, including sessionId
+ * @throws {Error} - If token is invalid, expired or not limited to a session
+ */
+const verifyAiSessionToken = (token) => {
+  const decoded = jwt.verify(token, config.jwt.accessSecret);
+  if (!decoded.sessionId) {
+    throw new Error('Invalid AI session token');
+  }
+  return decoded;
 };
 
 /**
@@ -66,6 +100,8 @@ const verifyRefreshToken = (token) => {
 module.exports = {
   signAccessToken,
   signRefreshToken,
+  signAiSessionToken,
   verifyAccessToken,
+  verifyAiSessionToken,
   verifyRefreshToken,
 };
@@ -0,0 +1,153 @@
+const { indexKey } = require('./fractionalIndex');
+
+/**
+ * Built-in board templates, seeded into BoardTemplate by admins
+ * (POST /api/admin/boards/templates/seed or npm run seed:board-templates).
+ * Shapes are plain tldraw records on the default page.
+ */
+
+const PAGE_ID = 'page:page';
+
+const richText = (text) => ({
+  type: 'doc',
+  content: text.split('\n').map(line => ({
+    type: 'paragraph',
+    content: line ? [{ type: 'text', text: line }] : []
+  }))
+});
+
+const shape = (id, type, x, y, props, parentId = PAGE_ID) => ({
+  id: `shape:${id}`,
+  type,
+  typeName: 'shape',
+  x,
+  y,
+  rotation: 0,
+  isLocked: false,
+  opacity: 1,
+  parentId,
+  props,
+  meta: {}
+});
+
+const box = (id, x, y, w, h, { label = '', color = 'black', fill = 'none', geo = 'rectangle', parentId } = {}) =>
+  shape(id, 'geo', x, y, {
+    geo,
+    w,
+    h,
+    color,
+    labelColor: 'black',
+    fill,
+    dash: 'draw',
+    size: 'm',
+    font: 'draw',
+    align: 'middle',
+    verticalAlign: label ? 'start' : 'middle',
+    growY: 0,
+    url: '',
+    scale: 1,
+    richText: richText(label)
+  }, parentId);
+
+const text = (id, x, y, w, value, { size = 'm', parentId } = {}) =>
+  shape(id, 'text', x, y, {
+    color: 'black',
+    size,
+    font: 'draw',
+    textAlign: 'start',
+    w,
+    autoSize: false,
+    scale: 1,
+    richText: richText(value)
+  }, parentId);
+
+const note = (id, x, y, value, { color = 'yellow', parentId } = {}) =>
+  shape(id, 'note', x, y, {
+    color,
+    labelColor: 'black',
+    size: 'm',
+    font: 'draw',
+    fontSizeAdjustment: 0,
+    align: 'middle',
+    verticalAlign: 'middle',
+    growY: 0,
+    url: '',
+    scale: 1,
+    richText: richText(value)
+  }, parentId);
+
+const frame = (id, x, y, w, h, name) => shape(id, 'frame', x, y, { w, h, name });
+
+// Assign index keys in draw order
+const ordered = (elements) => elements.map((el, i) => ({ ...el, index: indexKey(i) }));
+
+const kanban = () => ordered([
+  text('kanban-title', 0, -80, 600, 'Project board', { size: 'xl' }),
+  ...['To do', 'In progress', 'Done'].map((name, i) => frame(`kanban-col-${i}`, i * 360, 0, 320, 640, name)),
+  note('kanban-card-1', 60, 40, 'Add your first task', { parentId: 'shape:kanban-col-0' }),
+  note('kanban-card-2', 60, 280, 'Drag cards between columns', { color: 'light-blue', parentId: 'shape:kanban-col-0' })
+]);
+
+const cornellNotes = () => ordered([
+  box('cornell-header', 0, 0, 820, 100, { label: 'Topic:\nDate:' }),
+  box('cornell-cues', 0, 120, 240, 680, { label: 'Cues & questions', color: 'blue' }),
+  box('cornell-notes', 260, 120, 560, 680, { label: 'Notes' }),
+  box('cornell-summary', 0, 820, 820, 200, { label: 'Summary', color: 'green' })
+]);
+
+const swot = () => ordered([
+  text('swot-title', 0, -80, 820, 'SWOT analysis', { size: 'xl' }),
+  box('swot-strengths', 0, 0, 400, 320, { label: 'Strengths', color: 'green', fill: 'semi' }),
+  box('swot-weaknesses', 420, 0, 400, 320, { label: 'Weaknesses', color: 'red', fill: 'semi' }),
+  box('swot-opportunities', 0, 340, 400, 320, { label: 'Opportunities', color: 'blue', fill: 'semi' }),
+  box('swot-threats', 420, 340, 400, 320, { label: 'Threats', color: 'orange', fill: 'semi' })
+]);
+
+const timeline = () => {
+  const milestones = [0, 1, 2, 3, 4];
+
+  return ordered([
+    text('timeline-title', 0, -180, 800, 'Timeline', { size: 'xl' }),
+    box('timeline-axis', 0, 0, 1240, 6, { fill: 'solid' }),
+    ...milestones.map(i => box(`timeline-point-${i}`, 100 + i * 250, -9, 24, 24, { geo: 'ellipse', fill: 'solid', color: 'violet' })),
+    // Alternate labels above and below the axis
+    ...milestones.map(i => note(`timeline-note-${i}`, 12 + i * 250, i % 2 === 0 ? -260 : 60, `Milestone ${i + 1}`, { color: 'light-violet' }))
+  ]);
+};
+
+const SYSTEM_TEMPLATES = [
+  {
+    slug: 'kanban',
+    name: 'Kanban board',
+    description: 'Track tasks across To do, In progress and Done columns.',
+    category: 'planning',
+    tags: ['kanban', 'tasks', 'project'],
+    build: kanban
+  },
+  {
+    slug: 'cornell-notes',
+    name: 'Cornell notes',
+    description: 'Cue column, note-taking area and a summary for reviewing lectures.',
+    category: 'notes',
+    tags: ['notes', 'study', 'cornell'],
+    build: cornellNotes
+  },
+  {
+    slug: 'swot',
+    name: 'SWOT analysis',
+    description: 'Strengths, weaknesses, opportunities and threats in a 2×2 grid.',
+    category: 'analysis',
+    tags: ['swot', 'analysis', 'strategy'],
+    build: swot
+  },
+  {
+    slug: 'timeline',
+    name: 'Timeline',
+    description: 'Five milestones along a horizontal timeline.',
+    category: 'timeline',
+    tags: ['timeline', 'history', 'planning'],
+    build: timeline
+  }
+];
+
+module.exports = { SYSTEM_TEMPLATES };
@@ -0,0 +1,117 @@
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Largest file read out of an archive, and most bytes read out of it in total
+// (every read counts, so rereading an entry can't get around it), uncompressed.
+// Guards against zip bombs.
+const MAX_ENTRY_BYTES = 100 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 200 * 1024 * 1024;
+
+/**
+ * Minimal reader for the ZIP containers behind DOCX, PPTX and EPUB files.
+ * Supports stored and deflated entries; ZIP64 and encrypted archives are rejected.
+ *
+ * @param {Object} options
+ * @param {Number} options.maxTotalBytes - Uncompressed bytes all reads together may return
+ * @returns {{ names: String[], has: Function, read: Function, readText: Function }}
+ */
+function openZip(buffer, { maxTotalBytes = MAX_TOTAL_BYTES } = {}) {
+  // The end of central directory record sits in the last 22 bytes plus an optional comment
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('not a ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (offset === 0xffffffff || count === 0xffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('corrupt ZIP central directory');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      headerOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  let bytesRead = 0;
+
+  const read = (name) => {
+    const entry = entries.get(name);
+    if (!entry) {
+      throw new Error(`missing ${name}`);
+    }
+    if (entry.flags & 0x1) {
+      throw new Error('encrypted archives are not supported');
+    }
+    if (entry.size > MAX_ENTRY_BYTES) {
+      throw new Error(`${name} is too large`);
+    }
+
+    // The sizes in the directory can lie, so inflating is capped as well
+    const budget = Math.min(MAX_ENTRY_BYTES, maxTotalBytes - bytesRead);
+    if (entry.size > budget || budget <= 0) {
+      throw new Error('archive is too large when uncompressed');
+    }
+
+    const local = entry.headerOffset;
+    if (buffer.readUInt32LE(local) !== LOCAL_FILE_HEADER) {
+      throw new Error('corrupt ZIP entry');
+    }
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+
+    let content;
+    if (entry.method === 0) {
+      content = data;
+    } else if (entry.method === 8) {
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: budget });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error('archive is too large when uncompressed');
+        }
+        throw error;
+      }
+    } else {
+      throw new Error(`unsupported compression method ${entry.method}`);
+    }
+
+    bytesRead += content.length;
+    if (bytesRead > maxTotalBytes) {
+      throw new Error('archive is too large when uncompressed');
+    }
+    return content;
+  };
+
+  return {
+    names: Array.from(entries.keys()),
+    has: name => entries.has(name),
+    read,
+    readText: name => read(name).toString('utf8')
+  };
+}
+
+module.exports = { openZip };
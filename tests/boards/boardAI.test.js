@@ -0,0 +1,121 @@
+/**
+ * Board AI Tests
+ * Text extraction from tldraw shapes, summaries and board-to-notebook
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const BoardElement = require('../../src/models/BoardElement');
+const Notebook = require('../../src/models/Notebook');
+const aiService = require('../../src/services/ai.service');
+const IngestionJob = require('../../src/models/IngestionJob');
+const boardAIService = require('../../src/services/boardAI.service');
+const boardPageService = require('../../src/services/boardPage.service');
+const notebookSourceService = require('../../src/services/notebookSource.service');
+
+const richText = (text) => ({
+  type: 'doc',
+  content: [{ type: 'paragraph', content: [{ type: 'text', text }] }]
+});
+
+describe('Board AI', () => {
+  let board;
+  let ownerId;
+
+  beforeEach(async () => {
+    ownerId = new mongoose.Types.ObjectId();
+    board = await Board.create({ title: 'Photosynthesis', owner: ownerId });
+
+    const shape = (id, type, props, extra = {}) => ({
+      boardId: board._id, id, type, typeName: 'shape', parentId: 'page:page', pageId: 'page:page', x: 0, y: 0, props, ...extra
+    });
+
+    await BoardElement.insertMany([
+      shape('shape:frame', 'frame', { name: 'Inputs', w: 400, h: 300 }, { y: 100 }),
+      shape('shape:light', 'note', { richText: richText('Sunlight') }, { parentId: 'shape:frame', y: 120 }),
+      shape('shape:water', 'geo', { richText: richText('Water') }, { parentId: 'shape:frame', y: 200 }),
+      shape('shape:title', 'text', { text: 'Overview' }),
+      shape('shape:arrow', 'arrow', { richText: richText('absorbed by') }, { y: 500 }),
+      shape('shape:leaf', 'geo', { richText: richText('Leaf') }, { y: 600 }),
+      shape('shape:scribble', 'draw', { segments: [] }),
+      {
+        boardId: board._id, id: 'binding:1', typeName: 'binding', type: 'arrow',
+        fromId: 'shape:arrow', toId: 'shape:light', props: { terminal: 'start' }
+      },
+      {
+        boardId: board._id, id: 'binding:2', typeName: 'binding', type: 'arrow',
+        fromId: 'shape:arrow', toId: 'shape:leaf', props: { terminal: 'end' }
+      }
+    ]);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(aiService, 'summarizeText').mockResolvedValue({ summary: 'Plants turn light into sugar.', tokens: 42 });
+    jest.spyOn(aiService, 'createSession').mockResolvedValue('session-1');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should extract text from shapes as a readable outline', async () => {
+    const { text, itemCount } = await boardAIService.extractText(board);
+
+    expect(text).toBe([
+      '# Photosynthesis',
+      '',
+      '## Page 1',
+      '- Overview',
+      '### Inputs',
+      '- Sunlight',
+      '- Water',
+      '- Sunlight → Leaf (absorbed by)',
+      '- Leaf'
+    ].join('\n'));
+    expect(itemCount).toBe(6);
+  });
+
+  it('should summarize a board through the AI service', async () => {
+    const result = await boardAIService.summarizeBoard(board._id, ownerId, 'token');
+
+    expect(result.summary).toBe('Plants turn light into sugar.');
+    expect(result.tokens).toBe(42);
+    expect(result.source).toMatchObject({ title: 'Photosynthesis', itemCount: 6, truncated: false });
+    expect(aiService.summarizeText).toHaveBeenCalledWith(expect.stringContaining('- Water'), { style: 'detailed' }, 'token');
+  });
+
+  it('should reject boards without text and users without access', async () => {
+    const { page } = await boardPageService.createPage(board._id, ownerId, { name: 'Empty' });
+
+    await expect(boardAIService.summarizeBoard(board._id, ownerId, 'token', { pageId: page.id }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(boardAIService.summarizeBoard(board._id, new mongoose.Types.ObjectId(), 'token'))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should add study notes to a new notebook', async () => {
+    const result = await boardAIService.boardToNotebook(board._id, ownerId, 'token');
+
+    expect(result.created).toBe(true);
+    const notebook = await Notebook.findById(result.notebook._id);
+    expect(notebook.title).toBe('Photosynthesis notes');
+    expect(notebook.aiSessionId).toBe('session-1');
+    expect(notebook.sources[0]).toMatchObject({ type: 'notes', name: 'Board: Photosynthesis' });
+    const { content } = await notebookSourceService.getText(notebook.sources[0]._id);
+    expect(content).toContain('Plants turn light into sugar.');
+    expect(content).toContain('- Sunlight');
+    // Queued for RAG ingestion in the background
+    expect(notebook.sources[0].ingestionStatus).toBe('queued');
+    expect(await IngestionJob.countDocuments({ sourceId: notebook.sources[0]._id, status: 'queued' })).toBe(1);
+  });
+
+  it('should add study notes to an existing notebook of the user', async () => {
+    const notebook = await Notebook.create({ userId: ownerId, title: 'Biology' });
+    const other = await Notebook.create({ userId: new mongoose.Types.ObjectId(), title: 'Not mine' });
+
+    const result = await boardAIService.boardToNotebook(board._id, ownerId, 'token', { notebookId: notebook._id });
+    expect(result.created).toBe(false);
+    expect((await Notebook.findById(notebook._id)).sources).toHaveLength(1);
+
+    await expect(boardAIService.boardToNotebook(board._id, ownerId, 'token', { notebookId: other._id }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
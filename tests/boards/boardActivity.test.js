@@ -0,0 +1,105 @@
+/**
+ * Board Activity Tests
+ * Activity feed, cursor pagination and contribution breakdown
+ */
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Board = require('../../src/models/Board');
+const BoardActivity = require('../../src/models/BoardActivity');
+const boardActivityService = require('../../src/services/boardActivity.service');
+const boardSyncService = require('../../src/services/boardSync.service');
+const boardPageService = require('../../src/services/boardPage.service');
+const boardNamespace = require('../../src/socket/boardNamespace');
+const { signAccessToken } = require('../../src/utils/jwt');
+const { createFakeIO, connect } = require('../helpers/fakeSocketIO');
+
+describe('Board activity', () => {
+  let owner;
+  let editor;
+  let boardId;
+
+  beforeEach(async () => {
+    owner = await User.create({ name: 'Teacher', email: 'teacher@example.com', password: 'password123' });
+    editor = await User.create({ name: 'Student', email: 'student@example.com', password: 'password123' });
+    const board = await Board.create({
+      title: 'Group project',
+      owner: owner._id,
+      members: [{ userId: editor._id, role: 'editor' }]
+    });
+    boardId = board._id.toString();
+  });
+
+  const shape = (id) => ({ id, type: 'geo', parentId: 'page:page', x: 0, y: 0 });
+
+  it('should record element and page activity newest first', async () => {
+    await boardSyncService.createElement(boardId, editor._id, shape('shape:a'));
+    await boardSyncService.updateElement(boardId, editor._id, 'shape:a', { x: 10 });
+    await boardSyncService.updateElement(boardId, editor._id, 'shape:a', { x: 20 });
+    await boardSyncService.deleteElement(boardId, owner._id, 'shape:a');
+    await boardPageService.createPage(boardId, owner._id, { name: 'Notes' });
+
+    const { activities, nextCursor } = await boardActivityService.getActivity(boardId, owner._id);
+
+    expect(activities.map(a => a.type)).toEqual(['page:create', 'element:delete', 'element:update', 'element:create']);
+    expect(activities[2]).toMatchObject({ elementIds: ['shape:a'], count: 2 });
+    expect(activities[3]).toMatchObject({ elementType: 'geo', user: expect.objectContaining({ name: 'Student' }) });
+    expect(nextCursor).toBeNull();
+  });
+
+  it('should page through activity with a cursor', async () => {
+    for (let i = 0; i < 5; i++) {
+      await boardSyncService.createElement(boardId, editor._id, shape(`shape:${i}`));
+    }
+
+    const first = await boardActivityService.getActivity(boardId, editor._id, { limit: 2 });
+    const second = await boardActivityService.getActivity(boardId, editor._id, { limit: 2, cursor: first.nextCursor });
+    const last = await boardActivityService.getActivity(boardId, editor._id, { limit: 2, cursor: second.nextCursor });
+
+    const ids = [...first.activities, ...second.activities, ...last.activities].map(a => a.elementIds[0]);
+    expect(ids).toEqual(['shape:4', 'shape:3', 'shape:2', 'shape:1', 'shape:0']);
+    expect(last.nextCursor).toBeNull();
+  });
+
+  it('should break contributions down per member', async () => {
+    await boardSyncService.createElement(boardId, editor._id, shape('shape:a'));
+    await boardSyncService.createElement(boardId, editor._id, shape('shape:b'));
+    await boardSyncService.updateElement(boardId, owner._id, 'shape:a', { x: 5 });
+
+    const contributions = await boardActivityService.getContributions(boardId, owner._id);
+
+    expect(contributions.map(c => c.user.name)).toEqual(['Student', 'Teacher']);
+    expect(contributions[0]).toMatchObject({ role: 'editor', created: 2, elementsOnBoard: 2, edits: 2 });
+    expect(contributions[1]).toMatchObject({ role: 'owner', updated: 1, elementsOnBoard: 0 });
+    expect(contributions[0].share + contributions[1].share).toBeCloseTo(100);
+  });
+
+  it('should only show activity to board members', async () => {
+    const outsider = new mongoose.Types.ObjectId();
+
+    await expect(boardActivityService.getActivity(boardId, outsider))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(boardActivityService.getContributions(boardId, outsider))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should record users joining and leaving live sessions', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const io = createFakeIO();
+    boardNamespace(io);
+
+    const socket = await connect(io, {
+      token: signAccessToken({ id: editor._id.toString(), email: editor.email, role: 'student' })
+    });
+    await socket.call('board:join', { boardId });
+    socket.leaveBoard(boardId);
+
+    // Leaving is recorded once presence has been updated
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const types = (await BoardActivity.find({ boardId }).sort({ _id: 1 })).map(a => a.type);
+    expect(types).toEqual(['board:join', 'board:leave']);
+
+    const [contribution] = await boardActivityService.getContributions(boardId, editor._id);
+    expect(contribution).toMatchObject({ role: 'editor', sessions: 1, edits: 0 });
+  });
+});
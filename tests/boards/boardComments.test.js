@@ -0,0 +1,163 @@
+/**
+ * Board Comment Tests
+ * Tests for comment threads, mentions and resolve state
+ */
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../../src/app');
+const Board = require('../../src/models/Board');
+const BoardComment = require('../../src/models/BoardComment');
+const Notification = require('../../src/models/Notification');
+const User = require('../../src/models/User');
+const boardCommentService = require('../../src/services/boardComment.service');
+const boardNamespace = require('../../src/socket/boardNamespace');
+const { signAccessToken } = require('../../src/utils/jwt');
+const { createFakeIO, connect } = require('../helpers/fakeSocketIO');
+
+describe('Board comments', () => {
+  let boardId;
+  let owner;
+  let member;
+  let outsiderId;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    owner = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'password123' });
+    member = await User.create({ name: 'Member', email: 'member@example.com', password: 'password123' });
+    outsiderId = new mongoose.Types.ObjectId();
+
+    const board = await Board.create({
+      title: 'Comment Board',
+      owner: owner._id,
+      members: [{ userId: member._id, role: 'viewer' }]
+    });
+    boardId = board._id.toString();
+  });
+
+  const elementAnchor = { type: 'element', elementId: 'shape:a', x: 10, y: 20 };
+
+  it('should create threads anchored to elements or points', async () => {
+    await boardCommentService.createThread(boardId, owner._id, { content: 'Check this', anchor: elementAnchor });
+    await boardCommentService.createThread(boardId, member._id, {
+      content: 'Empty space here',
+      anchor: { type: 'point', x: 300, y: 400 }
+    });
+
+    const threads = await boardCommentService.getThreads(boardId, member._id);
+    expect(threads).toHaveLength(2);
+    expect(threads[0].anchor).toMatchObject({ type: 'element', elementId: 'shape:a' });
+    expect(threads[1].author.name).toBe('Member');
+
+    const forElement = await boardCommentService.getThreads(boardId, owner._id, { elementId: 'shape:a' });
+    expect(forElement).toHaveLength(1);
+  });
+
+  it('should reject invalid anchors and non-members', async () => {
+    await expect(boardCommentService.createThread(boardId, owner._id, { content: 'x', anchor: { type: 'point' } }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(boardCommentService.createThread(boardId, outsiderId, { content: 'x', anchor: elementAnchor }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should group replies under their thread', async () => {
+    const root = await boardCommentService.createThread(boardId, owner._id, { content: 'Root', anchor: elementAnchor });
+    const reply = await boardCommentService.reply(boardId, root._id, member._id, { content: 'Reply' });
+    await boardCommentService.reply(boardId, reply._id, owner._id, { content: 'Reply to reply' });
+
+    const [thread] = await boardCommentService.getThreads(boardId, owner._id);
+    expect(thread.replies.map(r => r.content)).toEqual(['Reply', 'Reply to reply']);
+    expect(thread.replies.every(r => r.threadId.toString() === root._id.toString())).toBe(true);
+  });
+
+  it('should notify mentioned board members only', async () => {
+    await boardCommentService.createThread(boardId, owner._id, {
+      content: '@Member what do you think?',
+      anchor: elementAnchor,
+      mentions: [member._id.toString(), outsiderId.toString(), owner._id.toString()]
+    });
+
+    const notifications = await Notification.find({ type: 'board_comment' });
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].userId.toString()).toBe(member._id.toString());
+    expect(notifications[0].message).toContain('Owner mentioned you');
+  });
+
+  it('should notify mentioned users who have access through a group', async () => {
+    const classmate = await User.create({ name: 'Classmate', email: 'classmate@example.com', password: 'password123' });
+    await Board.updateOne({ _id: boardId }, {
+      groups: [{ groupId: new mongoose.Types.ObjectId(), role: 'viewer', memberIds: [classmate._id] }]
+    });
+
+    const comment = await boardCommentService.createThread(boardId, member._id, {
+      content: '@Classmate see this', anchor: elementAnchor, mentions: [classmate._id.toString()]
+    });
+
+    expect(comment.mentions.map(m => m._id.toString())).toEqual([classmate._id.toString()]);
+    expect(await Notification.countDocuments({ type: 'board_comment', userId: classmate._id })).toBe(1);
+  });
+
+  it('should accept point anchors sent as numeric strings', async () => {
+    const token = signAccessToken({ id: owner._id.toString(), email: owner.email, role: 'student' });
+
+    const response = await request(app)
+      .post(`/api/boards/${boardId}/comments`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Over here', anchor: { type: 'point', x: '12.5', y: '40' } })
+      .expect(201);
+
+    expect(response.body.data.anchor).toMatchObject({ type: 'point', x: 12.5, y: 40 });
+  });
+
+  it('should only notify mentions added when a comment is edited', async () => {
+    const comment = await boardCommentService.createThread(boardId, member._id, {
+      content: 'Hi', anchor: elementAnchor, mentions: [owner._id]
+    });
+    await boardCommentService.updateComment(boardId, comment._id, member._id, {
+      content: 'Hi again', mentions: [owner._id]
+    });
+
+    expect(await Notification.countDocuments({ type: 'board_comment' })).toBe(1);
+  });
+
+  it('should resolve threads and reopen them on a new reply', async () => {
+    const root = await boardCommentService.createThread(boardId, owner._id, { content: 'Fix', anchor: elementAnchor });
+
+    const resolved = await boardCommentService.setResolved(boardId, root._id, member._id, true);
+    expect(resolved.isResolved).toBe(true);
+    expect(await boardCommentService.getThreads(boardId, owner._id, { includeResolved: false })).toHaveLength(0);
+
+    await boardCommentService.reply(boardId, root._id, owner._id, { content: 'Not yet' });
+    const reopened = await BoardComment.findById(root._id);
+    expect(reopened.isResolved).toBe(false);
+  });
+
+  it('should let only the author edit and the author or owner delete', async () => {
+    const root = await boardCommentService.createThread(boardId, member._id, { content: 'Mine', anchor: elementAnchor });
+    await boardCommentService.reply(boardId, root._id, member._id, { content: 'Also mine' });
+
+    await expect(boardCommentService.updateComment(boardId, root._id, owner._id, { content: 'Hijack' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    await boardCommentService.deleteComment(boardId, root._id, owner._id);
+    expect(await BoardComment.countDocuments({ boardId })).toBe(0);
+  });
+
+  it('should handle comment:create over the board socket', async () => {
+    const io = createFakeIO();
+    boardNamespace(io);
+    const socket = await connect(io, {
+      token: signAccessToken({ id: member._id.toString(), email: member.email })
+    });
+
+    const notJoined = await socket.call('comment:create', { boardId, content: 'Hi', anchor: elementAnchor });
+    expect(notJoined.code).toBe('BOARD_NOT_JOINED');
+
+    await socket.call('board:join', { boardId });
+    const result = await socket.call('comment:create', { boardId, content: 'Viewers can comment', anchor: elementAnchor });
+
+    expect(result.success).toBe(true);
+    expect(result.comment.content).toBe('Viewers can comment');
+  });
+});
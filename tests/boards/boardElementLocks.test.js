@@ -0,0 +1,141 @@
+/**
+ * Element Lock Tests
+ * Socket-held edit claims and owner locks via isLocked
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const boardSyncService = require('../../src/services/boardSync.service');
+const boardNamespace = require('../../src/socket/boardNamespace');
+const { releaseBoardClaims } = boardNamespace;
+const { ElementClaimStore } = require('../../src/socket/elementClaims');
+const { signAccessToken } = require('../../src/utils/jwt');
+const { createFakeIO, connect: connectSocket } = require('../helpers/fakeSocketIO');
+
+const connect = (io, userId) => connectSocket(io, {
+  token: signAccessToken({ id: userId.toString(), email: `${userId}@example.com`, role: 'student' })
+});
+
+describe('Board element locks', () => {
+  let io;
+  let claims;
+  let boardId;
+  let ownerId;
+  let editorId;
+  let otherEditorId;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    ownerId = new mongoose.Types.ObjectId();
+    editorId = new mongoose.Types.ObjectId();
+    otherEditorId = new mongoose.Types.ObjectId();
+    const board = await Board.create({
+      title: 'Locked Board',
+      owner: ownerId,
+      members: [
+        { userId: editorId, role: 'editor' },
+        { userId: otherEditorId, role: 'editor' }
+      ]
+    });
+    boardId = board._id.toString();
+
+    await boardSyncService.createElement(boardId, ownerId, { id: 'shape:a', type: 'geo', parentId: 'page:page', x: 0, y: 0 });
+    await boardSyncService.createElement(boardId, ownerId, { id: 'shape:b', type: 'geo', parentId: 'page:page', x: 0, y: 0 });
+
+    io = createFakeIO();
+    claims = new ElementClaimStore({ ttlSeconds: 30 });
+    boardNamespace(io, { claims });
+  });
+
+  afterEach(() => {
+    claims.clear();
+  });
+
+  const join = async (userId) => {
+    const socket = await connect(io, userId);
+    await socket.call('board:join', { boardId });
+    return socket;
+  };
+
+  it('should only let the claim holder change a claimed element', async () => {
+    const editor = await join(editorId);
+    const other = await join(otherEditorId);
+
+    const locked = await editor.call('element:lock', { boardId, elementId: 'shape:a' });
+    expect(locked.success).toBe(true);
+    expect(locked.elementIds).toEqual(['shape:a']);
+
+    const rejected = await other.call('element:update', { boardId, elementId: 'shape:a', changes: { x: 10 } });
+    expect(rejected.code).toBe('BOARD_ELEMENT_CLAIMED');
+    expect(rejected.locks[0]).toMatchObject({ elementId: 'shape:a', userId: editorId.toString() });
+
+    const contested = await other.call('element:lock', { boardId, elementIds: ['shape:a', 'shape:b'] });
+    expect(contested.code).toBe('BOARD_ELEMENT_CLAIMED');
+    expect(claims.list(boardId).map(c => c.elementId)).toEqual(['shape:a']);
+
+    expect((await editor.call('element:update', { boardId, elementId: 'shape:a', changes: { x: 10 } })).success).toBe(true);
+    expect((await other.call('element:update', { boardId, elementId: 'shape:b', changes: { x: 10 } })).success).toBe(true);
+
+    await editor.call('element:unlock', { boardId, elementId: 'shape:a' });
+    expect((await other.call('element:update', { boardId, elementId: 'shape:a', changes: { x: 20 } })).success).toBe(true);
+  });
+
+  it('should release claims when the holder leaves', async () => {
+    const editor = await join(editorId);
+    const other = await join(otherEditorId);
+    await editor.call('element:lock', { boardId, elementIds: ['shape:a', 'shape:b'] });
+
+    const joined = await (await connect(io, ownerId)).call('board:join', { boardId });
+    expect(joined.locks.map(c => c.elementId)).toEqual(['shape:a', 'shape:b']);
+
+    editor.leaveBoard(boardId);
+
+    expect(claims.list(boardId)).toEqual([]);
+    expect((await other.call('element:delete', { boardId, elementId: 'shape:a' })).success).toBe(true);
+  });
+
+  it('should expire claims that are not renewed', async () => {
+    claims.ttlMs = 50;
+    const editor = await join(editorId);
+    const other = await join(otherEditorId);
+    await editor.call('element:lock', { boardId, elementId: 'shape:a' });
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    expect(claims.list(boardId)).toEqual([]);
+    expect((await other.call('element:lock', { boardId, elementId: 'shape:a' })).success).toBe(true);
+  });
+
+  it('should honour owner locks', async () => {
+    const owner = await join(ownerId);
+    const editor = await join(editorId);
+
+    const denied = await editor.call('element:update', { boardId, elementId: 'shape:a', changes: { isLocked: true } });
+    expect(denied.code).toBe('BOARD_ELEMENT_LOCKED');
+
+    expect((await owner.call('element:update', { boardId, elementId: 'shape:a', changes: { isLocked: true } })).success).toBe(true);
+
+    const results = await Promise.all([
+      editor.call('element:update', { boardId, elementId: 'shape:a', changes: { x: 5 } }),
+      editor.call('element:delete', { boardId, elementId: 'shape:a' }),
+      editor.call('element:lock', { boardId, elementId: 'shape:a' }),
+      editor.call('elements:batch-update', { boardId, updates: [{ elementId: 'shape:a', changes: { y: 5 } }] })
+    ]);
+    results.forEach(result => expect(result).toMatchObject({ code: 'BOARD_ELEMENT_LOCKED', elementIds: ['shape:a'] }));
+
+    expect((await owner.call('element:update', { boardId, elementId: 'shape:a', changes: { x: 5 } })).success).toBe(true);
+  });
+
+  it('should drop every claim on the board when its elements are replaced', async () => {
+    const editor = await join(editorId);
+    const other = await join(otherEditorId);
+    await editor.call('element:lock', { boardId, elementId: 'shape:a' });
+    await other.call('element:lock', { boardId, elementId: 'shape:b' });
+
+    releaseBoardClaims(io, boardId);
+
+    expect(claims.list(boardId)).toEqual([]);
+    expect((await other.call('element:update', { boardId, elementId: 'shape:a', changes: { x: 5 } })).success).toBe(true);
+  });
+});
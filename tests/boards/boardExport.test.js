@@ -0,0 +1,108 @@
+/**
+ * Board Export/Import Tests
+ * Tests for SVG/PDF/JSON export and tldraw file import
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const BoardElement = require('../../src/models/BoardElement');
+const boardSyncService = require('../../src/services/boardSync.service');
+const boardExportService = require('../../src/services/boardExport.service');
+
+describe('Board export and import', () => {
+  let boardId;
+  let ownerId;
+
+  beforeEach(async () => {
+    ownerId = new mongoose.Types.ObjectId();
+    const board = await Board.create({ title: 'Export Board', owner: ownerId });
+    boardId = board._id.toString();
+
+    await boardSyncService.createElement(boardId, ownerId, {
+      id: 'shape:box',
+      type: 'geo',
+      x: 10,
+      y: 20,
+      props: { geo: 'rectangle', w: 120, h: 60, color: 'blue', text: 'Mitochondria & ATP' }
+    });
+    await boardSyncService.createElement(boardId, ownerId, {
+      id: 'shape:pen',
+      type: 'draw',
+      x: 200,
+      y: 40,
+      props: { segments: [{ type: 'free', points: [{ x: 0, y: 0 }, { x: 30, y: 30 }] }], color: 'red' }
+    });
+  });
+
+  it('should render the stored elements as SVG', async () => {
+    const result = await boardExportService.exportBoard(boardId, ownerId, 'svg');
+
+    expect(result.contentType).toBe('image/svg+xml');
+    expect(result.fileName).toBe('export-board.svg');
+    expect(result.body).toMatch(/^<svg /);
+    expect(result.body).toContain('Mitochondria &amp; ATP');
+    expect(result.body).toContain('stroke="#e03131"');
+  });
+
+  it('should render a PDF', async () => {
+    const result = await boardExportService.exportBoard(boardId, ownerId, 'pdf');
+
+    expect(result.contentType).toBe('application/pdf');
+    expect(result.body.slice(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('should fill in the board thumbnail on export', async () => {
+    await boardExportService.exportBoard(boardId, ownerId, 'json');
+
+    const board = await Board.findById(boardId);
+    expect(board.thumbnail).toMatch(/^data:image\/svg\+xml;base64,/);
+  });
+
+  it('should reject unsupported formats and users without access', async () => {
+    await expect(boardExportService.exportBoard(boardId, ownerId, 'png'))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(boardExportService.exportBoard(boardId, new mongoose.Types.ObjectId(), 'svg'))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should round-trip a board through the tldraw JSON format', async () => {
+    const exported = await boardExportService.exportBoard(boardId, ownerId, 'json');
+    const file = JSON.parse(exported.body);
+
+    expect(file.records.filter(r => r.typeName === 'shape')).toHaveLength(2);
+
+    const importerId = new mongoose.Types.ObjectId();
+    const imported = await boardExportService.importTldr(importerId, Buffer.from(exported.body), { title: 'Copy' });
+
+    expect(imported.title).toBe('Copy');
+    expect(imported.owner.toString()).toBe(importerId.toString());
+    expect(imported.elementCount).toBe(2);
+
+    const box = await BoardElement.findOne({ boardId: imported._id, id: 'shape:box' });
+    expect(box.props.text).toBe('Mitochondria & ATP');
+    expect(box.parentId).toBe('page:page');
+  });
+
+  it('should map the first page of an imported file onto the default page', async () => {
+    const file = {
+      tldrawFileFormatVersion: 1,
+      records: [
+        { typeName: 'document', id: 'document:document', name: 'Biology notes' },
+        { typeName: 'page', id: 'page:abc', name: 'Page 1', index: 'a1' },
+        { typeName: 'shape', id: 'shape:1', type: 'text', parentId: 'page:abc', x: 0, y: 0, props: { text: 'Cell' } }
+      ]
+    };
+
+    const board = await boardExportService.importTldr(ownerId, Buffer.from(JSON.stringify(file)));
+
+    expect(board.title).toBe('Biology notes');
+    const element = await BoardElement.findOne({ boardId: board._id });
+    expect(element.parentId).toBe('page:page');
+  });
+
+  it('should reject files that are not tldraw documents', async () => {
+    await expect(boardExportService.importTldr(ownerId, Buffer.from('not json')))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(boardExportService.importTldr(ownerId, Buffer.from('{"foo":1}')))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Board Group Sharing Tests
+ * Group grants, membership propagation and board:join authorisation
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const Group = require('../../src/models/Group');
+const User = require('../../src/models/User');
+const boardService = require('../../src/services/board.service');
+const boardGroupService = require('../../src/services/boardGroup.service');
+const groupService = require('../../src/services/group.service');
+const boardNamespace = require('../../src/socket/boardNamespace');
+const { signAccessToken } = require('../../src/utils/jwt');
+const { createFakeIO, connect: connectSocket } = require('../helpers/fakeSocketIO');
+
+const connect = (io, userId) => connectSocket(io, {
+  token: signAccessToken({ id: userId.toString(), email: `${userId}@example.com`, role: 'student' })
+});
+
+describe('Board group sharing', () => {
+  let owner;
+  let classmate;
+  let newcomer;
+  let group;
+  let board;
+
+  beforeEach(async () => {
+    // No socket server in tests; live session updates are skipped
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    [owner, classmate, newcomer] = await User.create([
+      { name: 'Owner', email: 'owner@example.com', password: 'Password123!' },
+      { name: 'Classmate', email: 'classmate@example.com', password: 'Password123!' },
+      { name: 'Newcomer', email: 'newcomer@example.com', password: 'Password123!' }
+    ]);
+
+    group = await groupService.createGroup(owner._id, { name: 'Chemistry study group' });
+    await groupService.addMember(group._id, owner._id, classmate._id);
+
+    board = await Board.create({ title: 'Revision', owner: owner._id });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should give every group member the granted role', async () => {
+    const { group: grant, changes } = await boardGroupService.shareWithGroup(board._id, owner._id, {
+      groupId: group._id,
+      role: 'viewer'
+    });
+
+    expect(grant).toMatchObject({ name: 'Chemistry study group', role: 'viewer', memberCount: 2 });
+    expect(changes).toEqual([{ userId: classmate._id.toString(), role: 'viewer' }]);
+
+    const updated = await Board.findById(board._id);
+    expect(updated.getUserRole(classmate._id)).toBe('viewer');
+    expect(updated.getUserRole(owner._id)).toBe('owner');
+
+    const { boards } = await boardService.getUserBoards(classmate._id);
+    expect(boards.map(b => b.title)).toEqual(['Revision']);
+  });
+
+  it('should propagate group membership changes to shared boards', async () => {
+    await boardGroupService.shareWithGroup(board._id, owner._id, { groupId: group._id });
+
+    await groupService.joinGroupWithCode(newcomer._id, group.inviteCode);
+    expect((await Board.findById(board._id)).getUserRole(newcomer._id)).toBe('editor');
+
+    await groupService.leaveGroup(group._id, classmate._id);
+    const updated = await Board.findById(board._id);
+    expect(updated.hasAccess(classmate._id)).toBe(false);
+    expect(updated.hasAccess(newcomer._id)).toBe(true);
+
+    await groupService.deleteGroup(group._id, owner._id);
+    expect((await Board.findById(board._id)).groups).toHaveLength(0);
+  });
+
+  it('should use the highest of direct and group roles', async () => {
+    await Board.updateOne({ _id: board._id }, { members: [{ userId: classmate._id, role: 'viewer' }] });
+    await boardGroupService.shareWithGroup(board._id, owner._id, { groupId: group._id, role: 'editor' });
+    expect((await Board.findById(board._id)).getUserRole(classmate._id)).toBe('editor');
+
+    const { changes } = await boardGroupService.updateGroupRole(board._id, owner._id, group._id, 'viewer');
+    expect(changes).toEqual([{ userId: classmate._id.toString(), role: 'viewer' }]);
+
+    // Direct membership remains after the group grant goes away
+    await boardGroupService.removeGroup(board._id, owner._id, group._id);
+    expect((await Board.findById(board._id)).getUserRole(classmate._id)).toBe('viewer');
+  });
+
+  it('should only share with groups the owner belongs to', async () => {
+    const otherGroup = await Group.create({
+      name: 'Other group',
+      creator: newcomer._id,
+      members: [{ user: newcomer._id, role: 'admin' }]
+    });
+
+    await expect(boardGroupService.shareWithGroup(board._id, owner._id, { groupId: otherGroup._id }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(boardGroupService.shareWithGroup(board._id, classmate._id, { groupId: group._id }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(boardGroupService.shareWithGroup(board._id, owner._id, { groupId: new mongoose.Types.ObjectId() }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should keep the grant of a board created for a group', async () => {
+    const groupBoard = await boardService.createBoard(classmate._id, { title: 'Group notes', groupId: group._id });
+
+    expect(groupBoard.ownerGroup.toString()).toBe(group._id.toString());
+    expect(groupBoard.getUserRole(owner._id)).toBe('editor');
+
+    await expect(boardGroupService.removeGroup(groupBoard._id, classmate._id, group._id))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(boardService.createBoard(newcomer._id, { title: 'Not mine', groupId: group._id }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should let group members join the board over sockets', async () => {
+    const io = createFakeIO();
+    boardNamespace(io);
+    const boardId = board._id.toString();
+
+    const outsider = await connect(io, classmate._id);
+    const denied = await outsider.call('board:join', { boardId });
+    expect(denied.error).toBeDefined();
+
+    await boardGroupService.shareWithGroup(board._id, owner._id, { groupId: group._id, role: 'viewer' });
+
+    const member = await connect(io, classmate._id);
+    const joined = await member.call('board:join', { boardId });
+    expect(joined.success).toBe(true);
+    expect(joined.role).toBe('viewer');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Board Undo/Redo Tests
+ * Per-user history stacks driven through the board namespace handlers
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const BoardElement = require('../../src/models/BoardElement');
+const BoardHistoryEntry = require('../../src/models/BoardHistoryEntry');
+const boardNamespace = require('../../src/socket/boardNamespace');
+const { signAccessToken } = require('../../src/utils/jwt');
+const { createFakeIO, connect: connectSocket } = require('../helpers/fakeSocketIO');
+
+const connect = (io, userId) => connectSocket(io, {
+  token: signAccessToken({ id: userId.toString(), email: `${userId}@example.com`, role: 'student' })
+});
+
+describe('Board undo/redo', () => {
+  let io;
+  let boardId;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    io = createFakeIO();
+    boardNamespace(io);
+
+    const aliceId = new mongoose.Types.ObjectId();
+    const bobId = new mongoose.Types.ObjectId();
+    const board = await Board.create({
+      title: 'History Board',
+      owner: aliceId,
+      members: [{ userId: bobId, role: 'editor' }]
+    });
+    boardId = board._id.toString();
+
+    alice = await connect(io, aliceId);
+    bob = await connect(io, bobId);
+    await alice.call('board:join', { boardId });
+    await bob.call('board:join', { boardId });
+  });
+
+  const shape = (id, x = 0) => ({ id, type: 'geo', x, y: 0, props: { w: 10, h: 10 } });
+  const findElement = id => BoardElement.findOne({ boardId, id }).lean();
+
+  it('should undo and redo a create', async () => {
+    await alice.call('element:create', { boardId, element: shape('shape:a') });
+
+    const undo = await alice.call('board:undo', { boardId });
+    expect(undo).toMatchObject({ success: true, applied: true });
+    expect(undo.operations[0]).toMatchObject({ event: 'element:deleted', elementId: 'shape:a' });
+    expect(await findElement('shape:a')).toBeNull();
+
+    const redo = await alice.call('board:redo', { boardId });
+    expect(redo.operations[0]).toMatchObject({ event: 'element:created' });
+    expect(await findElement('shape:a')).not.toBeNull();
+  });
+
+  it('should restore a deleted element on undo', async () => {
+    await alice.call('element:create', { boardId, element: shape('shape:a', 42) });
+    await alice.call('element:delete', { boardId, elementId: 'shape:a' });
+
+    await alice.call('board:undo', { boardId });
+
+    const element = await findElement('shape:a');
+    expect(element.x).toBe(42);
+  });
+
+  it('should keep separate stacks for each user', async () => {
+    await alice.call('element:create', { boardId, element: shape('shape:a') });
+    await bob.call('element:create', { boardId, element: shape('shape:b') });
+
+    await alice.call('board:undo', { boardId });
+
+    expect(await findElement('shape:a')).toBeNull();
+    expect(await findElement('shape:b')).not.toBeNull();
+
+    const bobUndo = await bob.call('board:undo', { boardId });
+    expect(bobUndo.operations[0]).toMatchObject({ elementId: 'shape:b' });
+  });
+
+  it('should not clobber fields another user changed since', async () => {
+    await alice.call('element:create', { boardId, element: shape('shape:a') });
+    await alice.call('element:update', { boardId, elementId: 'shape:a', changes: { x: 10, y: 10 } });
+    await bob.call('element:update', { boardId, elementId: 'shape:a', changes: { x: 99 } });
+
+    const undo = await alice.call('board:undo', { boardId });
+
+    expect(undo.applied).toBe(true);
+    expect(undo.conflicts).toEqual([{ elementId: 'shape:a', reason: 'modified', fields: ['x'] }]);
+
+    const element = await findElement('shape:a');
+    expect(element.x).toBe(99);
+    expect(element.y).toBe(0);
+  });
+
+  it('should skip undoing a create once another user edited the element', async () => {
+    await alice.call('element:create', { boardId, element: shape('shape:a') });
+    await bob.call('element:update', { boardId, elementId: 'shape:a', changes: { x: 5 } });
+
+    const undo = await alice.call('board:undo', { boardId });
+
+    expect(undo.applied).toBe(false);
+    expect(undo.conflicts[0]).toMatchObject({ elementId: 'shape:a', reason: 'modified' });
+    expect(await findElement('shape:a')).not.toBeNull();
+  });
+
+  it('should undo batch updates as a single step', async () => {
+    await alice.call('element:create', { boardId, element: shape('shape:a') });
+    await alice.call('element:create', { boardId, element: shape('shape:b') });
+    await alice.call('elements:batch-update', {
+      boardId,
+      updates: [
+        { elementId: 'shape:a', changes: { x: 1 } },
+        { elementId: 'shape:b', changes: { x: 2 } }
+      ]
+    });
+
+    const undo = await alice.call('board:undo', { boardId });
+
+    const elements = await BoardElement.find({ boardId }).sort({ id: 1 }).lean();
+    expect(elements.map(el => el.x)).toEqual([0, 0]);
+    expect(undo.operations.map(op => op.event)).toEqual(['elements:batch-updated']);
+  });
+
+  it('should clear the redo stack after a new edit', async () => {
+    await alice.call('element:create', { boardId, element: shape('shape:a') });
+    await alice.call('board:undo', { boardId });
+    await alice.call('element:create', { boardId, element: shape('shape:b') });
+
+    const redo = await alice.call('board:redo', { boardId });
+
+    expect(redo).toMatchObject({ success: true, applied: false });
+    expect(await BoardHistoryEntry.countDocuments({ boardId, stack: 'redo' })).toBe(0);
+  });
+
+  it('should reject undo from viewers', async () => {
+    const viewerId = new mongoose.Types.ObjectId();
+    await Board.updateOne({ _id: boardId }, { $push: { members: { userId: viewerId, role: 'viewer' } } });
+    const viewer = await connect(io, viewerId);
+    await viewer.call('board:join', { boardId });
+
+    const result = await viewer.call('board:undo', { boardId });
+
+    expect(result.code).toBe('BOARD_READ_ONLY');
+  });
+
+  it('should drop undo history when a page is deleted', async () => {
+    const { page } = await alice.call('page:create', { boardId, name: 'Scratch' });
+    await bob.call('element:create', { boardId, element: { ...shape('shape:a'), parentId: page.id } });
+    await alice.call('element:create', { boardId, element: shape('shape:b') });
+
+    expect((await alice.call('page:delete', { boardId, pageId: page.id })).success).toBe(true);
+    expect(await BoardHistoryEntry.countDocuments({ boardId })).toBe(0);
+
+    const undo = await bob.call('board:undo', { boardId });
+    expect(undo).toMatchObject({ success: true, applied: false });
+    expect(await findElement('shape:a')).toBeNull();
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Board Page Tests
+ * Page management, lazy page loading and viewer-only pages
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const BoardElement = require('../../src/models/BoardElement');
+const boardPageService = require('../../src/services/boardPage.service');
+const boardSyncService = require('../../src/services/boardSync.service');
+const boardNamespace = require('../../src/socket/boardNamespace');
+const { signAccessToken } = require('../../src/utils/jwt');
+const { createFakeIO, connect: connectSocket } = require('../helpers/fakeSocketIO');
+
+const connect = (io, userId) => connectSocket(io, {
+  token: signAccessToken({ id: userId.toString(), email: `${userId}@example.com`, role: 'student' })
+});
+
+describe('Board pages', () => {
+  let boardId;
+  let ownerId;
+  let editorId;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    ownerId = new mongoose.Types.ObjectId();
+    editorId = new mongoose.Types.ObjectId();
+    const board = await Board.create({
+      title: 'Paged Board',
+      owner: ownerId,
+      members: [{ userId: editorId, role: 'editor' }]
+    });
+    boardId = board._id.toString();
+  });
+
+  const shape = (id, parentId = 'page:page') => ({ id, type: 'geo', parentId, x: 0, y: 0 });
+
+  it('should start with a single default page', async () => {
+    const pages = await boardPageService.getPages(boardId, ownerId);
+
+    expect(pages).toEqual([expect.objectContaining({ id: 'page:page', name: 'Page 1', elementCount: 0 })]);
+  });
+
+  it('should create, rename and reorder pages', async () => {
+    const { page } = await boardPageService.createPage(boardId, editorId, { name: 'Notes' });
+    await boardPageService.updatePage(boardId, editorId, page.id, { name: 'Lecture notes' });
+    await boardPageService.reorderPages(boardId, editorId, [page.id, 'page:page']);
+
+    const board = await Board.findById(boardId);
+    expect(board.pages.map(p => p.name)).toEqual(['Lecture notes', 'Page 1']);
+    expect(board.seq).toBe(3);
+
+    await expect(boardPageService.reorderPages(boardId, editorId, [page.id]))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should delete a page with its elements but never the last page', async () => {
+    const { page } = await boardPageService.createPage(boardId, ownerId, { name: 'Scratch' });
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:keep'));
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:gone', page.id));
+
+    const result = await boardPageService.deletePage(boardId, ownerId, page.id);
+
+    expect(result.deletedElements).toBe(1);
+    expect(await BoardElement.countDocuments({ boardId })).toBe(1);
+    expect((await Board.findById(boardId)).elementCount).toBe(1);
+
+    await expect(boardPageService.deletePage(boardId, ownerId, 'page:page'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should track the page of nested elements and moves between pages', async () => {
+    const { page } = await boardPageService.createPage(boardId, ownerId, { name: 'Second' });
+    await boardSyncService.createElement(boardId, ownerId, { ...shape('shape:frame'), type: 'frame' });
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:child', 'shape:frame'));
+
+    expect((await BoardElement.findOne({ boardId, id: 'shape:child' })).pageId).toBe('page:page');
+
+    await boardSyncService.updateElement(boardId, ownerId, 'shape:frame', { parentId: page.id });
+
+    const elements = await boardSyncService.getBoardElements(boardId, page.id);
+    expect(elements.map(el => el.id).sort()).toEqual(['shape:child', 'shape:frame']);
+  });
+
+  it('should only allow the owner to make a page viewer-only', async () => {
+    await expect(boardPageService.updatePage(boardId, editorId, 'page:page', { viewerOnly: true }))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    const { page } = await boardPageService.updatePage(boardId, ownerId, 'page:page', { viewerOnly: true });
+    expect(page.viewerOnly).toBe(true);
+  });
+
+  describe('over sockets', () => {
+    let io;
+    let answerKeyId;
+
+    beforeEach(async () => {
+      io = createFakeIO();
+      boardNamespace(io);
+
+      const { page } = await boardPageService.createPage(boardId, ownerId, { name: 'Answer key' });
+      answerKeyId = page.id;
+      await boardPageService.updatePage(boardId, ownerId, answerKeyId, { viewerOnly: true });
+      await boardSyncService.createElement(boardId, ownerId, shape('shape:question'));
+      await boardSyncService.createElement(boardId, ownerId, shape('shape:answer', answerKeyId));
+    });
+
+    it('should load a single page on join and others lazily', async () => {
+      const editor = await connect(io, editorId);
+
+      const joined = await editor.call('board:join', { boardId, pageId: 'page:page' });
+      expect(joined.board.elements.map(el => el.id)).toEqual(['shape:question']);
+      expect(joined.readOnlyPageIds).toEqual([answerKeyId]);
+
+      const loaded = await editor.call('page:load', { boardId, pageId: answerKeyId });
+      expect(loaded.elements.map(el => el.id)).toEqual(['shape:answer']);
+
+      const missing = await editor.call('board:join', { boardId, pageId: 'page:missing' });
+      expect(missing.error).toBe('Page not found');
+    });
+
+    it('should reject editor changes on viewer-only pages', async () => {
+      const editor = await connect(io, editorId);
+      await editor.call('board:join', { boardId });
+
+      const results = await Promise.all([
+        editor.call('element:create', { boardId, element: shape('shape:new', answerKeyId) }),
+        editor.call('element:update', { boardId, elementId: 'shape:answer', changes: { x: 5 } }),
+        editor.call('element:delete', { boardId, elementId: 'shape:answer' }),
+        editor.call('element:update', { boardId, elementId: 'shape:question', changes: { parentId: answerKeyId } })
+      ]);
+
+      results.forEach(result => expect(result.code).toBe('BOARD_PAGE_READ_ONLY'));
+
+      const allowed = await editor.call('element:update', { boardId, elementId: 'shape:question', changes: { x: 5 } });
+      expect(allowed.success).toBe(true);
+    });
+
+    it('should let the owner edit viewer-only pages', async () => {
+      const owner = await connect(io, ownerId);
+      await owner.call('board:join', { boardId });
+
+      const result = await owner.call('element:update', { boardId, elementId: 'shape:answer', changes: { x: 5 } });
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should manage pages through socket events', async () => {
+      const editor = await connect(io, editorId);
+      await editor.call('board:join', { boardId });
+
+      const created = await editor.call('page:create', { boardId, name: 'Extra' });
+      expect(created).toMatchObject({ success: true, page: { name: 'Extra' } });
+
+      const deleted = await editor.call('page:delete', { boardId, pageId: answerKeyId });
+      expect(deleted.error).toBe('This page is viewer-only');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Board Socket Permission Tests
+ * Drives the board namespace handlers with a fake socket to check
+ * role-based authorisation of mutating events.
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const BoardElement = require('../../src/models/BoardElement');
+const boardNamespace = require('../../src/socket/boardNamespace');
+const { signAccessToken } = require('../../src/utils/jwt');
+const { createFakeIO, connect: connectSocket } = require('../helpers/fakeSocketIO');
+
+// Connect as a logged-in user
+const connect = (io, userId) => connectSocket(io, {
+  token: signAccessToken({ id: userId.toString(), email: `${userId}@example.com`, role: 'student' })
+});
+
+describe('Board socket permissions', () => {
+  let io;
+  let board;
+  let ownerId;
+  let editorId;
+  let viewerId;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    io = createFakeIO();
+    boardNamespace(io);
+
+    ownerId = new mongoose.Types.ObjectId();
+    editorId = new mongoose.Types.ObjectId();
+    viewerId = new mongoose.Types.ObjectId();
+    board = await Board.create({
+      title: 'Permission Board',
+      owner: ownerId,
+      isPublic: true,
+      members: [
+        { userId: editorId, role: 'editor' },
+        { userId: viewerId, role: 'viewer' }
+      ]
+    });
+  });
+
+  const shape = { id: 'shape:a', type: 'geo', x: 0, y: 0 };
+
+  it('should report read-only access to viewers on join', async () => {
+    const viewer = await connect(io, viewerId);
+    const editor = await connect(io, editorId);
+
+    const viewerJoin = await viewer.call('board:join', { boardId: board._id.toString() });
+    const editorJoin = await editor.call('board:join', { boardId: board._id.toString() });
+
+    expect(viewerJoin).toMatchObject({ success: true, role: 'viewer', readOnly: true });
+    expect(editorJoin).toMatchObject({ success: true, role: 'editor', readOnly: false });
+  });
+
+  it('should reject mutations from viewers and public visitors', async () => {
+    const boardId = board._id.toString();
+    const viewer = await connect(io, viewerId);
+    const visitor = await connect(io, new mongoose.Types.ObjectId());
+    await viewer.call('board:join', { boardId });
+    await visitor.call('board:join', { boardId });
+
+    const results = await Promise.all([
+      viewer.call('element:create', { boardId, element: shape }),
+      viewer.call('element:update', { boardId, elementId: 'shape:a', changes: { x: 1 } }),
+      viewer.call('element:delete', { boardId, elementId: 'shape:a' }),
+      viewer.call('elements:batch-update', { boardId, updates: [] }),
+      visitor.call('element:create', { boardId, element: shape })
+    ]);
+
+    results.forEach(result => {
+      expect(result.code).toBe('BOARD_READ_ONLY');
+      expect(result.error).toBeDefined();
+    });
+    expect(await BoardElement.countDocuments({ boardId })).toBe(0);
+  });
+
+  it('should reject mutations from sockets that never joined the board', async () => {
+    const editor = await connect(io, editorId);
+
+    const result = await editor.call('element:create', { boardId: board._id.toString(), element: shape });
+
+    expect(result.code).toBe('BOARD_NOT_JOINED');
+  });
+
+  it('should let editors mutate the board', async () => {
+    const boardId = board._id.toString();
+    const editor = await connect(io, editorId);
+    await editor.call('board:join', { boardId });
+
+    const result = await editor.call('element:create', { boardId, element: shape });
+
+    expect(result.success).toBe(true);
+    expect(await BoardElement.countDocuments({ boardId })).toBe(1);
+  });
+
+  it('should apply role changes to open sessions', async () => {
+    const boardId = board._id.toString();
+    const editor = await connect(io, editorId);
+    await editor.call('board:join', { boardId });
+
+    boardNamespace.applyMemberRoleChange(io, boardId, editorId, 'viewer', board.isPublic);
+
+    const result = await editor.call('element:create', { boardId, element: shape });
+    expect(result.code).toBe('BOARD_READ_ONLY');
+    expect(editor.emitted).toContainEqual(expect.objectContaining({
+      event: 'board:role-changed',
+      payload: expect.objectContaining({ role: 'viewer', readOnly: true })
+    }));
+  });
+});
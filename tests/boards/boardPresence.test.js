@@ -0,0 +1,154 @@
+/**
+ * Board Presence Tests
+ * Shared (MongoDB-backed) presence across two board namespace instances
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const BoardPresence = require('../../src/models/BoardPresence');
+const boardNamespace = require('../../src/socket/boardNamespace');
+const { MemoryPresenceStore, MongoPresenceStore } = require('../../src/socket/presence');
+const { signAccessToken } = require('../../src/utils/jwt');
+const { createFakeIO, connect: connectSocket } = require('../helpers/fakeSocketIO');
+
+const connect = (io, userId) => connectSocket(io, {
+  token: signAccessToken({ id: userId.toString(), email: `${userId}@example.com`, role: 'student' })
+});
+
+// Leaving updates presence in the background
+const waitFor = async (check, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (!(await check())) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('Shared board presence', () => {
+  let nodeA;
+  let nodeB;
+  let board;
+  let ownerId;
+  let editorId;
+
+  const createNode = (nodeId) => {
+    const io = createFakeIO();
+    const presence = new MongoPresenceStore({ nodeId, ttlSeconds: 60 });
+    boardNamespace(io, { presence });
+    return { io, presence };
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    nodeA = createNode('node-a');
+    nodeB = createNode('node-b');
+
+    ownerId = new mongoose.Types.ObjectId();
+    editorId = new mongoose.Types.ObjectId();
+    board = await Board.create({
+      title: 'Presence Board',
+      owner: ownerId,
+      members: [{ userId: editorId, role: 'editor' }]
+    });
+  });
+
+  afterEach(async () => {
+    await nodeA.presence.stop();
+    await nodeB.presence.stop();
+  });
+
+  it('should list participants connected to other instances', async () => {
+    const boardId = board._id.toString();
+    const owner = await connect(nodeA.io, ownerId);
+    const editor = await connect(nodeB.io, editorId);
+
+    await owner.call('board:join', { boardId });
+    const joined = await editor.call('board:join', { boardId });
+
+    expect(joined.success).toBe(true);
+    expect(joined.participants.map(p => p.userId)).toEqual([ownerId.toString(), editorId.toString()]);
+  });
+
+  it('should drop a participant from every instance when they leave', async () => {
+    const boardId = board._id.toString();
+    const owner = await connect(nodeA.io, ownerId);
+    const editor = await connect(nodeB.io, editorId);
+    await owner.call('board:join', { boardId });
+    await editor.call('board:join', { boardId });
+
+    owner.call('board:leave', { boardId });
+
+    await waitFor(async () => (await nodeB.presence.list(boardId)).length === 1);
+    expect(await BoardPresence.countDocuments({ boardId })).toBe(1);
+  });
+
+  it('should keep a user listed while any of their tabs is still on the board', async () => {
+    const boardId = board._id.toString();
+    const firstTab = await connect(nodeA.io, ownerId);
+    const secondTab = await connect(nodeB.io, ownerId);
+    await firstTab.call('board:join', { boardId });
+    const joined = await secondTab.call('board:join', { boardId });
+
+    expect(joined.participants.map(p => p.userId)).toEqual([ownerId.toString()]);
+    expect(await BoardPresence.countDocuments({ boardId })).toBe(2);
+
+    firstTab.call('board:leave', { boardId });
+
+    await waitFor(async () => (await BoardPresence.countDocuments({ boardId })) === 1);
+    const [session] = await nodeA.presence.list(boardId);
+    expect(session).toMatchObject({ userId: ownerId.toString(), socketId: secondTab.id, nodeId: 'node-b' });
+  });
+
+  it('should ignore entries from an instance that stopped heartbeating', async () => {
+    const boardId = board._id.toString();
+    const crashed = new MongoPresenceStore({ nodeId: 'node-c', ttlSeconds: 60 });
+    await crashed.set(boardId, { socketId: 'socket-c', userId: 'someone', email: 'someone@example.com', joinedAt: new Date() });
+    await BoardPresence.updateOne({ nodeId: 'node-c' }, { $set: { updatedAt: new Date(Date.now() - 5 * 60 * 1000) } });
+
+    const owner = await connect(nodeA.io, ownerId);
+    const joined = await owner.call('board:join', { boardId });
+
+    expect(joined.participants.map(p => p.userId)).toEqual([ownerId.toString()]);
+  });
+
+  it('should share the latest cursor position on heartbeat', async () => {
+    const boardId = board._id.toString();
+    const owner = await connect(nodeA.io, ownerId);
+    await owner.call('board:join', { boardId });
+
+    owner.call('cursor:move', { boardId, position: { x: 40, y: 2 } });
+    await nodeA.presence.refresh();
+
+    const [session] = await nodeB.presence.list(boardId);
+    expect(session.cursor).toEqual({ x: 40, y: 2 });
+  });
+
+  it('should relay member role changes to the other instances', async () => {
+    const boardId = board._id.toString();
+    const editor = await connect(nodeB.io, editorId);
+    await editor.call('board:join', { boardId });
+
+    boardNamespace.applyMemberRoleChange(nodeA.io, boardId, editorId, 'viewer');
+
+    const [relayed] = nodeA.io.namespace.serverSideEmitted;
+    expect(relayed.payload).toMatchObject({ boardId, userId: editorId.toString(), role: 'viewer' });
+
+    // Deliver it the way the adapter would
+    nodeB.io.namespace.handlers[relayed.event](relayed.payload);
+
+    expect(editor.emitted).toContainEqual(expect.objectContaining({ event: 'board:role-changed' }));
+    const result = await editor.call('element:create', { boardId, element: { id: 'shape:a', type: 'geo' } });
+    expect(result.code).toBe('BOARD_READ_ONLY');
+  });
+
+  it('should not relay anything with the in-memory store', async () => {
+    const io = createFakeIO();
+    boardNamespace(io, { presence: new MemoryPresenceStore() });
+
+    boardNamespace.applyMemberRoleChange(io, board._id, editorId, 'viewer');
+
+    expect(io.namespace.serverSideEmitted).toHaveLength(0);
+  });
+});
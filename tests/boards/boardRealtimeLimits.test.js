@@ -0,0 +1,197 @@
+/**
+ * Board Realtime Limit Tests
+ * Per-socket rate limits, element payload validation and violation counters
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const BoardElement = require('../../src/models/BoardElement');
+const boardService = require('../../src/services/board.service');
+const boardNamespace = require('../../src/socket/boardNamespace');
+const { SocketRateLimiter } = require('../../src/socket/rateLimiter');
+const { signAccessToken } = require('../../src/utils/jwt');
+const { createFakeIO, connect: connectSocket } = require('../helpers/fakeSocketIO');
+
+const connect = (io, userId) => connectSocket(io, {
+  token: signAccessToken({ id: userId.toString(), email: `${userId}@example.com`, role: 'student' })
+});
+
+describe('Board realtime limits', () => {
+  let boardId;
+  let ownerId;
+  let now;
+
+  const setup = async (options) => {
+    const io = createFakeIO();
+    boardNamespace(io, { rateLimiter: new SocketRateLimiter({ now: () => now, ...options }) });
+
+    const socket = await connect(io, ownerId);
+    await socket.call('board:join', { boardId });
+    return socket;
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    now = 1000000;
+    ownerId = new mongoose.Types.ObjectId();
+    const board = await Board.create({ title: 'Busy board', owner: ownerId });
+    boardId = board._id.toString();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should throttle events per socket with a token bucket', async () => {
+    const socket = await setup({ limits: { 'element:update': { rate: 2, burst: 2 } } });
+    const update = { boardId, elementId: 'shape:a', changes: { x: 1 } };
+    await socket.call('element:create', { boardId, element: { id: 'shape:a', type: 'geo', x: 0, y: 0 } });
+
+    expect((await socket.call('element:update', update)).success).toBe(true);
+    expect((await socket.call('element:update', update)).success).toBe(true);
+
+    const limited = await socket.call('element:update', update);
+    expect(limited).toMatchObject({ code: 'BOARD_RATE_LIMITED', retryAfterMs: 500 });
+
+    // Refills over time; other events have their own bucket
+    now += 500;
+    expect((await socket.call('element:update', update)).success).toBe(true);
+    expect((await socket.call('element:delete', { boardId, elementId: 'shape:a' })).success).toBe(true);
+  });
+
+  it('should reject element payloads that fail validation', async () => {
+    const socket = await setup();
+
+    const badType = await socket.call('element:create', { boardId, element: { id: 'shape:x', type: 'script' } });
+    expect(badType.code).toBe('BOARD_INVALID_PAYLOAD');
+    expect(badType.details).toEqual(['type "script" is not an allowed shape type']);
+
+    const tooBig = await socket.call('element:create', {
+      boardId,
+      element: { id: 'shape:big', type: 'text', props: { text: 'x'.repeat(300 * 1024) } }
+    });
+    expect(tooBig.details[0]).toMatch(/cannot exceed/);
+
+    const badBatch = await socket.call('elements:batch-update', {
+      boardId,
+      updates: [{ elementId: 'shape:a', changes: { x: 'left', $set: {} } }]
+    });
+    expect(badBatch.details).toEqual([
+      'updates[0]: changes cannot contain keys starting with $',
+      'updates[0]: x must be a finite number'
+    ]);
+
+    const badCursor = await socket.call('cursor:move', { boardId, position: { x: 'a' } });
+    expect(badCursor.code).toBe('BOARD_INVALID_PAYLOAD');
+
+    expect(await BoardElement.countDocuments({ boardId })).toBe(0);
+  });
+
+  it('should reject events without a payload naming a board', async () => {
+    const socket = await setup({ maxViolations: 1000 });
+    const events = [
+      'board:join', 'board:leave', 'board:sync', 'board:undo', 'board:redo',
+      'element:create', 'element:update', 'element:delete', 'element:lock', 'element:unlock',
+      'elements:batch-update', 'cursor:move',
+      'page:load', 'page:create', 'page:update', 'page:reorder', 'page:delete',
+      'recording:start', 'recording:stop',
+      'comment:create', 'comment:update', 'comment:delete', 'comment:resolve'
+    ];
+
+    for (const event of events) {
+      for (const payload of [undefined, null, 'board', { boardId: 42 }]) {
+        const result = await socket.call(event, payload);
+        expect(result).toMatchObject({ code: 'BOARD_INVALID_PAYLOAD' });
+      }
+    }
+
+    const noPayload = await socket.call('board:sync');
+    expect(noPayload.details).toEqual(['payload must be an object']);
+    expect((await socket.call('board:sync', { sinceSeq: 0 })).details).toEqual(['boardId must be a string']);
+    expect((await socket.call('board:sync', { boardId, sinceSeq: 0 })).success).toBe(true);
+  });
+
+  it('should have handlers ack payloads they cannot use instead of throwing', async () => {
+    const socket = await setup();
+    const unusable = {
+      'board:sync': [undefined, null, { sinceSeq: 1 }],
+      'element:lock': [undefined, null, { boardId }, { boardId, elementId: 7 }],
+      'element:unlock': [undefined, null, { elementId: 'shape:a' }],
+      'board:undo': [undefined, null, { boardId: null }],
+      'board:redo': [undefined, null],
+      'page:load': [undefined, null, { boardId }],
+      'page:create': [undefined, null],
+      'page:update': [null, { pageId: 'page:a' }],
+      'page:reorder': [null],
+      'page:delete': [null],
+      'comment:create': [undefined, null],
+      'comment:update': [null, { boardId }],
+      'comment:delete': [null, { boardId, commentId: { $ne: null } }],
+      'comment:resolve': [null, { boardId }],
+      'recording:start': [undefined, null],
+      'recording:stop': [null]
+    };
+
+    for (const [event, payloads] of Object.entries(unusable)) {
+      for (const payload of payloads) {
+        const result = await new Promise(resolve => socket.handle(event, payload, resolve));
+        expect(result).toMatchObject({ code: 'BOARD_INVALID_PAYLOAD' });
+        // Without an ack there is nothing to answer, but nothing throws either
+        await socket.handle(event, payload);
+      }
+    }
+
+    const synced = await new Promise(resolve => socket.handle('board:sync', { boardId }, resolve));
+    expect(synced).toMatchObject({ success: true, reset: false });
+  });
+
+  it('should accept changes that repeat the element id and typeName', async () => {
+    const socket = await setup();
+    await socket.call('element:create', { boardId, element: { id: 'shape:a', type: 'geo', x: 0, y: 0 } });
+
+    const whole = await socket.call('element:update', {
+      boardId,
+      elementId: 'shape:a',
+      changes: { id: 'shape:a', typeName: 'shape', type: 'geo', x: 40 }
+    });
+    expect(whole.success).toBe(true);
+
+    const element = await BoardElement.findOne({ boardId, id: 'shape:a' }).lean();
+    expect(element).toMatchObject({ id: 'shape:a', x: 40 });
+
+    const renamed = await socket.call('elements:batch-update', {
+      boardId,
+      updates: [
+        { elementId: 'shape:a', changes: { id: 'shape:b' } },
+        { elementId: 'shape:a', changes: { typeName: 'binding' } }
+      ]
+    });
+    expect(renamed.details).toEqual([
+      'updates[0]: changes cannot modify id or typeName',
+      'updates[1]: changes cannot modify id or typeName'
+    ]);
+  });
+
+  it('should disconnect repeat offenders and count violations for admins', async () => {
+    const socket = await setup({ maxViolations: 2 });
+    const invalid = { boardId, element: { id: 'nope', type: 'geo' } };
+
+    await socket.call('element:create', invalid);
+    await socket.call('element:create', invalid);
+    expect(socket.disconnected).toBe(false);
+
+    await socket.call('element:create', invalid);
+    expect(socket.disconnected).toBe(true);
+    expect(socket.emitted.map(e => e.event)).toContain('board:disconnected');
+
+    const { realtime } = await boardService.getBoardAnalytics(boardId);
+    expect(realtime).toMatchObject({
+      rateLimited: 0,
+      invalidPayload: 3,
+      disconnects: 1,
+      byEvent: { 'element:create': 3 }
+    });
+    expect(realtime.lastViolationAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Board Session Recording Tests
+ * Owner-controlled recording and ordered replay of board operations
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const BoardElementCopy = require('../../src/models/BoardElementCopy');
+const BoardOperation = require('../../src/models/BoardOperation');
+const BoardRecording = require('../../src/models/BoardRecording');
+const boardRecordingService = require('../../src/services/boardRecording.service');
+const boardSyncService = require('../../src/services/boardSync.service');
+const boardSnapshotService = require('../../src/services/boardSnapshot.service');
+const boardNamespace = require('../../src/socket/boardNamespace');
+const config = require('../../src/config/env');
+const { signAccessToken } = require('../../src/utils/jwt');
+const { createFakeIO, connect: connectSocket } = require('../helpers/fakeSocketIO');
+
+const connect = (io, userId) => connectSocket(io, {
+  token: signAccessToken({ id: userId.toString(), email: `${userId}@example.com`, role: 'student' })
+});
+
+describe('Board session recordings', () => {
+  let boardId;
+  let ownerId;
+  let studentId;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    ownerId = new mongoose.Types.ObjectId();
+    studentId = new mongoose.Types.ObjectId();
+    const board = await Board.create({
+      title: 'Tutoring',
+      owner: ownerId,
+      members: [{ userId: studentId, role: 'editor' }]
+    });
+    boardId = board._id.toString();
+  });
+
+  const shape = (id) => ({ id, type: 'geo', parentId: 'page:page', x: 0, y: 0 });
+
+  it('should record operations between start and stop and replay them in order', async () => {
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:before'));
+
+    const session = await boardRecordingService.startRecording(boardId, ownerId, { title: 'Algebra' });
+    expect(session).toMatchObject({ status: 'recording', startSeq: 1 });
+
+    await boardSyncService.createElement(boardId, studentId, shape('shape:a'));
+    await boardSyncService.updateElement(boardId, studentId, 'shape:a', { x: 50 });
+    await boardSyncService.deleteElement(boardId, ownerId, 'shape:before');
+
+    const stopped = await boardRecordingService.stopRecording(boardId, ownerId);
+    expect(stopped).toMatchObject({ status: 'completed', endReason: 'stopped', operationCount: 3, endSeq: 4, truncated: false });
+
+    // Not part of the recording
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:after'));
+
+    const replay = await boardRecordingService.getReplay(boardId, session._id, studentId);
+
+    expect(replay.elements.map(el => el.id)).toEqual(['shape:before']);
+    expect(replay.pages.map(page => page.id)).toEqual(['page:page']);
+    expect(replay.operations.map(op => op.type)).toEqual(['element:create', 'element:update', 'element:delete']);
+    expect(replay.operations.map(op => op.seq)).toEqual([2, 3, 4]);
+    replay.operations.reduce((prev, op) => {
+      expect(op.offsetMs).toBeGreaterThanOrEqual(prev);
+      return op.offsetMs;
+    }, 0);
+    expect(replay.hasMore).toBe(false);
+
+    const rest = await boardRecordingService.getReplay(boardId, session._id, studentId, { after: 2, limit: 1 });
+    expect(rest.operations.map(op => op.seq)).toEqual([3]);
+    expect(rest.hasMore).toBe(true);
+    expect(rest.elements).toBeUndefined();
+  });
+
+  it('should embed restored elements in replayed resets', async () => {
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:v1'));
+    const snapshot = await boardSnapshotService.createSnapshot(boardId, ownerId, { name: 'v1' });
+    const session = await boardRecordingService.startRecording(boardId, ownerId);
+
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:v2'));
+    await boardSnapshotService.restoreSnapshot(boardId, snapshot._id, ownerId);
+    await boardRecordingService.stopRecording(boardId, ownerId);
+
+    const { operations } = await boardRecordingService.getReplay(boardId, session._id, ownerId);
+    const reset = operations.find(op => op.type === 'board:reset');
+    expect(reset.elements.map(el => el.id)).toEqual(['shape:v1']);
+  });
+
+  it('should keep operations that have left the operation log by the time recording stops', async () => {
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:start'));
+    const session = await boardRecordingService.startRecording(boardId, ownerId);
+
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:a'));
+    await boardSyncService.updateElement(boardId, studentId, 'shape:a', { x: 10 });
+
+    // The log only keeps a rolling window
+    await BoardOperation.deleteMany({ boardId });
+
+    const stopped = await boardRecordingService.stopRecording(boardId, ownerId);
+    expect(stopped).toMatchObject({ operationCount: 2, endSeq: 3, truncated: false });
+    expect(stopped.elements).toBeUndefined();
+
+    const replay = await boardRecordingService.getReplay(boardId, session._id, ownerId);
+    expect(replay.elements.map(el => el.id)).toEqual(['shape:start']);
+    expect(replay.operations.map(op => op.type)).toEqual(['element:create', 'element:update']);
+
+    await boardRecordingService.deleteRecording(boardId, session._id, ownerId);
+    expect(await BoardElementCopy.countDocuments({ recordingId: session._id })).toBe(0);
+  });
+
+  it('should only let the owner start and stop recordings', async () => {
+    await expect(boardRecordingService.startRecording(boardId, studentId))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    await boardRecordingService.startRecording(boardId, ownerId);
+    await expect(boardRecordingService.startRecording(boardId, ownerId))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(boardRecordingService.stopRecording(boardId, studentId))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    const { recordings } = await boardRecordingService.getRecordings(boardId, studentId);
+    expect(recordings).toHaveLength(1);
+    await expect(boardRecordingService.getReplay(boardId, recordings[0]._id, studentId))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should close recordings that run past the time limit', async () => {
+    const session = await boardRecordingService.startRecording(boardId, ownerId);
+    const limitMs = config.boards.maxRecordingMinutes * 60 * 1000;
+    await BoardRecording.updateOne({ _id: session._id }, { startedAt: new Date(Date.now() - limitMs - 1000) });
+
+    const { recordings } = await boardRecordingService.getRecordings(boardId, ownerId);
+
+    expect(recordings[0]).toMatchObject({ status: 'completed', endReason: 'time-limit' });
+  });
+
+  it('should start and stop recording over sockets', async () => {
+    const io = createFakeIO();
+    boardNamespace(io);
+
+    const owner = await connect(io, ownerId);
+    const student = await connect(io, studentId);
+    await owner.call('board:join', { boardId });
+    await student.call('board:join', { boardId });
+
+    const denied = await student.call('recording:start', { boardId });
+    expect(denied.code).toBe('BOARD_OWNER_ONLY');
+
+    const started = await owner.call('recording:start', { boardId, title: 'Live' });
+    expect(started.session.title).toBe('Live');
+
+    const rejoined = await student.call('board:join', { boardId });
+    expect(rejoined.recording._id.toString()).toBe(started.session._id.toString());
+
+    const stopped = await owner.call('recording:stop', { boardId });
+    expect(stopped.session.status).toBe('completed');
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Board Share Link Tests
+ * Tests for share tokens and guest access to the board namespace
+ */
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../../src/app');
+const config = require('../../src/config/env');
+const Board = require('../../src/models/Board');
+const BoardShareLink = require('../../src/models/BoardShareLink');
+const boardShareService = require('../../src/services/boardShare.service');
+const boardNamespace = require('../../src/socket/boardNamespace');
+const { signAccessToken } = require('../../src/utils/jwt');
+const { createFakeIO, connect } = require('../helpers/fakeSocketIO');
+
+describe('Board share links', () => {
+  let io;
+  let boardId;
+  let ownerId;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    io = createFakeIO();
+    boardNamespace(io);
+
+    ownerId = new mongoose.Types.ObjectId();
+    const board = await Board.create({ title: 'Shared Board', owner: ownerId });
+    boardId = board._id.toString();
+  });
+
+  const shape = { id: 'shape:a', type: 'geo', x: 0, y: 0 };
+
+  describe('Managing links', () => {
+    it('should create a link and only store a hash of the token', async () => {
+      const link = await boardShareService.createShareLink(boardId, ownerId, { scope: 'view' });
+
+      expect(link.token).toHaveLength(48);
+      expect(link.url).toContain(link.token);
+      expect(link.tokenHash).toBeUndefined();
+
+      const stored = await BoardShareLink.findById(link._id).select('+tokenHash');
+      expect(stored.tokenHash).not.toBe(link.token);
+      expect(stored.tokenPreview).toBe(link.token.slice(-6));
+    });
+
+    it('should only let the owner manage links', async () => {
+      const otherId = new mongoose.Types.ObjectId();
+
+      await expect(boardShareService.createShareLink(boardId, otherId, {}))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(boardShareService.getShareLinks(boardId, otherId))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should list active links and hide revoked ones', async () => {
+      const kept = await boardShareService.createShareLink(boardId, ownerId, { label: 'Class' });
+      const revoked = await boardShareService.createShareLink(boardId, ownerId, { label: 'Old' });
+      await boardShareService.revokeShareLink(boardId, revoked._id, ownerId);
+
+      const links = await boardShareService.getShareLinks(boardId, ownerId);
+
+      expect(links.map(l => l._id.toString())).toEqual([kept._id.toString()]);
+    });
+
+    it('should reject expired, revoked and password-protected links without the password', async () => {
+      const expired = await boardShareService.createShareLink(boardId, ownerId, {});
+      await BoardShareLink.updateOne({ _id: expired._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const revoked = await boardShareService.createShareLink(boardId, ownerId, {});
+      await boardShareService.revokeShareLink(boardId, revoked._id, ownerId);
+
+      const locked = await boardShareService.createShareLink(boardId, ownerId, { password: 'secret' });
+
+      await expect(boardShareService.resolveShareToken(expired.token)).rejects.toMatchObject({ statusCode: 410 });
+      await expect(boardShareService.resolveShareToken(revoked.token)).rejects.toMatchObject({ statusCode: 410 });
+      await expect(boardShareService.resolveShareToken(locked.token)).rejects.toMatchObject({ statusCode: 401 });
+      await expect(boardShareService.resolveShareToken(locked.token, 'wrong')).rejects.toMatchObject({ statusCode: 401 });
+
+      const { board } = await boardShareService.resolveShareToken(locked.token, 'secret');
+      expect(board._id.toString()).toBe(boardId);
+    });
+  });
+
+  describe('Opening links over HTTP', () => {
+    it('should limit failed attempts per link and per IP', async () => {
+      const limits = { ...config.boards };
+      config.boards.shareLinkMaxAttemptsPerLink = 3;
+      config.boards.shareLinkMaxAttemptsPerIp = 5;
+
+      try {
+        const open = await boardShareService.createShareLink(boardId, ownerId, {});
+        const locked = await boardShareService.createShareLink(boardId, ownerId, { password: 'secret' });
+        const post = (token, body = {}) => request(app).post(`/api/boards/shared/${token}`).send(body);
+
+        // Successful opens don't count
+        for (let i = 0; i < 4; i++) {
+          await post(open.token).expect(200);
+        }
+
+        for (let i = 0; i < 3; i++) {
+          await post(locked.token, { password: 'guess' }).expect(401);
+        }
+        const blocked = await post(locked.token, { password: 'secret' }).expect(429);
+        expect(blocked.body).toMatchObject({ success: false, error: expect.stringMatching(/Too many attempts/) });
+
+        // The IP has now failed 5 times, on any link
+        await post('unknown-token').expect(404);
+        await post(open.token).expect(429);
+      } finally {
+        Object.assign(config.boards, limits);
+      }
+    });
+  });
+
+  describe('Guest sessions', () => {
+    it('should let a guest with a view token join read-only with a guest label', async () => {
+      const link = await boardShareService.createShareLink(boardId, ownerId, { scope: 'view' });
+      const guest = await connect(io, { shareToken: link.token, guestName: 'Asha' });
+
+      const joined = await guest.call('board:join', { boardId });
+
+      expect(joined).toMatchObject({ success: true, readOnly: true });
+      expect(joined.participants).toContainEqual(expect.objectContaining({ isGuest: true, label: 'Asha (guest)' }));
+
+      const result = await guest.call('element:create', { boardId, element: shape });
+      expect(result.code).toBe('BOARD_READ_ONLY');
+    });
+
+    it('should refuse guests without a valid token', async () => {
+      await expect(connect(io, {})).rejects.toThrow('Authentication required');
+      await expect(connect(io, { shareToken: 'nope' })).rejects.toThrow('Share link not found');
+    });
+
+    it('should keep guests on the board their link was issued for', async () => {
+      const link = await boardShareService.createShareLink(boardId, ownerId, { scope: 'view' });
+      const otherBoard = await Board.create({ title: 'Other', owner: ownerId, isPublic: true });
+      const guest = await connect(io, { shareToken: link.token });
+
+      const result = await guest.call('board:join', { boardId: otherBoard._id.toString() });
+
+      expect(result.error).toBe('Access denied');
+    });
+
+    it('should give logged-in users with an edit token editor rights', async () => {
+      const link = await boardShareService.createShareLink(boardId, ownerId, { scope: 'edit' });
+      const userId = new mongoose.Types.ObjectId().toString();
+      const user = await connect(io, { token: signAccessToken({ id: userId, email: 'friend@example.com' }) });
+
+      const denied = await user.call('board:join', { boardId });
+      expect(denied.error).toBe('Access denied');
+
+      const joined = await user.call('board:join', { boardId, shareToken: link.token });
+      expect(joined).toMatchObject({ success: true, role: 'editor', readOnly: false });
+
+      const result = await user.call('element:create', { boardId, element: shape });
+      expect(result.success).toBe(true);
+    });
+
+    it('should disconnect guests when their link is revoked', async () => {
+      const link = await boardShareService.createShareLink(boardId, ownerId, { scope: 'view' });
+      const guest = await connect(io, { shareToken: link.token });
+      await guest.call('board:join', { boardId });
+
+      boardNamespace.revokeShareLinkSessions(io, boardId, link._id);
+
+      expect(guest.rooms.has(boardId)).toBe(false);
+      expect(guest.disconnected).toBe(true);
+      expect(guest.emitted.map(e => e.event)).toContain('board:access-revoked');
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Board Snapshot Tests
+ * Tests for board version history and restore
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const BoardElement = require('../../src/models/BoardElement');
+const BoardElementCopy = require('../../src/models/BoardElementCopy');
+const BoardHistoryEntry = require('../../src/models/BoardHistoryEntry');
+const BoardSnapshot = require('../../src/models/BoardSnapshot');
+const boardElementCopyService = require('../../src/services/boardElementCopy.service');
+const boardHistoryService = require('../../src/services/boardHistory.service');
+const boardSyncService = require('../../src/services/boardSync.service');
+const boardSnapshotService = require('../../src/services/boardSnapshot.service');
+const config = require('../../src/config/env');
+
+describe('Board snapshots', () => {
+  let boardId;
+  let ownerId;
+  let editorId;
+  let viewerId;
+
+  beforeEach(async () => {
+    ownerId = new mongoose.Types.ObjectId();
+    editorId = new mongoose.Types.ObjectId();
+    viewerId = new mongoose.Types.ObjectId();
+    const board = await Board.create({
+      title: 'History Board',
+      owner: ownerId,
+      members: [{ userId: editorId, role: 'editor' }, { userId: viewerId, role: 'viewer' }]
+    });
+    boardId = board._id.toString();
+  });
+
+  const shape = (id, x = 0) => ({ id, type: 'geo', typeName: 'shape', x, y: 0, props: { w: 10, h: 10 } });
+
+  it('should capture the current elements in a named snapshot', async () => {
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:a'));
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:b'));
+
+    const snapshot = await boardSnapshotService.createSnapshot(boardId, ownerId, { name: 'Before cleanup' });
+
+    expect(snapshot.name).toBe('Before cleanup');
+    expect(snapshot.elementCount).toBe(2);
+    expect(snapshot.seq).toBe(2);
+    expect(snapshot.elements).toBeUndefined();
+  });
+
+  it('should not let viewers create snapshots', async () => {
+    await expect(
+      boardSnapshotService.createSnapshot(boardId, viewerId, { name: 'Nope' })
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should list snapshots with element-count diffs', async () => {
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:a'));
+    await boardSnapshotService.createSnapshot(boardId, ownerId, { name: 'One' });
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:b'));
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:c'));
+    await boardSnapshotService.createSnapshot(boardId, ownerId, { name: 'Three' });
+    await boardSyncService.deleteElement(boardId, ownerId, 'shape:a');
+
+    const result = await boardSnapshotService.getSnapshots(boardId, viewerId);
+
+    expect(result.total).toBe(2);
+    expect(result.currentElementCount).toBe(2);
+    expect(result.snapshots.map(s => s.name)).toEqual(['Three', 'One']);
+    expect(result.snapshots[0].diff).toEqual({ sincePrevious: 2, toCurrent: -1 });
+    expect(result.snapshots[1].diff).toEqual({ sincePrevious: null, toCurrent: 1 });
+  });
+
+  it('should restore a snapshot and keep a backup of the replaced state', async () => {
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:a', 1));
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:b', 2));
+    const snapshot = await boardSnapshotService.createSnapshot(boardId, ownerId, { name: 'Good state' });
+
+    await boardSyncService.deleteElement(boardId, ownerId, 'shape:a');
+    await boardSyncService.deleteElement(boardId, ownerId, 'shape:b');
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:c'));
+
+    const result = await boardSnapshotService.restoreSnapshot(boardId, snapshot._id, ownerId);
+
+    expect(result.elements.map(el => el.id).sort()).toEqual(['shape:a', 'shape:b']);
+
+    const elements = await BoardElement.find({ boardId }).sort({ id: 1 });
+    expect(elements.map(el => el.id)).toEqual(['shape:a', 'shape:b']);
+    expect(elements[0].x).toBe(1);
+
+    const board = await Board.findById(boardId);
+    expect(board.elementCount).toBe(2);
+    expect(board.seq).toBe(result.seq);
+
+    const backup = await BoardSnapshot.findById(result.backupSnapshotId);
+    expect(backup.trigger).toBe('restore');
+    const backupElements = await boardElementCopyService.load({ snapshotId: backup._id });
+    expect(backupElements.map(el => el.id)).toEqual(['shape:c']);
+  });
+
+  it('should only let the owner restore, and drop undo history that no longer applies', async () => {
+    const created = await boardSyncService.createElement(boardId, editorId, shape('shape:a'));
+    await boardHistoryService.record(boardId, editorId, 'create', created);
+    const snapshot = await boardSnapshotService.createSnapshot(boardId, editorId, { name: 'Editor snapshot' });
+
+    await expect(boardSnapshotService.restoreSnapshot(boardId, snapshot._id, editorId))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(await BoardHistoryEntry.countDocuments({ boardId })).toBe(1);
+
+    await boardSnapshotService.restoreSnapshot(boardId, snapshot._id, ownerId);
+    expect(await BoardHistoryEntry.countDocuments({ boardId })).toBe(0);
+  });
+
+  it('should snapshot and restore boards larger than a single document can hold', async () => {
+    // Elements of about 1MB each, 20MB in all
+    const text = 'x'.repeat(1024 * 1024);
+    await BoardElement.insertMany(Array.from({ length: 20 }, (_, i) => ({
+      ...shape(`shape:${String(i).padStart(2, '0')}`, i),
+      props: { text },
+      boardId,
+      pageId: 'page:page'
+    })));
+    await Board.updateOne({ _id: boardId }, { elementCount: 20 });
+
+    const snapshot = await boardSnapshotService.createSnapshot(boardId, ownerId, { name: 'Large' });
+    expect(snapshot.elementCount).toBe(20);
+    expect(await BoardElementCopy.countDocuments({ snapshotId: snapshot._id })).toBe(20);
+
+    await BoardElement.deleteMany({ boardId });
+    const result = await boardSnapshotService.restoreSnapshot(boardId, snapshot._id, ownerId);
+
+    expect(result.elements).toHaveLength(20);
+    const elements = await BoardElement.find({ boardId }).sort({ id: 1 });
+    expect(elements).toHaveLength(20);
+    expect(elements[19]).toMatchObject({ id: 'shape:19', x: 19, pageId: 'page:page' });
+    expect(elements[19].props.text).toHaveLength(text.length);
+
+    const opened = await boardSnapshotService.getSnapshot(boardId, snapshot._id, viewerId);
+    expect(opened.elements.map(el => el.id)).toEqual(elements.map(el => el.id));
+
+    await boardSnapshotService.deleteSnapshot(boardId, snapshot._id, ownerId);
+    expect(await BoardElementCopy.countDocuments({ snapshotId: snapshot._id })).toBe(0);
+  });
+
+  it('should force clients that missed a restore to reload', async () => {
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:a'));
+    const snapshot = await boardSnapshotService.createSnapshot(boardId, ownerId);
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:b'));
+
+    await boardSnapshotService.restoreSnapshot(boardId, snapshot._id, ownerId);
+
+    const sync = await boardSyncService.getOperationsSince(boardId, 1);
+    expect(sync.reset).toBe(true);
+  });
+
+  it('should skip automatic snapshots when nothing changed', async () => {
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:a'));
+
+    const first = await boardSnapshotService.createAutoSnapshot(boardId);
+    const second = await boardSnapshotService.createAutoSnapshot(boardId);
+
+    expect(first.trigger).toBe('auto');
+    expect(second).toBeNull();
+    expect(await BoardSnapshot.countDocuments({ boardId })).toBe(1);
+  });
+
+  it('should take one automatic snapshot per interval however many instances ask', async () => {
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:a'));
+
+    // Timers on two instances firing together
+    const results = await Promise.all([
+      boardSnapshotService.createAutoSnapshot(boardId),
+      boardSnapshotService.createAutoSnapshot(boardId)
+    ]);
+    expect(results.filter(Boolean)).toHaveLength(1);
+
+    // Changed since, but this interval was already taken
+    await boardSyncService.createElement(boardId, ownerId, shape('shape:b'));
+    expect(await boardSnapshotService.createAutoSnapshot(boardId)).toBeNull();
+
+    const intervalMs = config.boards.snapshotIntervalMinutes * 60 * 1000;
+    await Board.updateOne({ _id: boardId }, { autoSnapshotAt: new Date(Date.now() - intervalMs) });
+    expect(await boardSnapshotService.createAutoSnapshot(boardId)).toMatchObject({ elementCount: 2 });
+    expect(await BoardSnapshot.countDocuments({ boardId, trigger: 'auto' })).toBe(2);
+  });
+});
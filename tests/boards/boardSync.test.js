@@ -0,0 +1,144 @@
+/**
+ * Board Sync Tests
+ * Tests for the per-board operation log and replay on reconnect
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const BoardElement = require('../../src/models/BoardElement');
+const BoardOperation = require('../../src/models/BoardOperation');
+const boardSyncService = require('../../src/services/boardSync.service');
+const boardService = require('../../src/services/board.service');
+
+describe('Board operation log', () => {
+  let boardId;
+  let userId;
+
+  beforeEach(async () => {
+    userId = new mongoose.Types.ObjectId();
+    const board = await Board.create({ title: 'Sync Board', owner: userId });
+    boardId = board._id.toString();
+  });
+
+  const shape = (id, x = 0) => ({ id, type: 'geo', typeName: 'shape', x, y: 0, props: { w: 10, h: 10 } });
+
+  it('should assign monotonic sequence numbers to operations', async () => {
+    const created = await boardSyncService.createElement(boardId, userId, shape('shape:a'));
+    const updated = await boardSyncService.updateElement(boardId, userId, 'shape:a', { x: 50 });
+    const deleted = await boardSyncService.deleteElement(boardId, userId, 'shape:a');
+
+    expect([created.seq, updated.seq, deleted.seq]).toEqual([1, 2, 3]);
+
+    const board = await Board.findById(boardId);
+    expect(board.seq).toBe(3);
+    expect(board.elementCount).toBe(0);
+    expect(await BoardElement.countDocuments({ boardId })).toBe(0);
+    expect(await BoardOperation.countDocuments({ boardId })).toBe(3);
+  });
+
+  it('should not log a delete of an element that is already gone', async () => {
+    const result = await boardSyncService.deleteElement(boardId, userId, 'shape:missing');
+
+    expect(result.seq).toBeNull();
+    expect(await BoardOperation.countDocuments({ boardId })).toBe(0);
+  });
+
+  it('should treat a repeated create as an update instead of duplicating the element', async () => {
+    await boardSyncService.createElement(boardId, userId, shape('shape:a'));
+    const second = await boardSyncService.createElement(boardId, userId, shape('shape:a', 99));
+
+    expect(second.created).toBe(false);
+
+    const elements = await BoardElement.find({ boardId });
+    expect(elements).toHaveLength(1);
+    expect(elements[0].x).toBe(99);
+
+    const board = await Board.findById(boardId);
+    expect(board.elementCount).toBe(1);
+  });
+
+  it('should store each element as its own document', async () => {
+    await boardSyncService.createElement(boardId, userId, shape('shape:a'));
+    await boardSyncService.createElement(boardId, userId, shape('shape:b'));
+    await boardSyncService.batchUpdate(boardId, userId, [
+      { elementId: 'shape:a', changes: { x: 10 } },
+      { elementId: 'shape:b', changes: { x: 20, boardId: new mongoose.Types.ObjectId() } }
+    ]);
+
+    const elements = await BoardElement.find({ boardId }).sort({ id: 1 });
+    expect(elements.map(el => el.x)).toEqual([10, 20]);
+    expect(elements.every(el => el.boardId.toString() === boardId)).toBe(true);
+
+    // The log holds what was applied, not what the client sent
+    const logged = await BoardOperation.findOne({ boardId, seq: 3 }).lean();
+    expect(logged.updates[1].changes).toEqual({ x: 20 });
+
+    const snapshot = await boardSyncService.getSnapshot(boardId);
+    expect(snapshot.seq).toBe(3);
+    expect(snapshot.elements.map(el => el.id).sort()).toEqual(['shape:a', 'shape:b']);
+  });
+
+  it('should keep sequence order consistent under concurrent writes', async () => {
+    await boardSyncService.createElement(boardId, userId, shape('shape:a'));
+
+    const results = await Promise.all(
+      [1, 2, 3, 4, 5].map(x => boardSyncService.updateElement(boardId, userId, 'shape:a', { x }))
+    );
+
+    expect(results.map(r => r.seq)).toEqual([2, 3, 4, 5, 6]);
+
+    const element = await BoardElement.findOne({ boardId, id: 'shape:a' });
+    expect(element.x).toBe(5);
+  });
+
+  it('should replay operations after a given sequence number', async () => {
+    await boardSyncService.createElement(boardId, userId, shape('shape:a'));
+    await boardSyncService.createElement(boardId, userId, shape('shape:b'));
+    await boardSyncService.updateElement(boardId, userId, 'shape:a', { x: 5 });
+
+    const result = await boardSyncService.getOperationsSince(boardId, 1);
+
+    expect(result.reset).toBe(false);
+    expect(result.latestSeq).toBe(3);
+    expect(result.operations.map(op => op.seq)).toEqual([2, 3]);
+    expect(result.operations[1]).toMatchObject({ type: 'element:update', elementId: 'shape:a', changes: { x: 5 } });
+  });
+
+  it('should request a full reload when the log no longer covers the gap', async () => {
+    await boardSyncService.createElement(boardId, userId, shape('shape:a'));
+    await boardSyncService.createElement(boardId, userId, shape('shape:b'));
+    await BoardOperation.deleteOne({ boardId, seq: 1 });
+
+    const result = await boardSyncService.getOperationsSince(boardId, 0);
+
+    expect(result.reset).toBe(true);
+    expect(result.operations).toHaveLength(0);
+  });
+
+  it('should request a full reload when an operation in the middle is missing', async () => {
+    await boardSyncService.createElement(boardId, userId, shape('shape:a'));
+    await boardSyncService.createElement(boardId, userId, shape('shape:b'));
+    await boardSyncService.updateElement(boardId, userId, 'shape:a', { x: 5 });
+    await BoardOperation.deleteOne({ boardId, seq: 2 });
+
+    const result = await boardSyncService.getOperationsSince(boardId, 0);
+
+    expect(result.reset).toBe(true);
+    expect(result.operations).toHaveLength(0);
+  });
+
+  it('should copy elements when a board is duplicated', async () => {
+    await boardSyncService.createElement(boardId, userId, shape('shape:a'));
+    await boardSyncService.createElement(boardId, userId, shape('shape:b'));
+
+    const copy = await boardService.duplicateBoard(boardId, userId);
+
+    expect(copy.elementCount).toBe(2);
+    expect(copy.seq).toBe(0);
+    expect(await BoardElement.countDocuments({ boardId: copy._id })).toBe(2);
+    expect(await BoardElement.countDocuments({ boardId })).toBe(2);
+
+    const analytics = await boardService.getBoardAnalytics(copy._id);
+    expect(analytics.stats.totalElements).toBe(2);
+    expect(analytics.stats.elementsByType).toEqual({ geo: 2 });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Board Template Tests
+ * System template seeding, user templates and creating boards from templates
+ */
+const User = require('../../src/models/User');
+const Board = require('../../src/models/Board');
+const BoardElement = require('../../src/models/BoardElement');
+const BoardElementCopy = require('../../src/models/BoardElementCopy');
+const BoardTemplate = require('../../src/models/BoardTemplate');
+const boardTemplateService = require('../../src/services/boardTemplate.service');
+const boardPageService = require('../../src/services/boardPage.service');
+const boardSyncService = require('../../src/services/boardSync.service');
+
+describe('Board templates', () => {
+  let userId;
+  let otherId;
+
+  beforeEach(async () => {
+    const user = await User.create({ name: 'Teacher', email: 'teacher@example.com', password: 'password123' });
+    const other = await User.create({ name: 'Student', email: 'student@example.com', password: 'password123' });
+    userId = user._id;
+    otherId = other._id;
+  });
+
+  it('should seed the system templates once with previews', async () => {
+    const first = await boardTemplateService.seedSystemTemplates();
+    const second = await boardTemplateService.seedSystemTemplates();
+
+    expect(first.map(t => t.slug)).toEqual(['kanban', 'cornell-notes', 'swot', 'timeline']);
+    expect(first.every(t => t.created)).toBe(true);
+    expect(second.every(t => !t.created)).toBe(true);
+    expect(await BoardTemplate.countDocuments({ isSystem: true })).toBe(4);
+
+    const kanban = await BoardTemplate.findOne({ slug: 'kanban' });
+    expect(kanban.elementCount).toBeGreaterThan(0);
+    expect(kanban.preview).toMatch(/^data:image\/svg\+xml;base64,/);
+  });
+
+  it('should create a board from a template', async () => {
+    await boardTemplateService.seedSystemTemplates();
+    const swot = await BoardTemplate.findOne({ slug: 'swot' });
+
+    const board = await boardTemplateService.createBoardFromTemplate(swot._id, userId, { title: 'My SWOT' });
+
+    expect(board.title).toBe('My SWOT');
+    expect(board.owner._id.toString()).toBe(userId.toString());
+    expect(board.elementCount).toBe(swot.elementCount);
+    expect(board.thumbnail).toBe(swot.preview);
+    expect(await BoardElement.countDocuments({ boardId: board._id })).toBe(swot.elementCount);
+
+    const updated = await BoardTemplate.findById(swot._id);
+    expect(updated.useCount).toBe(1);
+  });
+
+  it('should publish a board with its pages as a user template', async () => {
+    const source = await Board.create({ title: 'Lesson plan', owner: userId });
+    const { page } = await boardPageService.createPage(source._id, userId, { name: 'Homework' });
+    await boardSyncService.createElement(source._id, userId, { id: 'shape:a', type: 'geo', x: 0, y: 0, parentId: 'page:page' });
+    await boardSyncService.createElement(source._id, userId, { id: 'shape:b', type: 'geo', x: 0, y: 0, parentId: page.id });
+
+    await expect(boardTemplateService.createTemplateFromBoard(source._id, otherId, { name: 'Stolen' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    const template = await boardTemplateService.createTemplateFromBoard(source._id, userId, { category: 'planning', isPublished: true });
+    expect(template.elements).toBeUndefined();
+    expect(template.elementCount).toBe(2);
+    expect(await BoardElementCopy.countDocuments({ templateId: template._id })).toBe(2);
+
+    const opened = await boardTemplateService.getTemplate(template._id, otherId);
+    expect(opened.elements.map(el => el.id)).toEqual(['shape:a', 'shape:b']);
+
+    const board = await boardTemplateService.createBoardFromTemplate(template._id, otherId);
+    expect(board.pages.map(p => p.name)).toEqual(['Page 1', 'Homework']);
+
+    const homework = await boardSyncService.getBoardElements(board._id, page.id);
+    expect(homework.map(el => el.id)).toEqual(['shape:b']);
+  });
+
+  it('should keep templates saved from boards private until they are published', async () => {
+    const source = await Board.create({ title: 'Draft', owner: userId });
+    const template = await boardTemplateService.createTemplateFromBoard(source._id, userId);
+    expect(template.isPublished).toBe(false);
+
+    const mine = await boardTemplateService.getTemplates(userId, { scope: 'mine' });
+    const theirs = await boardTemplateService.getTemplates(otherId);
+
+    expect(mine.templates.map(t => t.name)).toEqual(['Draft']);
+    expect(theirs.total).toBe(0);
+    await expect(boardTemplateService.createBoardFromTemplate(template._id, otherId))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    await boardTemplateService.updateTemplate(template._id, { id: userId, role: 'student' }, { isPublished: true });
+    expect((await boardTemplateService.getTemplates(otherId)).total).toBe(1);
+  });
+
+  it('should only let creators or admins delete templates', async () => {
+    await boardTemplateService.seedSystemTemplates();
+    const timeline = await BoardTemplate.findOne({ slug: 'timeline' });
+
+    await expect(boardTemplateService.deleteTemplate(timeline._id, { id: userId, role: 'student' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    await boardTemplateService.deleteTemplate(timeline._id, { id: otherId, role: 'admin' });
+    expect(await BoardTemplate.exists({ _id: timeline._id })).toBeNull();
+    expect(await BoardElementCopy.countDocuments({ templateId: timeline._id })).toBe(0);
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Flashcard Tests
+ * Tests for flashcard set CRUD, card ordering and SM-2 review scheduling
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Flashcard = require('../../src/models/Flashcard');
+const FlashcardReview = require('../../src/models/FlashcardReview');
+const FlashcardSet = require('../../src/models/FlashcardSet');
+const PlatformSettings = require('../../src/models/PlatformSettings');
+const flashcardService = require('../../src/services/flashcard.service');
+
+describe('Flashcards API', () => {
+  let accessToken;
+  let otherToken;
+  let setId;
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'flashcards@example.com',
+        password: 'password123',
+      });
+    accessToken = response.body.data.accessToken;
+
+    const otherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Other User',
+        email: 'other-flashcards@example.com',
+        password: 'password123',
+      });
+    otherToken = otherResponse.body.data.accessToken;
+
+    const setResponse = await request(app)
+      .post('/api/visual-aids/flashcards/sets')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        title: 'Physics Formulas',
+        subject: new mongoose.Types.ObjectId().toString(),
+      })
+      .expect(201);
+    setId = setResponse.body.data._id;
+  });
+
+  describe('Sets and cards', () => {
+    it('should add cards in order and keep cardCount in sync', async () => {
+      const response = await request(app)
+        .post(`/api/visual-aids/flashcards/sets/${setId}/cards`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send([
+          { question: 'F = ?', answer: 'ma' },
+          { question: 'E = ?', answer: 'mc^2' },
+        ])
+        .expect(201);
+
+      expect(response.body.data.map(c => c.order)).toEqual([0, 1]);
+
+      const setResponse = await request(app)
+        .get(`/api/visual-aids/flashcards/sets/${setId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(setResponse.body.data.cardCount).toBe(2);
+      expect(setResponse.body.data.cards).toHaveLength(2);
+    });
+
+    it('should reorder cards', async () => {
+      const added = await request(app)
+        .post(`/api/visual-aids/flashcards/sets/${setId}/cards`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send([
+          { question: 'Q1', answer: 'A1' },
+          { question: 'Q2', answer: 'A2' },
+        ]);
+      const [first, second] = added.body.data.map(c => c._id);
+
+      const response = await request(app)
+        .put(`/api/visual-aids/flashcards/sets/${setId}/reorder`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ cardIds: [second, first] })
+        .expect(200);
+
+      expect(response.body.data.map(c => c._id)).toEqual([second, first]);
+    });
+
+    it('should reject card IDs that are not an array of IDs', async () => {
+      const added = await request(app)
+        .post(`/api/visual-aids/flashcards/sets/${setId}/cards`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send([{ question: 'Q1', answer: 'A1' }]);
+      const [cardId] = added.body.data.map(c => c._id);
+
+      for (const cardIds of [null, cardId, [null], [cardId, 'not-an-id'], [{ _id: cardId }]]) {
+        await request(app)
+          .put(`/api/visual-aids/flashcards/sets/${setId}/reorder`)
+          .set('Authorization', `Bearer ${accessToken}`)
+          .send({ cardIds })
+          .expect(400);
+      }
+    });
+
+    it('should not let other users read a private set', async () => {
+      await request(app)
+        .get(`/api/visual-aids/flashcards/sets/${setId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+    });
+
+    it('should block flashcards when the feature is disabled', async () => {
+      await PlatformSettings.create({ features: { flashcards: false } });
+
+      await request(app)
+        .get('/api/visual-aids/flashcards/sets')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Spaced repetition', () => {
+    let cardId;
+
+    beforeEach(async () => {
+      const added = await request(app)
+        .post(`/api/visual-aids/flashcards/sets/${setId}/cards`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ question: 'F = ?', answer: 'ma' });
+      cardId = added.body.data[0]._id;
+    });
+
+    it('should list never-reviewed cards as due', async () => {
+      const response = await request(app)
+        .get(`/api/visual-aids/flashcards/sets/${setId}/due`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.dueCount).toBe(1);
+      expect(response.body.data.newCount).toBe(1);
+    });
+
+    it('should schedule the next review and remove the card from the due list', async () => {
+      const response = await request(app)
+        .post(`/api/visual-aids/flashcards/cards/${cardId}/review`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ quality: 4 })
+        .expect(200);
+
+      expect(response.body.data.schedule.interval).toBe(1);
+      expect(response.body.data.schedule.repetitions).toBe(1);
+
+      const review = await FlashcardReview.findOne({ cardId });
+      expect(review.easeFactor).toBe(2.5);
+
+      const due = await request(app)
+        .get(`/api/visual-aids/flashcards/sets/${setId}/due`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(due.body.data.dueCount).toBe(0);
+    });
+
+    it('should update a card with only the fields sent', async () => {
+      const response = await request(app)
+        .put(`/api/visual-aids/flashcards/cards/${cardId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ difficulty: 'hard' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ question: 'F = ?', answer: 'ma', difficulty: 'hard' });
+
+      await request(app)
+        .put(`/api/visual-aids/flashcards/cards/${cardId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ answer: '  ' })
+        .expect(400);
+    });
+
+    it('should leave card order to the reorder endpoint', async () => {
+      const response = await request(app)
+        .put(`/api/visual-aids/flashcards/cards/${cardId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ order: 5, difficulty: 'hard' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ order: 0, difficulty: 'hard' });
+    });
+
+    it("should keep other users' study statistics off a shared set", async () => {
+      await FlashcardSet.updateOne({ _id: setId }, { visibility: 'shared' });
+
+      await request(app)
+        .post(`/api/visual-aids/flashcards/cards/${cardId}/review`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ quality: 1 })
+        .expect(200);
+      const tracked = await request(app)
+        .put(`/api/visual-aids/flashcards/cards/${cardId}/track`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ confidence: 2 })
+        .expect(200);
+
+      expect(tracked.body.data).toMatchObject({ timesReviewed: 2, confidence: 2 });
+
+      const card = await Flashcard.findById(cardId);
+      expect(card.timesReviewed).toBe(0);
+      expect((await FlashcardSet.findById(setId)).lastStudied).toBeFalsy();
+
+      const review = await FlashcardReview.findOne({ cardId });
+      expect(review).toMatchObject({ totalReviews: 2, lastQuality: 2 });
+
+      // The owner's own review still updates the card
+      await request(app)
+        .post(`/api/visual-aids/flashcards/cards/${cardId}/review`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ quality: 5 })
+        .expect(200);
+      expect(await Flashcard.findById(cardId)).toMatchObject({ timesReviewed: 1, confidence: 5 });
+    });
+
+    it('should reject quality outside 0-5', async () => {
+      await request(app)
+        .post(`/api/visual-aids/flashcards/cards/${cardId}/review`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ quality: 7 })
+        .expect(400);
+    });
+  });
+
+  describe('SM-2 calculation', () => {
+    const now = new Date('2025-01-01T00:00:00Z');
+
+    it('should follow the 1, 6, interval * EF progression', () => {
+      let state = { easeFactor: 2.5, interval: 0, repetitions: 0 };
+
+      state = flashcardService.calculateNextReview(state, 5, now);
+      expect(state.interval).toBe(1);
+
+      state = flashcardService.calculateNextReview(state, 5, now);
+      expect(state.interval).toBe(6);
+
+      state = flashcardService.calculateNextReview(state, 5, now);
+      expect(state.interval).toBe(Math.round(6 * 2.7));
+    });
+
+    it('should reset repetitions on a failed recall and never drop EF below 1.3', () => {
+      const state = flashcardService.calculateNextReview(
+        { easeFactor: 1.3, interval: 20, repetitions: 5 },
+        0,
+        now
+      );
+
+      expect(state.repetitions).toBe(0);
+      expect(state.interval).toBe(1);
+      expect(state.easeFactor).toBe(1.3);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Minimal stand-ins for the Socket.IO server and sockets, so namespace
+ * handlers can be driven directly in tests without a network connection.
+ */
+const createFakeIO = () => {
+  const namespace = {
+    sockets: new Map(),
+    middleware: [],
+    handlers: {},
+    serverSideEmitted: [],
+    use: (fn) => { namespace.middleware.push(fn); },
+    on: (event, handler) => { namespace.handlers[event] = handler; },
+    to: () => ({ emit: () => {} }),
+    serverSideEmit: (event, payload) => namespace.serverSideEmitted.push({ event, payload })
+  };
+  return { of: () => namespace, namespace };
+};
+
+let socketCounter = 0;
+
+/**
+ * Run the namespace middleware with the given handshake auth and, if it
+ * accepts, fire the connection handler. Resolves to the socket, or rejects
+ * with the middleware error.
+ */
+const connect = async (io, auth = {}) => {
+  const handlers = {};
+  const middleware = [];
+  const socket = {
+    id: `socket-${++socketCounter}`,
+    handshake: { auth, headers: {} },
+    rooms: new Set(),
+    emitted: [],
+    disconnected: false,
+    on: (event, handler) => { handlers[event] = handler; },
+    use: (fn) => { middleware.push(fn); },
+    join: (room) => socket.rooms.add(room),
+    leave: (room) => socket.rooms.delete(room),
+    to: () => ({ emit: () => {} }),
+    emit: (event, payload) => socket.emitted.push({ event, payload }),
+    disconnect: () => { socket.disconnected = true; }
+  };
+
+  for (const fn of io.namespace.middleware) {
+    await new Promise((resolve, reject) => fn(socket, (err) => (err ? reject(err) : resolve())));
+  }
+
+  io.namespace.sockets.set(socket.id, socket);
+  io.namespace.handlers.connection(socket);
+
+  // Packets pass through socket.use middleware first, as in Socket.IO
+  socket.call = (event, payload) => new Promise(resolve => {
+    const packet = [event, payload, resolve];
+    const run = (i) => {
+      if (i === middleware.length) {
+        return handlers[event](payload, resolve);
+      }
+      middleware[i](packet, (err) => { if (!err) run(i + 1); });
+    };
+    run(0);
+  });
+
+  // Straight to the handler, as if socket.use had let the packet through
+  socket.handle = (event, ...args) => handlers[event](...args);
+  return socket;
+};
+
+module.exports = { createFakeIO, connect };
@@ -0,0 +1,257 @@
+/**
+ * Notebook Collaborator Tests
+ * Sharing notebooks as editor/viewer, invites by email or friend, the shared listing
+ * and collaborators' use of the owner's AI session
+ */
+const http = require('http');
+const request = require('supertest');
+const Friendship = require('../../src/models/Friendship');
+const IngestionJob = require('../../src/models/IngestionJob');
+const Notebook = require('../../src/models/Notebook');
+const Notification = require('../../src/models/Notification');
+const Quiz = require('../../src/models/Quiz');
+const { verifyAiSessionToken } = require('../../src/utils/jwt');
+
+describe('Notebook collaborators', () => {
+  let app;
+  let aiEngine;
+  let aiRequests;
+  let owner;
+  let editor;
+  let viewer;
+  let stranger;
+  let notebookId;
+
+  // Stands in for the AI engine, recording what the proxy forwards
+  beforeAll(async () => {
+    aiEngine = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        aiRequests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ ok: true }));
+      });
+    });
+    await new Promise(resolve => aiEngine.listen(0, '127.0.0.1', resolve));
+
+    // Read when the routes load
+    process.env.AI_ENGINE_URL = `http://127.0.0.1:${aiEngine.address().port}`;
+    app = require('../../src/app');
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => aiEngine.close(resolve));
+  });
+
+  const register = async (name, email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'password123' });
+    return { id: response.body.data.user.id, token: response.body.data.accessToken };
+  };
+
+  const invite = (user, body) => request(app)
+    .post(`/api/notebook/notebooks/${notebookId}/collaborators`)
+    .set('Authorization', `Bearer ${user.token}`)
+    .send(body);
+
+  const as = (user, method, url) => request(app)[method](url).set('Authorization', `Bearer ${user.token}`);
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    aiRequests = [];
+
+    owner = await register('Olivia Owner', 'owner@example.com');
+    editor = await register('Eddie Editor', 'editor@example.com');
+    viewer = await register('Vera Viewer', 'viewer@example.com');
+    stranger = await register('Sam Stranger', 'stranger@example.com');
+
+    const notebook = await Notebook.create({
+      userId: owner.id,
+      title: 'Research',
+      aiSessionId: 'session-1',
+      sources: [{ type: 'notes', name: 'Intro' }]
+    });
+    notebookId = notebook._id.toString();
+  });
+
+  it('should share a notebook by email and list it as shared with the invitee', async () => {
+    const response = await invite(owner, { email: 'Editor@Example.com', role: 'editor' }).expect(201);
+    expect(response.body.data).toMatchObject({ user: { id: editor.id, name: 'Eddie Editor' }, role: 'editor' });
+
+    const notification = await Notification.findOne({ userId: editor.id, type: 'notebook_shared' });
+    expect(notification.message).toBe('Olivia Owner shared the notebook "Research" with you as an editor');
+
+    const shared = await as(editor, 'get', '/api/notebook/notebooks/shared').expect(200);
+    expect(shared.body.count).toBe(1);
+    expect(shared.body.data[0]).toMatchObject({
+      _id: notebookId,
+      title: 'Research',
+      role: 'editor',
+      owner: { _id: owner.id, name: 'Olivia Owner' }
+    });
+    expect(shared.body.data[0].sources[0].content).toBeUndefined();
+
+    // Shared notebooks stay out of the invitee's own list, and the owner's list is unchanged
+    expect((await as(editor, 'get', '/api/notebook/notebooks').expect(200)).body.count).toBe(0);
+    expect((await as(owner, 'get', '/api/notebook/notebooks/shared').expect(200)).body.count).toBe(0);
+
+    const opened = await as(editor, 'get', `/api/notebook/notebooks/${notebookId}`).expect(200);
+    expect(opened.body.data.role).toBe('editor');
+
+    const collaborators = await as(editor, 'get', `/api/notebook/notebooks/${notebookId}/collaborators`).expect(200);
+    expect(collaborators.body.data.owner.email).toBe('owner@example.com');
+    expect(collaborators.body.data.collaborators).toEqual([
+      expect.objectContaining({ role: 'editor', userId: expect.objectContaining({ email: 'editor@example.com' }) })
+    ]);
+  });
+
+  it('should only invite friends by user id', async () => {
+    const refused = await invite(owner, { userId: viewer.id }).expect(403);
+    expect(refused.body.error).toMatch(/only invite your friends/);
+
+    const [user1, user2] = [owner.id, viewer.id].sort();
+    await Friendship.create({ user1, user2 });
+
+    const response = await invite(owner, { userId: viewer.id }).expect(201);
+    expect(response.body.data.role).toBe('viewer');
+
+    await invite(owner, { userId: viewer.id }).expect(400);
+    await invite(owner, { email: 'nobody@example.com' }).expect(404);
+    await invite(owner, {}).expect(400);
+    await invite(owner, { email: 'stranger@example.com', role: 'owner' }).expect(400);
+  });
+
+  it('should let editors change sources and viewers only read them', async () => {
+    await invite(owner, { email: 'editor@example.com', role: 'editor' }).expect(201);
+    await invite(owner, { email: 'viewer@example.com' }).expect(201);
+
+    const added = await as(editor, 'post', `/api/notebook/notebooks/${notebookId}/sources`)
+      .send({ type: 'notes', name: 'Findings', content: 'Temperature changes enzyme activity.' })
+      .expect(201);
+
+    // Ingested into the owner's AI session, as the owner
+    const job = await IngestionJob.findOne({ sourceId: added.body.data._id });
+    expect(job.userId.toString()).toBe(owner.id);
+
+    const viewerAdd = await as(viewer, 'post', `/api/notebook/notebooks/${notebookId}/sources`)
+      .send({ type: 'notes', name: 'Mine', content: 'Viewers cannot add this.' })
+      .expect(403);
+    expect(viewerAdd.body.error).toMatch(/Viewers cannot change this notebook/);
+    await as(viewer, 'put', `/api/notebook/notebooks/${notebookId}`).send({ title: 'Renamed' }).expect(403);
+
+    const context = await as(viewer, 'get', `/api/notebook/notebooks/${notebookId}/context`).expect(200);
+    expect(JSON.stringify(context.body)).toContain('Temperature changes enzyme activity.');
+
+    // Editors rename, but the subject and deleting the notebook are the owner's
+    await as(editor, 'put', `/api/notebook/notebooks/${notebookId}`).send({ title: 'Enzymes' }).expect(200);
+    await as(editor, 'put', `/api/notebook/notebooks/${notebookId}`).send({ subject: null }).expect(403);
+    await as(editor, 'delete', `/api/notebook/notebooks/${notebookId}`).expect(403);
+
+    // Removing the source deletes its vectors from the owner's session, as the owner
+    await as(editor, 'delete', `/api/notebook/notebooks/${notebookId}/sources/${added.body.data._id}`).expect(200);
+    const deleteVectors = aiRequests.find(r => r.method === 'DELETE');
+    expect(deleteVectors.url).toBe(`/ai/documents/source/${added.body.data._id}`);
+    expect(verifyAiSessionToken(deleteVectors.authorization.split(' ')[1])).toMatchObject({ id: owner.id, sessionId: 'session-1' });
+
+    // Everyone else still can't see the notebook at all
+    await as(stranger, 'get', `/api/notebook/notebooks/${notebookId}`).expect(404);
+    await as(stranger, 'get', `/api/notebook/notebooks/${notebookId}/context`).expect(404);
+  });
+
+  it('should keep role changes with the owner and let collaborators leave', async () => {
+    await invite(owner, { email: 'editor@example.com', role: 'editor' }).expect(201);
+
+    // Editors may invite viewers, not editors
+    await invite(editor, { email: 'stranger@example.com', role: 'editor' }).expect(403);
+    await invite(editor, { email: 'viewer@example.com' }).expect(201);
+
+    await as(editor, 'patch', `/api/notebook/notebooks/${notebookId}/collaborators/${viewer.id}`)
+      .send({ role: 'editor' })
+      .expect(403);
+    const promoted = await as(owner, 'patch', `/api/notebook/notebooks/${notebookId}/collaborators/${viewer.id}`)
+      .send({ role: 'editor' })
+      .expect(200);
+    expect(promoted.body.data.find(c => c.userId === viewer.id).role).toBe('editor');
+
+    await as(editor, 'delete', `/api/notebook/notebooks/${notebookId}/collaborators/${viewer.id}`).expect(403);
+    await as(viewer, 'delete', `/api/notebook/notebooks/${notebookId}/collaborators/${viewer.id}`).expect(200);
+    await as(owner, 'delete', `/api/notebook/notebooks/${notebookId}/collaborators/${editor.id}`).expect(200);
+    await as(owner, 'delete', `/api/notebook/notebooks/${notebookId}/collaborators/${owner.id}`).expect(400);
+
+    await as(editor, 'get', `/api/notebook/notebooks/${notebookId}`).expect(404);
+    expect((await Notebook.findById(notebookId)).collaborators).toHaveLength(0);
+  });
+
+  it('should open artifacts linked to a shared notebook', async () => {
+    await invite(owner, { email: 'viewer@example.com' }).expect(201);
+
+    const quiz = await Quiz.create({
+      title: 'Enzyme quiz',
+      createdBy: owner.id,
+      visibility: 'private',
+      questions: [{ question: 'What do enzymes do?', options: ['Speed up reactions', 'Nothing'], correctAnswer: 'Speed up reactions' }]
+    });
+    const linked = await as(owner, 'post', `/api/notebook/notebooks/${notebookId}/artifacts`)
+      .send({ type: 'quiz', referenceId: quiz._id.toString(), title: 'Enzyme quiz' })
+      .expect(201);
+
+    const response = await as(viewer, 'get', `/api/notebook/notebooks/${notebookId}/artifacts/${linked.body.data._id}`)
+      .expect(200);
+    expect(response.body.data.item.title).toBe('Enzyme quiz');
+
+    await as(stranger, 'get', `/api/notebook/notebooks/${notebookId}/artifacts/${linked.body.data._id}`).expect(404);
+  });
+
+  it("should forward collaborators' use of the AI session as the owner", async () => {
+    await invite(owner, { email: 'editor@example.com', role: 'editor' }).expect(201);
+    await invite(owner, { email: 'viewer@example.com' }).expect(201);
+
+    await as(viewer, 'get', '/api/ai/sessions/session-1/messages').expect(200);
+    await as(editor, 'post', '/api/ai/sessions/session-1/messages').send({ content: 'Summarize' }).expect(200);
+
+    expect(aiRequests.map(r => `${r.method} ${r.url}`)).toEqual([
+      'GET /ai/sessions/session-1/messages',
+      'POST /ai/sessions/session-1/messages'
+    ]);
+    expect(aiRequests.map(r => verifyAiSessionToken(r.authorization.split(' ')[1]))).toEqual([
+      expect.objectContaining({ id: owner.id, sessionId: 'session-1', actingUserId: viewer.id }),
+      expect.objectContaining({ id: owner.id, sessionId: 'session-1', actingUserId: editor.id })
+    ]);
+
+    const chat = await as(viewer, 'post', '/api/ai/sessions/session-1/messages').send({ content: 'Hi' }).expect(403);
+    expect(chat.body.message).toMatch(/Viewers cannot chat/);
+    await as(editor, 'delete', '/api/ai/sessions/session-1').expect(403);
+
+    // The owner's and everyone else's requests go through unchanged
+    aiRequests = [];
+    await as(owner, 'get', '/api/ai/sessions/session-1').expect(200);
+    await as(stranger, 'get', '/api/ai/sessions/session-1').expect(200);
+    expect(aiRequests.map(r => r.authorization)).toEqual([`Bearer ${owner.token}`, `Bearer ${stranger.token}`]);
+  });
+
+  it("should not let collaborators reach the owner's other AI sessions", async () => {
+    await Notebook.create({ userId: owner.id, title: 'Private', aiSessionId: 'session-2' });
+    await invite(owner, { email: 'editor@example.com', role: 'editor' }).expect(201);
+
+    // Not shared with them, so forwarded with their own token
+    await as(editor, 'get', '/api/ai/sessions/session-2/messages').expect(200);
+    await as(editor, 'post', '/api/ai/chat').send({ session_id: 'session-2', message: 'Hi' }).expect(200);
+    expect(aiRequests.map(r => r.authorization)).toEqual([`Bearer ${editor.token}`, `Bearer ${editor.token}`]);
+
+    // The shared session can't be used to name another one
+    await as(editor, 'post', '/api/ai/sessions/session-1/messages')
+      .send({ content: 'Hi', session_id: 'session-2' })
+      .expect(400);
+    await as(editor, 'get', '/api/ai/sessions/session-1/messages?session_id=session-2').expect(400);
+
+    // The token forwarded for the shared session only works with the AI engine, for that session
+    aiRequests = [];
+    await as(editor, 'get', '/api/ai/sessions/session-1/messages').expect(200);
+    const sessionToken = aiRequests[0].authorization.split(' ')[1];
+    expect(verifyAiSessionToken(sessionToken).sessionId).toBe('session-1');
+    await request(app).get('/api/ai/sessions/session-2').set('Authorization', `Bearer ${sessionToken}`).expect(401);
+    await request(app).get('/api/notebook/notebooks').set('Authorization', `Bearer ${sessionToken}`).expect(401);
+  });
+});
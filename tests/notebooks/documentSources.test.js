@@ -0,0 +1,242 @@
+/**
+ * Notebook Document Source Tests
+ * Text extraction and markers for DOCX, PPTX, Markdown, EPUB and CSV uploads
+ */
+const fs = require('fs').promises;
+const request = require('supertest');
+const app = require('../../src/app');
+const config = require('../../src/config/env');
+const Notebook = require('../../src/models/Notebook');
+const notebookSourceService = require('../../src/services/notebookSource.service');
+const { extractDocument } = require('../../src/utils/documentText');
+const { openZip } = require('../../src/utils/zipArchive');
+const { createZip } = require('../helpers/zipFixture');
+
+const docx = () => createZip({
+  'word/document.xml': `<w:document><w:body>
+    <w:p><w:pPr><w:tabs><w:tab w:val="left" w:pos="720"/></w:tabs></w:pPr><w:r><w:t>Cell Biology</w:t></w:r></w:p>
+    <w:p><w:r><w:t xml:space="preserve">Cells are </w:t></w:r><w:r><w:t>small &amp; alive.</w:t></w:r></w:p>
+    <w:p><w:r><w:br w:type="page"/><w:t>Mitochondria make ATP.</w:t></w:r></w:p>
+  </w:body></w:document>`
+});
+
+const slide = (title, lines) => `<p:sld><p:cSld><p:spTree>
+  <p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${title}</a:t></a:r></a:p></p:txBody></p:sp>
+  <p:sp><p:nvSpPr><p:nvPr><p:ph idx="1"/></p:nvPr></p:nvSpPr><p:txBody>${lines.map(line => `<a:p><a:r><a:t>${line}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sp>
+  <p:sp><p:nvSpPr><p:nvPr><p:ph type="sldNum"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>9</a:t></a:r></a:p></p:txBody></p:sp>
+</p:spTree></p:cSld></p:sld>`;
+
+// Slide order comes from presentation.xml, not the slide file names
+const pptx = () => createZip({
+  'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>',
+  'ppt/_rels/presentation.xml.rels': `<Relationships>
+    <Relationship Id="rId2" Type="http://schemas/slide" Target="slides/slide1.xml"/>
+    <Relationship Id="rId3" Type="http://schemas/slide" Target="slides/slide2.xml"/>
+  </Relationships>`,
+  'ppt/slides/slide1.xml': slide('Photosynthesis', ['Light reactions', 'Calvin cycle']),
+  'ppt/slides/slide2.xml': slide('Intro &amp; Goals', ['Why plants matter']),
+  'ppt/slides/_rels/slide2.xml.rels': '<Relationships><Relationship Id="rId1" Type="http://schemas/notesSlide" Target="../notesSlides/notesSlide1.xml"/></Relationships>',
+  'ppt/notesSlides/notesSlide1.xml': `<p:notes><p:cSld><p:spTree>
+    <p:sp><p:nvSpPr><p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>Start with a question</a:t></a:r></a:p></p:txBody></p:sp>
+  </p:spTree></p:cSld></p:notes>`
+});
+
+const epub = (spine = '<itemref idref="cover"/><itemref idref="nav"/><itemref idref="ch1"/><itemref idref="ch2"/>') => createZip({
+  mimetype: 'application/epub+zip',
+  'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+  'OEBPS/content.opf': `<package><manifest>
+    <item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ch1" href="text/ch1.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch2" href="text/ch2.xhtml" media-type="application/xhtml+xml"/>
+  </manifest><spine>${spine}</spine></package>`,
+  'OEBPS/cover.xhtml': '<html><body><img src="cover.jpg"/></body></html>',
+  'OEBPS/nav.xhtml': `<html><body><nav epub:type="toc"><ol>
+    <li><a href="text/ch1.xhtml">Atoms</a></li><li><a href="text/ch2.xhtml#start">Molecules &amp; Bonds</a></li>
+  </ol></nav></body></html>`,
+  'OEBPS/text/ch1.xhtml': '<html><body><h1>Atoms</h1><p>Everything is made of atoms.</p></body></html>',
+  'OEBPS/text/ch2.xhtml': '<html><body><p>Atoms join into molecules.</p></body></html>'
+});
+
+describe('Notebook document sources', () => {
+  let accessToken;
+  let notebookId;
+
+  const upload = (type, buffer, fileName) => request(app)
+    .post(`/api/notebook/notebooks/${notebookId}/sources`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .field('type', type)
+    .attach('file', buffer, fileName);
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Notebook User', email: 'notebook-docs@example.com', password: 'password123' });
+    accessToken = response.body.data.accessToken;
+
+    const notebook = await Notebook.create({ userId: response.body.data.user.id, title: 'Chemistry' });
+    notebookId = notebook._id.toString();
+  });
+
+  afterEach(async () => {
+    // Uploads are written to disk; don't leave them behind
+    const notebook = await Notebook.findById(notebookId);
+    await Promise.all((notebook?.sources || [])
+      .filter(source => source.filePath)
+      .map(source => fs.unlink(source.filePath).catch(() => {})));
+  });
+
+  it('should extract Word documents page by page', async () => {
+    const file = docx();
+    const response = await upload('docx', file, 'cells.docx').expect(201);
+    const source = response.body.data;
+
+    expect(source.type).toBe('docx');
+    expect(source.size).toBe(file.length);
+    expect(source.content).toBe('Cell Biology\nCells are small & alive.\n\nMitochondria make ATP.');
+    expect(source.markers).toEqual([
+      { kind: 'page', number: 1, title: null, offset: 0 },
+      { kind: 'page', number: 2, title: null, offset: source.content.indexOf('Mitochondria') }
+    ]);
+  });
+
+  it('should extract slides in presentation order with speaker notes', async () => {
+    const response = await upload('pptx', pptx(), 'lecture.pptx').expect(201);
+    const { content, markers } = response.body.data;
+
+    expect(content).toBe(
+      'Slide 1: Intro & Goals\nWhy plants matter\nNotes: Start with a question\n\n'
+      + 'Slide 2: Photosynthesis\nLight reactions\nCalvin cycle'
+    );
+    expect(markers.map(m => [m.kind, m.number, m.title])).toEqual([
+      ['slide', 1, 'Intro & Goals'],
+      ['slide', 2, 'Photosynthesis']
+    ]);
+    expect(content.slice(markers[1].offset)).toMatch(/^Slide 2: Photosynthesis/);
+  });
+
+  it('should extract EPUB chapters with titles from the table of contents', async () => {
+    const response = await upload('epub', epub(), 'chemistry.epub').expect(201);
+    const { content, markers } = response.body.data;
+
+    expect(content).toBe('Atoms\n\nEverything is made of atoms.\n\nMolecules & Bonds\n\nAtoms join into molecules.');
+    expect(markers).toEqual([
+      { kind: 'chapter', number: 1, title: 'Atoms', offset: 0 },
+      { kind: 'chapter', number: 2, title: 'Molecules & Bonds', offset: content.indexOf('Molecules') }
+    ]);
+  });
+
+  it('should keep Markdown as written with a marker per heading', async () => {
+    const markdown = '# Acids\nThey donate protons.\n\n```\n# not a heading\n```\n## Bases\nThey accept them.';
+    const response = await upload('markdown', Buffer.from(markdown), 'notes.md').expect(201);
+
+    expect(response.body.data.content).toBe(markdown);
+    expect(response.body.data.markers.map(m => [m.title, m.offset])).toEqual([
+      ['Acids', 0],
+      ['Bases', markdown.indexOf('## Bases')]
+    ]);
+  });
+
+  it('should label CSV values with their column headers', async () => {
+    const csv = 'element,symbol,notes\nHydrogen,H,"lightest, most common"\n\nOxygen,O,\n';
+    const response = await upload('csv', Buffer.from(csv), 'elements.csv').expect(201);
+
+    expect(response.body.data.content).toBe(
+      'Columns: element, symbol, notes\n'
+      + 'element: Hydrogen; symbol: H; notes: lightest, most common\n'
+      + 'element: Oxygen; symbol: O'
+    );
+
+    // Extracted at upload, so the same text is what reaches the RAG index
+    const notebook = await Notebook.findById(notebookId);
+    expect(await notebookSourceService.extractContent(notebook.sources[0])).toBe(response.body.data.content);
+  });
+
+  it('should work out the type of a generic document upload from its extension', async () => {
+    const response = await upload('document', pptx(), 'lecture.pptx').expect(201);
+    expect(response.body.data.type).toBe('pptx');
+
+    await upload('document', Buffer.from('MZ'), 'setup.exe').expect(400);
+  });
+
+  it('should refuse files that do not match their type or cannot be read', async () => {
+    await upload('docx', docx(), 'cells.pdf').expect(400);
+
+    const corrupt = await upload('docx', Buffer.from('not a zip'), 'broken.docx').expect(422);
+    expect(corrupt.body.error).toMatch(/Could not read this docx file/);
+
+    await upload('pptx', createZip({ 'ppt/presentation.xml': '<p:presentation/>' }), 'empty.pptx').expect(422);
+
+    const notebook = await Notebook.findById(notebookId);
+    expect(notebook.sources).toHaveLength(0);
+  });
+
+  it('should stop reading archives that expand past the total size budget', () => {
+    const zip = openZip(createZip({ 'a.xml': 'a'.repeat(1000), 'b.xml': 'b'.repeat(1000) }), { maxTotalBytes: 1500 });
+
+    expect(zip.readText('a.xml')).toHaveLength(1000);
+    expect(() => zip.read('b.xml')).toThrow('archive is too large when uncompressed');
+
+    // Rereading an entry counts again
+    const reread = openZip(createZip({ 'a.xml': 'a'.repeat(1000) }), { maxTotalBytes: 1500 });
+    reread.read('a.xml');
+    expect(() => reread.read('a.xml')).toThrow('archive is too large when uncompressed');
+  });
+
+  it('should refuse EPUBs whose spine repeats a chapter', async () => {
+    const repeated = epub('<itemref idref="ch1"/><itemref idref="ch2"/><itemref idref="ch1"/>');
+
+    const response = await upload('epub', repeated, 'looping.epub').expect(422);
+    expect(response.body.error).toMatch(/spine lists OEBPS\/text\/ch1\.xhtml more than once/);
+  });
+
+  it('should cap the text kept from a document', async () => {
+    const { text, markers } = extractDocument('epub', epub(), { maxTextLength: 20 });
+    expect(text).toBe('Atoms\n\nEverything is');
+    expect(markers.map(m => m.number)).toEqual([1]);
+
+    const maxTextLength = config.notebooks.documentMaxTextLength;
+    config.notebooks.documentMaxTextLength = 20;
+    try {
+      const response = await upload('epub', epub(), 'chemistry.epub').expect(201);
+      expect(response.body.data.content).toBe('Atoms\n\nEverything is');
+    } finally {
+      config.notebooks.documentMaxTextLength = maxTextLength;
+    }
+  });
+
+  it('should count text source size in bytes', async () => {
+    const response = await request(app)
+      .post(`/api/notebook/notebooks/${notebookId}/sources`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ type: 'notes', name: 'Notes', content: 'Wasser ist H₂O' })
+      .expect(201);
+
+    expect(response.body.data.size).toBe(Buffer.byteLength('Wasser ist H₂O'));
+  });
+
+  it('should keep source text out of the notebook so large sources add up past 16MB', async () => {
+    const addNotes = (name, content) => request(app)
+      .post(`/api/notebook/notebooks/${notebookId}/sources`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ type: 'notes', name, content });
+
+    // Nine sources of 2 million characters each, 18MB of text in all
+    for (let i = 0; i < 9; i++) {
+      await addNotes(`Part ${i}`, String(i).repeat(config.notebooks.documentMaxTextLength)).expect(201);
+    }
+
+    const notebook = await Notebook.findById(notebookId);
+    expect(notebook.sources).toHaveLength(9);
+    expect(await notebookSourceService.extractContent(notebook.sources[8])).toHaveLength(config.notebooks.documentMaxTextLength);
+
+    // The notebook still saves
+    await request(app)
+      .put(`/api/notebook/notebooks/${notebookId}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ title: 'Big notebook' })
+      .expect(200);
+
+    await addNotes('Too long', 'x'.repeat(config.notebooks.documentMaxTextLength + 1)).expect(413);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Notebook Ingestion Queue Tests
+ * Background RAG ingestion with retries, dead-lettering, status API and socket progress
+ */
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../../src/app');
+const config = require('../../src/config/env');
+const IngestionJob = require('../../src/models/IngestionJob');
+const Notebook = require('../../src/models/Notebook');
+const Notification = require('../../src/models/Notification');
+const socket = require('../../src/socket');
+const ingestionQueue = require('../../src/services/ingestionQueue.service');
+const notebookSourceService = require('../../src/services/notebookSource.service');
+const { verifyAccessToken } = require('../../src/utils/jwt');
+
+describe('Notebook ingestion queue', () => {
+  let accessToken;
+  let userId;
+  let notebookId;
+  let emitted;
+
+  const addNotes = () => request(app)
+    .post(`/api/notebook/notebooks/${notebookId}/sources`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ type: 'notes', name: 'Chapter 1', content: 'Mitochondria are the powerhouse of the cell.' })
+    .expect(201);
+
+  const getStatus = sourceId => request(app)
+    .get(`/api/notebook/notebooks/${notebookId}/sources/${sourceId}/status`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .expect(200);
+
+  // Make the job due now, as if its wait had passed
+  const makeDue = sourceId => IngestionJob.updateOne({ sourceId }, { runAt: new Date(Date.now() - 1000) });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    emitted = [];
+    const namespace = { to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) };
+    jest.spyOn(socket, 'getIO').mockReturnValue({ of: () => namespace });
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Queue User', email: 'ingestion@example.com', password: 'password123' });
+    accessToken = response.body.data.accessToken;
+    userId = response.body.data.user.id;
+
+    const notebook = await Notebook.create({ userId, title: 'Biology', aiSessionId: 'session-1' });
+    notebookId = notebook._id.toString();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should queue new sources and ingest them in the background', async () => {
+    const added = await addNotes();
+    const sourceId = added.body.data._id;
+
+    expect(added.body.data.ingestionStatus).toBe('queued');
+    expect((await getStatus(sourceId)).body.data).toMatchObject({ status: 'queued', stage: 'waiting', progress: 0, attempts: 0 });
+
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { task_id: 'task-1', status: 'processing' } });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: 'processing', progress: 50 } });
+
+    await ingestionQueue.tick();
+
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect(url).toMatch(/\/ai\/upload$/);
+    expect(body).toMatchObject({
+      content: 'Mitochondria are the powerhouse of the cell.',
+      filename: 'Chapter 1',
+      metadata: { notebook_id: notebookId, source_id: sourceId, session_id: 'session-1' }
+    });
+    // Signed for the owner at run time, not the token of the request that queued it
+    expect(verifyAccessToken(options.headers.Authorization.split(' ')[1]).id).toBe(userId);
+
+    // Uploaded; the AI engine is still processing
+    expect((await getStatus(sourceId)).body.data).toMatchObject({ status: 'processing', stage: 'processing', progress: 60 });
+    await ingestionQueue.tick();
+    expect(axios.get).not.toHaveBeenCalled();
+
+    await makeDue(sourceId);
+    await ingestionQueue.tick();
+    expect(axios.get.mock.calls[0][0]).toMatch(/\/ai\/upload\/status\/task-1$/);
+    expect((await getStatus(sourceId)).body.data.progress).toBe(80);
+
+    axios.get.mockResolvedValue({ data: { status: 'completed' } });
+    await makeDue(sourceId);
+    await ingestionQueue.tick();
+
+    const status = (await getStatus(sourceId)).body.data;
+    expect(status).toMatchObject({ status: 'completed', stage: 'done', progress: 100, lastError: null });
+    expect(status.completedAt).toBeTruthy();
+    expect(axios.post).toHaveBeenCalledTimes(1);
+
+    const notebook = await Notebook.findById(notebookId);
+    expect(notebook.sources[0].ingestionStatus).toBe('completed');
+    expect(await Notification.countDocuments({ userId, type: 'document_processed' })).toBe(1);
+
+    // Progress went to the owner's notifications room
+    const progress = emitted.filter(e => e.event === 'source:ingestion');
+    expect(progress.every(e => e.room === `user:${userId}`)).toBe(true);
+    expect(progress.map(e => e.payload.stage)).toEqual(
+      ['waiting', 'extracting', 'uploading', 'processing', 'processing', 'done']
+    );
+  });
+
+  it('should retry failed attempts with backoff and dead-letter the job', async () => {
+    const maxAttempts = config.ingestion.maxAttempts;
+    config.ingestion.maxAttempts = 2;
+
+    try {
+      const sourceId = (await addNotes()).body.data._id;
+      jest.spyOn(axios, 'post').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      await ingestionQueue.tick();
+
+      let status = (await getStatus(sourceId)).body.data;
+      expect(status).toMatchObject({ status: 'queued', attempts: 1, maxAttempts: 2, lastError: 'connect ECONNREFUSED' });
+      const wait = new Date(status.nextAttemptAt).getTime() - Date.now();
+      expect(wait).toBeGreaterThan((config.ingestion.backoffBaseSeconds - 5) * 1000);
+      expect(wait).toBeLessThanOrEqual(config.ingestion.backoffBaseSeconds * 1000);
+
+      // Not due yet
+      await ingestionQueue.tick();
+      expect(axios.post).toHaveBeenCalledTimes(1);
+
+      await makeDue(sourceId);
+      await ingestionQueue.tick();
+
+      status = (await getStatus(sourceId)).body.data;
+      expect(status).toMatchObject({ status: 'failed', attempts: 2, nextAttemptAt: null });
+      expect((await IngestionJob.findOne({ sourceId })).status).toBe('dead');
+
+      // Dead jobs stay put until the user asks for another go
+      await ingestionQueue.tick();
+      expect(axios.post).toHaveBeenCalledTimes(2);
+
+      axios.post.mockResolvedValue({ data: { task_id: 'task-2', status: 'completed' } });
+      const retried = await request(app)
+        .post(`/api/notebook/notebooks/${notebookId}/sources/${sourceId}/ingest`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(202);
+      expect(retried.body.data).toMatchObject({ status: 'queued', attempts: 0, lastError: null });
+
+      await ingestionQueue.tick();
+      expect((await getStatus(sourceId)).body.data.status).toBe('completed');
+    } finally {
+      config.ingestion.maxAttempts = maxAttempts;
+    }
+  });
+
+  it('should upload again, replacing vectors, when the AI engine loses the task', async () => {
+    const sourceId = (await addNotes()).body.data._id;
+
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { task_id: 'task-1', status: 'processing' } });
+    jest.spyOn(axios, 'get').mockRejectedValueOnce(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+    jest.spyOn(axios, 'delete').mockResolvedValue({ data: {} });
+
+    await ingestionQueue.tick();
+    await makeDue(sourceId);
+    await ingestionQueue.tick();
+
+    // A task the AI engine no longer knows is a failed attempt, not a finished one
+    let job = await IngestionJob.findOne({ sourceId });
+    expect(job).toMatchObject({
+      status: 'queued',
+      stage: 'waiting',
+      attempts: 1,
+      replaceVectors: true,
+      lastError: 'AI engine lost track of the upload'
+    });
+    expect(job.remoteTaskId).toBeUndefined();
+    expect((await getStatus(sourceId)).body.data.status).not.toBe('completed');
+    expect(await Notification.countDocuments({ userId, type: 'document_processed' })).toBe(0);
+
+    axios.get.mockResolvedValue({ data: { status: 'unknown' } });
+    await makeDue(sourceId);
+    await ingestionQueue.tick();
+    expect(axios.delete).toHaveBeenCalledTimes(1);
+    expect(axios.post).toHaveBeenCalledTimes(2);
+
+    await makeDue(sourceId);
+    await ingestionQueue.tick();
+    job = await IngestionJob.findOne({ sourceId });
+    expect(job).toMatchObject({ status: 'queued', attempts: 2, replaceVectors: true });
+
+    axios.post.mockResolvedValue({ data: { task_id: 'task-2', status: 'completed' } });
+    await makeDue(sourceId);
+    await ingestionQueue.tick();
+
+    job = await IngestionJob.findOne({ sourceId });
+    expect(job).toMatchObject({ status: 'completed', replaceVectors: false });
+    expect(axios.delete).toHaveBeenCalledTimes(2);
+  });
+
+  it('should dead-letter sources without text straight away', async () => {
+    const notebook = await Notebook.findById(notebookId);
+    const source = await notebookSourceService.addSource(notebook, { type: 'notes', name: 'Empty', content: 'tiny' });
+
+    await ingestionQueue.enqueue(notebook, source);
+    jest.spyOn(axios, 'post');
+    await ingestionQueue.tick();
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect((await getStatus(source._id)).body.data).toMatchObject({
+      status: 'failed',
+      attempts: 1,
+      lastError: 'No text content to ingest'
+    });
+  });
+
+  it('should pick up jobs left running by a worker that stopped', async () => {
+    const sourceId = (await addNotes()).body.data._id;
+    await IngestionJob.updateOne({ sourceId }, {
+      status: 'running',
+      lockedAt: new Date(Date.now() - (config.ingestion.lockTimeoutSeconds + 60) * 1000),
+      lockedBy: 'old-instance'
+    });
+
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { task_id: 'task-3', status: 'completed' } });
+    await ingestionQueue.tick();
+
+    expect((await getStatus(sourceId)).body.data.status).toBe('completed');
+  });
+
+  it('should drop jobs of removed sources', async () => {
+    const sourceId = (await addNotes()).body.data._id;
+
+    await request(app)
+      .delete(`/api/notebook/notebooks/${notebookId}/sources/${sourceId}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(await IngestionJob.countDocuments({ sourceId })).toBe(0);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Notebook Source Deduplication Tests
+ * Content hashes, duplicate detection, linking sources between notebooks and re-ingestion
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const axios = require('axios');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../../src/app');
+const IngestionJob = require('../../src/models/IngestionJob');
+const Notebook = require('../../src/models/Notebook');
+const ingestionQueue = require('../../src/services/ingestionQueue.service');
+const notebookSourceService = require('../../src/services/notebookSource.service');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+const exists = filePath => fs.access(filePath).then(() => true, () => false);
+
+describe('Notebook source deduplication', () => {
+  let accessToken;
+  let userId;
+  let biologyId;
+  let chemistryId;
+
+  const addNotes = (notebookId, content, extra = {}) => request(app)
+    .post(`/api/notebook/notebooks/${notebookId}/sources`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ type: 'notes', name: 'Notes', content, ...extra });
+
+  const upload = (notebookId, buffer, fields = {}) => {
+    const req = request(app)
+      .post(`/api/notebook/notebooks/${notebookId}/sources`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .field('type', 'markdown');
+    Object.entries(fields).forEach(([key, value]) => req.field(key, value));
+    return req.attach('file', buffer, 'cells.md');
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Dedup User', email: 'dedup@example.com', password: 'password123' });
+    accessToken = response.body.data.accessToken;
+    userId = response.body.data.user.id;
+
+    const [biology, chemistry] = await Notebook.create([
+      { userId, title: 'Biology' },
+      { userId, title: 'Chemistry' }
+    ]);
+    biologyId = biology._id.toString();
+    chemistryId = chemistry._id.toString();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+
+    // Uploads are written to disk; don't leave them behind
+    const notebooks = await Notebook.find({ userId });
+    const files = new Set(notebooks.flatMap(n => n.sources.map(s => s.filePath)).filter(Boolean));
+    await Promise.all([...files].map(filePath => fs.unlink(filePath).catch(() => {})));
+  });
+
+  it('should store a SHA-256 hash of each source', async () => {
+    const markdown = Buffer.from('# Cells\nThe unit of life.');
+    const file = await upload(biologyId, markdown).expect(201);
+    const notes = await addNotes(biologyId, 'Osmosis moves water across membranes.').expect(201);
+
+    expect(file.body.data.contentHash).toBe(sha256(markdown));
+    expect(notes.body.data.contentHash).toBe(sha256('Osmosis moves water across membranes.'));
+  });
+
+  it('should refuse the same content twice in one notebook', async () => {
+    const first = await addNotes(biologyId, 'Osmosis moves water across membranes.').expect(201);
+    const second = await addNotes(biologyId, 'Osmosis moves water across membranes.', { onDuplicate: 'keep' }).expect(409);
+
+    expect(second.body.error).toMatch(/already has a source with the same content/);
+    expect(second.body.duplicates).toEqual([
+      expect.objectContaining({ notebookId: biologyId, sourceId: first.body.data._id, name: 'Notes' })
+    ]);
+    expect((await Notebook.findById(biologyId)).sources).toHaveLength(1);
+  });
+
+  it('should offer to link content already in another notebook', async () => {
+    const markdown = Buffer.from('# Cells\nThe unit of life.');
+    const original = await upload(biologyId, markdown).expect(201);
+
+    const refused = await upload(chemistryId, markdown).expect(409);
+    expect(refused.body.duplicates).toEqual([
+      expect.objectContaining({ notebookId: biologyId, notebookTitle: 'Biology', sourceId: original.body.data._id })
+    ]);
+    // Nothing was stored for the refused upload
+    expect((await Notebook.findById(chemistryId)).sources).toHaveLength(0);
+
+    const kept = await upload(chemistryId, markdown, { onDuplicate: 'keep' }).expect(201);
+    expect(kept.body.data.filePath).not.toBe(original.body.data.filePath);
+  });
+
+  it('should link a source into another notebook, sharing its file', async () => {
+    const original = (await upload(biologyId, Buffer.from('# Cells\nThe unit of life.')).expect(201)).body.data;
+
+    const linked = await request(app)
+      .post(`/api/notebook/notebooks/${chemistryId}/sources/link`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ notebookId: biologyId, sourceId: original._id })
+      .expect(201);
+
+    expect(linked.body.data).toMatchObject({
+      type: 'markdown',
+      name: 'cells.md',
+      filePath: original.filePath,
+      content: original.content,
+      contentHash: original.contentHash,
+      linkedFrom: { notebookId: biologyId, sourceId: original._id }
+    });
+    expect(linked.body.data.markers).toEqual(original.markers);
+
+    await request(app)
+      .post(`/api/notebook/notebooks/${chemistryId}/sources/link`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ notebookId: biologyId, sourceId: original._id })
+      .expect(409);
+
+    // The file stays while either source uses it
+    await request(app)
+      .delete(`/api/notebook/notebooks/${biologyId}/sources/${original._id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(await exists(original.filePath)).toBe(true);
+    expect(await notebookSourceService.getText(original._id)).toBeNull();
+    expect((await notebookSourceService.getText(linked.body.data._id)).content).toBe(original.content);
+
+    await request(app)
+      .delete(`/api/notebook/notebooks/${chemistryId}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(await exists(original.filePath)).toBe(false);
+    expect(await notebookSourceService.getText(linked.body.data._id)).toBeNull();
+  });
+
+  it('should not link sources from notebooks of other users', async () => {
+    const other = await Notebook.create({
+      userId: new mongoose.Types.ObjectId(),
+      title: 'Not mine',
+      sources: [{ type: 'notes', name: 'Secret' }]
+    });
+
+    await request(app)
+      .post(`/api/notebook/notebooks/${chemistryId}/sources/link`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ notebookId: other._id, sourceId: other.sources[0]._id })
+      .expect(404);
+  });
+
+  it('should replace the old vectors when re-ingesting a source', async () => {
+    await Notebook.updateOne({ _id: biologyId }, { aiSessionId: 'session-1' });
+    const sourceId = (await addNotes(biologyId, 'Osmosis moves water across membranes.').expect(201)).body.data._id;
+
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { task_id: 'task-1', status: 'completed' } });
+    jest.spyOn(axios, 'delete').mockResolvedValue({ data: {} });
+
+    // First ingestion has nothing to replace
+    await ingestionQueue.tick();
+    expect(axios.delete).not.toHaveBeenCalled();
+
+    const reingest = await request(app)
+      .post(`/api/notebook/notebooks/${biologyId}/sources/${sourceId}/reingest`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(202);
+    expect(reingest.body.data).toMatchObject({ status: 'queued', attempts: 0 });
+
+    await ingestionQueue.tick();
+
+    expect(axios.delete.mock.calls[0][0]).toMatch(new RegExp(`/ai/documents/source/${sourceId}$`));
+    expect(axios.delete.mock.invocationCallOrder[0]).toBeLessThan(axios.post.mock.invocationCallOrder[1]);
+    expect(axios.post).toHaveBeenCalledTimes(2);
+
+    const job = await IngestionJob.findOne({ sourceId });
+    expect(job).toMatchObject({ status: 'completed', replaceVectors: false });
+  });
+
+  it('should keep replacing the old vectors when the upload has to be retried', async () => {
+    await Notebook.updateOne({ _id: biologyId }, { aiSessionId: 'session-1' });
+    const sourceId = (await addNotes(biologyId, 'Osmosis moves water across membranes.').expect(201)).body.data._id;
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(axios, 'delete').mockRejectedValueOnce(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+    jest.spyOn(axios, 'post').mockRejectedValueOnce(new Error('socket hang up'));
+
+    await request(app)
+      .post(`/api/notebook/notebooks/${biologyId}/sources/${sourceId}/reingest`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(202);
+    await ingestionQueue.tick();
+
+    // Nothing indexed yet is fine; the failed upload is retried with the replacement still pending
+    let job = await IngestionJob.findOne({ sourceId });
+    expect(job).toMatchObject({ status: 'queued', attempts: 1, replaceVectors: true, lastError: 'socket hang up' });
+
+    axios.delete.mockResolvedValue({ data: {} });
+    axios.post.mockResolvedValue({ data: { task_id: 'task-2', status: 'completed' } });
+    await IngestionJob.updateOne({ sourceId }, { runAt: new Date(Date.now() - 1000) });
+    await ingestionQueue.tick();
+
+    job = await IngestionJob.findOne({ sourceId });
+    expect(job).toMatchObject({ status: 'completed', replaceVectors: false });
+    expect(axios.delete).toHaveBeenCalledTimes(2);
+  });
+
+  it('should refuse to re-ingest sources of notebooks without an AI session', async () => {
+    const sourceId = (await addNotes(biologyId, 'Osmosis moves water across membranes.').expect(201)).body.data._id;
+
+    const response = await request(app)
+      .post(`/api/notebook/notebooks/${biologyId}/sources/${sourceId}/reingest`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(400);
+    expect(response.body.error).toMatch(/no AI session/);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Notebook Website Source Tests
+ * Fetching and extracting web pages for website sources, against a local fixture server
+ */
+const http = require('http');
+const request = require('supertest');
+const app = require('../../src/app');
+const config = require('../../src/config/env');
+const Notebook = require('../../src/models/Notebook');
+const notebookSourceService = require('../../src/services/notebookSource.service');
+const { isPrivateAddress } = require('../../src/services/websiteSource.service');
+
+const ARTICLE = `<!doctype html>
+<html lang="en">
+<head>
+  <title>Fallback title</title>
+  <meta property="og:title" content="How Photosynthesis Works">
+  <script>window.tracking = '<p>not text</p>';</script>
+</head>
+<body>
+  <nav><a href="/">Home</a> <a href="/about">About</a></nav>
+  <header><h1>Science Daily</h1></header>
+  <article>
+    <h1>How Photosynthesis Works</h1>
+    <p>Plants turn <b>light</b>&nbsp;energy into chemical energy.</p>
+    <ul><li>Chlorophyll absorbs light</li><li>Water is split</li></ul>
+  </article>
+  <footer>&copy; Science Daily</footer>
+</body>
+</html>`;
+
+describe('Notebook website sources', () => {
+  let server;
+  let baseUrl;
+  let pages;
+  let accessToken;
+  let notebookId;
+
+  const addWebsite = (url, extra = {}) => request(app)
+    .post(`/api/notebook/notebooks/${notebookId}/sources`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ type: 'website', url, ...extra });
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const page = pages[req.url];
+      if (!page) {
+        res.statusCode = 404;
+        return res.end('Not found');
+      }
+      res.statusCode = page.status || 200;
+      Object.entries(page.headers || { 'Content-Type': 'text/html; charset=utf-8' })
+        .forEach(([name, value]) => res.setHeader(name, value));
+      res.end(page.body || '');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // The fixture server is on localhost
+    config.notebooks.websiteAllowPrivateHosts = true;
+  });
+
+  afterAll(async () => {
+    config.notebooks.websiteAllowPrivateHosts = false;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    pages = {
+      '/robots.txt': {
+        headers: { 'Content-Type': 'text/plain' },
+        body: 'User-agent: *\nDisallow: /private\n\nUser-agent: OtherBot\nDisallow: /'
+      },
+      '/article': { body: ARTICLE },
+      '/old-article': { status: 301, headers: { Location: '/article' } },
+      '/private/notes': { body: ARTICLE },
+      '/slides.pdf': { headers: { 'Content-Type': 'application/pdf' }, body: '%PDF-1.4' }
+    };
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Notebook User', email: 'notebook-web@example.com', password: 'password123' });
+    accessToken = response.body.data.accessToken;
+
+    const notebook = await Notebook.create({ userId: response.body.data.user.id, title: 'Biology' });
+    notebookId = notebook._id.toString();
+  });
+
+  it('should fetch the page and store its article text and title', async () => {
+    const response = await addWebsite(`${baseUrl}/old-article`).expect(201);
+    const source = response.body.data;
+
+    expect(source.name).toBe('How Photosynthesis Works');
+    expect(source.url).toBe(`${baseUrl}/old-article`);
+    expect(source.content).toBe(
+      'How Photosynthesis Works\n\nPlants turn light energy into chemical energy.\n\n- Chlorophyll absorbs light\n- Water is split'
+    );
+    expect(source.snapshot).toMatchObject({
+      title: 'How Photosynthesis Works',
+      finalUrl: `${baseUrl}/article`,
+      statusCode: 200,
+      contentType: 'text/html',
+      lang: 'en'
+    });
+
+    // This is what goes to the RAG index now, instead of the URL
+    const notebook = await Notebook.findById(notebookId);
+    expect(await notebookSourceService.extractContent(notebook.sources[0])).toBe(source.content);
+  });
+
+  it('should keep a name given by the user', async () => {
+    const response = await addWebsite(`${baseUrl}/article`, { name: 'Chapter 3 reading' }).expect(201);
+    expect(response.body.data.name).toBe('Chapter 3 reading');
+  });
+
+  it('should refuse pages disallowed by robots.txt, non-HTML pages and oversized pages', async () => {
+    const robots = await addWebsite(`${baseUrl}/private/notes`).expect(422);
+    expect(robots.body.error).toMatch(/robots\.txt/);
+
+    await addWebsite(`${baseUrl}/slides.pdf`).expect(422);
+    await addWebsite(`${baseUrl}/missing`).expect(422);
+
+    const maxBytes = config.notebooks.websiteMaxBytes;
+    config.notebooks.websiteMaxBytes = 1024;
+    pages['/huge'] = { body: `<p>${'x'.repeat(4096)}</p>` };
+    try {
+      const huge = await addWebsite(`${baseUrl}/huge`).expect(422);
+      expect(huge.body.error).toMatch(/larger than/);
+    } finally {
+      config.notebooks.websiteMaxBytes = maxBytes;
+    }
+
+    const notebook = await Notebook.findById(notebookId);
+    expect(notebook.sources).toHaveLength(0);
+  });
+
+  it('should refuse private addresses unless allowed', async () => {
+    config.notebooks.websiteAllowPrivateHosts = false;
+    try {
+      await addWebsite(`${baseUrl}/article`).expect(400);
+      await addWebsite('http://localhost/article').expect(400);
+
+      // The same server through IPv6 forms of its address, and the cloud metadata address
+      const port = server.address().port;
+      await addWebsite(`http://[::ffff:127.0.0.1]:${port}/article`).expect(400);
+      await addWebsite(`http://[::ffff:7f00:1]:${port}/article`).expect(400);
+      await addWebsite(`http://[::127.0.0.1]:${port}/article`).expect(400);
+      await addWebsite(`http://[64:ff9b::127.0.0.1]:${port}/article`).expect(400);
+      await addWebsite('http://[::ffff:a9fe:a9fe]/latest/meta-data/').expect(400);
+      await addWebsite('http://[::ffff:169.254.169.254]/latest/meta-data/').expect(400);
+    } finally {
+      config.notebooks.websiteAllowPrivateHosts = true;
+    }
+
+    await addWebsite('ftp://example.com/file').expect(400);
+  });
+
+  it('should classify IPv4 addresses carried in IPv6 ones by their IPv4 range', () => {
+    ['::ffff:7f00:1', '::ffff:a9fe:a9fe', '::7f00:1', '::ffff:0:a00:1', '64:ff9b::a9fe:a9fe', '2002:c0a8:101::1', '::', '::1']
+      .forEach(ip => expect(isPrivateAddress(ip)).toBe(true));
+    ['::ffff:808:808', '64:ff9b::808:808', '2002:808:808::1', '2606:4700::1111']
+      .forEach(ip => expect(isPrivateAddress(ip)).toBe(false));
+  });
+
+  it('should re-fetch a website source', async () => {
+    const added = await addWebsite(`${baseUrl}/article`).expect(201);
+    const sourceId = added.body.data._id;
+
+    pages['/article'] = { body: '<html><head><title>Updated</title></head><body><main><p>Now with more detail.</p></main></body></html>' };
+
+    const response = await request(app)
+      .post(`/api/notebook/notebooks/${notebookId}/sources/${sourceId}/refetch`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(response.body.data.content).toBe('Now with more detail.');
+    expect(response.body.data.snapshot.title).toBe('Updated');
+    expect(response.body.data.snapshot.finalUrl).toBe(`${baseUrl}/article`);
+
+    // A failed fetch leaves the previous snapshot alone
+    delete pages['/article'];
+    await request(app)
+      .post(`/api/notebook/notebooks/${notebookId}/sources/${sourceId}/refetch`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(422);
+
+    const { content } = await notebookSourceService.getText(sourceId);
+    expect(content).toBe('Now with more detail.');
+  });
+
+  it('should only re-fetch website sources', async () => {
+    const added = await request(app)
+      .post(`/api/notebook/notebooks/${notebookId}/sources`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ type: 'text', name: 'Notes', content: 'Some notes' })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/notebook/notebooks/${notebookId}/sources/${added.body.data._id}/refetch`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(400);
+  });
+});
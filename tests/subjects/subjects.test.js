@@ -0,0 +1,171 @@
+/**
+ * Subject Tests
+ * Tests for subject CRUD and the per-subject overview
+ */
+const request = require('supertest');
+const app = require('../../src/app');
+const Notebook = require('../../src/models/Notebook');
+const Quiz = require('../../src/models/Quiz');
+const MindMap = require('../../src/models/MindMap');
+const StudyPlan = require('../../src/models/StudyPlan');
+
+describe('Subjects API', () => {
+  let accessToken;
+  let otherToken;
+  let userId;
+  let otherUserId;
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Test User',
+        email: 'subjects@example.com',
+        password: 'password123',
+      });
+    accessToken = response.body.data.accessToken;
+    userId = response.body.data.user.id;
+
+    const otherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Other User',
+        email: 'other-subjects@example.com',
+        password: 'password123',
+      });
+    otherToken = otherResponse.body.data.accessToken;
+    otherUserId = otherResponse.body.data.user.id;
+  });
+
+  const createSubject = (data = {}) => request(app)
+    .post('/api/visual-aids/subjects')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ name: 'Physics', color: '#3B82F6', icon: 'atom', ...data });
+
+  describe('CRUD', () => {
+    it('should create and list subjects', async () => {
+      const created = await createSubject().expect(201);
+      expect(created.body.data.color).toBe('#3B82F6');
+
+      const response = await request(app)
+        .get('/api/visual-aids/subjects')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].name).toBe('Physics');
+    });
+
+    it('should reject an invalid colour', async () => {
+      await createSubject({ color: 'blue' }).expect(400);
+    });
+
+    it('should not expose subjects to other users', async () => {
+      const created = await createSubject();
+
+      await request(app)
+        .get(`/api/visual-aids/subjects/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+
+    it('should validate subject updates', async () => {
+      const created = await createSubject();
+
+      await request(app)
+        .put(`/api/visual-aids/subjects/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Physics', color: 'blue' })
+        .expect(400);
+
+      const updated = await request(app)
+        .put(`/api/visual-aids/subjects/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Physics II', color: '#fff' })
+        .expect(200);
+      expect(updated.body.data).toMatchObject({ name: 'Physics II', color: '#fff' });
+    });
+
+    it("should not link quizzes or notebooks to other users' subjects", async () => {
+      const created = await createSubject();
+      const subjectId = created.body.data._id;
+
+      await request(app)
+        .post('/api/visual-aids/quizzes')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ title: 'Borrowed', subject: subjectId })
+        .expect(404);
+
+      const quiz = await request(app)
+        .post('/api/visual-aids/quizzes')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ title: 'Mine' })
+        .expect(201);
+      await request(app)
+        .put(`/api/visual-aids/quizzes/${quiz.body.data._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ title: 'Mine', subject: subjectId })
+        .expect(404);
+
+      const notebook = await Notebook.create({ userId: otherUserId, title: 'Mine' });
+      await request(app)
+        .put(`/api/notebook/notebooks/${notebook._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ subject: subjectId })
+        .expect(404);
+
+      expect((await Quiz.findById(quiz.body.data._id)).subject).toBeFalsy();
+      expect((await Notebook.findById(notebook._id)).subject).toBeUndefined();
+
+      // The owner can link their own subject
+      const own = await Notebook.create({ userId, title: 'Physics notes' });
+      await request(app)
+        .put(`/api/notebook/notebooks/${own._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ subject: subjectId })
+        .expect(200);
+    });
+
+    it('should unlink content when a subject is deleted', async () => {
+      const created = await createSubject();
+      const subjectId = created.body.data._id;
+      const quiz = await Quiz.create({ title: 'Kinematics', subject: subjectId, createdBy: userId });
+
+      await request(app)
+        .delete(`/api/visual-aids/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const reloaded = await Quiz.findById(quiz._id);
+      expect(reloaded.subject).toBeNull();
+    });
+  });
+
+  describe('GET /api/visual-aids/subjects/:id/overview', () => {
+    it('should aggregate content linked to the subject', async () => {
+      const created = await createSubject();
+      const subjectId = created.body.data._id;
+
+      await Quiz.create({ title: 'Kinematics', subject: subjectId, createdBy: userId });
+      await MindMap.create({ title: 'Forces', topic: 'Forces', subject: subjectId, createdBy: userId });
+      await StudyPlan.create({
+        userId,
+        title: 'Physics Finals',
+        subject: 'Physics',
+        subjectId,
+        startDate: new Date(),
+        endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      });
+
+      const response = await request(app)
+        .get(`/api/visual-aids/subjects/${subjectId}/overview`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.stats.quizzes).toBe(1);
+      expect(response.body.data.stats.mindMaps).toBe(1);
+      expect(response.body.data.stats.studyPlans).toBe(1);
+      expect(response.body.data.stats.notebooks).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Workspace Tests
+ * Nested folders, filing items, folder sharing and trash
+ */
+const mongoose = require('mongoose');
+const Board = require('../../src/models/Board');
+const Notebook = require('../../src/models/Notebook');
+const MindMap = require('../../src/models/MindMap');
+const User = require('../../src/models/User');
+const Workspace = require('../../src/models/Workspace');
+const boardService = require('../../src/services/board.service');
+const workspaceService = require('../../src/services/workspace.service');
+
+describe('Workspaces', () => {
+  let owner;
+  let classmate;
+
+  beforeEach(async () => {
+    [owner, classmate] = await User.create([
+      { name: 'Owner', email: 'owner@example.com', password: 'Password123!' },
+      { name: 'Classmate', email: 'classmate@example.com', password: 'Password123!' }
+    ]);
+  });
+
+  it('should list the items and subfolders filed in a folder', async () => {
+    const term = await workspaceService.createWorkspace(owner._id, { name: 'Term 1' });
+    const biology = await workspaceService.createWorkspace(owner._id, { name: 'Biology', parentId: term._id });
+
+    const board = await Board.create({ title: 'Cells', owner: owner._id });
+    const notebook = await Notebook.create({ userId: owner._id, title: 'Cell notes' });
+    const mindMap = await MindMap.create({ title: 'Organelles', topic: 'Cells', createdBy: owner._id });
+
+    await workspaceService.moveItem(owner._id, 'board', board._id, biology._id);
+    await workspaceService.moveItem(owner._id, 'notebook', notebook._id, biology._id);
+    await workspaceService.moveItem(owner._id, 'mindmap', mindMap._id, term._id);
+
+    const contents = await workspaceService.getContents(biology._id, owner._id);
+    expect(contents.path.map(folder => folder.name)).toEqual(['Term 1']);
+    expect(contents.boards.map(b => b.title)).toEqual(['Cells']);
+    expect(contents.notebooks.map(n => n.title)).toEqual(['Cell notes']);
+    expect(contents.mindMaps).toHaveLength(0);
+
+    const top = await workspaceService.getContents(term._id, owner._id);
+    expect(top.folders.map(folder => folder.name)).toEqual(['Biology']);
+    expect(top.mindMaps.map(m => m.title)).toEqual(['Organelles']);
+
+    await expect(workspaceService.moveItem(classmate._id, 'board', board._id, null))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should move folders with their subtree and refuse cycles', async () => {
+    const a = await workspaceService.createWorkspace(owner._id, { name: 'A' });
+    const b = await workspaceService.createWorkspace(owner._id, { name: 'B', parentId: a._id });
+    const c = await workspaceService.createWorkspace(owner._id, { name: 'C', parentId: b._id });
+    const other = await workspaceService.createWorkspace(owner._id, { name: 'Other' });
+
+    await expect(workspaceService.updateWorkspace(a._id, owner._id, { parentId: c._id }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const moved = await workspaceService.updateWorkspace(b._id, owner._id, { name: 'B2', parentId: other._id });
+    expect(moved.name).toBe('B2');
+
+    const child = await Workspace.findById(c._id);
+    expect(child.ancestors.map(String)).toEqual([other._id.toString(), b._id.toString()]);
+  });
+
+  it('should share a folder and its subfolders with members', async () => {
+    const shared = await workspaceService.createWorkspace(owner._id, { name: 'Study group' });
+    const inner = await workspaceService.createWorkspace(owner._id, { name: 'Week 1', parentId: shared._id });
+
+    await expect(workspaceService.getContents(inner._id, classmate._id))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    await workspaceService.addMember(shared._id, owner._id, { userId: classmate._id, role: 'viewer' });
+
+    const contents = await workspaceService.getContents(inner._id, classmate._id);
+    expect(contents.workspace.role).toBe('viewer');
+    await expect(workspaceService.createWorkspace(classmate._id, { name: 'Mine', parentId: inner._id }))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    await workspaceService.updateMemberRole(shared._id, owner._id, classmate._id, 'editor');
+    const created = await workspaceService.createWorkspace(classmate._id, { name: 'Mine', parentId: inner._id });
+    expect(created.owner.toString()).toBe(owner._id.toString());
+
+    const { shared: sharedWithMe } = await workspaceService.getWorkspaces(classmate._id);
+    expect(sharedWithMe.map(folder => folder.name)).toEqual(['Study group']);
+  });
+
+  it('should send a deleted folder tree to the trash and restore it', async () => {
+    const course = await workspaceService.createWorkspace(owner._id, { name: 'Course' });
+    const unit = await workspaceService.createWorkspace(owner._id, { name: 'Unit', parentId: course._id });
+    const board = await Board.create({ title: 'Unit board', owner: owner._id });
+    await workspaceService.moveItem(owner._id, 'board', board._id, unit._id);
+
+    const result = await workspaceService.deleteWorkspace(course._id, owner._id);
+    expect(result.trashed).toMatchObject({ folders: 2, board: 1 });
+
+    expect((await boardService.getUserBoards(owner._id)).boards).toHaveLength(0);
+    await expect(workspaceService.getContents(unit._id, owner._id))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    const trash = await workspaceService.getTrash(owner._id);
+    expect(trash.map(folder => folder.name)).toEqual(['Course']);
+    await expect(workspaceService.restoreWorkspace(unit._id, owner._id))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    await workspaceService.restoreWorkspace(course._id, owner._id);
+    const contents = await workspaceService.getContents(unit._id, owner._id);
+    expect(contents.boards.map(b => b.title)).toEqual(['Unit board']);
+    expect((await boardService.getUserBoards(owner._id)).boards).toHaveLength(1);
+  });
+
+  it("should only list items members can open and leave their own items out of the owner's trash", async () => {
+    const folder = await workspaceService.createWorkspace(owner._id, { name: 'Study group' });
+    await workspaceService.addMember(folder._id, owner._id, { userId: classmate._id, role: 'editor' });
+
+    const [privateBoard, publicBoard, classmateBoard] = await Board.create([
+      { title: 'Private plans', description: 'Not for the group', owner: owner._id },
+      { title: 'Shared diagram', owner: owner._id, isPublic: true },
+      { title: 'Classmate board', owner: classmate._id }
+    ]);
+    const privateNotebook = await Notebook.create({ userId: owner._id, title: 'Diary' });
+    await workspaceService.moveItem(owner._id, 'board', privateBoard._id, folder._id);
+    await workspaceService.moveItem(owner._id, 'board', publicBoard._id, folder._id);
+    await workspaceService.moveItem(owner._id, 'notebook', privateNotebook._id, folder._id);
+    await workspaceService.moveItem(classmate._id, 'board', classmateBoard._id, folder._id);
+
+    const contents = await workspaceService.getContents(folder._id, classmate._id);
+    expect(contents.boards.map(b => b.title).sort()).toEqual(['Classmate board', 'Shared diagram']);
+    expect(contents.notebooks).toHaveLength(0);
+
+    // Opening access to an item lists it
+    await Notebook.updateOne({ _id: privateNotebook._id }, { collaborators: [{ userId: classmate._id, role: 'viewer' }] });
+    expect((await workspaceService.getContents(folder._id, classmate._id)).notebooks.map(n => n.title)).toEqual(['Diary']);
+
+    const result = await workspaceService.deleteWorkspace(folder._id, owner._id);
+    expect(result.trashed).toMatchObject({ board: 2, notebook: 1 });
+    expect(result.unfiled).toMatchObject({ board: 1 });
+
+    const kept = await Board.findById(classmateBoard._id);
+    expect(kept.trashedAt).toBeFalsy();
+    expect(kept.workspace).toBeNull();
+  });
+
+  it('should leave duplicates of a filed board out of the folder', async () => {
+    const folder = await workspaceService.createWorkspace(owner._id, { name: 'Biology' });
+    const board = await Board.create({
+      title: 'Cells',
+      owner: owner._id,
+      members: [{ userId: classmate._id, role: 'editor' }]
+    });
+    await workspaceService.moveItem(owner._id, 'board', board._id, folder._id);
+
+    const copy = await boardService.duplicateBoard(board._id, classmate._id);
+    expect(copy.workspace).toBeNull();
+
+    const contents = await workspaceService.getContents(folder._id, owner._id);
+    expect(contents.boards.map(b => b._id.toString())).toEqual([board._id.toString()]);
+  });
+
+  it('should only let the owner delete a folder', async () => {
+    const folder = await workspaceService.createWorkspace(owner._id, { name: 'Private' });
+    await workspaceService.addMember(folder._id, owner._id, { userId: classmate._id, role: 'editor' });
+
+    await expect(workspaceService.deleteWorkspace(folder._id, classmate._id))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(workspaceService.getContents(new mongoose.Types.ObjectId(), owner._id))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});